@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const os = require('os');
+const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const isDev = require('electron-is-dev');
@@ -9,6 +10,7 @@ const { startLndProcess, startBtcdProcess } = require('./lnd-child-process');
 const grcpClient = require('./grpc-client');
 const {
   PREFIX_NAME,
+  BITCOIN_PREFIX_NAME,
   LND_PORT,
   LND_PEER_PORT,
   LND_REST_PORT,
@@ -33,6 +35,12 @@ console.log(`
 const userDataPath = app.getPath('userData');
 const lndSettingsDir = path.join(isDev ? 'data' : userDataPath, 'lnd');
 const btcdSettingsDir = path.join(isDev ? 'data' : userDataPath, 'btcd');
+// The channel backup folder is only set via the folder dialog of the main
+// process so that the renderer can't write backups to arbitrary paths.
+const scbFolderFile = path.join(userDataPath, 'scb-folder');
+let scbFolder = fs.existsSync(scbFolderFile)
+  ? fs.readFileSync(scbFolderFile, 'utf8')
+  : null;
 const lndArgs = process.argv.filter(a =>
   /(^--bitcoin)|(^--btcd)|(^--neutrino)/.test(a)
 );
@@ -50,6 +58,120 @@ ipcMain.on('log-error', (event, arg) => log.error(...arg));
 ipcMain.on('locale-get', event =>
   event.sender.send('locale', { response: app.getLocale() })
 );
+ipcMain.on('csv-open', event => {
+  const opt = {
+    properties: ['openFile'],
+    filters: [{ name: 'CSV', extensions: ['csv', 'txt'] }],
+  };
+  dialog.showOpenDialog(win, opt, filePaths => {
+    if (!filePaths || !filePaths.length) {
+      return event.sender.send('csv-opened', { response: null });
+    }
+    fs.readFile(filePaths[0], 'utf8', (err, response) =>
+      event.sender.send('csv-opened', { err: err && err.message, response })
+    );
+  });
+});
+
+ipcMain.on('scb-choose-folder', event => {
+  const opt = { properties: ['openDirectory', 'createDirectory'] };
+  dialog.showOpenDialog(win, opt, filePaths => {
+    if (!filePaths || !filePaths.length) {
+      return event.sender.send('scb-folder-chosen', { response: null });
+    }
+    fs.writeFile(scbFolderFile, filePaths[0], 'utf8', err => {
+      if (err) {
+        return event.sender.send('scb-folder-chosen', { err: err.message });
+      }
+      scbFolder = filePaths[0];
+      event.sender.send('scb-folder-chosen', { response: scbFolder });
+    });
+  });
+});
+ipcMain.on('scb-write', (event, { folder, data }) => {
+  if (!scbFolder || folder !== scbFolder) {
+    const err = 'Backup folder was not chosen in the folder dialog';
+    return event.sender.send('scb-written', { err });
+  }
+  const file = path.join(scbFolder, 'channel.backup');
+  const tmp = `${file}.tmp`;
+  fs.writeFile(tmp, Buffer.from(data, 'base64'), err => {
+    if (err) {
+      return event.sender.send('scb-written', { err: err.message });
+    }
+    fs.rename(tmp, file, err =>
+      event.sender.send('scb-written', { err: err && err.message })
+    );
+  });
+});
+ipcMain.on('scb-open', event => {
+  const opt = {
+    properties: ['openFile'],
+    filters: [{ name: 'Channel Backup', extensions: ['backup'] }],
+  };
+  dialog.showOpenDialog(win, opt, filePaths => {
+    if (!filePaths || !filePaths.length) {
+      return event.sender.send('scb-opened', { response: null });
+    }
+    fs.readFile(filePaths[0], (err, buffer) =>
+      event.sender.send('scb-opened', {
+        err: err && err.message,
+        response: buffer && {
+          name: path.basename(filePaths[0]),
+          data: buffer.toString('base64'),
+        },
+      })
+    );
+  });
+});
+ipcMain.on('scb-channel-save', (event, { name, data }) => {
+  const opt = {
+    defaultPath: name,
+    filters: [{ name: 'Channel Backup', extensions: ['backup'] }],
+  };
+  dialog.showSaveDialog(win, opt, filePath => {
+    if (!filePath) {
+      return event.sender.send('scb-channel-saved', { response: null });
+    }
+    fs.writeFile(filePath, Buffer.from(data, 'base64'), err =>
+      event.sender.send('scb-channel-saved', {
+        err: err && err.message,
+        response: filePath,
+      })
+    );
+  });
+});
+ipcMain.on('bundle-save', (event, data) => {
+  const opt = {
+    defaultPath: 'lightning-app-data.json',
+    filters: [{ name: 'App Data', extensions: ['json'] }],
+  };
+  dialog.showSaveDialog(win, opt, filePath => {
+    if (!filePath) {
+      return event.sender.send('bundle-saved', { response: null });
+    }
+    fs.writeFile(filePath, data, 'utf8', err =>
+      event.sender.send('bundle-saved', {
+        err: err && err.message,
+        response: filePath,
+      })
+    );
+  });
+});
+ipcMain.on('bundle-open', event => {
+  const opt = {
+    properties: ['openFile'],
+    filters: [{ name: 'App Data', extensions: ['json'] }],
+  };
+  dialog.showOpenDialog(win, opt, filePaths => {
+    if (!filePaths || !filePaths.length) {
+      return event.sender.send('bundle-opened', { response: null });
+    }
+    fs.readFile(filePaths[0], 'utf8', (err, response) =>
+      event.sender.send('bundle-opened', { err: err && err.message, response })
+    );
+  });
+});
 
 let logQueue = [];
 let logsReady = false;
@@ -240,6 +362,7 @@ app.on('second-instance', (event, args) => {
 });
 
 app.setAsDefaultProtocolClient(PREFIX_NAME);
+app.setAsDefaultProtocolClient(BITCOIN_PREFIX_NAME);
 const onOpenUrl = async (event, url) => {
   while (!win) {
     await new Promise(resolve => setTimeout(resolve, LND_INIT_DELAY));
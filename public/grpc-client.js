@@ -56,6 +56,7 @@ module.exports.init = async function({
   let unlocker;
   let lnd;
   let autopilot;
+  let invoices;
   const protoOptions = {
     keepCase: false,
     longs: Number,
@@ -102,6 +103,16 @@ module.exports.init = async function({
     });
   });
 
+  ipcMain.on('lndInvcInit', async event => {
+    const invcProto = path.join(__dirname, '..', 'assets', 'invoices.proto');
+    const packageDef = protoLoader.loadSync(invcProto, protoOptions);
+    let invoicesRpc = grpc.loadPackageDefinition(packageDef).invoicesrpc;
+    invoices = new invoicesRpc.Invoices(`localhost:${lndPort}`, credentials);
+    grpc.waitForClientReady(invoices, Infinity, err => {
+      event.sender.send('lndInvcReady', { err });
+    });
+  });
+
   ipcMain.on('lndClose', event => {
     lnd.close();
     event.sender.send('lndClosed', {});
@@ -128,6 +139,13 @@ module.exports.init = async function({
     autopilot[method](body, handleResponse);
   });
 
+  ipcMain.on('lndInvcRequest', (event, { method, body = {} }) => {
+    const handleResponse = (err, response) => {
+      event.sender.send(`lndInvcResponse_${method}`, { err, response });
+    };
+    invoices[method](body, handleResponse);
+  });
+
   const streams = {};
   ipcMain.on('lndStreamRequest', (event, { method, body = {} }) => {
     let stream;
@@ -1,10 +1,59 @@
 /**
  * @fileOverview repesents the local storage database on a user's device
- * which can be used to persist user settings on disk.
+ * which can be used to persist user settings and the payment journal on disk.
  */
 
+import { isObservableArray } from 'mobx';
+import { SETTINGS_VERSION, UNITS, FIATS, DEFAULT_FIAT } from '../config';
 import * as log from './log';
 
+const DEVICE_SETTINGS = ['restoring', 'backupFolder'];
+
+const isObject = val =>
+  val !== null && typeof val === 'object' && !Array.isArray(val);
+
+/**
+ * Ordered steps to upgrade persisted settings to the current schema. Each
+ * step takes settings of the previous version and returns settings of its
+ * `version`. Settings saved before versioning was added have version 0.
+ * @type {Array}
+ */
+export const SETTINGS_MIGRATIONS = [
+  {
+    // the exchange rate used to be a single number for the selected fiat
+    version: 1,
+    migrate: settings => {
+      const { exchangeRate, fiat } = settings;
+      if (typeof exchangeRate !== 'number') return settings;
+      const key = FIATS[fiat] ? fiat : DEFAULT_FIAT;
+      return { ...settings, exchangeRate: { [key]: exchangeRate } };
+    },
+  },
+  {
+    // node scores used to be a flat map of scores for a single network.
+    // Those are dropped since scores are fetched again per network.
+    version: 2,
+    migrate: settings => {
+      const { nodeScores } = settings;
+      if (!isObject(nodeScores)) return settings;
+      const migrated = {};
+      Object.keys(nodeScores)
+        .filter(network => isObject(nodeScores[network]))
+        .forEach(network => (migrated[network] = nodeScores[network]));
+      return { ...settings, nodeScores: migrated };
+    },
+  },
+];
+
+/**
+ * Check values of settings that are more specific than their type.
+ * @type {Object}
+ */
+const SETTINGS_VALIDATORS = {
+  unit: val => !!UNITS[val],
+  fiat: val => !!FIATS[val],
+};
+
 class AppStorage {
   constructor(store, AsyncStorage) {
     this._store = store;
@@ -12,21 +61,17 @@ class AppStorage {
   }
 
   /**
-   * Read the user settings from disk and set them accordingly in the
-   * application state. After the state has bee read to the global
-   * `store` instance `store.loaded` is set to true.
+   * Read the user settings and the payment journal from disk and set them
+   * accordingly in the application state. Settings saved by older versions
+   * are migrated and invalid values are replaced by the defaults. After the
+   * state has bee read to the global `store` instance `store.loaded` is set
+   * to true.
    * @return {Promise<undefined>}
    */
   async restore() {
     try {
-      const stateString = await this._AsyncStorage.getItem('settings');
-      if (!stateString) return;
-      const state = JSON.parse(stateString);
-      Object.keys(state).forEach(key => {
-        if (typeof this._store.settings[key] !== 'undefined') {
-          this._store.settings[key] = state[key];
-        }
-      });
+      await this._restoreSettings();
+      await this._restoreJournal();
     } catch (err) {
       log.error('Store load error', err);
     } finally {
@@ -35,15 +80,131 @@ class AppStorage {
     }
   }
 
+  async _restoreSettings() {
+    const stateString = await this._AsyncStorage.getItem('settings');
+    if (!stateString) return;
+    let state;
+    try {
+      state = JSON.parse(stateString);
+    } catch (err) {
+      log.error('Corrupt settings, using defaults', err);
+      return;
+    }
+    this._setSettings(this._migrateSettings(state));
+  }
+
+  async _restoreJournal() {
+    const journalString = await this._AsyncStorage.getItem('paymentJournal');
+    if (!journalString) return;
+    const journal = JSON.parse(journalString);
+    if (!Array.isArray(journal)) return;
+    this._store.paymentJournal = this._parseJournal(journal);
+  }
+
+  _migrateSettings(state) {
+    if (!isObject(state)) {
+      log.error('Corrupt settings, using defaults');
+      return {};
+    }
+    const { version = 0, ...settings } = state;
+    if (version > SETTINGS_VERSION) {
+      log.info(`Settings version ${version} is newer than the app's`);
+    }
+    return SETTINGS_MIGRATIONS.filter(m => m.version > version).reduce(
+      (migrated, step) => {
+        log.info(`Migrating settings to version ${step.version}`);
+        return step.migrate(migrated);
+      },
+      settings
+    );
+  }
+
+  _setSettings(state) {
+    Object.keys(state).forEach(key => {
+      const current = this._store.settings[key];
+      if (typeof current === 'undefined') return;
+      if (!this._isValidSetting(key, state[key], current)) {
+        log.info(`Invalid setting ${key}, using default`);
+        return;
+      }
+      this._store.settings[key] = state[key];
+    });
+  }
+
+  _isValidSetting(key, value, current) {
+    const validate = SETTINGS_VALIDATORS[key];
+    if (validate && !validate(value)) return false;
+    if (isObservableArray(current) || Array.isArray(current)) {
+      return Array.isArray(value);
+    }
+    if (isObject(current)) return isObject(value);
+    return typeof value === typeof current;
+  }
+
+  _serializeSettings() {
+    return { version: SETTINGS_VERSION, ...this._store.settings };
+  }
+
+  _parseJournal(journal) {
+    return journal.map(entry => ({
+      ...entry,
+      date: new Date(entry.date),
+      updated: new Date(entry.updated),
+      attempts: entry.attempts.map(attempt => ({
+        ...attempt,
+        date: new Date(attempt.date),
+        updated: new Date(attempt.updated),
+      })),
+    }));
+  }
+
+  /**
+   * Get a plain copy of the user settings and the payment journal e.g. to
+   * export them to a file. Settings that only apply to this device are left
+   * out so the state can be imported on another device.
+   * @return {Object} The settings and the payment journal
+   */
+  exportState() {
+    const settings = JSON.parse(JSON.stringify(this._serializeSettings()));
+    DEVICE_SETTINGS.forEach(key => delete settings[key]);
+    return {
+      settings,
+      paymentJournal: JSON.parse(JSON.stringify(this._store.paymentJournal)),
+    };
+  }
+
+  /**
+   * Import settings and a payment journal that were previously exported and
+   * persist them. Settings of older versions are migrated first. Imported
+   * journal entries replace existing entries with the same id. Unknown,
+   * invalid and device specific settings are ignored.
+   * @param  {Object} options.settings       The exported user settings
+   * @param  {Array}  options.paymentJournal The exported payment journal
+   * @return {Promise<undefined>}
+   */
+  async importState({ settings = {}, paymentJournal = [] }) {
+    const state = this._migrateSettings(settings);
+    DEVICE_SETTINGS.forEach(key => delete state[key]);
+    this._setSettings(state);
+    const imported = this._parseJournal(paymentJournal);
+    const ids = imported.map(entry => entry.id);
+    this._store.paymentJournal = imported.concat(
+      this._store.paymentJournal.filter(entry => !ids.includes(entry.id))
+    );
+    await this.save();
+  }
+
   /**
-   * Persist the user settings to disk so that they may be read the
-   * next time the application is opened by the user.
+   * Persist the user settings and the payment journal to disk so that they
+   * may be read the next time the application is opened by the user.
    * @return {Promise<undefined>}
    */
   async save() {
     try {
-      const state = JSON.stringify(this._store.settings);
+      const state = JSON.stringify(this._serializeSettings());
       await this._AsyncStorage.setItem('settings', state);
+      const journal = JSON.stringify(this._store.paymentJournal);
+      await this._AsyncStorage.setItem('paymentJournal', journal);
       log.info('Saved state');
     } catch (error) {
       log.error('Store save error', error);
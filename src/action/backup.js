@@ -0,0 +1,162 @@
+/**
+ * @fileOverview action to handle static channel backup (SCB) on desktop.
+ * Snapshots are verified by lnd and written to a user chosen folder by the
+ * electron main process. During restore a backup file can be selected which
+ * is passed to lnd when the wallet is initialized.
+ */
+
+import * as log from './log';
+
+class BackupAction {
+  constructor(store, grpc, ipc, db, notification) {
+    this._store = store;
+    this._grpc = grpc;
+    this._ipc = ipc;
+    this._db = db;
+    this._notification = notification;
+  }
+
+  //
+  // Backup actions
+  //
+
+  /**
+   * Let the user choose the folder that channel backups are written to.
+   * The folder is saved in the user settings and the current backup is
+   * written to it right away.
+   * @return {Promise<undefined>}
+   */
+  async chooseFolder() {
+    try {
+      const folder = await this._ipc.send(
+        'scb-choose-folder',
+        'scb-folder-chosen'
+      );
+      if (!folder) return;
+      this._store.settings.backupFolder = folder;
+      await this._db.save();
+      await this.pushChannelBackup();
+    } catch (err) {
+      this._notification.display({ msg: 'Choosing backup folder failed', err });
+    }
+  }
+
+  /**
+   * Export a backup of all channels and write it to the backup folder.
+   * Nothing is done if the user has not chosen a folder yet.
+   * @return {Promise<undefined>}
+   */
+  async pushChannelBackup() {
+    if (!this._store.settings.backupFolder) return;
+    try {
+      const snapshot = await this._grpc.sendCommand('exportAllChannelBackups');
+      await this._writeSnapshot(snapshot);
+    } catch (err) {
+      log.error('Writing channel backup failed', err);
+    }
+  }
+
+  /**
+   * Subscribe to channel backup updates. If a new snapshot comes in, it is
+   * written to the backup folder.
+   * @return {undefined}
+   */
+  async subscribeChannelBackups() {
+    const stream = this._grpc.sendStreamCommand('subscribeChannelBackups');
+    stream.on('data', snapshot =>
+      this._writeSnapshot(snapshot).catch(err =>
+        log.error('Writing channel backup failed', err)
+      )
+    );
+    stream.on('error', err => log.error('Channel backup error:', err));
+    stream.on('status', status => log.info(`Channel backup status: ${status}`));
+  }
+
+  /**
+   * Check with lnd that a multi channel backup can be decrypted with the
+   * wallet's seed. An error is thrown if the backup is invalid.
+   * @param  {Object} options.multiChanBackup The multi channel backup
+   * @return {Promise<undefined>}
+   */
+  async verifyChannelBackup({ multiChanBackup }) {
+    await this._grpc.sendCommand('verifyChanBackup', { multiChanBackup });
+  }
+
+  //
+  // Restore actions
+  //
+
+  /**
+   * Let the user select a channel backup file while restoring the wallet.
+   * The backup is kept in memory until the wallet is initialized.
+   * @return {Promise<undefined>}
+   */
+  async selectRestoreFile() {
+    try {
+      const file = await this._openFile();
+      if (!file) return;
+      this._store.channelBackup.fileName = file.name;
+      this._store.channelBackup.data = file.data;
+    } catch (err) {
+      this._notification.display({ msg: 'Reading channel backup failed', err });
+    }
+  }
+
+  /**
+   * Get the backup that was selected during restore. This is called by the
+   * wallet action to pass the backup along when initializing the wallet.
+   * @return {Promise<Buffer>} The multi channel backup or null
+   */
+  async fetchChannelBackup() {
+    const { data } = this._store.channelBackup;
+    return data ? Buffer.from(data, 'base64') : null;
+  }
+
+  /**
+   * Restore the channels from a backup file into a wallet that is already
+   * running. The backup is verified before lnd closes the channels.
+   * @return {Promise<undefined>}
+   */
+  async restoreChannelBackups() {
+    try {
+      const file = await this._openFile();
+      if (!file) return;
+      const multiChanBackup = Buffer.from(file.data, 'base64');
+      await this.verifyChannelBackup({ multiChanBackup: { multiChanBackup } });
+      await this._grpc.sendCommand('restoreChannelBackups', {
+        multiChanBackup,
+      });
+      this._notification.display({
+        type: 'success',
+        msg: 'Channel backup restored',
+      });
+    } catch (err) {
+      this._notification.display({
+        msg: 'Restoring channel backup failed!',
+        err,
+      });
+    }
+  }
+
+  //
+  // Helper functions
+  //
+
+  async _writeSnapshot({ multiChanBackup }) {
+    const { backupFolder } = this._store.settings;
+    if (!backupFolder || !multiChanBackup) return;
+    await this.verifyChannelBackup({ multiChanBackup });
+    await this._ipc.send('scb-write', 'scb-written', {
+      folder: backupFolder,
+      data: Buffer.from(multiChanBackup.multiChanBackup).toString('base64'),
+    });
+    this._store.channelBackup.lastBackup = new Date();
+    log.info('Channel backup written');
+  }
+
+  _openFile() {
+    return this._ipc.send('scb-open', 'scb-opened');
+  }
+}
+
+export default BackupAction;
@@ -0,0 +1,230 @@
+/**
+ * @fileOverview actions to export the app's persisted state (user settings
+ * and the payment journal) to an encrypted file and to import it again e.g.
+ * after reinstalling the app. The encryption key is derived from the wallet
+ * password or PIN entered by the user.
+ */
+
+import nacl from 'tweetnacl';
+import { pbkdf2 } from 'pbkdf2';
+import { BUNDLE_VERSION, BUNDLE_KDF_ITERATIONS } from '../config';
+
+const KDF_DIGEST = 'sha256';
+const KDF_MIN_ITERATIONS = BUNDLE_KDF_ITERATIONS / 10;
+const KDF_MAX_ITERATIONS = BUNDLE_KDF_ITERATIONS * 10;
+
+class BundleAction {
+  constructor(store, db, nav, notification, Random, ipc, file) {
+    this._store = store;
+    this._db = db;
+    this._nav = nav;
+    this._notification = notification;
+    this._Random = Random;
+    this._ipc = ipc;
+    this._file = file;
+  }
+
+  /**
+   * Initialize the export view by resetting the password inputs.
+   * @return {undefined}
+   */
+  initExport() {
+    this._store.bundle = { password: '', passwordVerify: '' };
+    this._nav.goBundleExport();
+  }
+
+  /**
+   * Initialize the import view by resetting the password inputs.
+   * @return {undefined}
+   */
+  initImport() {
+    this._store.bundle = { password: '', passwordVerify: '' };
+    this._nav.goBundleImport();
+  }
+
+  /**
+   * Set the password or PIN used to encrypt or decrypt the bundle.
+   * @param {string} options.password The password or PIN
+   */
+  setPassword({ password }) {
+    this._store.bundle.password = password;
+  }
+
+  /**
+   * Set the repeated password or PIN which is checked before exporting.
+   * @param {string} options.password The password or PIN
+   */
+  setPasswordVerify({ password }) {
+    this._store.bundle.passwordVerify = password;
+  }
+
+  /**
+   * Encrypt the persisted app state and save it to a file. On desktop a save
+   * dialog is opened and on mobile the file is passed to the share sheet.
+   * @return {Promise<undefined>}
+   */
+  async exportState() {
+    try {
+      const { password, passwordVerify } = this._store.bundle;
+      if (!password) {
+        throw new Error('Please enter your password or PIN');
+      }
+      if (password !== passwordVerify) {
+        throw new Error('Passwords do not match');
+      }
+      const state = this._db.exportState();
+      const json = await this.encrypt({
+        payload: { version: BUNDLE_VERSION, created: new Date(), ...state },
+        password,
+      });
+      const saved = await this._saveFile(json);
+      if (!saved) return;
+      this._notification.display({ type: 'success', msg: 'App data exported' });
+      this._nav.goSettings();
+    } catch (err) {
+      this._notification.display({ msg: 'Exporting app data failed!', err });
+    }
+  }
+
+  /**
+   * Open an exported file, decrypt it and import the contained app state.
+   * Settings from older app versions are migrated by the app storage.
+   * @return {Promise<undefined>}
+   */
+  async importState() {
+    try {
+      const { password } = this._store.bundle;
+      if (!password) {
+        throw new Error('Please enter your password or PIN');
+      }
+      const json = await this._openFile();
+      if (!json) return;
+      const payload = await this.decrypt({ json, password });
+      await this._db.importState(this.migrate(payload));
+      this._notification.display({ type: 'success', msg: 'App data imported' });
+      this._nav.goSettings();
+    } catch (err) {
+      this._notification.display({ msg: 'Importing app data failed!', err });
+    }
+  }
+
+  /**
+   * Encrypt a payload with a key derived from the password. The salt, nonce
+   * and key derivation parameters are stored next to the ciphertext.
+   * @param  {Object} options.payload  The data to encrypt
+   * @param  {string} options.password The password or PIN
+   * @return {Promise<string>}         The bundle as a json string
+   */
+  async encrypt({ payload, password }) {
+    const salt = Buffer.from(await this._Random.getRandomBytesAsync(16));
+    const nonce = Buffer.from(
+      await this._Random.getRandomBytesAsync(nacl.secretbox.nonceLength)
+    );
+    const kdf = { digest: KDF_DIGEST, iterations: BUNDLE_KDF_ITERATIONS };
+    const key = await this._deriveKey({ password, salt, ...kdf });
+    const data = nacl.secretbox(
+      Buffer.from(JSON.stringify(payload), 'utf8'),
+      nonce,
+      key
+    );
+    return JSON.stringify({
+      version: BUNDLE_VERSION,
+      kdf: { ...kdf, salt: salt.toString('base64') },
+      nonce: nonce.toString('base64'),
+      data: Buffer.from(data).toString('base64'),
+    });
+  }
+
+  /**
+   * Decrypt a bundle created by `encrypt`. Only the key derivation
+   * parameters used by `encrypt` are accepted so that a crafted file can't
+   * weaken the key derivation or make it run for a very long time.
+   * @param  {string} options.json     The bundle as a json string
+   * @param  {string} options.password The password or PIN
+   * @return {Promise<Object>}         The decrypted payload
+   */
+  async decrypt({ json, password }) {
+    let bundle;
+    try {
+      bundle = JSON.parse(json);
+    } catch (err) {
+      throw new Error('Invalid app data file');
+    }
+    if (!bundle.kdf || !bundle.nonce || !bundle.data) {
+      throw new Error('Invalid app data file');
+    }
+    const { digest, iterations } = bundle.kdf;
+    if (
+      digest !== KDF_DIGEST ||
+      !Number.isInteger(iterations) ||
+      iterations < KDF_MIN_ITERATIONS ||
+      iterations > KDF_MAX_ITERATIONS
+    ) {
+      throw new Error('Unsupported app data encryption');
+    }
+    const key = await this._deriveKey({
+      password,
+      salt: Buffer.from(bundle.kdf.salt, 'base64'),
+      digest,
+      iterations,
+    });
+    const data = nacl.secretbox.open(
+      Buffer.from(bundle.data, 'base64'),
+      Buffer.from(bundle.nonce, 'base64'),
+      key
+    );
+    if (!data) {
+      throw new Error('Wrong password or corrupted file');
+    }
+    return JSON.parse(Buffer.from(data).toString('utf8'));
+  }
+
+  /**
+   * Check the version of a decrypted payload before importing it. Version 1
+   * is the first bundle format. The contained settings carry their own
+   * version and are migrated by the app storage on import.
+   * @param  {Object} payload The decrypted payload
+   * @return {Object}         The payload if its version is supported
+   */
+  migrate(payload) {
+    const { version } = payload || {};
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Invalid app data file');
+    }
+    if (version > BUNDLE_VERSION) {
+      throw new Error('The file was exported by a newer version of the app');
+    }
+    return payload;
+  }
+
+  _deriveKey({ password, salt, digest, iterations }) {
+    return new Promise((resolve, reject) =>
+      pbkdf2(
+        password,
+        salt,
+        iterations,
+        nacl.secretbox.keyLength,
+        digest,
+        (err, key) => (err ? reject(err) : resolve(key))
+      )
+    );
+  }
+
+  async _saveFile(json) {
+    if (this._file) {
+      await this._file.shareBundle(json);
+      return true;
+    }
+    const path = await this._ipc.send('bundle-save', 'bundle-saved', json);
+    return !!path;
+  }
+
+  async _openFile() {
+    if (this._file) {
+      return this._file.readBundle();
+    }
+    return this._ipc.send('bundle-open', 'bundle-opened');
+  }
+}
+
+export default BundleAction;
@@ -3,16 +3,39 @@
  * call the corresponding GRPC apis for channel management.
  */
 
-import { MED_TARGET_CONF } from '../config';
-import { toSatoshis, poll, getTimeTilAvailable } from '../helper';
+import {
+  MED_TARGET_CONF,
+  MAX_TARGET_CONF,
+  MIN_CHAN_SIZE,
+  MAX_CHAN_SIZE,
+  MIN_CSV_DELAY,
+  MAX_CSV_DELAY,
+  PREFIX_REGEX,
+  PUBKEY_REGEX,
+  CHANNEL_POLL_DELAY,
+  MIN_TIME_LOCK_DELTA,
+  MAX_TIME_LOCK_DELTA,
+  MAX_FEE_RATE_PPM,
+} from '../config';
+import {
+  toSatoshis,
+  toAmount,
+  poll,
+  getTimeTilAvailable,
+  parseFeeRate,
+  toHex,
+  reverse,
+} from '../helper';
 import * as log from './log';
 
 class ChannelAction {
-  constructor(store, grpc, nav, notification) {
+  constructor(store, grpc, nav, notification, ipc, file) {
     this._store = store;
     this._grpc = grpc;
     this._nav = nav;
     this._notification = notification;
+    this._ipc = ipc;
+    this._file = file;
   }
 
   //
@@ -21,12 +44,25 @@ class ChannelAction {
 
   /**
    * Initiate the create channel view by resetting input values
-   * and then navigating to the view.
+   * and then navigating to the view. A push amount can be passed
+   * to prefill the view e.g. when inbound capacity is missing.
+   * @param  {number} options.pushSat The amount to push to the peer (optional)
    * @return {undefined}
    */
-  initCreate() {
-    this._store.channel.pubkeyAtHost = '';
-    this._store.channel.amount = '';
+  initCreate({ pushSat } = {}) {
+    const { channel, settings } = this._store;
+    channel.pubkeyAtHost = '';
+    channel.amount = '';
+    channel.pushAmount = pushSat ? toAmount(pushSat, settings) : '';
+    channel.advanced = false;
+    channel.private = true;
+    channel.targetConf = '';
+    channel.openFeeRate = '';
+    channel.minHtlc = '';
+    channel.csvDelay = '';
+    channel.spendUnconfirmed = false;
+    channel.useScanner = false;
+    channel.peerInfo = null;
     this._nav.goChannelCreate();
   }
 
@@ -39,6 +75,145 @@ class ChannelAction {
     this._store.channel.amount = amount;
   }
 
+  /**
+   * Set the push amount input for the create channel view. This amount is
+   * sent to the peer when the channel is opened which gives the user inbound
+   * capacity right away.
+   * @param {string} options.amount The string formatted number
+   */
+  setPushAmount({ amount }) {
+    this._store.channel.pushAmount = amount;
+  }
+
+  /**
+   * Show or hide the advanced channel parameters in the create channel view.
+   * @return {undefined}
+   */
+  toggleAdvanced() {
+    this._store.channel.advanced = !this._store.channel.advanced;
+  }
+
+  /**
+   * Toggle if the channel is announced to the network or kept private.
+   * @return {undefined}
+   */
+  togglePrivate() {
+    this._store.channel.private = !this._store.channel.private;
+  }
+
+  /**
+   * Toggle if unconfirmed outputs may be used to fund the channel.
+   * @return {undefined}
+   */
+  toggleSpendUnconfirmed() {
+    const { channel } = this._store;
+    channel.spendUnconfirmed = !channel.spendUnconfirmed;
+  }
+
+  /**
+   * Set the confirmation target in blocks for the funding transaction.
+   * @param {string} options.targetConf The number of blocks e.g. '6'
+   */
+  setTargetConf({ targetConf }) {
+    this._store.channel.targetConf = targetConf;
+  }
+
+  /**
+   * Set a custom fee rate in sat/vbyte for the funding transaction.
+   * @param {string} options.feeRate The fee rate e.g. '12'
+   */
+  setOpenFeeRate({ feeRate }) {
+    this._store.channel.openFeeRate = feeRate;
+  }
+
+  /**
+   * Set the smallest htlc in millisatoshis the peer may forward to us.
+   * @param {string} options.minHtlc The amount in millisatoshis
+   */
+  setMinHtlc({ minHtlc }) {
+    this._store.channel.minHtlc = minHtlc;
+  }
+
+  /**
+   * Set the number of blocks the peer has to wait to claim its funds
+   * after a force close.
+   * @param {string} options.csvDelay The number of blocks
+   */
+  setCsvDelay({ csvDelay }) {
+    this._store.channel.csvDelay = csvDelay;
+  }
+
+  /**
+   * Validate the create channel inputs and navigate to the confirmation
+   * view which displays the parameters once more before opening.
+   * @return {undefined}
+   */
+  async initCreateConfirm() {
+    let params;
+    try {
+      params = this._openParams();
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
+    await this.getNodeInfo({ pubkey: params.pubkey });
+    if (!params.host && !this._nodeHost(params.pubkey)) {
+      return this._notification.display({
+        msg: 'No address found for this node. Please enter pubkey@host',
+      });
+    }
+    this._nav.goChannelCreateConfirm();
+  }
+
+  /**
+   * Toggle between the pubkey@host input field and the QR code scanner.
+   * @return {undefined}
+   */
+  toggleScanner() {
+    this._store.channel.useScanner = !this._store.channel.useScanner;
+  }
+
+  /**
+   * Read data from the QR code scanner and set it as the node uri.
+   * @param  {string} options.data The data containing the node uri
+   * @return {undefined}
+   */
+  readQRCode({ data }) {
+    if (!data) {
+      return;
+    }
+    this._store.channel.useScanner = false;
+    this.setPubkeyAtHost({
+      pubkeyAtHost: data.trim().replace(PREFIX_REGEX, ''),
+    });
+  }
+
+  /**
+   * Look up a node in the channel graph and store its alias, color,
+   * channel count, total capacity and advertised addresses so that
+   * the user can verify the peer before opening a channel.
+   * @param  {string} options.pubkey The public key of the node
+   * @return {Promise<undefined>}
+   */
+  async getNodeInfo({ pubkey }) {
+    const { channel } = this._store;
+    channel.peerInfo = null;
+    try {
+      const info = await this._grpc.sendCommand('getNodeInfo', {
+        pubKey: pubkey,
+      });
+      channel.peerInfo = {
+        pubkey,
+        alias: info.node.alias,
+        color: info.node.color,
+        numChannels: info.numChannels,
+        totalCapacity: info.totalCapacity,
+        addresses: (info.node.addresses || []).map(a => a.addr),
+      };
+    } catch (err) {
+      log.info(`Looking up node ${pubkey} failed`, err);
+    }
+  }
+
   /**
    * Set the channel public key and hostname in a single variable
    * which can be parsed before calling the create channel grpc api.
@@ -69,7 +244,176 @@ class ChannelAction {
    */
   select({ item }) {
     this._store.selectedChannel = item;
+    this._store.selectedChannelPolicy = null;
+    this._store.channel.feeRate = '';
     this._nav.goChannelDetail();
+    if (item.status === 'open') {
+      this.getChannelPolicy({ channel: item });
+    }
+  }
+
+  /**
+   * Fetch our routing policy for a channel. Fees are read from the fee
+   * report while the time-lock delta and max htlc come from the channel
+   * graph, which might not know the channel yet.
+   * @param  {Object} options.channel The open channel
+   * @return {Promise<undefined>}
+   */
+  async getChannelPolicy({ channel }) {
+    try {
+      const { channelFees } = await this._grpc.sendCommand('feeReport');
+      const fee = channelFees.find(f => f.chanPoint === channel.channelPoint);
+      if (!fee) return;
+      const policy = {
+        baseFeeMsat: fee.baseFeeMsat,
+        feeRatePpm: fee.feePerMil,
+        timeLockDelta: null,
+        maxHtlcMsat: null,
+      };
+      try {
+        const edge = await this._grpc.sendCommand('getChanInfo', {
+          chanId: channel.id,
+        });
+        const own =
+          edge.node1Pub === this._store.pubKey
+            ? edge.node1Policy
+            : edge.node2Policy;
+        if (own) {
+          policy.timeLockDelta = own.timeLockDelta;
+          policy.maxHtlcMsat = own.maxHtlcMsat;
+        }
+      } catch (err) {
+        log.info('Channel not found in graph', err);
+      }
+      this._store.selectedChannelPolicy = policy;
+    } catch (err) {
+      log.error('Fetching channel policy failed', err);
+    }
+  }
+
+  /**
+   * Initialize the routing policy editor for the selected channel with
+   * its current values.
+   * @return {undefined}
+   */
+  initPolicy() {
+    const { selectedChannelPolicy: current } = this._store;
+    const toInput = value => (value || value === 0 ? String(value) : '');
+    this._store.policy = {
+      global: false,
+      baseFee: current ? toInput(current.baseFeeMsat) : '',
+      feeRate: current ? toInput(current.feeRatePpm) : '',
+      timeLockDelta: current ? toInput(current.timeLockDelta) : '',
+    };
+    this._nav.goChannelPolicy();
+  }
+
+  /**
+   * Initialize the routing policy editor which applies to all channels.
+   * @return {undefined}
+   */
+  initGlobalPolicy() {
+    this._store.policy = {
+      global: true,
+      baseFee: '',
+      feeRate: '',
+      timeLockDelta: '',
+    };
+    this._nav.goSettingsChannelPolicy();
+  }
+
+  /**
+   * Set the base fee in millisatoshis charged for each forwarded htlc.
+   * @param {string} options.baseFee The base fee e.g. '1000'
+   */
+  setPolicyBaseFee({ baseFee }) {
+    this._store.policy.baseFee = baseFee;
+  }
+
+  /**
+   * Set the proportional fee rate in parts per million.
+   * @param {string} options.feeRate The fee rate e.g. '100'
+   */
+  setPolicyFeeRate({ feeRate }) {
+    this._store.policy.feeRate = feeRate;
+  }
+
+  /**
+   * Set the time-lock delta in blocks required for forwarded htlcs.
+   * @param {string} options.timeLockDelta The number of blocks e.g. '40'
+   */
+  setPolicyTimeLockDelta({ timeLockDelta }) {
+    this._store.policy.timeLockDelta = timeLockDelta;
+  }
+
+  /**
+   * Update the routing policy of either the selected channel or of all
+   * channels at once depending on how the editor was initialized.
+   * @return {Promise<undefined>}
+   */
+  async updatePolicy() {
+    const { policy, selectedChannel } = this._store;
+    let params;
+    try {
+      params = this._policyParams();
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
+    try {
+      const scope = policy.global
+        ? { global: true }
+        : { chanPoint: this._parseChannelPoint(selectedChannel.channelPoint) };
+      await this._grpc.sendCommand('updateChannelPolicy', {
+        ...scope,
+        ...params,
+      });
+      this._notification.display({
+        type: 'success',
+        msg: 'Routing policy updated',
+      });
+      if (policy.global) {
+        this._nav.goSettings();
+      } else {
+        this._nav.goChannelDetail();
+        await this.getChannelPolicy({ channel: selectedChannel });
+      }
+    } catch (err) {
+      this._notification.display({
+        msg: 'Updating routing policy failed!',
+        err,
+      });
+    }
+  }
+
+  /**
+   * Initialize the close channel view by resetting the close parameters.
+   * A cooperative close is preselected unless the peer is offline or the
+   * channel is still pending, in which case only a force close is possible.
+   * @return {undefined}
+   */
+  initDelete() {
+    const { channel } = this._store;
+    channel.forceClose = !this._canCloseCooperatively();
+    channel.feeRate = '';
+    this._nav.goChannelDelete();
+  }
+
+  /**
+   * Choose between a cooperative and a force close of the selected channel.
+   * A cooperative close can only be chosen if the channel is active.
+   * @param {boolean} options.force Whether to force close the channel
+   */
+  setForceClose({ force }) {
+    this._store.channel.forceClose = force || !this._canCloseCooperatively();
+  }
+
+  /**
+   * Set a custom fee rate in sat/vbyte for the cooperative close of the
+   * selected channel. If left empty lnd's fee estimate is used instead.
+   * @param {string} options.feeRate The fee rate e.g. '12'
+   */
+  setCloseFeeRate({ feeRate }) {
+    this._store.channel.feeRate = feeRate;
   }
 
   /**
@@ -87,11 +431,35 @@ class ChannelAction {
   }
 
   /**
-   * Poll the channels in the background since there is no streaming grpc api
+   * Poll the channels in the background as a slow fallback in case
+   * channel events from the streaming api are missed.
    * @return {Promise<undefined>}
    */
   async pollChannels() {
-    await poll(() => this.update());
+    await poll(() => this.update(), CHANNEL_POLL_DELAY);
+  }
+
+  /**
+   * Subscribe to channel events using the grpc streaming api and apply
+   * them to the list of open channels incrementally.
+   * @return {Promise<undefined>}
+   */
+  async subscribeChannelEvents() {
+    try {
+      const stream = this._grpc.sendStreamCommand('subscribeChannelEvents');
+      await new Promise((resolve, reject) => {
+        stream.on('data', update =>
+          this._applyChannelEvent(update).catch(err =>
+            log.error('Applying channel event failed', err)
+          )
+        );
+        stream.on('end', resolve);
+        stream.on('error', reject);
+        stream.on('status', status => log.info(`Channels update: ${status}`));
+      });
+    } catch (err) {
+      log.error('Channel updates failed', err);
+    }
   }
 
   //
@@ -106,20 +474,7 @@ class ChannelAction {
   async getChannels() {
     try {
       const { channels } = await this._grpc.sendCommand('listChannels');
-      this._store.channels = channels.map(channel => ({
-        remotePubkey: channel.remotePubkey,
-        id: channel.chanId,
-        capacity: channel.capacity,
-        localBalance: channel.localBalance,
-        remoteBalance: channel.remoteBalance,
-        commitFee: channel.commitFee,
-        channelPoint: channel.channelPoint,
-        fundingTxId: this._parseChannelPoint(channel.channelPoint)
-          .fundingTxidStr,
-        active: channel.active,
-        private: channel.private,
-        status: 'open',
-      }));
+      this._store.channels = channels.map(c => this._parseChannel(c));
     } catch (err) {
       log.error('Listing channels failed', err);
     }
@@ -138,6 +493,8 @@ class ChannelAction {
         capacity: channel.capacity,
         localBalance: channel.localBalance,
         remoteBalance: channel.remoteBalance,
+        localChanReserveSat: channel.localChanReserveSat,
+        remoteChanReserveSat: channel.remoteChanReserveSat,
         channelPoint: channel.channelPoint,
         fundingTxId: this._parseChannelPoint(channel.channelPoint)
           .fundingTxidStr,
@@ -231,17 +588,21 @@ class ChannelAction {
    * @return {Promise<undefined>}
    */
   async connectAndOpen() {
+    let params;
+    try {
+      params = this._openParams();
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
     try {
-      const { channel, settings } = this._store;
-      const amount = toSatoshis(channel.amount, settings);
-      if (!channel.pubkeyAtHost.includes('@')) {
-        return this._notification.display({ msg: 'Please enter pubkey@host' });
-      }
       this._nav.goChannels();
-      const pubkey = channel.pubkeyAtHost.split('@')[0];
-      const host = channel.pubkeyAtHost.split('@')[1];
-      await this.connectToPeer({ host, pubkey });
-      await this.openChannel({ pubkey, amount });
+      const { host, ...openParams } = params;
+      if (host) {
+        await this.connectToPeer({ host, pubkey: params.pubkey });
+      } else {
+        await this._connectToNode(params.pubkey);
+      }
+      await this.openChannel(openParams);
     } catch (err) {
       this._nav.goChannelCreate();
       this._notification.display({ msg: 'Creating channel failed!', err });
@@ -249,19 +610,24 @@ class ChannelAction {
   }
 
   /**
-   * Connect to peer and fail gracefully by catching exceptions and
-   * logging their output.
+   * Connect to a peer. Being connected already is not treated as a failure
+   * and only logged. Any other error is thrown so the caller can display it.
    * @param  {string} options.host   The hostname of the peer
    * @param  {string} options.pubkey The public key of the peer
+   * @param  {boolean} options.perm  If lnd should keep reconnecting
    * @return {Promise<undefined>}
    */
-  async connectToPeer({ host, pubkey }) {
+  async connectToPeer({ host, pubkey, perm = false }) {
     try {
       await this._grpc.sendCommand('connectPeer', {
         addr: { host, pubkey },
+        perm,
       });
     } catch (err) {
-      log.info('Connecting to peer failed', err);
+      if (!/already connected/i.test(err.message)) {
+        throw err;
+      }
+      log.info('Already connected to peer', err);
     }
   }
 
@@ -270,13 +636,26 @@ class ChannelAction {
    * state on data event from the streaming grpc api.
    * @param  {string} options.pubkey The public key of the peer
    * @param  {number} options.amount The amount in satoshis to fund the channel
+   * @param  {number} options.pushSat The amount in satoshis to push to the peer
+   * @param  {boolean} options.isPrivate If the channel is not announced
+   * @param  {Object} options.advanced Optional targetConf, satPerByte,
+   *                                   minHtlcMsat, remoteCsvDelay and
+   *                                   spendUnconfirmed request fields
    * @return {Promise<undefined>}
    */
-  async openChannel({ pubkey, amount }) {
+  async openChannel({
+    pubkey,
+    amount,
+    pushSat = 0,
+    isPrivate = true,
+    ...advanced
+  }) {
     const stream = this._grpc.sendStreamCommand('openChannel', {
       nodePubkey: Buffer.from(pubkey, 'hex'),
       localFundingAmount: amount,
-      private: true,
+      pushSat,
+      private: isPrivate,
+      ...advanced,
     });
     await new Promise((resolve, reject) => {
       stream.on('data', () => this.update());
@@ -286,6 +665,135 @@ class ChannelAction {
     });
   }
 
+  _nodeHost(pubkey) {
+    const { peerInfo } = this._store.channel;
+    if (peerInfo && peerInfo.pubkey === pubkey && peerInfo.addresses.length) {
+      return peerInfo.addresses[0];
+    }
+    const peer = (this._store.peers || []).find(p => p.pubKey === pubkey);
+    return peer ? peer.address : null;
+  }
+
+  async _connectToNode(pubkey) {
+    if (!this._nodeHost(pubkey)) {
+      await this.getNodeInfo({ pubkey });
+    }
+    const host = this._nodeHost(pubkey);
+    if (!host) {
+      throw new Error(`No address found for node ${pubkey}`);
+    }
+    await this.connectToPeer({ host, pubkey });
+  }
+
+  _parseWhole(value, name, min, max) {
+    const number = Number(value);
+    if (!/^[0-9]+$/.test(value) || number < min || number > max) {
+      throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+  }
+
+  _policyParams() {
+    const { policy } = this._store;
+    if (!policy.baseFee || !policy.feeRate || !policy.timeLockDelta) {
+      throw new Error('Enter a base fee, fee rate and time-lock delta');
+    }
+    const feeRatePpm = this._parseWhole(
+      policy.feeRate,
+      'Fee rate',
+      0,
+      MAX_FEE_RATE_PPM
+    );
+    return {
+      baseFeeMsat: this._parseWhole(
+        policy.baseFee,
+        'Base fee',
+        0,
+        Number.MAX_SAFE_INTEGER
+      ),
+      feeRate: feeRatePpm / 1000000,
+      timeLockDelta: this._parseWhole(
+        policy.timeLockDelta,
+        'Time-lock delta',
+        MIN_TIME_LOCK_DELTA,
+        MAX_TIME_LOCK_DELTA
+      ),
+    };
+  }
+
+  _parseBlocks(value, min, max) {
+    const blocks = Number(value);
+    if (!/^[0-9]+$/.test(value) || blocks < min || blocks > max) {
+      throw new Error(`Number of blocks must be between ${min} and ${max}`);
+    }
+    return blocks;
+  }
+
+  _openParams() {
+    const { channel, settings } = this._store;
+    const [pubkey, host] = channel.pubkeyAtHost.trim().split('@');
+    if (!host && !PUBKEY_REGEX.test(pubkey)) {
+      throw new Error('Please enter a node pubkey or pubkey@host');
+    }
+    const amount = toSatoshis(channel.amount, settings);
+    const pushSat = toSatoshis(channel.pushAmount, settings);
+    if (amount < MIN_CHAN_SIZE || amount > MAX_CHAN_SIZE) {
+      throw new Error(
+        `Channel amount must be between ${MIN_CHAN_SIZE} and ${MAX_CHAN_SIZE} sats`
+      );
+    }
+    const { balanceSatoshis, confirmedBalanceSatoshis } = this._store;
+    if (!channel.spendUnconfirmed && amount > confirmedBalanceSatoshis) {
+      throw new Error('Channel amount exceeds the confirmed wallet balance');
+    }
+    if (amount > balanceSatoshis) {
+      throw new Error('Channel amount exceeds the wallet balance');
+    }
+    if (pushSat >= amount) {
+      throw new Error('Push amount must be less than the channel amount');
+    }
+    const params = {
+      pubkey,
+      host,
+      amount,
+      pushSat,
+      isPrivate: channel.private,
+    };
+    if (channel.targetConf && channel.openFeeRate) {
+      throw new Error('Set either a confirmation target or a fee rate');
+    }
+    if (channel.targetConf) {
+      params.targetConf = this._parseBlocks(
+        channel.targetConf,
+        1,
+        MAX_TARGET_CONF
+      );
+    }
+    if (channel.openFeeRate) {
+      params.satPerByte = parseFeeRate(channel.openFeeRate);
+    }
+    if (channel.minHtlc) {
+      if (!/^[0-9]+$/.test(channel.minHtlc) || !Number(channel.minHtlc)) {
+        throw new Error('Min HTLC must be a whole number of millisatoshis');
+      }
+      if (Number(channel.minHtlc) >= amount * 1000) {
+        throw new Error('Min HTLC must be less than the channel amount');
+      }
+      params.minHtlcMsat = Number(channel.minHtlc);
+    }
+    if (channel.csvDelay) {
+      params.remoteCsvDelay = this._parseBlocks(
+        channel.csvDelay,
+        MIN_CSV_DELAY,
+        MAX_CSV_DELAY
+      );
+    }
+    if (channel.spendUnconfirmed) {
+      params.spendUnconfirmed = true;
+    }
+    return params;
+  }
+
   /**
    * Close the selected channel by attempting a cooperative close.
    * This action can be called from a view event handler as does all
@@ -293,31 +801,85 @@ class ChannelAction {
    * @return {Promise<undefined>}
    */
   async closeSelectedChannel() {
+    const { selectedChannel: selected, channel } = this._store;
+    const force = channel.forceClose || !this._canCloseCooperatively();
+    let satPerByte;
+    try {
+      satPerByte =
+        !force && channel.feeRate ? parseFeeRate(channel.feeRate) : undefined;
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
     try {
-      const { selectedChannel: selected } = this._store;
       this._nav.goChannels();
       await this.closeChannel({
         channelPoint: selected.channelPoint,
-        force: selected.status !== 'open' || !selected.active,
+        force,
+        satPerByte,
       });
     } catch (err) {
       this._notification.display({ msg: 'Closing channel failed!', err });
     }
   }
 
+  /**
+   * Abandon the selected pending channel whose funding transaction will
+   * never confirm. A backup of the channel is exported first and saved to
+   * a file chosen by the user since lnd deletes the channel state on abandon.
+   * Release builds of lnd refuse to abandon channels, which is reported
+   * to the user as such.
+   * This action can be called from a view event handler as does all
+   * the necessary error handling and notification display.
+   * @return {Promise<undefined>}
+   */
+  async abandonSelectedChannel() {
+    const { selectedChannel: selected } = this._store;
+    try {
+      const channelPoint = this._parseChannelPoint(selected.channelPoint);
+      const { chanBackup } = await this._grpc.sendCommand(
+        'exportChannelBackup',
+        { chanPoint: channelPoint }
+      );
+      if (!chanBackup || !chanBackup.length) {
+        throw new Error('Exporting the channel backup failed');
+      }
+      const saved = await this._saveBackup({
+        channelPoint: selected.channelPoint,
+        chanBackup,
+      });
+      if (!saved) return;
+      await this._grpc.sendCommand('abandonChannel', { channelPoint });
+      this._nav.goChannels();
+      this._notification.display({
+        type: 'success',
+        msg: 'Channel abandoned',
+      });
+      await this.update();
+    } catch (err) {
+      const msg = /dev builds/.test(err.message)
+        ? 'Abandoning channels requires a debug build of lnd'
+        : 'Abandoning channel failed!';
+      this._notification.display({ msg, err });
+    }
+  }
+
   /**
    * Close a channel using the grpc streaming api and update the state
    * on data events. Once the channel close is complete the channel will
    * be removed from the channels array in the store.
    * @param  {string}  options.channelPoint The channel identifier
    * @param  {Boolean} options.force        Force or cooperative close
+   * @param  {number}  options.satPerByte   (optional) A manual fee rate for a cooperative close
    * @return {Promise<undefined>}
    */
-  async closeChannel({ channelPoint, force = false }) {
+  async closeChannel({ channelPoint, force = false, satPerByte }) {
+    const fee = satPerByte
+      ? { satPerByte }
+      : { targetConf: force ? undefined : MED_TARGET_CONF };
     const stream = this._grpc.sendStreamCommand('closeChannel', {
       channelPoint: this._parseChannelPoint(channelPoint),
       force,
-      targetConf: force ? undefined : MED_TARGET_CONF,
+      ...fee,
     });
     await new Promise((resolve, reject) => {
       stream.on('data', data => {
@@ -334,6 +896,87 @@ class ChannelAction {
     });
   }
 
+  _canCloseCooperatively() {
+    const { selectedChannel } = this._store;
+    return selectedChannel.status === 'open' && selectedChannel.active;
+  }
+
+  _parseChannel(channel) {
+    return {
+      remotePubkey: channel.remotePubkey,
+      id: channel.chanId,
+      capacity: channel.capacity,
+      localBalance: channel.localBalance,
+      remoteBalance: channel.remoteBalance,
+      localChanReserveSat: channel.localChanReserveSat,
+      remoteChanReserveSat: channel.remoteChanReserveSat,
+      commitFee: channel.commitFee,
+      channelPoint: channel.channelPoint,
+      fundingTxId: this._parseChannelPoint(channel.channelPoint).fundingTxidStr,
+      active: channel.active,
+      private: channel.private,
+      csvDelay: channel.csvDelay,
+      status: 'open',
+    };
+  }
+
+  _toChannelPoint({ fundingTxidStr, fundingTxidBytes, outputIndex }) {
+    const txid =
+      fundingTxidStr || toHex(reverse(Buffer.from(fundingTxidBytes)));
+    return `${txid}:${outputIndex}`;
+  }
+
+  async _applyChannelEvent(update) {
+    const channels = this._store.channels || [];
+    if (update.openChannel) {
+      const open = this._parseChannel(update.openChannel);
+      this._store.channels = channels
+        .filter(c => c.channelPoint !== open.channelPoint)
+        .concat([open]);
+      await this.getPendingChannels();
+    } else if (update.closedChannel) {
+      const { channelPoint } = update.closedChannel;
+      this._store.channels = channels.filter(
+        c => c.channelPoint !== channelPoint
+      );
+      this._notification.display({
+        msg: 'Channel closed',
+        handler: () => this._nav.goChannels(),
+        handlerLbl: 'View channels',
+      });
+      await Promise.all([this.getPendingChannels(), this.getClosedChannels()]);
+    } else if (update.activeChannel || update.inactiveChannel) {
+      const active = !!update.activeChannel;
+      const channelPoint = this._toChannelPoint(
+        update.activeChannel || update.inactiveChannel
+      );
+      const channel = channels.find(c => c.channelPoint === channelPoint);
+      if (!channel || channel.active === active) return;
+      channel.active = active;
+      if (!active) {
+        this._notification.display({
+          msg: 'Channel went inactive',
+          handler: () => this._nav.goChannels(),
+          handlerLbl: 'View channels',
+        });
+      }
+    }
+  }
+
+  async _saveBackup({ channelPoint, chanBackup }) {
+    const name = `channel-${channelPoint.replace(':', '-')}.backup`;
+    const data = Buffer.from(chanBackup).toString('base64');
+    if (this._file) {
+      await this._file.shareChannelBackup({ name, data });
+      return true;
+    }
+    const path = await this._ipc.send('scb-channel-save', 'scb-channel-saved', {
+      name,
+      data,
+    });
+    return !!path;
+  }
+
   _parseChannelPoint(channelPoint) {
     if (!channelPoint || !channelPoint.includes(':')) {
       throw new Error('Invalid channel point');
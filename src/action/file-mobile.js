@@ -107,6 +107,61 @@ class FileAction {
     if (!exists) return;
     return this._FS.readFile(this.scbExternalPath, 'base64');
   }
+
+  /**
+   * Write the backup of a single channel to the documents directory and open
+   * the native share sheet so the user can store it outside of the app.
+   * @param  {string} options.name The file name
+   * @param  {string} options.data The base64 encoded channel backup
+   * @return {Promise<undefined>}
+   */
+  async shareChannelBackup({ name, data }) {
+    const path = `${this.lndDir}/${name}`;
+    await this._FS.writeFile(path, data, 'base64');
+    await this._Share.open({
+      url: `file://${path}`,
+      type: 'application/octet-stream',
+    });
+  }
+
+  //
+  // App data bundle actions
+  //
+
+  get bundlePath() {
+    return `${this.lndDir}/lightning-app-data.json`;
+  }
+
+  get bundleExternalPath() {
+    return `${this.externalStorageDir}/Lightning/lightning-app-data.json`;
+  }
+
+  /**
+   * Write an exported app data bundle to the documents directory and open
+   * the native share sheet so the user can store it outside of the app.
+   * @param  {string} json The encrypted bundle
+   * @return {Promise<undefined>}
+   */
+  async shareBundle(json) {
+    await this._FS.writeFile(this.bundlePath, json, 'utf8');
+    await this._Share.open({
+      url: `file://${this.bundlePath}`,
+      type: 'application/json',
+    });
+  }
+
+  /**
+   * Read an app data bundle that the user placed in the Lightning folder on
+   * external storage or in the app's documents directory.
+   * @return {Promise<string>} The encrypted bundle
+   */
+  async readBundle() {
+    for (const path of [this.bundleExternalPath, this.bundlePath]) {
+      const exists = await this._FS.exists(path);
+      if (exists) return this._FS.readFile(path, 'utf8');
+    }
+    throw new Error(`No app data file found at ${this.bundleExternalPath}`);
+  }
 }
 
 export default FileAction;
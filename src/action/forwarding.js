@@ -0,0 +1,123 @@
+/**
+ * @fileOverview actions for the routing dashboard i.e. listing the payments
+ * forwarded by our node and the fees earned by routing them.
+ */
+
+import {
+  FORWARDING_PERIOD,
+  FORWARDING_MAX_EVENTS,
+  FORWARDING_PAGE_SIZE,
+} from '../config';
+import * as log from './log';
+
+class ForwardingAction {
+  constructor(store, grpc, nav) {
+    this._store = store;
+    this._grpc = grpc;
+    this._nav = nav;
+  }
+
+  /**
+   * Initialize the forwarding view by resetting the page, navigating to
+   * the view and refreshing the forwarding events and fee sums.
+   * @return {Promise<undefined>}
+   */
+  async init() {
+    this._store.forwardingPage = 0;
+    this._store.forwardingView = 'events';
+    this._nav.goForwarding();
+    await this.update();
+  }
+
+  /**
+   * Refresh the forwarding events and the fees earned.
+   * @return {Promise<undefined>}
+   */
+  async update() {
+    await Promise.all([this.getForwardingHistory(), this.getFeeReport()]);
+  }
+
+  /**
+   * List all payments forwarded within the forwarding period by calling the
+   * respective grpc api until no more events are returned and update the
+   * forwarding events array in the global store.
+   * @return {Promise<undefined>}
+   */
+  async getForwardingHistory() {
+    try {
+      const endTime = Math.round(Date.now() / 1000);
+      const startTime = endTime - FORWARDING_PERIOD;
+      let events = [];
+      let indexOffset = 0;
+      let response;
+      do {
+        response = await this._grpc.sendCommand('forwardingHistory', {
+          startTime,
+          endTime,
+          indexOffset,
+          numMaxEvents: FORWARDING_MAX_EVENTS,
+        });
+        events = events.concat(response.forwardingEvents);
+        indexOffset = response.lastOffsetIndex;
+      } while (response.forwardingEvents.length === FORWARDING_MAX_EVENTS);
+      this._store.forwardingEvents = events.map(event => ({
+        date: new Date(parseInt(event.timestamp, 10) * 1000),
+        chanIdIn: String(event.chanIdIn),
+        chanIdOut: String(event.chanIdOut),
+        amountIn: parseInt(event.amtIn, 10),
+        amountOut: parseInt(event.amtOut, 10),
+        fee: parseInt(event.fee, 10),
+      }));
+    } catch (err) {
+      log.error('Listing forwarding events failed', err);
+    }
+  }
+
+  /**
+   * Fetch the fees earned over the past day, week and month as summed up
+   * by lnd's switch.
+   * @return {Promise<undefined>}
+   */
+  async getFeeReport() {
+    try {
+      const report = await this._grpc.sendCommand('feeReport');
+      this._store.forwardingFees = {
+        day: parseInt(report.dayFeeSum, 10),
+        week: parseInt(report.weekFeeSum, 10),
+        month: parseInt(report.monthFeeSum, 10),
+      };
+    } catch (err) {
+      log.error('Fetching fee report failed', err);
+    }
+  }
+
+  /**
+   * Switch between the list of forwarding events and the volume
+   * per channel.
+   * @param {string} options.view Either 'events' or 'channels'
+   */
+  setView({ view }) {
+    this._store.forwardingView = view;
+  }
+
+  /**
+   * Show the next page of forwarding events if there is one.
+   * @return {undefined}
+   */
+  nextPage() {
+    const { forwardingEvents, forwardingPage } = this._store;
+    if ((forwardingPage + 1) * FORWARDING_PAGE_SIZE < forwardingEvents.length) {
+      this._store.forwardingPage = forwardingPage + 1;
+    }
+  }
+
+  /**
+   * Show the previous page of forwarding events if there is one.
+   * @return {undefined}
+   */
+  prevPage() {
+    this._store.forwardingPage = Math.max(0, this._store.forwardingPage - 1);
+  }
+}
+
+export default ForwardingAction;
@@ -0,0 +1,314 @@
+/**
+ * @fileOverview actions to explore the lightning network graph. The graph is
+ * downloaded once, cached in memory and kept up to date by subscribing to
+ * topology updates so that searching it doesn't require another download.
+ */
+
+import { GRAPH_SEARCH_LIMIT, GRAPH_UPDATE_DELAY } from '../config';
+import { toHex, reverse } from '../helper';
+import * as log from './log';
+
+class GraphAction {
+  constructor(store, grpc, nav, channel) {
+    this._store = store;
+    this._grpc = grpc;
+    this._nav = nav;
+    this._channel = channel;
+    this._nodes = new Map();
+    this._edges = new Map();
+    this._nodeEdges = new Map();
+    this._subscribed = false;
+    this._resultsTimeout = null;
+  }
+
+  /**
+   * Initialize the network view by resetting the search and navigating to
+   * the view. The graph is only downloaded if it isn't already kept in sync
+   * by the topology subscription.
+   * @return {Promise<undefined>}
+   */
+  async init() {
+    this._store.graphSearch = '';
+    this._updateResults();
+    this._nav.goGraph();
+    await this.getNetworkInfo();
+    if (!this._subscribed) {
+      await this.describeGraph();
+      if (this._store.graphSynced) {
+        this.subscribeChannelGraph();
+      }
+    }
+  }
+
+  /**
+   * Fetch the overall network statistics and update the store.
+   * @return {Promise<undefined>}
+   */
+  async getNetworkInfo() {
+    try {
+      const info = await this._grpc.sendCommand('getNetworkInfo');
+      this._store.graphInfo = {
+        numNodes: info.numNodes,
+        numChannels: info.numChannels,
+        totalCapacity: parseInt(info.totalNetworkCapacity, 10),
+        avgChannelSize: Math.round(info.avgChannelSize),
+        maxChannelSize: parseInt(info.maxChannelSize, 10),
+        graphDiameter: info.graphDiameter,
+      };
+    } catch (err) {
+      log.error('Fetching network info failed', err);
+    }
+  }
+
+  /**
+   * Download the public channel graph and replace the cached nodes and
+   * channels with it.
+   * @return {Promise<undefined>}
+   */
+  async describeGraph() {
+    try {
+      const { nodes, edges } = await this._grpc.sendCommand('describeGraph', {
+        includeUnannounced: false,
+      });
+      this._nodes = new Map();
+      this._edges = new Map();
+      this._nodeEdges = new Map();
+      nodes.forEach(node =>
+        this._setNode({
+          pubkey: node.pubKey,
+          alias: node.alias,
+          color: node.color,
+          addresses: (node.addresses || []).map(a => a.addr),
+        })
+      );
+      edges.forEach(edge =>
+        this._setEdge({
+          id: String(edge.channelId),
+          chanPoint: edge.chanPoint,
+          node1Pub: edge.node1Pub,
+          node2Pub: edge.node2Pub,
+          capacity: parseInt(edge.capacity, 10),
+          node1Policy: this._parsePolicy(edge.node1Policy),
+          node2Policy: this._parsePolicy(edge.node2Policy),
+        })
+      );
+      this._store.graphSynced = true;
+      this._updateResults();
+    } catch (err) {
+      log.error('Loading the channel graph failed', err);
+    }
+  }
+
+  /**
+   * Subscribe to node announcements, channel updates and closed channels
+   * in order to keep the cached graph up to date. If the subscription ends
+   * the graph is downloaded again the next time the network view is opened.
+   * @return {Promise<undefined>}
+   */
+  async subscribeChannelGraph() {
+    this._subscribed = true;
+    try {
+      const stream = this._grpc.sendStreamCommand('subscribeChannelGraph');
+      await new Promise((resolve, reject) => {
+        stream.on('data', update => this._applyGraphUpdate(update));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+        stream.on('status', status => log.info(`Graph update: ${status}`));
+      });
+    } catch (err) {
+      log.error('Graph updates failed', err);
+    }
+    this._subscribed = false;
+  }
+
+  /**
+   * Search the cached nodes by alias or pubkey.
+   * @param {string} options.query The search input
+   */
+  setSearch({ query }) {
+    this._store.graphSearch = query;
+    this._updateResults();
+  }
+
+  /**
+   * Select a node from the search results and navigate to the node detail
+   * view which lists its channels and routing policies.
+   * @param  {string} options.pubkey The public key of the node
+   * @return {undefined}
+   */
+  selectNode({ pubkey }) {
+    this._store.selectedGraphNode = this._nodeDetail(pubkey);
+    this._nav.goGraphNode();
+  }
+
+  /**
+   * Start the channel create flow with the selected node as peer. The first
+   * advertised address is used to connect if there is one.
+   * @return {undefined}
+   */
+  openChannel() {
+    const { pubkey, addresses } = this._store.selectedGraphNode;
+    this._channel.initCreate();
+    this._channel.setPubkeyAtHost({
+      pubkeyAtHost: addresses.length ? `${pubkey}@${addresses[0]}` : pubkey,
+    });
+  }
+
+  _applyGraphUpdate({ nodeUpdates, channelUpdates, closedChans }) {
+    (nodeUpdates || []).forEach(update =>
+      this._setNode({
+        pubkey: update.identityKey,
+        alias: update.alias,
+        color: update.color,
+        addresses: update.addresses || [],
+      })
+    );
+    (channelUpdates || []).forEach(update => {
+      const id = String(update.chanId);
+      const [node1Pub, node2Pub] = [
+        update.advertisingNode,
+        update.connectingNode,
+      ].sort();
+      const edge = this._edges.get(id) || {
+        id,
+        chanPoint: this._toChannelPoint(update.chanPoint),
+        node1Pub,
+        node2Pub,
+        node1Policy: null,
+        node2Policy: null,
+      };
+      edge.capacity = parseInt(update.capacity, 10);
+      const policy = this._parsePolicy(update.routingPolicy);
+      if (update.advertisingNode === node1Pub) {
+        edge.node1Policy = policy;
+      } else {
+        edge.node2Policy = policy;
+      }
+      this._setEdge(edge);
+    });
+    (closedChans || []).forEach(closed =>
+      this._removeEdge(String(closed.chanId))
+    );
+    this._scheduleResults();
+  }
+
+  _scheduleResults() {
+    if (this._resultsTimeout) return;
+    this._resultsTimeout = setTimeout(() => {
+      this._resultsTimeout = null;
+      this._updateResults();
+    }, GRAPH_UPDATE_DELAY);
+  }
+
+  _setNode(node) {
+    this._nodes.set(node.pubkey, node);
+  }
+
+  _setEdge(edge) {
+    this._edges.set(edge.id, edge);
+    [edge.node1Pub, edge.node2Pub].forEach(pubkey => {
+      const ids = this._nodeEdges.get(pubkey) || new Set();
+      ids.add(edge.id);
+      this._nodeEdges.set(pubkey, ids);
+    });
+  }
+
+  _removeEdge(id) {
+    const edge = this._edges.get(id);
+    if (!edge) return;
+    this._edges.delete(id);
+    [edge.node1Pub, edge.node2Pub].forEach(pubkey => {
+      const ids = this._nodeEdges.get(pubkey);
+      ids && ids.delete(id);
+    });
+  }
+
+  _nodeEdgeList(pubkey) {
+    const ids = this._nodeEdges.get(pubkey) || new Set();
+    return Array.from(ids).map(id => this._edges.get(id));
+  }
+
+  _nodeSummary(node) {
+    const edges = this._nodeEdgeList(node.pubkey);
+    return {
+      pubkey: node.pubkey,
+      alias: node.alias,
+      color: node.color,
+      numChannels: edges.length,
+      totalCapacity: edges.reduce((sum, e) => sum + e.capacity, 0),
+    };
+  }
+
+  _nodeDetail(pubkey) {
+    const node = this._nodes.get(pubkey) || {
+      pubkey,
+      alias: '',
+      color: '',
+      addresses: [],
+    };
+    const channels = this._nodeEdgeList(pubkey).map(edge => {
+      const outbound = edge.node1Pub === pubkey;
+      const peerPubkey = outbound ? edge.node2Pub : edge.node1Pub;
+      const peer = this._nodes.get(peerPubkey);
+      return {
+        id: edge.id,
+        peerPubkey,
+        peerAlias: peer ? peer.alias : '',
+        capacity: edge.capacity,
+        policy: outbound ? edge.node1Policy : edge.node2Policy,
+      };
+    });
+    channels.sort((a, b) => b.capacity - a.capacity);
+    return {
+      ...this._nodeSummary(node),
+      addresses: node.addresses,
+      channels,
+    };
+  }
+
+  _updateResults() {
+    const query = this._store.graphSearch.trim().toLowerCase();
+    const matches = [];
+    this._nodes.forEach(node => {
+      if (
+        !query ||
+        node.pubkey.startsWith(query) ||
+        (node.alias || '').toLowerCase().includes(query)
+      ) {
+        matches.push(this._nodeSummary(node));
+      }
+    });
+    matches.sort((a, b) => b.totalCapacity - a.totalCapacity);
+    this._store.graphNodes = matches.slice(0, GRAPH_SEARCH_LIMIT);
+    const { selectedGraphNode } = this._store;
+    if (selectedGraphNode) {
+      this._store.selectedGraphNode = this._nodeDetail(
+        selectedGraphNode.pubkey
+      );
+    }
+  }
+
+  _parsePolicy(policy) {
+    if (!policy) {
+      return null;
+    }
+    return {
+      baseFeeMsat: parseInt(policy.feeBaseMsat, 10),
+      feeRatePpm: parseInt(policy.feeRateMilliMsat, 10),
+      timeLockDelta: policy.timeLockDelta,
+      disabled: !!policy.disabled,
+    };
+  }
+
+  _toChannelPoint(chanPoint) {
+    if (!chanPoint) {
+      return '';
+    }
+    const { fundingTxidStr, fundingTxidBytes, outputIndex } = chanPoint;
+    const txid =
+      fundingTxidStr || toHex(reverse(Buffer.from(fundingTxidBytes)));
+    return `${txid}:${outputIndex}`;
+  }
+}
+
+export default GraphAction;
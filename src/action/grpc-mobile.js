@@ -208,11 +208,20 @@ class GrpcAction {
     const map = {
       AddInvoice: 'Invoice',
       DecodePayReq: 'PayReqString',
+      GetNodeInfo: 'NodeInfoRequest',
+      GetChanInfo: 'ChanInfoRequest',
+      GetNetworkInfo: 'NetworkInfoRequest',
+      DescribeGraph: 'ChannelGraphRequest',
       ListInvoices: 'ListInvoiceRequest',
+      LookupInvoice: 'PaymentHash',
       SendPayment: 'SendRequest',
+      SendToRouteSync: 'SendToRouteRequest',
+      UpdateChannelPolicy: 'PolicyUpdateRequest',
       SubscribeTransactions: 'GetTransactionsRequest',
       SubscribeInvoices: 'InvoiceSubscription',
       SubscribeChannelBackups: 'ChannelBackupSubscription',
+      SubscribeChannelEvents: 'ChannelEventSubscription',
+      SubscribeChannelGraph: 'GraphTopologySubscription',
       StopDaemon: 'StopRequest',
     };
     return map[method] || `${method}Request`;
@@ -221,14 +230,24 @@ class GrpcAction {
   _getResponseName(method) {
     const map = {
       DecodePayReq: 'PayReq',
+      ExportChannelBackup: 'ChannelBackup',
+      GetNodeInfo: 'NodeInfo',
+      GetChanInfo: 'ChannelEdge',
+      GetNetworkInfo: 'NetworkInfo',
+      DescribeGraph: 'ChannelGraph',
       GetTransactions: 'TransactionDetails',
       ListInvoices: 'ListInvoiceResponse',
+      LookupInvoice: 'Invoice',
       SendPayment: 'SendResponse',
+      SendToRouteSync: 'SendResponse',
+      UpdateChannelPolicy: 'PolicyUpdateResponse',
       OpenChannel: 'OpenStatusUpdate',
       CloseChannel: 'CloseStatusUpdate',
       SubscribeTransactions: 'Transaction',
       SubscribeInvoices: 'Invoice',
       SubscribeChannelBackups: 'ChanBackupSnapshot',
+      SubscribeChannelEvents: 'ChannelEventUpdate',
+      SubscribeChannelGraph: 'GraphTopologyUpdate',
       StopDaemon: 'StopResponse',
     };
     return map[method] || `${method}Response`;
@@ -74,6 +74,31 @@ class GrpcAction {
     return this._sendIpc('lndAtplRequest', 'lndAtplResponse', method, body);
   }
 
+  //
+  // Invoices grpc client
+  //
+
+  /**
+   * This is called to initialize the GRPC client to the invoices subserver. Once
+   * `invoicesReady` is set to true on the store GRPC calls can be made to the client.
+   * @return {Promise<undefined>}
+   */
+  async initInvoices() {
+    await this._sendIpc('lndInvcInit', 'lndInvcReady');
+    this._store.invoicesReady = true;
+    log.info('GRPC invoicesReady');
+  }
+
+  /**
+   * Wrapper function to execute calls to the invoices grpc client.
+   * @param  {string} method The invoices GRPC api to call
+   * @param  {Object} body   The payload passed to the api
+   * @return {Promise<Object>}
+   */
+  async sendInvoicesCommand(method, body) {
+    return this._sendIpc('lndInvcRequest', 'lndInvcResponse', method, body);
+  }
+
   //
   // Lightning (lnd) grpc client
   //
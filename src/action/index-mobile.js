@@ -42,6 +42,11 @@ import ChannelAction from './channel';
 import TransactionAction from './transaction';
 import PaymentAction from './payment';
 import InvoiceAction from './invoice';
+import UtxoAction from './utxo';
+import ForwardingAction from './forwarding';
+import GraphAction from './graph';
+import PeerAction from './peer';
+import BundleAction from './bundle';
 import SettingAction from './setting';
 import AuthAction from './auth-mobile';
 import AtplAction from './autopilot';
@@ -79,10 +84,45 @@ export const wallet = new WalletAction(
   backup
 );
 export const info = new InfoAction(store, grpc, nav, notify);
-export const transaction = new TransactionAction(store, grpc, nav, notify);
-export const channel = new ChannelAction(store, grpc, nav, notify);
-export const invoice = new InvoiceAction(store, grpc, nav, notify, Clipboard);
-export const payment = new PaymentAction(store, grpc, nav, notify, Clipboard);
+export const channel = new ChannelAction(store, grpc, nav, notify, ipc, file);
+export const transaction = new TransactionAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  channel
+);
+export const invoice = new InvoiceAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  Clipboard,
+  transaction
+);
+export const payment = new PaymentAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  Clipboard,
+  db,
+  ipc,
+  channel
+);
+export const utxo = new UtxoAction(store, grpc, db, nav, notify);
+export const forwarding = new ForwardingAction(store, grpc, nav);
+export const graph = new GraphAction(store, grpc, nav, channel);
+export const peer = new PeerAction(store, grpc, db, nav, notify, channel);
+export const bundle = new BundleAction(
+  store,
+  db,
+  nav,
+  notify,
+  Random,
+  ipc,
+  file
+);
 export const setting = new SettingAction(store, wallet, db, ipc);
 export const auth = new AuthAction(
   store,
@@ -140,6 +180,9 @@ when(
     wallet.pollBalances();
     wallet.pollExchangeRate();
     channel.pollChannels();
+    channel.subscribeChannelEvents();
+    peer.reconnectPersistent();
+    forwarding.update();
     transaction.update();
     transaction.subscribeTransactions();
     transaction.subscribeInvoices();
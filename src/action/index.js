@@ -20,6 +20,12 @@ import ChannelAction from './channel';
 import TransactionAction from './transaction';
 import PaymentAction from './payment';
 import InvoiceAction from './invoice';
+import UtxoAction from './utxo';
+import ForwardingAction from './forwarding';
+import GraphAction from './graph';
+import BackupAction from './backup';
+import PeerAction from './peer';
+import BundleAction from './bundle';
 import SettingAction from './setting';
 import AtplAction from './autopilot';
 
@@ -27,6 +33,11 @@ import AtplAction from './autopilot';
 // Inject dependencies
 //
 
+const Random = {
+  getRandomBytesAsync: async size =>
+    window.crypto.getRandomValues(new Uint8Array(size)),
+};
+
 store.init(); // initialize computed values
 
 export const ipc = new IpcAction(window.ipcRenderer);
@@ -35,12 +46,48 @@ export const log = new LogAction(store, ipc);
 export const nav = new NavAction(store);
 export const grpc = new GrpcAction(store, ipc);
 export const notify = new NotificationAction(store, nav);
-export const wallet = new WalletAction(store, grpc, db, nav, notify);
+export const backup = new BackupAction(store, grpc, ipc, db, notify);
+export const wallet = new WalletAction(
+  store,
+  grpc,
+  db,
+  nav,
+  notify,
+  null,
+  backup
+);
 export const info = new InfoAction(store, grpc, nav, notify);
-export const transaction = new TransactionAction(store, grpc, nav, notify);
-export const channel = new ChannelAction(store, grpc, nav, notify);
-export const invoice = new InvoiceAction(store, grpc, nav, notify, Clipboard);
-export const payment = new PaymentAction(store, grpc, nav, notify, Clipboard);
+export const channel = new ChannelAction(store, grpc, nav, notify, ipc);
+export const transaction = new TransactionAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  channel
+);
+export const invoice = new InvoiceAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  Clipboard,
+  transaction
+);
+export const payment = new PaymentAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  Clipboard,
+  db,
+  ipc,
+  channel
+);
+export const utxo = new UtxoAction(store, grpc, db, nav, notify);
+export const forwarding = new ForwardingAction(store, grpc, nav);
+export const graph = new GraphAction(store, grpc, nav, channel);
+export const peer = new PeerAction(store, grpc, db, nav, notify, channel);
+export const bundle = new BundleAction(store, db, nav, notify, Random, ipc);
 export const setting = new SettingAction(store, wallet, db, ipc);
 export const autopilot = new AtplAction(store, grpc, db, notify);
 
@@ -79,6 +126,7 @@ when(
     await grpc.closeUnlocker();
     await grpc.initLnd();
     await grpc.initAutopilot();
+    await grpc.initInvoices();
   }
 );
 
@@ -94,6 +142,9 @@ when(
     wallet.pollBalances();
     wallet.pollExchangeRate();
     channel.pollChannels();
+    channel.subscribeChannelEvents();
+    peer.reconnectPersistent();
+    forwarding.update();
     transaction.update();
     transaction.subscribeTransactions();
     transaction.subscribeInvoices();
@@ -101,6 +152,18 @@ when(
   }
 );
 
+/**
+ * Keep the Static Channel Backup (SCB) synced to the chosen backup folder
+ * once lnd ready and has set the `network` attribute upon polling `getInfo`.
+ */
+when(
+  () => store.network && store.syncedToChain,
+  async () => {
+    backup.pushChannelBackup();
+    backup.subscribeChannelBackups();
+  }
+);
+
 /**
  * Initialize autopilot after syncing is finished and the grpc client
  * is ready
@@ -3,16 +3,17 @@
  * a.k.a invoice that can be sent to another user.
  */
 
-import { PREFIX_URI } from '../config';
-import { toSatoshis } from '../helper';
+import { PREFIX_URI, INVOICE_EXPIRY, MAX_INVOICE_EXPIRY } from '../config';
+import { toSatoshis, toAmount, toBitcoinUri } from '../helper';
 
 class InvoiceAction {
-  constructor(store, grpc, nav, notification, clipboard) {
+  constructor(store, grpc, nav, notification, clipboard, transaction) {
     this._store = store;
     this._grpc = grpc;
     this._nav = nav;
     this._notification = notification;
     this._clipboard = clipboard;
+    this._transaction = transaction;
   }
 
   /**
@@ -23,8 +24,14 @@ class InvoiceAction {
   init() {
     this._store.invoice.amount = '';
     this._store.invoice.note = '';
+    this._store.invoice.expiry = INVOICE_EXPIRY;
+    this._store.invoice.customExpiry = '';
+    this._store.invoice.fallback = false;
+    this._store.invoice.fallbackAddr = '';
+    this._store.invoice.private = true;
     this._store.invoice.encoded = '';
     this._store.invoice.uri = '';
+    this._store.selectedInvoice = null;
     this._nav.goInvoice();
   }
 
@@ -46,14 +53,50 @@ class InvoiceAction {
     this._store.invoice.note = note;
   }
 
+  /**
+   * Select one of the expiry presets for the invoice. This clears
+   * a custom expiry that might have been entered before.
+   * @param {number} options.expiry The expiry in seconds
+   */
+  setExpiry({ expiry }) {
+    this._store.invoice.expiry = expiry;
+    this._store.invoice.customExpiry = '';
+  }
+
+  /**
+   * Set a custom expiry for the invoice which overrides the selected preset.
+   * @param {string} options.hours The expiry in hours
+   */
+  setCustomExpiry({ hours }) {
+    this._store.invoice.customExpiry = hours;
+  }
+
+  /**
+   * Toggle if an on-chain fallback address is attached to the invoice so
+   * that payers without lightning can still pay on-chain.
+   * @return {undefined}
+   */
+  toggleFallback() {
+    this._store.invoice.fallback = !this._store.invoice.fallback;
+  }
+
+  /**
+   * Toggle if the invoice contains routing hints for private channels.
+   * @return {undefined}
+   */
+  togglePrivate() {
+    this._store.invoice.private = !this._store.invoice.private;
+  }
+
   /**
    * Read the input values amount and note and generates an encoded
    * payment request via the gprc api. The invoice uri is also set
    * which can be rendered in a QR code for scanning. After the values
    * are set on the store the user is navigated to the invoice QR view
    * which displays the QR for consumption by the payer.
-   * The invoice is set private since it should contain a routing hint
-   * for private channels.
+   * If private is set the invoice contains routing hints for private
+   * channels. If a fallback address is requested a new on-chain address
+   * is attached and the uri becomes a BIP21 uri with a `lightning` param.
    * This action can be called from a view event handler as does all
    * the necessary error handling and notification display.
    * @return {Promise<undefined>}
@@ -62,15 +105,18 @@ class InvoiceAction {
     try {
       const { invoice, settings } = this._store;
       const satAmount = toSatoshis(invoice.amount, settings);
-      this.checkAmount({ satAmount });
+      const expiry = this._parseExpiry();
+      const fallbackAddr = invoice.fallback ? await this._newAddress() : '';
       const response = await this._grpc.sendCommand('addInvoice', {
         value: satAmount,
         memo: invoice.note,
-        expiry: 172800,
-        private: true,
+        expiry,
+        fallbackAddr,
+        private: invoice.private,
       });
       invoice.encoded = response.paymentRequest;
-      invoice.uri = `${PREFIX_URI}${invoice.encoded}`;
+      invoice.fallbackAddr = fallbackAddr;
+      invoice.uri = this._toUri({ satAmount, fallbackAddr });
       this._nav.goInvoiceQR();
     } catch (err) {
       this._notification.display({ msg: 'Creating invoice failed!', err });
@@ -78,20 +124,80 @@ class InvoiceAction {
   }
 
   /**
-   * Verify that the user has a channel with enough receive capacity to
-   * receive the given amount.
-   * @param  {number} options.satAmount The amount to receive.
-   * @return {undefined}
+   * Initialize the invoice list view by showing the open invoices first,
+   * navigating to the view and refreshing the invoices from lnd.
+   * @return {Promise<undefined>}
    */
-  checkAmount({ satAmount }) {
-    const { channels } = this._store;
-    const hasInbound = channels.find(c => c.remoteBalance >= satAmount);
-    if (hasInbound) {
-      return;
+  async initInvoices() {
+    this._store.invoiceFilter = 'open';
+    this._store.selectedInvoice = null;
+    this._nav.goInvoices();
+    await this._transaction.getInvoices();
+  }
+
+  /**
+   * Set the filter of the invoice list view.
+   * @param {string} options.filter Either `open`, `paid` or `expired`
+   */
+  setFilter({ filter }) {
+    this._store.invoiceFilter = filter;
+  }
+
+  /**
+   * Select an invoice from the invoice list and navigate to the detail view.
+   * The invoice is looked up again via the grpc api so that the detail view
+   * displays the latest state e.g. if it was paid in the meantime.
+   * @param  {Object} options.item The selected invoice object
+   * @return {Promise<undefined>}
+   */
+  async select({ item }) {
+    this._store.selectedInvoice = item;
+    this._nav.goInvoiceDetail();
+    try {
+      const response = await this._grpc.sendCommand('lookupInvoice', {
+        rHashStr: item.id,
+      });
+      this._store.selectedInvoice = this._transaction.parseInvoice(response);
+    } catch (err) {
+      this._notification.display({ msg: 'Looking up invoice failed!', err });
     }
-    this._notification.display({
-      msg: "You don't have enough inbound capacity to receive this payment.",
+  }
+
+  /**
+   * Re-share the selected open invoice by displaying its payment request
+   * in the invoice QR view.
+   * @return {undefined}
+   */
+  showQR() {
+    const { invoice, selectedInvoice, settings } = this._store;
+    invoice.amount = toAmount(selectedInvoice.amount, settings);
+    invoice.note = selectedInvoice.memo;
+    invoice.encoded = selectedInvoice.payReq;
+    invoice.fallbackAddr = selectedInvoice.fallbackAddr || '';
+    invoice.uri = this._toUri({
+      satAmount: selectedInvoice.amount,
+      fallbackAddr: invoice.fallbackAddr,
     });
+    this._nav.goInvoiceQR();
+  }
+
+  /**
+   * Cancel the selected open invoice so that it can no longer be paid. This
+   * requires the invoices subserver which is only available on desktop.
+   * @return {Promise<undefined>}
+   */
+  async cancelSelected() {
+    try {
+      const { selectedInvoice } = this._store;
+      await this._grpc.sendInvoicesCommand('cancelInvoice', {
+        paymentHash: Buffer.from(selectedInvoice.id, 'hex'),
+      });
+      this._notification.display({ type: 'success', msg: 'Invoice canceled' });
+      this._nav.goInvoices();
+      await this._transaction.getInvoices();
+    } catch (err) {
+      this._notification.display({ msg: 'Canceling invoice failed!', err });
+    }
   }
 
   /**
@@ -105,6 +211,46 @@ class InvoiceAction {
     this._clipboard.setString(text);
     this._store.displayCopied = true;
   }
+
+  //
+  // Helper functions
+  //
+
+  _parseExpiry() {
+    const { expiry, customExpiry } = this._store.invoice;
+    if (!customExpiry) {
+      return expiry;
+    }
+    if (!/^[0-9]+$/.test(customExpiry) || Number(customExpiry) === 0) {
+      throw new Error('Expiry must be a whole number of hours');
+    }
+    const seconds = Number(customExpiry) * 3600;
+    if (seconds > MAX_INVOICE_EXPIRY) {
+      throw new Error(
+        `Expiry must be at most ${MAX_INVOICE_EXPIRY / 3600} hours`
+      );
+    }
+    return seconds;
+  }
+
+  async _newAddress() {
+    const { address } = await this._grpc.sendCommand('NewAddress', {
+      type: 3, // UNUSED_NESTED_PUBKEY_HASH = 3
+    });
+    return address;
+  }
+
+  _toUri({ satAmount, fallbackAddr }) {
+    const { encoded } = this._store.invoice;
+    if (!fallbackAddr) {
+      return `${PREFIX_URI}${encoded}`;
+    }
+    return toBitcoinUri({
+      address: fallbackAddr,
+      satAmt: satAmount,
+      invoice: encoded,
+    });
+  }
 }
 
 export default InvoiceAction;
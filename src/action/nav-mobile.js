@@ -143,6 +143,46 @@ class NavAction {
     this._navigate('PayBitcoinDone');
   }
 
+  goPayBatch() {
+    this._navigate('PayBatch');
+  }
+
+  goPayBatchConfirm() {
+    this._navigate('PayBatchConfirm');
+  }
+
+  goUtxos() {
+    this._navigate('Utxos');
+  }
+
+  goForwarding() {
+    this._navigate('Forwarding');
+  }
+
+  goGraph() {
+    this._navigate('Graph');
+  }
+
+  goGraphNode() {
+    this._navigate('GraphNode');
+  }
+
+  goPeers() {
+    this._navigate('Peers');
+  }
+
+  goPeerConnect() {
+    this._navigate('PeerConnect');
+  }
+
+  goBundleExport() {
+    this._navigate('BundleExport');
+  }
+
+  goBundleImport() {
+    this._navigate('BundleImport');
+  }
+
   goInvoice() {
     this._navigate('Invoice');
   }
@@ -152,6 +192,15 @@ class NavAction {
     this._navigate('InvoiceQR');
   }
 
+  goInvoices() {
+    this._navigate('Invoices');
+  }
+
+  goInvoiceDetail() {
+    this._store.displayCopied = false;
+    this._navigate('InvoiceDetail');
+  }
+
   goChannels() {
     this._navigate('Channels');
   }
@@ -164,10 +213,22 @@ class NavAction {
     this._navigate('ChannelDelete');
   }
 
+  goChannelAbandon() {
+    this._navigate('ChannelAbandon');
+  }
+
+  goChannelPolicy() {
+    this._navigate('ChannelPolicy');
+  }
+
   goChannelCreate() {
     this._navigate('ChannelCreate');
   }
 
+  goChannelCreateConfirm() {
+    this._navigate('ChannelCreateConfirm');
+  }
+
   goTransactions() {
     this._navigate('Transactions');
   }
@@ -193,6 +254,10 @@ class NavAction {
     this._navigate('SettingsFiat');
   }
 
+  goSettingsChannelPolicy() {
+    this._navigate('SettingsChannelPolicy');
+  }
+
   goCLI() {
     this._navigate('CLI');
   }
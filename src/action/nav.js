@@ -105,6 +105,46 @@ class NavAction {
     this._store.route = 'PayBitcoinDone';
   }
 
+  goPayBatch() {
+    this._store.route = 'PayBatch';
+  }
+
+  goPayBatchConfirm() {
+    this._store.route = 'PayBatchConfirm';
+  }
+
+  goUtxos() {
+    this._store.route = 'Utxos';
+  }
+
+  goForwarding() {
+    this._store.route = 'Forwarding';
+  }
+
+  goGraph() {
+    this._store.route = 'Graph';
+  }
+
+  goGraphNode() {
+    this._store.route = 'GraphNode';
+  }
+
+  goPeers() {
+    this._store.route = 'Peers';
+  }
+
+  goPeerConnect() {
+    this._store.route = 'PeerConnect';
+  }
+
+  goBundleExport() {
+    this._store.route = 'BundleExport';
+  }
+
+  goBundleImport() {
+    this._store.route = 'BundleImport';
+  }
+
   goInvoice() {
     this._store.route = 'Invoice';
   }
@@ -114,6 +154,15 @@ class NavAction {
     this._store.route = 'InvoiceQR';
   }
 
+  goInvoices() {
+    this._store.route = 'Invoices';
+  }
+
+  goInvoiceDetail() {
+    this._store.displayCopied = false;
+    this._store.route = 'InvoiceDetail';
+  }
+
   goChannels() {
     this._store.route = 'Channels';
   }
@@ -126,10 +175,22 @@ class NavAction {
     this._store.route = 'ChannelDelete';
   }
 
+  goChannelAbandon() {
+    this._store.route = 'ChannelAbandon';
+  }
+
+  goChannelPolicy() {
+    this._store.route = 'ChannelPolicy';
+  }
+
   goChannelCreate() {
     this._store.route = 'ChannelCreate';
   }
 
+  goChannelCreateConfirm() {
+    this._store.route = 'ChannelCreateConfirm';
+  }
+
   goTransactions() {
     this._store.route = 'Transactions';
   }
@@ -155,6 +216,10 @@ class NavAction {
     this._store.route = 'SettingsFiat';
   }
 
+  goSettingsChannelPolicy() {
+    this._store.route = 'SettingsChannelPolicy';
+  }
+
   goCLI() {
     this._store.route = 'CLI';
   }
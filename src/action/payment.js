@@ -6,26 +6,43 @@
 import {
   PREFIX_REGEX,
   PAYMENT_TIMEOUT,
+  PAYMENT_MAX_ATTEMPTS,
+  PAYMENT_JOURNAL_LIMIT,
   POLL_STORE_TIMEOUT,
   LOW_TARGET_CONF,
   MED_TARGET_CONF,
   HIGH_TARGET_CONF,
+  MAX_TARGET_CONF,
+  DUST_LIMIT,
 } from '../config';
-import { toSatoshis, toAmount, isLnUri, isAddress, nap } from '../helper';
+import {
+  toSatoshis,
+  toAmount,
+  isLnUri,
+  isBitcoinUri,
+  isAddress,
+  parseUri,
+  parseCsv,
+  parseFeeRate,
+  nap,
+} from '../helper';
 import * as log from './log';
 
 class PaymentAction {
-  constructor(store, grpc, nav, notification, clipboard) {
+  constructor(store, grpc, nav, notification, clipboard, db, ipc, channel) {
     this._store = store;
     this._grpc = grpc;
     this._nav = nav;
     this._notification = notification;
     this._clipboard = clipboard;
+    this._db = db;
+    this._ipc = ipc;
+    this._channel = channel;
   }
 
   /**
    * Set the listener for IPC from the main electron process to
-   * handle incoming URIs containing lightning invoices.
+   * handle incoming URIs containing lightning invoices or BIP21 uris.
    * @param  {Object} ipcRenderer Electron's IPC api for the rendering process
    * @return {undefined}
    */
@@ -56,19 +73,20 @@ class PaymentAction {
 
   async _openUrl(url) {
     log.info('open-url', url);
-    if (!isLnUri(url)) {
+    if (!isLnUri(url) && !isBitcoinUri(url)) {
       return;
     }
     while (!this._store.lndReady) {
       await nap(POLL_STORE_TIMEOUT);
     }
     this.init();
-    this.setAddress({ address: url });
-    this.checkType();
+    if (this.setUri({ uri: url })) {
+      this.checkType();
+    }
   }
 
   /**
-   * Read data from the QR code scanner, set it as the address and
+   * Read data from the QR code scanner, parse it as a payment uri and
    * check which type of invoice it is.
    * @param  {string} options.data The data containing the scanned invoice
    * @return {undefined}
@@ -77,8 +95,9 @@ class PaymentAction {
     if (!data) {
       return;
     }
-    this.setAddress({ address: data });
-    this.checkType();
+    if (this.setUri({ uri: data })) {
+      this.checkType();
+    }
   }
 
   /**
@@ -95,8 +114,9 @@ class PaymentAction {
    * @return {Promise<undefined>}
    */
   async pasteAddress() {
-    this.setAddress({ address: await this._clipboard.getString() });
-    await this.checkType();
+    if (this.setUri({ uri: await this._clipboard.getString() })) {
+      await this.checkType();
+    }
   }
 
   /**
@@ -109,9 +129,14 @@ class PaymentAction {
     this._store.payment.amount = '';
     this._store.payment.targetConf = MED_TARGET_CONF;
     this._store.payment.fee = '';
+    this._store.payment.feeRate = '';
+    this._store.payment.customTargetConf = '';
     this._store.payment.note = '';
+    this._store.payment.anyAmount = false;
     this._store.payment.useScanner = false;
     this._store.payment.sendAll = false;
+    this._store.payment.attempts = [];
+    this._store.payment.recipients = [];
     this._nav.goPay();
   }
 
@@ -124,6 +149,33 @@ class PaymentAction {
     this._store.payment.address = address.replace(PREFIX_REGEX, '');
   }
 
+  /**
+   * Parse a payment uri e.g. a BIP21 uri and set the address input as well
+   * as the amount and note if they are included. If the uri carries a
+   * lightning invoice it is used instead of the on-chain address.
+   * @param  {string} options.uri The payment uri
+   * @return {boolean}            If the uri could be parsed
+   */
+  setUri({ uri }) {
+    const { payment, settings } = this._store;
+    let parsed;
+    try {
+      parsed = parseUri(uri);
+    } catch (err) {
+      this._notification.display({ msg: 'Unsupported payment request', err });
+      return false;
+    }
+    const { address, satAmt, label, message } = parsed;
+    this.setAddress({ address });
+    if (satAmt) {
+      this.setAmount({ amount: toAmount(satAmt, settings) });
+    }
+    if (message || label) {
+      payment.note = message || label;
+    }
+    return true;
+  }
+
   /**
    * Set the amount input for the payment view. This amount
    * is either in btc or fiat depending on user settings.
@@ -176,7 +228,9 @@ class PaymentAction {
   /**
    * Attempt to decode a lightning invoice using the lnd grpc api. If it is
    * an invoice the amount and note store values will be set and the lightning
-   * transaction fee will also be estimated.
+   * transaction fee will also be estimated. Invoices without an amount let
+   * the payer choose how much to send so the amount input is kept and
+   * the confirm view switches to amount entry.
    * @param  {string} options.invoice The input to be validated
    * @return {Promise<boolean>}       If the input is a valid invoice
    */
@@ -186,12 +240,15 @@ class PaymentAction {
       const request = await this._grpc.sendCommand('decodePayReq', {
         payReq: invoice,
       });
-      payment.amount = toAmount(request.numSatoshis, settings);
-      payment.note = request.description;
-      this.estimateLightningFee({
-        destination: request.destination,
-        satAmt: request.numSatoshis,
-      });
+      payment.anyAmount = !request.numSatoshis;
+      if (!payment.anyAmount) {
+        payment.amount = toAmount(request.numSatoshis, settings);
+      }
+      payment.note = request.description || payment.note;
+      const satAmt = request.numSatoshis || this._enteredSatoshis();
+      if (satAmt) {
+        this.estimateLightningFee({ destination: request.destination, satAmt });
+      }
       return true;
     } catch (err) {
       log.info(`Decoding payment request failed: ${err.message}`);
@@ -199,6 +256,40 @@ class PaymentAction {
     }
   }
 
+  /**
+   * Estimate the lightning transaction fee for an invoice without an amount
+   * using the amount entered by the user.
+   * @return {Promise<undefined>}
+   */
+  async estimateInvoiceFee() {
+    const { payment } = this._store;
+    const satAmt = this._enteredSatoshis();
+    if (!satAmt) {
+      payment.fee = '';
+      return;
+    }
+    try {
+      const request = await this._grpc.sendCommand('decodePayReq', {
+        payReq: payment.address,
+      });
+      await this.estimateLightningFee({
+        destination: request.destination,
+        satAmt,
+      });
+    } catch (err) {
+      log.info(`Decoding payment request failed: ${err.message}`);
+    }
+  }
+
+  _enteredSatoshis() {
+    const { payment, settings } = this._store;
+    try {
+      return toSatoshis(payment.amount, settings);
+    } catch (err) {
+      return 0;
+    }
+  }
+
   /**
    * Estimate the lightning transaction fee using the queryRoutes grpc api
    * after which the fee is set in the store.
@@ -232,20 +323,25 @@ class PaymentAction {
     await this._fetchEstimate(MED_TARGET_CONF, 'Med');
     await this._fetchEstimate(HIGH_TARGET_CONF, 'High');
     payment.fee = payment.feeEstimates[1].fee;
+    payment.feeRate = '';
   }
 
-  async _fetchEstimate(targetConf, prio) {
+  async _fetchEstimate(targetConf, prio, batch) {
     const { payment, settings } = this._store;
-    const AddrToAmount = {};
-    AddrToAmount[payment.address] = toSatoshis(payment.amount, settings);
-    const { feeSat } = await this._grpc.sendCommand('estimateFee', {
+    const AddrToAmount = batch || {
+      [payment.address]: toSatoshis(payment.amount, settings),
+    };
+    const response = await this._grpc.sendCommand('estimateFee', {
       AddrToAmount,
       targetConf,
     });
+    const { feeSat, feerateSatPerByte } = response;
+    const vsize = feerateSatPerByte ? Math.ceil(feeSat / feerateSatPerByte) : 0;
     payment.feeEstimates.push({
       fee: toAmount(feeSat, settings),
       targetConf,
       prio,
+      vsize,
     });
   }
 
@@ -256,12 +352,73 @@ class PaymentAction {
   setTargetConf({ targetConf }) {
     const { payment } = this._store;
     payment.targetConf = targetConf;
+    payment.feeRate = '';
     if (!payment.feeEstimates.length) return;
     payment.fee = payment.feeEstimates.find(
       e => e.targetConf === targetConf
     ).fee;
   }
 
+  /**
+   * Set the custom confirmation target input of the confirm view.
+   * @param {string} options.targetConf The number of blocks to target
+   */
+  setCustomTargetConf({ targetConf }) {
+    this._store.payment.customTargetConf = targetConf;
+  }
+
+  /**
+   * Fetch a fee estimate for the confirmation target entered by the user
+   * which is added as a custom option next to the Low/Med/High presets.
+   * @param  {boolean} options.batch If the estimate is for the batch recipients
+   * @return {Promise<undefined>}
+   */
+  async estimateCustomFee({ batch } = {}) {
+    const { payment } = this._store;
+    const { customTargetConf } = payment;
+    const conf = Number(customTargetConf);
+    if (
+      !/^[0-9]+$/.test(customTargetConf) ||
+      conf < 1 ||
+      conf > MAX_TARGET_CONF
+    ) {
+      return this._notification.display({
+        msg: `Confirmation target must be between 1 and ${MAX_TARGET_CONF}`,
+      });
+    }
+    try {
+      payment.feeEstimates = payment.feeEstimates.filter(
+        e => e.prio !== 'Custom'
+      );
+      const AddrToAmount = batch ? this._batchAddrToAmount() : undefined;
+      await this._fetchEstimate(conf, 'Custom', AddrToAmount);
+      this.setTargetConf({ targetConf: conf });
+    } catch (err) {
+      this._notification.display({
+        msg: `Fee estimation failed: ${err.message}`,
+        err,
+      });
+    }
+  }
+
+  /**
+   * Set a custom fee rate in sat/vbyte for the on-chain send operation
+   * instead of a confirmation target. The absolute fee is previewed using
+   * the transaction size of the previous fee estimates. Clearing the input
+   * reverts to the fee of the selected confirmation target.
+   * @param {string} options.feeRate The fee rate e.g. '12'
+   */
+  setFeeRate({ feeRate }) {
+    const { payment, settings } = this._store;
+    if (!feeRate) {
+      return this.setTargetConf({ targetConf: payment.targetConf });
+    }
+    payment.feeRate = feeRate;
+    if (!/^[0-9]+$/.test(feeRate) || !payment.feeEstimates.length) return;
+    const vsize = Math.max(...payment.feeEstimates.map(e => e.vsize || 0));
+    payment.fee = toAmount(Number(feeRate) * vsize, settings);
+  }
+
   /**
    * Initialize the pay bitcoin confirm view by getting a fee estimate
    * from lnd and navigating to the view.
@@ -290,6 +447,11 @@ class PaymentAction {
    * @return {Promise<undefined>}
    */
   async payBitcoin() {
+    try {
+      this._validateFee();
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
     const timeout = setTimeout(() => {
       this._nav.goPayBitcoinConfirm();
       this._notification.display({
@@ -309,48 +471,295 @@ class PaymentAction {
     }
   }
 
+  _validateFee({ batch } = {}) {
+    const { payment, settings } = this._store;
+    if (!payment.feeRate) {
+      return;
+    }
+    parseFeeRate(payment.feeRate);
+    const satFee = toSatoshis(payment.fee, settings);
+    let satAmt = toSatoshis(payment.amount, settings);
+    if (batch) {
+      const amounts = Object.values(this._batchAddrToAmount());
+      satAmt = amounts.reduce((sum, amt) => sum + amt, 0);
+    } else if (payment.sendAll) {
+      satAmt = this._store.balanceSatoshis - satFee;
+    }
+    if (satAmt < DUST_LIMIT) {
+      throw new Error(`Amount is below the dust limit of ${DUST_LIMIT} sats`);
+    }
+    if (satFee > satAmt) {
+      throw new Error('Fee is absurd as it exceeds the amount sent');
+    }
+  }
+
   async _sendPayment() {
     const { payment, settings } = this._store;
     let amount = payment.sendAll ? 0 : toSatoshis(payment.amount, settings);
     await this._grpc.sendCommand('sendCoins', {
       addr: payment.address,
       amount,
-      targetConf: payment.targetConf,
+      ...this._feeOptions(),
       sendAll: payment.sendAll,
     });
   }
 
+  _feeOptions() {
+    const { payment } = this._store;
+    return payment.feeRate
+      ? { satPerByte: Number(payment.feeRate) }
+      : { targetConf: payment.targetConf };
+  }
+
+  /**
+   * Initialize the batch send view by resetting the recipient list to a
+   * single empty row and then navigating to the view.
+   * @return {undefined}
+   */
+  initPayBatch() {
+    const { payment } = this._store;
+    payment.recipients = [{ address: '', amount: '' }];
+    payment.targetConf = MED_TARGET_CONF;
+    payment.feeRate = '';
+    payment.fee = '';
+    payment.feeEstimates = [];
+    this._nav.goPayBatch();
+  }
+
+  /**
+   * Append an empty recipient row to the batch send list.
+   * @return {undefined}
+   */
+  addRecipient() {
+    this._store.payment.recipients.push({ address: '', amount: '' });
+  }
+
+  /**
+   * Remove a recipient row from the batch send list.
+   * @param  {number} options.index The index of the recipient row
+   * @return {undefined}
+   */
+  removeRecipient({ index }) {
+    const { payment } = this._store;
+    payment.recipients = payment.recipients.filter((r, i) => i !== index);
+  }
+
+  /**
+   * Set the address of a recipient in the batch send list.
+   * @param {number} options.index   The index of the recipient row
+   * @param {string} options.address The bitcoin address
+   */
+  setRecipientAddress({ index, address }) {
+    const { payment } = this._store;
+    payment.recipients[index].address = address.replace(PREFIX_REGEX, '');
+  }
+
+  /**
+   * Set the amount of a recipient in the batch send list. This amount
+   * is either in btc or fiat depending on user settings.
+   * @param {number} options.index  The index of the recipient row
+   * @param {string} options.amount The string formatted number
+   */
+  setRecipientAmount({ index, amount }) {
+    this._store.payment.recipients[index].amount = amount;
+  }
+
+  /**
+   * Parse a csv formatted list of recipients with one `address,amount`
+   * row per line and replace the batch send list with it. A leading
+   * header row is skipped. Amounts are in the unit of the user settings.
+   * @param  {string} options.csv The csv file contents
+   * @return {undefined}
+   */
+  importCsv({ csv }) {
+    const { payment, settings } = this._store;
+    const rows = parseCsv(csv || '');
+    if (rows.length && !isAddress(rows[0][0])) {
+      rows.shift();
+    }
+    if (!rows.length) {
+      return this._notification.display({ msg: 'No recipients found' });
+    }
+    const invalid = rows.find(([address, amount]) => {
+      try {
+        return !isAddress(address) || !(toSatoshis(amount, settings) > 0);
+      } catch (err) {
+        return true;
+      }
+    });
+    if (invalid) {
+      return this._notification.display({
+        msg: `Invalid recipient: ${invalid.join(',')}`,
+      });
+    }
+    payment.recipients = rows.map(([address, amount]) => ({ address, amount }));
+    payment.fee = '';
+  }
+
   /**
-   * Send the amount specified in the invoice as a lightning transaction and
-   * display the wait screen while the payment confirms.
+   * Import a csv formatted list of recipients from the clipboard.
+   * @return {Promise<undefined>}
+   */
+  async pasteCsv() {
+    this.importCsv({ csv: await this._clipboard.getString() });
+  }
+
+  /**
+   * Let the user pick a csv file via the native file dialog of the
+   * electron main process and import the recipients it contains.
+   * @return {Promise<undefined>}
+   */
+  async openCsvFile() {
+    try {
+      const csv = await this._ipc.send('csv-open', 'csv-opened');
+      if (csv) {
+        this.importCsv({ csv });
+      }
+    } catch (err) {
+      this._notification.display({ msg: 'Reading csv file failed', err });
+    }
+  }
+
+  /**
+   * Estimate one combined on-chain fee for all recipients of the batch
+   * using the grpc api after which the fee is set in the store.
+   * @return {Promise<undefined>}
+   */
+  async estimateBatchFee() {
+    const { payment } = this._store;
+    const AddrToAmount = this._batchAddrToAmount();
+    payment.feeEstimates = [];
+    await this._fetchEstimate(LOW_TARGET_CONF, 'Low', AddrToAmount);
+    await this._fetchEstimate(MED_TARGET_CONF, 'Med', AddrToAmount);
+    await this._fetchEstimate(HIGH_TARGET_CONF, 'High', AddrToAmount);
+    payment.fee = payment.feeEstimates[1].fee;
+    payment.feeRate = '';
+  }
+
+  /**
+   * Initialize the batch confirm view by validating the recipients,
+   * getting a combined fee estimate from lnd and navigating to the view.
+   * @return {Promise<undefined>}
+   */
+  async initPayBatchConfirm() {
+    try {
+      await this.estimateBatchFee();
+      this._nav.goPayBatchConfirm();
+    } catch (err) {
+      this._notification.display({
+        msg: `Fee estimation failed: ${err.message}`,
+        err,
+      });
+    }
+  }
+
+  /**
+   * Send the amounts of all recipients in a single on-chain transaction
+   * with the chosen fee option and display a payment confirmation screen.
+   * The inputs are picked by lnd from all confirmed coins of the wallet.
+   * This action can be called from a view event handler as does all
+   * the necessary error handling and notification display.
+   * @return {Promise<undefined>}
+   */
+  async payBatch() {
+    try {
+      this._validateFee({ batch: true });
+    } catch (err) {
+      return this._notification.display({ msg: err.message });
+    }
+    const timeout = setTimeout(() => {
+      this._nav.goPayBatchConfirm();
+      this._notification.display({
+        type: 'error',
+        msg: 'Sending transaction timed out!',
+      });
+    }, PAYMENT_TIMEOUT);
+    this._nav.goWait();
+    try {
+      await this._grpc.sendCommand('sendMany', {
+        AddrToAmount: this._batchAddrToAmount(),
+        ...this._feeOptions(),
+      });
+      this._nav.goPayBitcoinDone();
+    } catch (err) {
+      this._nav.goPayBatchConfirm();
+      this._notification.display({ msg: 'Sending transaction failed!', err });
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  _batchAddrToAmount() {
+    const { payment, settings } = this._store;
+    const AddrToAmount = {};
+    payment.recipients.forEach(({ address, amount }) => {
+      if (!isAddress(address)) {
+        throw new Error(`Invalid address ${address}`);
+      }
+      if (AddrToAmount[address]) {
+        throw new Error(`Duplicate address ${address}`);
+      }
+      const satAmt = toSatoshis(amount, settings);
+      if (!satAmt) {
+        throw new Error(`Invalid amount for ${address}`);
+      }
+      AddrToAmount[address] = satAmt;
+    });
+    return AddrToAmount;
+  }
+
+  /**
+   * Send the amount specified in the invoice, or the amount entered by the
+   * user if the invoice has none, as a lightning transaction and
+   * display the wait screen while the payment confirms. Candidate routes are
+   * queried and tried one after another, leaving out nodes and channels that
+   * failed before. Invoices with route hints, or for which no route is found,
+   * are sent with the payment request so that lnd can find the path itself.
+   * The channels are refreshed after a successful payment.
    * This action can be called from a view event handler as does all
    * the necessary error handling and notification display.
    * @return {Promise<undefined>}
    */
   async payLightning() {
     let failed = false;
+    let entry;
     const timeout = setTimeout(() => {
       failed = true;
       this._nav.goPaymentFailed();
     }, PAYMENT_TIMEOUT);
     try {
       this._nav.goWait();
-      const invoice = this._store.payment.address;
-      const stream = this._grpc.sendStreamCommand('sendPayment');
-      await new Promise((resolve, reject) => {
-        stream.on('data', data => {
-          if (data.paymentError) {
-            reject(new Error(`Lightning payment error: ${data.paymentError}`));
-          } else {
-            resolve();
-          }
-        });
-        stream.on('error', reject);
-        stream.write(JSON.stringify({ paymentRequest: invoice }), 'utf8');
+      const { payment } = this._store;
+      payment.attempts = [];
+      const decoded = await this._grpc.sendCommand('decodePayReq', {
+        payReq: payment.address,
+      });
+      const amount = decoded.numSatoshis || this._enteredSatoshis();
+      if (!amount) {
+        throw new Error('Enter an amount to pay');
+      }
+      const request = {
+        ...decoded,
+        numSatoshis: amount,
+        amt: decoded.numSatoshis ? 0 : amount,
+        paymentRequest: payment.address,
+      };
+      entry = this._addJournalEntry({
+        id: request.paymentHash,
+        amount,
+        paymentRequest: payment.address,
+        memo: request.description,
       });
+      payment.attempts = entry.attempts;
+      const response = (request.routeHints || []).length
+        ? await this._sendPaymentRequest({ request, entry })
+        : await this._sendToRoutes({ request, entry });
+      this._settleJournalEntry({ entry, response });
+      this._channel.getChannels();
       if (failed) return;
       this._nav.goPayLightningDone();
     } catch (err) {
+      if (entry) this._failJournalEntry({ entry, err });
       if (failed) return;
       this._nav.goPayLightningConfirm();
       this._notification.display({ msg: 'Lightning payment failed!', err });
@@ -358,6 +767,197 @@ class PaymentAction {
       clearTimeout(timeout);
     }
   }
+
+  /**
+   * Retry the selected payment from the payment journal e.g. after it
+   * failed. The invoice is decoded again before navigating to the confirm
+   * view.
+   * @return {Promise<undefined>}
+   */
+  async retryPayment() {
+    const { selectedTransaction: item } = this._store;
+    this.init();
+    this.setAddress({ address: item.paymentRequest });
+    await this.checkType();
+  }
+
+  _addJournalEntry({ id, amount, paymentRequest, memo }) {
+    const { paymentJournal } = this._store;
+    const index = paymentJournal.findIndex(e => e.id === id);
+    if (index !== -1) {
+      paymentJournal.splice(index, 1);
+    }
+    const now = new Date();
+    paymentJournal.unshift({
+      id,
+      type: 'lightning',
+      amount: -1 * amount,
+      fee: 0,
+      status: 'in-flight',
+      reason: '',
+      date: now,
+      updated: now,
+      paymentRequest: paymentRequest || '',
+      memo: memo || '',
+      preimage: '',
+      attempts: [],
+    });
+    paymentJournal.splice(PAYMENT_JOURNAL_LIMIT);
+    this._saveJournal(paymentJournal[0]);
+    return paymentJournal[0];
+  }
+
+  _addJournalAttempt({ entry, amount, route }) {
+    const now = new Date();
+    entry.attempts.push({
+      amount,
+      fee: route ? route.totalFees : 0,
+      hops: route ? route.hops.length : 0,
+      route: route ? route.hops.map(hop => hop.pubKey) : [],
+      status: 'in-flight',
+      reason: '',
+      date: now,
+      updated: now,
+    });
+    this._saveJournal(entry);
+    return entry.attempts[entry.attempts.length - 1];
+  }
+
+  _updateJournalAttempt({ entry, attempt, route, status, reason = '' }) {
+    if (route) {
+      attempt.fee = route.totalFees;
+      attempt.hops = route.hops.length;
+      attempt.route = route.hops.map(hop => hop.pubKey);
+    }
+    attempt.status = status;
+    attempt.reason = reason;
+    attempt.updated = new Date();
+    this._saveJournal(entry);
+  }
+
+  _settleJournalEntry({ entry, response }) {
+    entry.status = 'succeeded';
+    entry.fee = entry.attempts
+      .filter(a => a.status === 'succeeded')
+      .reduce((sum, a) => sum + a.fee, 0);
+    entry.preimage = Buffer.from(response.paymentPreimage || []).toString(
+      'hex'
+    );
+    this._saveJournal(entry);
+  }
+
+  _failJournalEntry({ entry, err }) {
+    entry.status = 'failed';
+    entry.reason = err.message;
+    this._saveJournal(entry);
+  }
+
+  _saveJournal(entry) {
+    entry.updated = new Date();
+    this._db.save();
+  }
+
+  async _sendToRoutes({ request, entry }) {
+    const ignored = { nodes: [], edges: [] };
+    for (let i = 0; i < PAYMENT_MAX_ATTEMPTS; i++) {
+      const route = await this._queryRoute({ request, ignored });
+      if (!route) {
+        return this._sendPaymentRequest({ request, entry });
+      }
+      const attempt = this._addJournalAttempt({
+        entry,
+        amount: request.numSatoshis,
+        route,
+      });
+      const response = await this._grpc.sendCommand('sendToRouteSync', {
+        paymentHashString: request.paymentHash,
+        route,
+      });
+      if (!response.paymentError) {
+        this._updateJournalAttempt({ entry, attempt, status: 'succeeded' });
+        return response;
+      }
+      this._updateJournalAttempt({
+        entry,
+        attempt,
+        status: 'failed',
+        reason: response.paymentError,
+      });
+      this._ignoreRoute({ route, ignored });
+    }
+    throw new Error(`No route found after ${PAYMENT_MAX_ATTEMPTS} attempts`);
+  }
+
+  async _queryRoute({ request, ignored }) {
+    try {
+      const { routes } = await this._grpc.sendCommand('queryRoutes', {
+        pubKey: request.destination,
+        amt: request.numSatoshis,
+        finalCltvDelta: request.cltvExpiry,
+        ignoredNodes: ignored.nodes.map(node => Buffer.from(node, 'hex')),
+        ignoredEdges: ignored.edges,
+        useMissionControl: true,
+      });
+      return routes && routes.length ? routes[0] : null;
+    } catch (err) {
+      log.info('Querying routes failed', err);
+      return null;
+    }
+  }
+
+  async _sendPaymentRequest({ request, entry }) {
+    const attempt = this._addJournalAttempt({
+      entry,
+      amount: request.numSatoshis,
+    });
+    const stream = this._grpc.sendStreamCommand('sendPayment');
+    const response = await new Promise((resolve, reject) => {
+      stream.on('data', resolve);
+      stream.on('error', reject);
+      stream.write(
+        JSON.stringify({
+          paymentRequest: request.paymentRequest,
+          amt: request.amt,
+        }),
+        'utf8'
+      );
+    });
+    const { paymentError, paymentRoute } = response;
+    if (paymentError) {
+      this._updateJournalAttempt({
+        entry,
+        attempt,
+        status: 'failed',
+        reason: paymentError,
+      });
+      throw new Error(`Lightning payment error: ${paymentError}`);
+    }
+    this._updateJournalAttempt({
+      entry,
+      attempt,
+      route: paymentRoute,
+      status: 'succeeded',
+    });
+    return response;
+  }
+
+  _ignoreRoute({ route, ignored }) {
+    const { hops } = route;
+    const nodes = hops.slice(1, -1).map(hop => hop.pubKey);
+    if (nodes.length) {
+      nodes
+        .filter(node => !ignored.nodes.includes(node))
+        .forEach(node => ignored.nodes.push(node));
+      return;
+    }
+    const last = hops[hops.length - 1];
+    const from = hops.length > 1 ? hops[0].pubKey : this._store.pubKey;
+    ignored.edges.push(this._edge(last.chanId, from, last.pubKey));
+  }
+
+  _edge(channelId, fromPubkey, toPubkey) {
+    return { channelId, directionReverse: fromPubkey > toPubkey };
+  }
 }
 
 export default PaymentAction;
@@ -0,0 +1,222 @@
+/**
+ * @fileOverview actions to manage the peers of the lightning node i.e.
+ * listing, connecting and disconnecting them. Peers marked as persistent
+ * are saved in the user settings and reconnected on startup.
+ */
+
+import { PREFIX_REGEX, PUBKEY_REGEX } from '../config';
+import * as log from './log';
+
+class PeerAction {
+  constructor(store, grpc, db, nav, notification, channel) {
+    this._store = store;
+    this._grpc = grpc;
+    this._db = db;
+    this._nav = nav;
+    this._notification = notification;
+    this._channel = channel;
+  }
+
+  /**
+   * Initialize the peers view by navigating to it and refreshing the list.
+   * @return {Promise<undefined>}
+   */
+  async init() {
+    this._nav.goPeers();
+    await this.update();
+  }
+
+  /**
+   * Refresh the connected peers and look up the aliases of new peers.
+   * @return {Promise<undefined>}
+   */
+  async update() {
+    await this._channel.getPeers();
+    await this.getAliases();
+  }
+
+  /**
+   * Look up the aliases of connected peers in the channel graph. Aliases
+   * are cached in the store so each peer is only looked up once.
+   * @return {Promise<undefined>}
+   */
+  async getAliases() {
+    const { peers, peerAliases } = this._store;
+    const unknown = peers.filter(p => peerAliases[p.pubKey] === undefined);
+    const aliases = {};
+    await Promise.all(
+      unknown.map(async ({ pubKey }) => {
+        try {
+          const { node } = await this._grpc.sendCommand('getNodeInfo', {
+            pubKey,
+          });
+          aliases[pubKey] = node.alias;
+        } catch (err) {
+          log.info(`Looking up alias of ${pubKey} failed`, err);
+          aliases[pubKey] = '';
+        }
+      })
+    );
+    this._store.peerAliases = Object.assign({}, peerAliases, aliases);
+  }
+
+  /**
+   * Initialize the connect view by resetting the input fields.
+   * @return {undefined}
+   */
+  initConnect() {
+    this._store.peer = {
+      pubkeyAtHost: '',
+      persistent: false,
+      useScanner: false,
+    };
+    this._nav.goPeerConnect();
+  }
+
+  /**
+   * Set the peer's public key and hostname in a single variable.
+   * @param {string} options.pubkeyAtHost The combined public key and host
+   */
+  setPubkeyAtHost({ pubkeyAtHost }) {
+    this._store.peer.pubkeyAtHost = pubkeyAtHost;
+  }
+
+  /**
+   * Set if the peer should be reconnected every time the app starts.
+   * @param {boolean} options.persistent If the peer is persistent
+   */
+  setPersistent({ persistent }) {
+    this._store.peer.persistent = persistent;
+  }
+
+  /**
+   * Toggle between the pubkey@host input field and the QR code scanner.
+   * @return {undefined}
+   */
+  toggleScanner() {
+    this._store.peer.useScanner = !this._store.peer.useScanner;
+  }
+
+  /**
+   * Read data from the QR code scanner and set it as the node uri.
+   * @param  {string} options.data The data containing the node uri
+   * @return {undefined}
+   */
+  readQRCode({ data }) {
+    if (!data) {
+      return;
+    }
+    this._store.peer.useScanner = false;
+    this.setPubkeyAtHost({
+      pubkeyAtHost: data.trim().replace(PREFIX_REGEX, ''),
+    });
+  }
+
+  /**
+   * Connect to the peer from the pubkey@host input. Persistent peers are
+   * saved in the user settings. Errors are displayed to the user.
+   * @return {Promise<undefined>}
+   */
+  async connect() {
+    try {
+      const { pubkey, host } = this._parsePubkeyAtHost();
+      const { persistent } = this._store.peer;
+      await this._channel.connectToPeer({ host, pubkey, perm: persistent });
+      if (persistent) {
+        await this._savePersistent({ pubkey, host });
+      }
+      this._notification.display({
+        type: 'success',
+        msg: 'Connected to peer',
+      });
+      this._nav.goPeers();
+      await this.update();
+    } catch (err) {
+      this._notification.display({ msg: 'Connecting to peer failed!', err });
+    }
+  }
+
+  /**
+   * Disconnect from a peer and stop reconnecting it on startup. lnd refuses
+   * to disconnect peers with which there are active channels.
+   * @param  {string} options.pubkey The public key of the peer
+   * @return {Promise<undefined>}
+   */
+  async disconnect({ pubkey }) {
+    try {
+      await this._grpc.sendCommand('disconnectPeer', { pubKey: pubkey });
+      await this._removePersistent({ pubkey });
+      await this.update();
+    } catch (err) {
+      this._notification.display({ msg: 'Disconnecting peer failed!', err });
+    }
+  }
+
+  /**
+   * Toggle if a connected peer is reconnected every time the app starts.
+   * Only outbound peers qualify since the address of an inbound peer is
+   * just the ephemeral port it connected from.
+   * @param  {string} options.pubkey The public key of the peer
+   * @return {Promise<undefined>}
+   */
+  async togglePersistent({ pubkey }) {
+    const { settings, peers } = this._store;
+    if (settings.persistentPeers.find(p => p.pubkey === pubkey)) {
+      await this._removePersistent({ pubkey });
+      return;
+    }
+    const peer = peers.find(p => p.pubKey === pubkey);
+    if (!peer || peer.inbound) {
+      return;
+    }
+    await this._savePersistent({ pubkey, host: peer.address });
+  }
+
+  /**
+   * Reconnect to all persistent peers. Failures are only logged since
+   * peers are often offline when the app starts.
+   * @return {Promise<undefined>}
+   */
+  async reconnectPersistent() {
+    const { persistentPeers } = this._store.settings;
+    await Promise.all(
+      persistentPeers.map(async ({ pubkey, host }) => {
+        try {
+          await this._channel.connectToPeer({ host, pubkey, perm: true });
+        } catch (err) {
+          log.info(`Reconnecting to peer ${pubkey} failed`, err);
+        }
+      })
+    );
+    await this._channel.getPeers();
+  }
+
+  _parsePubkeyAtHost() {
+    const [pubkey, host] = this._store.peer.pubkeyAtHost.trim().split('@');
+    if (!PUBKEY_REGEX.test(pubkey) || !host) {
+      throw new Error('Please enter the peer as pubkey@host');
+    }
+    return { pubkey, host };
+  }
+
+  async _savePersistent({ pubkey, host }) {
+    const { settings } = this._store;
+    settings.persistentPeers = settings.persistentPeers
+      .filter(p => p.pubkey !== pubkey)
+      .concat({ pubkey, host });
+    await this._db.save();
+  }
+
+  async _removePersistent({ pubkey }) {
+    const { settings } = this._store;
+    if (!settings.persistentPeers.find(p => p.pubkey === pubkey)) {
+      return;
+    }
+    settings.persistentPeers = settings.persistentPeers.filter(
+      p => p.pubkey !== pubkey
+    );
+    await this._db.save();
+  }
+}
+
+export default PeerAction;
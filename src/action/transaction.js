@@ -7,11 +7,12 @@ import * as log from './log';
 import { parseDate, toHex } from '../helper';
 
 class TransactionAction {
-  constructor(store, grpc, nav, notification) {
+  constructor(store, grpc, nav, notification, channel) {
     this._store = store;
     this._grpc = grpc;
     this._nav = nav;
     this._notification = notification;
+    this._channel = channel;
   }
 
   /**
@@ -82,19 +83,48 @@ class TransactionAction {
   async getInvoices() {
     try {
       const { invoices } = await this._grpc.sendCommand('listInvoices');
-      this._store.invoices = invoices.map(invoice => ({
-        id: toHex(invoice.rHash),
-        type: 'lightning',
-        amount: invoice.value,
-        status: invoice.settled ? 'complete' : 'in-progress',
-        date: parseDate(invoice.creationDate),
-        memo: invoice.memo,
-      }));
+      this._store.invoices = invoices.map(invoice =>
+        this.parseInvoice(invoice)
+      );
     } catch (err) {
       log.error('Listing invoices failed', err);
     }
   }
 
+  /**
+   * Map an invoice returned by the grpc api to the format used in the store.
+   * Open invoices past their expiry can no longer be paid so they are marked
+   * as expired instead of being listed as in progress forever.
+   * @param  {Object} invoice The invoice returned by lnd
+   * @return {Object}         The invoice as stored in the app state
+   */
+  parseInvoice(invoice) {
+    const expiresAt = invoice.creationDate + invoice.expiry;
+    let status;
+    if (invoice.settled) {
+      status = 'complete';
+    } else if (invoice.state === 'CANCELED' || invoice.state === 2) {
+      status = 'canceled';
+    } else if (invoice.expiry && expiresAt * 1000 < Date.now()) {
+      status = 'expired';
+    } else {
+      status = 'in-progress';
+    }
+    return {
+      id: toHex(invoice.rHash),
+      type: 'lightning',
+      amount: invoice.value,
+      status,
+      date: parseDate(invoice.creationDate),
+      memo: invoice.memo,
+      payReq: invoice.paymentRequest,
+      fallbackAddr: invoice.fallbackAddr,
+      expiresAt: invoice.expiry ? parseDate(expiresAt) : null,
+      settleDate: invoice.settled ? parseDate(invoice.settleDate) : null,
+      amountPaid: invoice.amtPaidSat,
+    };
+  }
+
   /**
    * List the lightning payments by calling the respective grpc api and updating
    * the payments array in the global store.
@@ -150,6 +180,7 @@ class TransactionAction {
 
   /**
    * Subscribe to incoming invoice payments using the grpc streaming api.
+   * The channels are refreshed on settlement to show the new balances.
    * @return {Promise<undefined>}
    */
   async subscribeInvoices() {
@@ -169,6 +200,7 @@ class TransactionAction {
   async _receiveInvoice(invoice) {
     await this.update();
     if (!invoice.settled) return;
+    this._channel.getChannels();
     const { computedTransactions, unitLabel } = this._store;
     let inv = computedTransactions.find(tx => tx.id === toHex(invoice.rHash));
     this._notification.display({
@@ -0,0 +1,91 @@
+/**
+ * @fileOverview actions to list the unspent outputs of the on-chain wallet
+ * and to label them. Selecting or freezing outputs for a payment is not
+ * supported since the pinned lnd version ignores outpoints in SendCoins.
+ */
+
+import { UTXO_MAX_CONFS } from '../config';
+
+const ADDRESS_TYPES = [
+  'WITNESS_PUBKEY_HASH',
+  'NESTED_PUBKEY_HASH',
+  'UNUSED_WITNESS_PUBKEY_HASH',
+  'UNUSED_NESTED_PUBKEY_HASH',
+];
+
+class UtxoAction {
+  constructor(store, grpc, db, nav, notification) {
+    this._store = store;
+    this._grpc = grpc;
+    this._db = db;
+    this._nav = nav;
+    this._notification = notification;
+  }
+
+  /**
+   * Initialize the coins view by fetching the unspent outputs
+   * and navigating to the view.
+   * @return {Promise<undefined>}
+   */
+  async init() {
+    this._nav.goUtxos();
+    await this.getUtxos();
+  }
+
+  /**
+   * List the unspent outputs of the on-chain wallet by calling the respective
+   * grpc api and update the utxos array in the global store.
+   * @return {Promise<undefined>}
+   */
+  async getUtxos() {
+    try {
+      const { utxos } = await this._grpc.sendCommand('listUnspent', {
+        minConfs: 0,
+        maxConfs: UTXO_MAX_CONFS,
+      });
+      this._store.utxos = utxos.map(utxo => ({
+        id: `${utxo.outpoint.txidStr}:${utxo.outpoint.outputIndex}`,
+        outpoint: {
+          txidStr: utxo.outpoint.txidStr,
+          outputIndex: utxo.outpoint.outputIndex,
+        },
+        type: this._addressType(utxo.type),
+        address: utxo.address,
+        amount: utxo.amountSat,
+        confirmations: utxo.confirmations,
+      }));
+    } catch (err) {
+      this._notification.display({ msg: 'Listing utxos failed', err });
+    }
+  }
+
+  /**
+   * Set the label of an unspent output e.g. to remember where the coins came
+   * from. The label is only persisted once editing is done.
+   * @param  {Object} options.utxo  The unspent output
+   * @param  {string} options.label The label text
+   * @return {undefined}
+   */
+  setLabel({ utxo, label }) {
+    const { settings } = this._store;
+    settings.utxoLabels = Object.assign({}, settings.utxoLabels, {
+      [utxo.id]: label,
+    });
+  }
+
+  /**
+   * Persist the utxo labels in the user settings after a label input
+   * lost focus or was submitted.
+   * @return {Promise<undefined>}
+   */
+  async saveLabels() {
+    await this._db.save();
+  }
+
+  _addressType(type) {
+    const name = typeof type === 'number' ? ADDRESS_TYPES[type] : type;
+    return /NESTED/.test(name) ? 'np2wkh' : 'p2wkh';
+  }
+}
+
+export default UtxoAction;
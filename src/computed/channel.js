@@ -3,7 +3,8 @@
  */
 
 import { extendObservable } from 'mobx';
-import { toAmountLabel, toCaps } from '../helper';
+import { toAmountLabel, toCaps, getTimeTilAvailable } from '../helper';
+import { STUCK_CHANNEL_TIMEOUT } from '../config';
 
 const ComputedChannel = store => {
   extendObservable(store, {
@@ -32,9 +33,34 @@ const ComputedChannel = store => {
         c.capacityLabel = toAmountLabel(c.capacity, settings);
         c.localBalanceLabel = toAmountLabel(c.localBalance, settings);
         c.remoteBalanceLabel = toAmountLabel(c.remoteBalance, settings);
+        c.receivableLabel = toAmountLabel(receivable(c), settings);
       });
       return all;
     },
+    get receiveCapacity() {
+      const open = (store.channels || []).filter(c => c.active);
+      const pending = (store.pendingChannels || []).filter(
+        c => c.status === 'pending-open'
+      );
+      const amounts = open.map(receivable);
+      return {
+        maxSatoshis: Math.max(0, ...amounts),
+        totalSatoshis: amounts.reduce((a, b) => a + b, 0),
+        pendingSatoshis: pending.map(receivable).reduce((a, b) => a + b, 0),
+      };
+    },
+    get receiveCapacityMaxLabel() {
+      const { receiveCapacity, settings } = store;
+      return toAmountLabel(receiveCapacity.maxSatoshis, settings);
+    },
+    get receiveCapacityTotalLabel() {
+      const { receiveCapacity, settings } = store;
+      return toAmountLabel(receiveCapacity.totalSatoshis, settings);
+    },
+    get receiveCapacityPendingLabel() {
+      const { receiveCapacity, settings } = store;
+      return toAmountLabel(receiveCapacity.pendingSatoshis, settings);
+    },
     get channelBalanceOpenSatoshis() {
       return (store.channels || [])
         .filter(c => c.active)
@@ -75,6 +101,59 @@ const ComputedChannel = store => {
       const { channelBalanceClosingSatoshis, settings } = store;
       return toAmountLabel(channelBalanceClosingSatoshis, settings);
     },
+    get channelCreateFeeLabel() {
+      const { targetConf, openFeeRate } = store.channel;
+      return targetConf
+        ? `Within ${targetConf} blocks`
+        : openFeeRate
+        ? `${openFeeRate} sat/vB`
+        : 'Default';
+    },
+    get channelPeerCapacityLabel() {
+      const { channel, settings } = store;
+      const capacity = channel.peerInfo ? channel.peerInfo.totalCapacity : 0;
+      return toAmountLabel(capacity, settings);
+    },
+    get channelPolicyMaxHtlcLabel() {
+      const { selectedChannelPolicy: policy, settings } = store;
+      return policy && policy.maxHtlcMsat
+        ? toAmountLabel(Math.floor(policy.maxHtlcMsat / 1000), settings)
+        : '';
+    },
+    get channelCloseCooperative() {
+      const { selectedChannel } = store;
+      return (
+        !!selectedChannel &&
+        selectedChannel.status === 'open' &&
+        !!selectedChannel.active
+      );
+    },
+    get channelCloseTimelockLabel() {
+      const { selectedChannel } = store;
+      return selectedChannel && Number.isInteger(selectedChannel.csvDelay)
+        ? getTimeTilAvailable(selectedChannel.csvDelay)
+        : '';
+    },
+    get channelFundingTx() {
+      const { selectedChannel, computedTransactions } = store;
+      if (!selectedChannel || !computedTransactions) {
+        return null;
+      }
+      return (
+        computedTransactions.find(t => t.id === selectedChannel.fundingTxId) ||
+        null
+      );
+    },
+    get channelStuck() {
+      const { selectedChannel, channelFundingTx: tx } = store;
+      return (
+        !!selectedChannel &&
+        selectedChannel.status === 'pending-open' &&
+        !!tx &&
+        tx.confirmations === 0 &&
+        Date.now() - tx.date.getTime() > STUCK_CHANNEL_TIMEOUT
+      );
+    },
     get channelStatus() {
       const {
         channelBalanceOpenSatoshis: opened,
@@ -92,4 +171,15 @@ const ComputedChannel = store => {
   });
 };
 
+/**
+ * The amount a channel can still receive. The remote peer needs to keep its
+ * channel reserve so this part of the remote balance can't be received.
+ * @param  {Object} channel The channel object
+ * @return {number}         The receivable amount in satoshis
+ */
+const receivable = channel => {
+  const reserve = channel.remoteChanReserveSat || 0;
+  return Math.max(0, (channel.remoteBalance || 0) - reserve);
+};
+
 export default ComputedChannel;
@@ -0,0 +1,78 @@
+/**
+ * @fileOverview computed values that are used in routing dashboard UI components.
+ */
+
+import { extendObservable } from 'mobx';
+import { toAmountLabel } from '../helper';
+import { FORWARDING_PAGE_SIZE } from '../config';
+
+const ComputedForwarding = store => {
+  extendObservable(store, {
+    get computedForwardingEvents() {
+      const { forwardingEvents, forwardingPage, settings } = store;
+      const all = forwardingEvents ? forwardingEvents.slice() : [];
+      all.sort((a, b) => b.date.getTime() - a.date.getTime());
+      const start = forwardingPage * FORWARDING_PAGE_SIZE;
+      return all.slice(start, start + FORWARDING_PAGE_SIZE).map((e, i) => ({
+        ...e,
+        key: String(start + i),
+        dateLabel: e.date.toLocaleDateString(),
+        dateTimeLabel: e.date.toLocaleString(),
+        amountLabel: toAmountLabel(e.amountOut, settings),
+        feeLabel: toAmountLabel(e.fee, settings),
+      }));
+    },
+    get forwardingPageCount() {
+      const count = (store.forwardingEvents || []).length;
+      return Math.max(1, Math.ceil(count / FORWARDING_PAGE_SIZE));
+    },
+    get forwardingPageLabel() {
+      return `${store.forwardingPage + 1} / ${store.forwardingPageCount}`;
+    },
+    get forwardingChannels() {
+      const { forwardingEvents, channels, settings } = store;
+      const volume = {};
+      (forwardingEvents || []).forEach(e => {
+        volume[e.chanIdIn] = volume[e.chanIdIn] || { in: 0, out: 0 };
+        volume[e.chanIdOut] = volume[e.chanIdOut] || { in: 0, out: 0 };
+        volume[e.chanIdIn].in += e.amountIn;
+        volume[e.chanIdOut].out += e.amountOut;
+      });
+      return Object.keys(volume)
+        .map(id => {
+          const channel = (channels || []).find(c => String(c.id) === id);
+          return {
+            key: id,
+            id,
+            remotePubkey: channel ? channel.remotePubkey : null,
+            total: volume[id].in + volume[id].out,
+            amountInLabel: toAmountLabel(volume[id].in, settings),
+            amountOutLabel: toAmountLabel(volume[id].out, settings),
+          };
+        })
+        .sort((a, b) => b.total - a.total);
+    },
+    get forwardingVolumeLabel() {
+      const { forwardingEvents, settings } = store;
+      const satoshis = (forwardingEvents || [])
+        .map(e => e.amountOut)
+        .reduce((a, b) => a + b, 0);
+      return toAmountLabel(satoshis, settings);
+    },
+    get forwardingFeesDayLabel() {
+      return toAmountLabel(store.forwardingFees.day, store.settings);
+    },
+    get forwardingFeesWeekLabel() {
+      return toAmountLabel(store.forwardingFees.week, store.settings);
+    },
+    get forwardingFeesMonthLabel() {
+      return toAmountLabel(store.forwardingFees.month, store.settings);
+    },
+    get forwardingActive() {
+      const { forwardingEvents, forwardingFees } = store;
+      return !!(forwardingEvents || []).length || !!forwardingFees.month;
+    },
+  });
+};
+
+export default ComputedForwarding;
@@ -0,0 +1,82 @@
+/**
+ * @fileOverview computed values that are used in network explorer UI components.
+ */
+
+import { extendObservable } from 'mobx';
+import { toAmountLabel } from '../helper';
+
+const ComputedGraph = store => {
+  extendObservable(store, {
+    get graphNumNodesLabel() {
+      const { graphInfo } = store;
+      return graphInfo ? graphInfo.numNodes.toLocaleString() : '-';
+    },
+    get graphNumChannelsLabel() {
+      const { graphInfo } = store;
+      return graphInfo ? graphInfo.numChannels.toLocaleString() : '-';
+    },
+    get graphCapacityLabel() {
+      const { graphInfo, settings } = store;
+      return graphInfo ? toAmountLabel(graphInfo.totalCapacity, settings) : '-';
+    },
+    get graphAvgChannelLabel() {
+      const { graphInfo, settings } = store;
+      return graphInfo
+        ? toAmountLabel(graphInfo.avgChannelSize, settings)
+        : '-';
+    },
+    get computedGraphNodes() {
+      const { graphNodes, settings } = store;
+      return (graphNodes || []).map((node, i) => ({
+        ...node,
+        key: String(i),
+        nameLabel: nameLabel(node),
+        channelsLabel: channelsLabel(node.numChannels),
+        capacityLabel: toAmountLabel(node.totalCapacity, settings),
+      }));
+    },
+    get graphNodeNameLabel() {
+      const { selectedGraphNode: node } = store;
+      return node ? nameLabel(node) : '';
+    },
+    get graphNodeChannelsLabel() {
+      const { selectedGraphNode: node } = store;
+      return node ? channelsLabel(node.numChannels) : '';
+    },
+    get graphNodeCapacityLabel() {
+      const { selectedGraphNode: node, settings } = store;
+      return node ? toAmountLabel(node.totalCapacity, settings) : '';
+    },
+    get graphNodeChannels() {
+      const { selectedGraphNode: node, settings } = store;
+      return (node ? node.channels : []).map((c, i) => ({
+        ...c,
+        key: String(i),
+        peerLabel: c.peerAlias || `${c.peerPubkey.slice(0, 12)}…`,
+        capacityLabel: toAmountLabel(c.capacity, settings),
+        policyLabel: policyLabel(c.policy),
+      }));
+    },
+  });
+};
+
+const nameLabel = node => node.alias || `${node.pubkey.slice(0, 12)}…`;
+
+const channelsLabel = num => `${num} ${num === 1 ? 'channel' : 'channels'}`;
+
+/**
+ * Describe the fees a node charges for forwarding over one of its channels.
+ * @param  {Object} policy The routing policy of the node's side
+ * @return {string}        The fee label e.g. '1000 msat + 1 ppm'
+ */
+const policyLabel = policy => {
+  if (!policy) {
+    return 'No policy';
+  }
+  if (policy.disabled) {
+    return 'Disabled';
+  }
+  return `${policy.baseFeeMsat} msat + ${policy.feeRatePpm} ppm`;
+};
+
+export default ComputedGraph;
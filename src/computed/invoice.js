@@ -3,13 +3,87 @@
  */
 
 import { extendObservable } from 'mobx';
-import { toLabel } from '../helper';
+import { toLabel, toAmountLabel, toCaps, toSatoshis } from '../helper';
+
+const FILTER_STATUS = {
+  open: ['in-progress'],
+  paid: ['complete'],
+  expired: ['expired', 'canceled'],
+};
+
+const EXPIRY_PRESETS = [
+  { label: '1 hour', value: 3600 },
+  { label: '1 day', value: 86400 },
+  { label: '2 days', value: 172800 },
+  { label: '1 week', value: 604800 },
+];
 
 const ComputedInvoice = store => {
   extendObservable(store, {
     get invoiceAmountLabel() {
       return toLabel(store.invoice.amount, store.settings);
     },
+    get invoiceAnyAmount() {
+      return !Number(store.invoice.amount);
+    },
+    get invoiceInbound() {
+      const { receiveCapacity: cap, invoice, settings } = store;
+      let satAmount;
+      try {
+        satAmount = toSatoshis(invoice.amount, settings);
+      } catch (err) {
+        satAmount = 0;
+      }
+      const shortfall = Math.max(0, satAmount - cap.maxSatoshis);
+      const spendable = store.channelBalanceOpenSatoshis;
+      return {
+        isShort: shortfall > 0,
+        isMultiPath: !!shortfall && satAmount <= cap.totalSatoshis,
+        isPending: !!shortfall && shortfall <= cap.pendingSatoshis,
+        canSpend: !!shortfall && spendable >= shortfall,
+        shortfallSatoshis: shortfall,
+        shortfallLabel: toAmountLabel(shortfall, settings),
+      };
+    },
+    get invoiceExpiryItems() {
+      const { expiry, customExpiry } = store.invoice;
+      return EXPIRY_PRESETS.map(item => ({
+        ...item,
+        selected: !customExpiry && item.value === expiry,
+      }));
+    },
+    get computedInvoices() {
+      const { invoices, invoiceFilter, settings } = store;
+      const status = FILTER_STATUS[invoiceFilter] || [];
+      const all = invoices ? invoices.slice() : [];
+      const filtered = all.filter(inv => status.includes(inv.status));
+      filtered.sort((a, b) => b.date.getTime() - a.date.getTime());
+      return filtered.map((inv, index) => ({
+        ...inv,
+        key: String(index),
+        statusLabel: toCaps(inv.status),
+        dateLabel: inv.date.toLocaleDateString(),
+        amountLabel: toAmountLabel(inv.amount, settings),
+      }));
+    },
+    get invoiceDetail() {
+      const { selectedInvoice: inv, invoicesReady, settings } = store;
+      if (!inv) {
+        return null;
+      }
+      const isOpen = inv.status === 'in-progress';
+      return {
+        ...inv,
+        statusLabel: toCaps(inv.status),
+        dateTimeLabel: inv.date.toLocaleString(),
+        amountLabel: toAmountLabel(inv.amount, settings),
+        amountPaidLabel: toAmountLabel(inv.amountPaid || 0, settings),
+        expiresLabel: inv.expiresAt ? inv.expiresAt.toLocaleString() : '',
+        settleDateLabel: inv.settleDate ? inv.settleDate.toLocaleString() : '',
+        canShare: isOpen && !!inv.payReq,
+        canCancel: isOpen && invoicesReady,
+      };
+    },
   });
 };
 
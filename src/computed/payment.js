@@ -3,7 +3,13 @@
  */
 
 import { extendObservable } from 'mobx';
-import { toSatoshis, toAmountLabel, toLabel } from '../helper';
+import { toSatoshis, toAmountLabel, toLabel, toCaps } from '../helper';
+
+const batchSatoshis = (payment, settings) =>
+  payment.recipients.reduce(
+    (sum, r) => sum + toSatoshis(r.amount, settings),
+    0
+  );
 
 const ComputedPayment = store => {
   extendObservable(store, {
@@ -28,6 +34,35 @@ const ComputedPayment = store => {
       const satFee = toSatoshis(payment.fee, settings);
       return toAmountLabel(satAmount + satFee, settings);
     },
+    get batchRecipients() {
+      const { payment, settings } = store;
+      return payment.recipients.map((r, i) => ({
+        key: String(i),
+        address: r.address,
+        amountLabel: toLabel(r.amount, settings),
+      }));
+    },
+    get batchAmountLabel() {
+      const { payment, settings } = store;
+      return toAmountLabel(batchSatoshis(payment, settings), settings);
+    },
+    get batchTotalLabel() {
+      const { payment, settings } = store;
+      const satAmount = batchSatoshis(payment, settings);
+      const satFee = toSatoshis(payment.fee, settings);
+      return toAmountLabel(satAmount + satFee, settings);
+    },
+    get paymentAttempts() {
+      const { payment, settings } = store;
+      return payment.attempts.map((a, i) => ({
+        key: String(i),
+        name: `Attempt ${i + 1} (${a.hops} ${a.hops === 1 ? 'hop' : 'hops'})`,
+        amountLabel: toAmountLabel(a.amount, settings),
+        feeLabel: toAmountLabel(a.fee, settings),
+        statusLabel: toCaps(a.status),
+        reason: a.reason,
+      }));
+    },
   });
 };
 
@@ -0,0 +1,64 @@
+/**
+ * @fileOverview computed values that are used in peer UI components.
+ */
+
+import { extendObservable } from 'mobx';
+import { toAmountLabel } from '../helper';
+
+const ComputedPeer = store => {
+  extendObservable(store, {
+    get computedPeers() {
+      const { peers, peerAliases, settings } = store;
+      return (peers || []).map((p, i) => {
+        const persistent = !!settings.persistentPeers.find(
+          pp => pp.pubkey === p.pubKey
+        );
+        return {
+          ...p,
+          key: String(i),
+          aliasLabel: peerAliases[p.pubKey] || `${p.pubKey.slice(0, 12)}…`,
+          directionLabel: p.inbound ? 'Inbound' : 'Outbound',
+          pingLabel: toPingLabel(p.pingTime),
+          bytesSentLabel: toBytesLabel(p.bytesSent),
+          bytesRecvLabel: toBytesLabel(p.bytesRecv),
+          satSentLabel: toAmountLabel(Number(p.satSent) || 0, settings),
+          satRecvLabel: toAmountLabel(Number(p.satRecv) || 0, settings),
+          persistent,
+          canTogglePersistent: persistent || !p.inbound,
+        };
+      });
+    },
+    get peerCountLabel() {
+      const count = (store.peers || []).length;
+      return `${count} ${count === 1 ? 'peer' : 'peers'}`;
+    },
+  });
+};
+
+/**
+ * Format the round trip time of the last ping to a peer.
+ * @param  {number} pingTime The ping time in microseconds
+ * @return {string}          The label in milliseconds
+ */
+const toPingLabel = pingTime => {
+  const micros = Number(pingTime);
+  return micros ? `${Math.round(micros / 1000)} ms` : '-';
+};
+
+/**
+ * Format a number of bytes with a binary unit prefix e.g. '1.5 KB'.
+ * @param  {number} bytes The number of bytes
+ * @return {string}       The formatted label
+ */
+const toBytesLabel = bytes => {
+  let value = Number(bytes) || 0;
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${i ? value.toFixed(1) : value} ${units[i]}`;
+};
+
+export default ComputedPeer;
@@ -32,6 +32,9 @@ const ComputedSetting = store => {
     get gbpFiatLabel() {
       return FIATS['gbp'].displayLong;
     },
+    get backupFolderLabel() {
+      return store.settings.backupFolder || 'Not set';
+    },
   });
 };
 
@@ -12,7 +12,8 @@ const ComputedTransaction = store => {
       const t = transactions ? transactions.slice() : [];
       const p = payments ? payments.slice() : [];
       const i = invoices ? invoices.slice() : [];
-      const all = [].concat(t, p, i);
+      const j = journalEntries(store.paymentJournal, p);
+      const all = [].concat(t, p, j, i);
       all.sort((a, b) => b.date.getTime() - a.date.getTime());
       all.forEach((t, i) => {
         t.key = String(i);
@@ -26,10 +27,48 @@ const ComputedTransaction = store => {
         if (Number.isInteger(t.confirmations)) {
           t.confirmationsLabel = t.confirmations.toString();
         }
+        if (t.attempts) {
+          t.attemptItems = t.attempts.map((a, i) => ({
+            key: String(i),
+            name: `Attempt ${i + 1} (${a.hops} ${
+              a.hops === 1 ? 'hop' : 'hops'
+            })`,
+            statusLabel: toCaps(a.status),
+            reason: a.reason,
+            feeLabel: toAmountLabel(a.fee, settings),
+            routeLabel: (a.route || [])
+              .map(pubKey => `${pubKey.slice(0, 12)}…`)
+              .join(' → '),
+            dateTimeLabel: a.date.toLocaleString(),
+          }));
+          t.canRetry = t.status === 'failed' && !!t.paymentRequest;
+        }
       });
       return all.slice(0, 100);
     },
   });
 };
 
+/**
+ * Pick the entries from the local payment journal that lnd does not list
+ * yet e.g. failed or in-flight payments. For payments that lnd does list
+ * the attempts from the journal are attached to lnd's record.
+ * @param  {Array} journal  The local payment journal
+ * @param  {Array} payments The payments listed by lnd
+ * @return {Array}          The journal entries to display
+ */
+const journalEntries = (journal, payments) => {
+  if (!journal) {
+    return [];
+  }
+  return journal.filter(entry => {
+    const payment = payments.find(p => p.id === entry.id);
+    if (!payment) {
+      return true;
+    }
+    payment.attempts = entry.attempts;
+    return false;
+  });
+};
+
 export default ComputedTransaction;
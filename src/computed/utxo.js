@@ -0,0 +1,24 @@
+/**
+ * @fileOverview computed values that are used in the coins UI components.
+ */
+
+import { extendObservable } from 'mobx';
+import { toAmountLabel } from '../helper';
+
+const ComputedUtxo = store => {
+  extendObservable(store, {
+    get computedUtxos() {
+      const { utxos, settings } = store;
+      return (utxos || []).map(u => ({
+        ...u,
+        key: u.id,
+        amountLabel: toAmountLabel(u.amount, settings),
+        confirmationsLabel: u.confirmations.toString(),
+        typeLabel: u.type === 'np2wkh' ? 'Nested SegWit' : 'Native SegWit',
+        label: settings.utxoLabels[u.id] || '',
+      }));
+    },
+  });
+};
+
+export default ComputedUtxo;
@@ -3,12 +3,25 @@
  */
 
 module.exports.RETRY_DELAY = 1000;
+module.exports.CHANNEL_POLL_DELAY = 60 * 1000;
+module.exports.STUCK_CHANNEL_TIMEOUT = 24 * 60 * 60 * 1000;
 module.exports.LND_INIT_DELAY = 5000;
 module.exports.NOTIFICATION_DELAY = 5000;
 module.exports.RATE_DELAY = 15 * 60 * 1000;
 module.exports.ATPL_DELAY = 60 * 60 * 1000;
 module.exports.PAYMENT_TIMEOUT = 60 * 1000;
+module.exports.PAYMENT_MAX_ATTEMPTS = 10;
+module.exports.PAYMENT_JOURNAL_LIMIT = 100;
 module.exports.POLL_STORE_TIMEOUT = 100;
+module.exports.UTXO_MAX_CONFS = 2147483647;
+module.exports.FORWARDING_PERIOD = 30 * 24 * 60 * 60; // seconds
+module.exports.FORWARDING_MAX_EVENTS = 50000;
+module.exports.FORWARDING_PAGE_SIZE = 20;
+module.exports.GRAPH_SEARCH_LIMIT = 50;
+module.exports.GRAPH_UPDATE_DELAY = 1000;
+module.exports.SETTINGS_VERSION = 2;
+module.exports.BUNDLE_VERSION = 1;
+module.exports.BUNDLE_KDF_ITERATIONS = 100000;
 
 module.exports.LND_NETWORK = 'testnet';
 module.exports.LND_PORT = 10006;
@@ -21,12 +34,27 @@ module.exports.BTCD_MINING_ADDRESS = 'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5';
 const prefixName = 'lightning';
 module.exports.PREFIX_NAME = prefixName;
 module.exports.PREFIX_URI = `${prefixName}:`;
+module.exports.BITCOIN_PREFIX_NAME = 'bitcoin';
 module.exports.PREFIX_REGEX = /^[a-zA-Z]*:/;
+module.exports.PUBKEY_REGEX = /^[0-9a-fA-F]{66}$/;
 
 module.exports.DEFAULT_ROUTE = 'Welcome';
 module.exports.LOW_TARGET_CONF = 26;
 module.exports.MED_TARGET_CONF = 16;
 module.exports.HIGH_TARGET_CONF = 4;
+module.exports.MAX_TARGET_CONF = 1008;
+module.exports.MIN_FEE_RATE = 1; // sat/vbyte
+module.exports.MAX_FEE_RATE = 1000; // sat/vbyte
+module.exports.DUST_LIMIT = 546; // satoshis
+module.exports.INVOICE_EXPIRY = 172800; // seconds
+module.exports.MIN_CHAN_SIZE = 20000; // satoshis
+module.exports.MAX_CHAN_SIZE = 16777215; // satoshis
+module.exports.MIN_CSV_DELAY = 144; // blocks
+module.exports.MAX_CSV_DELAY = 2016; // blocks
+module.exports.MIN_TIME_LOCK_DELTA = 18; // blocks
+module.exports.MAX_TIME_LOCK_DELTA = 2016; // blocks
+module.exports.MAX_FEE_RATE_PPM = 1000000;
+module.exports.MAX_INVOICE_EXPIRY = 31536000; // seconds
 module.exports.PIN_LENGTH = 6;
 module.exports.MIN_PASSWORD_LENGTH = 8;
 module.exports.STRONG_PASSWORD_LENGTH = 12;
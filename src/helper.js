@@ -2,7 +2,15 @@
  * @fileOverview helper and utility functions that can be reused go here.
  */
 
-import { UNITS, LND_INIT_DELAY, RETRY_DELAY } from './config';
+import {
+  UNITS,
+  LND_INIT_DELAY,
+  RETRY_DELAY,
+  PREFIX_REGEX,
+  BITCOIN_PREFIX_NAME,
+  MIN_FEE_RATE,
+  MAX_FEE_RATE,
+} from './config';
 
 /**
  * Format a number value in locale format with either . or ,
@@ -234,6 +242,83 @@ export const isLnUri = str => {
   return /^lightning:ln[a-zA-Z0-9]*$/.test(str);
 };
 
+/**
+ * Basic BIP21 uri validation e.g. `bitcoin:address?amount=0.001`. The
+ * query params must be url encoded. This is just to mitigate XSS.
+ * @param  {string}  str The uri to validate
+ * @return {boolean}     If the uri is valid
+ */
+export const isBitcoinUri = str => {
+  return /^bitcoin:[a-zA-Z0-9]{26,90}(\?[a-zA-Z0-9=&%._~+-]*)?$/i.test(str);
+};
+
+/**
+ * Parse a payment uri which can either be a BIP21 uri, a lightning uri or
+ * a plain invoice or address. The amount is converted from btc to satoshis
+ * and if a `lightning` param is present the embedded invoice is preferred
+ * over the on-chain address. Unknown `req-` params are required by BIP21 to
+ * be understood so an error is thrown in that case.
+ * @param  {string} str The uri to parse
+ * @return {Object}     The address, satAmt, label and message
+ */
+export const parseUri = str => {
+  const [head, query = ''] = str.trim().split('?');
+  const uri = {
+    address: head.replace(PREFIX_REGEX, ''),
+    satAmt: 0,
+    label: '',
+    message: '',
+  };
+  query
+    .split('&')
+    .filter(param => param)
+    .forEach(param => {
+      const [key, val = ''] = param.split('=');
+      const name = key.toLowerCase();
+      const value = decodeParam(val);
+      if (name === 'amount' && /^[0-9]*[.]?[0-9]+$/.test(value)) {
+        uri.satAmt = Math.round(Number(value) * UNITS.btc.denominator);
+      } else if (name === 'label' || name === 'message') {
+        uri[name] = value;
+      } else if (name === 'lightning') {
+        uri.address = value.replace(PREFIX_REGEX, '');
+      } else if (name.startsWith('req-')) {
+        throw new Error(`Unsupported payment uri parameter ${key}`);
+      }
+    });
+  return uri;
+};
+
+/**
+ * Build a BIP21 uri for an on-chain address. If an invoice is passed it is
+ * added as `lightning` param so that lightning wallets can pay the invoice
+ * while other wallets fall back to the on-chain address.
+ * @param  {string} options.address The on-chain address
+ * @param  {number} options.satAmt  The amount in satoshis (optional)
+ * @param  {string} options.invoice The encoded payment request (optional)
+ * @return {string}                 The BIP21 uri
+ */
+export const toBitcoinUri = ({ address, satAmt, invoice }) => {
+  const params = [];
+  if (satAmt) {
+    const settings = { unit: 'btc', displayFiat: false };
+    params.push(`amount=${toAmount(satAmt, settings)}`);
+  }
+  if (invoice) {
+    params.push(`lightning=${invoice}`);
+  }
+  const query = params.length ? `?${params.join('&')}` : '';
+  return `${BITCOIN_PREFIX_NAME}:${address}${query}`;
+};
+
+const decodeParam = val => {
+  try {
+    return decodeURIComponent(val.replace(/\+/g, ' '));
+  } catch (err) {
+    return val;
+  }
+};
+
 /**
  * Basic bitcoin address validation. More thorough matching is
  * done by lnd. This is just to mitigate XSS.
@@ -244,6 +329,44 @@ export const isAddress = str => {
   return /^[a-zA-Z0-9]{26,90}$/.test(str);
 };
 
+/**
+ * Parse a fee rate input and check that it is neither below the minimum
+ * relay fee nor absurdly high.
+ * @param  {string} feeRate The fee rate in sat/vbyte e.g. '12'
+ * @return {number}         The fee rate as an integer
+ */
+export const parseFeeRate = feeRate => {
+  if (!/^[0-9]+$/.test(feeRate)) {
+    throw new Error('Fee rate must be a whole number of sat/vbyte');
+  }
+  const rate = Number(feeRate);
+  if (rate < MIN_FEE_RATE) {
+    throw new Error(`Fee rate must be at least ${MIN_FEE_RATE} sat/vbyte`);
+  }
+  if (rate > MAX_FEE_RATE) {
+    throw new Error(`Fee rate above ${MAX_FEE_RATE} sat/vbyte is absurd`);
+  }
+  return rate;
+};
+
+/**
+ * Parse the contents of a csv file into rows of trimmed cells. Cells may
+ * be separated by either commas or semicolons and empty lines are skipped.
+ * @param  {string} str The csv file contents
+ * @return {Array}      The rows as arrays of strings
+ */
+export const parseCsv = str => {
+  return str
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line =>
+      line
+        .split(line.includes(';') ? ';' : ',')
+        .map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+    );
+};
+
 /**
  * Check if the HTTP status code signals is successful
  * @param  {Object} response The fetch api's response object
@@ -11,6 +11,10 @@ import ComputedTransaction from './computed/transaction';
 import ComputedChannel from './computed/channel';
 import ComputedInvoice from './computed/invoice';
 import ComputedPayment from './computed/payment';
+import ComputedUtxo from './computed/utxo';
+import ComputedForwarding from './computed/forwarding';
+import ComputedGraph from './computed/graph';
+import ComputedPeer from './computed/peer';
 import ComputedNotification from './computed/notification';
 import ComputedSetting from './computed/setting';
 import ComputedSeed from './computed/seed';
@@ -19,6 +23,7 @@ import {
   DEFAULT_UNIT,
   DEFAULT_FIAT,
   MED_TARGET_CONF,
+  INVOICE_EXPIRY,
 } from './config';
 
 export class Store {
@@ -31,6 +36,7 @@ export class Store {
       walletUnlocked: false, // Is the wallet unlocked
       lndReady: false, // Is lnd process running
       autopilotReady: false, // Is autopilot service running
+      invoicesReady: false, // Is invoices service running
       syncedToChain: false, // Is lnd synced to blockchain
       percentSynced: 0, // Expects 0-1 range
       route: DEFAULT_ROUTE,
@@ -64,31 +70,88 @@ export class Store {
       transactions: [],
       selectedTransaction: null,
       invoices: [],
+      selectedInvoice: null,
+      invoiceFilter: 'open',
       invoice: {
         amount: '',
         note: '',
+        expiry: INVOICE_EXPIRY,
+        customExpiry: '',
+        fallback: false,
+        fallbackAddr: '',
+        private: true,
         encoded: '',
         uri: '',
       },
       payments: [],
+      paymentJournal: [],
+      utxos: [],
+      forwardingEvents: [],
+      forwardingFees: { day: 0, week: 0, month: 0 },
+      forwardingPage: 0,
+      forwardingView: 'events',
+      graphInfo: null,
+      graphSynced: false,
+      graphNodes: [],
+      graphSearch: '',
+      selectedGraphNode: null,
       payment: {
         address: '',
         amount: '',
         targetConf: MED_TARGET_CONF,
         feeEstimates: [],
+        feeRate: '',
+        customTargetConf: '',
         fee: '',
         note: '',
+        anyAmount: false,
         sendAll: false,
         useScanner: false,
+        attempts: [],
+        recipients: [],
       },
       peers: [],
+      peerAliases: {},
+      peer: {
+        pubkeyAtHost: '',
+        persistent: false,
+        useScanner: false,
+      },
       channels: [],
       pendingChannels: [],
       closedChannels: [],
       selectedChannel: null,
+      selectedChannelPolicy: null,
       channel: {
         pubkeyAtHost: '',
         amount: '',
+        pushAmount: '',
+        advanced: false,
+        private: true,
+        targetConf: '',
+        openFeeRate: '',
+        minHtlc: '',
+        csvDelay: '',
+        spendUnconfirmed: false,
+        useScanner: false,
+        peerInfo: null,
+        feeRate: '',
+        forceClose: false,
+      },
+      policy: {
+        global: false,
+        baseFee: '',
+        feeRate: '',
+        timeLockDelta: '',
+      },
+      bundle: {
+        password: '',
+        passwordVerify: '',
+      },
+      channelBackup: {
+        fileName: '',
+        data: null,
+        lastBackup: null,
       },
       paymentRequest: null,
       seedMnemonic: [],
@@ -106,6 +169,9 @@ export class Store {
         restoring: false,
         autopilot: true,
         nodeScores: {},
+        utxoLabels: {},
+        persistentPeers: [],
+        backupFolder: '',
       },
     });
   }
@@ -117,6 +183,10 @@ export class Store {
     ComputedChannel(this);
     ComputedInvoice(this);
     ComputedPayment(this);
+    ComputedUtxo(this);
+    ComputedForwarding(this);
+    ComputedGraph(this);
+    ComputedPeer(this);
     ComputedNotification(this);
     ComputedSetting(this);
     ComputedSeed(this);
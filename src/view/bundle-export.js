@@ -0,0 +1,81 @@
+import React from 'react';
+import { StyleSheet, Platform } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import { CancelButton, PillButton, Button } from '../component/button';
+import Card from '../component/card';
+import { FormStretcher, FormSubText } from '../component/form';
+import { color } from '../component/style';
+
+//
+// Bundle Export View
+//
+
+const styles = StyleSheet.create({
+  form: {
+    paddingTop: 40,
+  },
+  subText: {
+    paddingTop: 40,
+    paddingBottom: 40,
+  },
+  doneBtn: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const BundleExportView = ({ store, nav, bundle }) => {
+  const secret = Platform.OS === 'web' ? 'password' : 'PIN';
+  return (
+    <Background color={color.blackDark}>
+      <Header separator>
+        <Button disabled onPress={() => {}} />
+        <Title title="Export App Data" />
+        <CancelButton onPress={() => nav.goSettings()} />
+      </Header>
+      <MainContent>
+        <Card>
+          <FormStretcher style={styles.form}>
+            <InputField
+              autoFocus={true}
+              secureTextEntry={true}
+              keyboardType={Platform.OS === 'web' ? 'default' : 'numeric'}
+              placeholder={`Your ${secret}`}
+              value={store.bundle.password}
+              onChangeText={password => bundle.setPassword({ password })}
+            />
+            <InputField
+              secureTextEntry={true}
+              keyboardType={Platform.OS === 'web' ? 'default' : 'numeric'}
+              placeholder={`Repeat your ${secret}`}
+              value={store.bundle.passwordVerify}
+              onChangeText={password => bundle.setPasswordVerify({ password })}
+              onSubmitEditing={() => bundle.exportState()}
+            />
+          </FormStretcher>
+          <FormSubText style={styles.subText}>
+            {`Your settings and payment notes are encrypted with your ${secret} and saved to a file. The file does not contain your seed or funds.`}
+          </FormSubText>
+          <PillButton
+            onPress={() => bundle.exportState()}
+            style={styles.doneBtn}
+          >
+            Export
+          </PillButton>
+        </Card>
+      </MainContent>
+    </Background>
+  );
+};
+
+BundleExportView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  bundle: PropTypes.object.isRequired,
+};
+
+export default observer(BundleExportView);
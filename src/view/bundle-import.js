@@ -0,0 +1,78 @@
+import React from 'react';
+import { StyleSheet, Platform } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import { CancelButton, PillButton, Button } from '../component/button';
+import Card from '../component/card';
+import { FormStretcher, FormSubText } from '../component/form';
+import { color } from '../component/style';
+
+//
+// Bundle Import View
+//
+
+const styles = StyleSheet.create({
+  form: {
+    paddingTop: 40,
+  },
+  subText: {
+    paddingTop: 40,
+    paddingBottom: 40,
+  },
+  doneBtn: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const BundleImportView = ({ store, nav, bundle }) => {
+  const secret = Platform.OS === 'web' ? 'password' : 'PIN';
+  const location =
+    Platform.OS === 'web'
+      ? 'Select the file after entering'
+      : 'Place the file lightning-app-data.json in the Lightning folder of your device and enter';
+  return (
+    <Background color={color.blackDark}>
+      <Header separator>
+        <Button disabled onPress={() => {}} />
+        <Title title="Import App Data" />
+        <CancelButton onPress={() => nav.goSettings()} />
+      </Header>
+      <MainContent>
+        <Card>
+          <FormStretcher style={styles.form}>
+            <InputField
+              autoFocus={true}
+              secureTextEntry={true}
+              keyboardType={Platform.OS === 'web' ? 'default' : 'numeric'}
+              placeholder={`The ${secret} used for the export`}
+              value={store.bundle.password}
+              onChangeText={password => bundle.setPassword({ password })}
+              onSubmitEditing={() => bundle.importState()}
+            />
+          </FormStretcher>
+          <FormSubText style={styles.subText}>
+            {`${location} the ${secret} that was used to export it. Imported settings replace the current ones.`}
+          </FormSubText>
+          <PillButton
+            onPress={() => bundle.importState()}
+            style={styles.doneBtn}
+          >
+            Import
+          </PillButton>
+        </Card>
+      </MainContent>
+    </Background>
+  );
+};
+
+BundleImportView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  bundle: PropTypes.object.isRequired,
+};
+
+export default observer(BundleImportView);
@@ -0,0 +1,90 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import { createStyles, maxWidth } from '../component/media-query';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { H1Text, CopyText } from '../component/text';
+import { FormStretcher } from '../component/form';
+import { Button, ButtonText, PillButton } from '../component/button';
+import { color, font, breakWidth, smallBreakWidth } from '../component/style';
+
+const baseStyles = {
+  content: {
+    paddingLeft: 20,
+    paddingRight: 20,
+  },
+  h1: {},
+  copyTxt: {
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  abandonBtn: {
+    alignSelf: 'center',
+    backgroundColor: color.pinkSig,
+    width: 400,
+  },
+  cancelBtn: {
+    marginTop: 5,
+    marginBottom: 25,
+  },
+};
+
+const styles = createStyles(
+  baseStyles,
+
+  maxWidth(breakWidth, {
+    copyTxt: {
+      width: 320,
+    },
+    abandonBtn: {
+      alignSelf: 'stretch',
+      width: undefined,
+    },
+  }),
+
+  maxWidth(smallBreakWidth, {
+    h1: {
+      fontSize: font.sizeXXL - 5,
+    },
+    copyTxt: {
+      width: 280,
+    },
+  })
+);
+
+const ChannelAbandonView = ({ nav, channel }) => (
+  <Background color={color.blackDark}>
+    <MainContent style={styles.content}>
+      <FormStretcher>
+        <H1Text style={styles.h1}>Abandon channel?</H1Text>
+        <CopyText style={styles.copyTxt}>
+          Only abandon this channel if its funding transaction can never
+          confirm, e.g. because it was dropped from the mempool or one of its
+          inputs was spent elsewhere. If the funding transaction confirms after
+          all, the funds can only be recovered with the channel backup.
+        </CopyText>
+        <CopyText style={styles.copyTxt}>
+          Before lnd deletes the channel state, a backup of this channel is
+          exported and saved to a file of your choice.
+        </CopyText>
+      </FormStretcher>
+      <PillButton
+        style={styles.abandonBtn}
+        onPress={() => channel.abandonSelectedChannel()}
+      >
+        Abandon this channel
+      </PillButton>
+      <Button style={styles.cancelBtn} onPress={() => nav.goChannelDetail()}>
+        <ButtonText>Cancel</ButtonText>
+      </Button>
+    </MainContent>
+  </Background>
+);
+
+ChannelAbandonView.propTypes = {
+  nav: PropTypes.object.isRequired,
+  channel: PropTypes.object.isRequired,
+};
+
+export default observer(ChannelAbandonView);
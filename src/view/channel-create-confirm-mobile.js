@@ -0,0 +1,120 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { NamedField } from '../component/field';
+import { Header, Title } from '../component/header';
+import { BackButton, CancelButton, SmallGlasButton } from '../component/button';
+import Card from '../component/card';
+import Text from '../component/text';
+import { FormStretcher, FormText, FormSubText } from '../component/form';
+import {
+  BalanceLabel,
+  BalanceLabelNumeral,
+  BalanceLabelUnit,
+} from '../component/label';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    maxWidth: 290,
+  },
+  balance: {
+    marginBottom: 10,
+  },
+  numeral: {
+    color: color.blackText,
+  },
+  unit: {
+    color: color.blackText,
+  },
+  peerInfo: {
+    alignSelf: 'stretch',
+  },
+  unknown: {
+    paddingTop: 10,
+    paddingBottom: 10,
+  },
+});
+
+const ChannelCreateConfirmView = ({ store, nav, channel }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goChannelCreate()} />
+      <Title title="Confirm Channel" />
+      <CancelButton onPress={() => nav.goChannels()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          You are about to open a channel with the following parameters.
+        </FormText>
+        <FormStretcher>
+          <BalanceLabel style={styles.balance}>
+            <BalanceLabelNumeral style={styles.numeral}>
+              {store.channel.amount}
+            </BalanceLabelNumeral>
+            <BalanceLabelUnit style={styles.unit}>
+              {store.unitFiatLabel}
+            </BalanceLabelUnit>
+          </BalanceLabel>
+          <NamedField name="Peer">{store.channel.pubkeyAtHost}</NamedField>
+          {store.channel.peerInfo ? (
+            <View style={styles.peerInfo}>
+              <NamedField name="Alias">
+                <Text style={{ color: store.channel.peerInfo.color }}>●</Text>{' '}
+                {store.channel.peerInfo.alias || 'Unknown'}
+              </NamedField>
+              <NamedField name="Channels">
+                {String(store.channel.peerInfo.numChannels)}
+              </NamedField>
+              <NamedField name="Total Capacity">
+                {store.channelPeerCapacityLabel} {store.unitLabel}
+              </NamedField>
+            </View>
+          ) : (
+            <FormSubText style={styles.unknown}>
+              This node was not found in the network graph. Please make sure you
+              are connecting to the right peer.
+            </FormSubText>
+          )}
+          <NamedField name="Push Amount">
+            {store.channel.pushAmount || '0'} {store.unitFiatLabel}
+          </NamedField>
+          <NamedField name="Visibility">
+            {store.channel.private ? 'Private' : 'Public'}
+          </NamedField>
+          <NamedField name="Funding Fee">
+            {store.channelCreateFeeLabel}
+          </NamedField>
+          <NamedField name="Min HTLC">
+            {store.channel.minHtlc
+              ? `${store.channel.minHtlc} msat`
+              : 'Default'}
+          </NamedField>
+          <NamedField name="Peer CSV Delay">
+            {store.channel.csvDelay
+              ? `${store.channel.csvDelay} blocks`
+              : 'Default'}
+          </NamedField>
+          <NamedField name="Spend Unconfirmed">
+            {store.channel.spendUnconfirmed ? 'Yes' : 'No'}
+          </NamedField>
+        </FormStretcher>
+      </Card>
+    </MainContent>
+    <SmallGlasButton onPress={() => channel.connectAndOpen()}>
+      Open Channel
+    </SmallGlasButton>
+  </Background>
+);
+
+ChannelCreateConfirmView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  channel: PropTypes.object.isRequired,
+};
+
+export default observer(ChannelCreateConfirmView);
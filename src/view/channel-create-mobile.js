@@ -1,18 +1,38 @@
 import React from 'react';
-import { StyleSheet } from 'react-native';
+import { StyleSheet, View } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { InputField, AmountInputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, SmallGlasButton, Button } from '../component/button';
+import {
+  CancelButton,
+  SmallGlasButton,
+  Button,
+  ButtonText,
+} from '../component/button';
 import { BalanceLabel, BalanceLabelUnit } from '../component/label';
 import Card from '../component/card';
 import { FormStretcher, FormSubText } from '../component/form';
+import QRCodeScanner from '../component/qrcode-scanner';
 import { color } from '../component/style';
 
 const styles = StyleSheet.create({
+  btnWrapper: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  btnLeft: {
+    flex: 1,
+    borderRightWidth: 0.5,
+    borderRightColor: color.blackDark,
+  },
+  btnRight: {
+    flex: 1,
+    borderLeftWidth: 0.5,
+    borderLeftColor: color.blackDark,
+  },
   balance: {
     marginTop: 15,
   },
@@ -23,6 +43,18 @@ const styles = StyleSheet.create({
     paddingTop: 10,
     paddingBottom: 10,
   },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  optionSelected: {
+    opacity: 1,
+  },
   subText: {
     paddingTop: 20,
     paddingBottom: 40,
@@ -36,38 +68,125 @@ const ChannelCreateView = ({ store, nav, channel }) => (
       <Title title="Create Channel" />
       <CancelButton onPress={() => nav.goChannels()} />
     </Header>
-    <MainContent>
-      <Card>
-        <BalanceLabel style={styles.balance}>
-          <AmountInputField
-            autoFocus={true}
-            value={store.channel.amount}
-            onChangeText={amount => channel.setAmount({ amount })}
-            onSubmitEditing={() => channel.connectAndOpen()}
-          />
-          <BalanceLabelUnit style={styles.unit}>
-            {store.unitFiatLabel}
-          </BalanceLabelUnit>
-        </BalanceLabel>
-        <FormStretcher style={styles.form}>
-          <InputField
-            placeholder="Pubkey@HostIP"
-            value={store.channel.pubkeyAtHost}
-            onChangeText={pubkeyAtHost =>
-              channel.setPubkeyAtHost({ pubkeyAtHost })
-            }
-            onSubmitEditing={() => channel.connectAndOpen()}
-          />
-        </FormStretcher>
-        <FormSubText style={styles.subText}>
-          Add the amount you want in the channel, then the peer you would like
-          to connect with.
-        </FormSubText>
-      </Card>
-    </MainContent>
-    <SmallGlasButton onPress={() => channel.connectAndOpen()}>
-      Done
-    </SmallGlasButton>
+    {store.channel.useScanner ? (
+      <QRCodeScanner
+        onQRCodeScanned={({ data }) => channel.readQRCode({ data })}
+      />
+    ) : (
+      <MainContent>
+        <Card>
+          <BalanceLabel style={styles.balance}>
+            <AmountInputField
+              autoFocus={true}
+              value={store.channel.amount}
+              onChangeText={amount => channel.setAmount({ amount })}
+              onSubmitEditing={() => channel.initCreateConfirm()}
+            />
+            <BalanceLabelUnit style={styles.unit}>
+              {store.unitFiatLabel}
+            </BalanceLabelUnit>
+          </BalanceLabel>
+          <FormStretcher style={styles.form}>
+            <InputField
+              placeholder="Pubkey@HostIP or Pubkey"
+              value={store.channel.pubkeyAtHost}
+              onChangeText={pubkeyAtHost =>
+                channel.setPubkeyAtHost({ pubkeyAtHost })
+              }
+              onSubmitEditing={() => channel.initCreateConfirm()}
+            />
+            <InputField
+              keyboardType="numeric"
+              placeholder={`Push amount (${store.unitFiatLabel}, optional)`}
+              value={store.channel.pushAmount}
+              onChangeText={amount => channel.setPushAmount({ amount })}
+              onSubmitEditing={() => channel.initCreateConfirm()}
+            />
+            <View style={styles.options}>
+              <Button onPress={() => channel.toggleAdvanced()}>
+                <ButtonText style={styles.optionTxt}>
+                  {store.channel.advanced ? 'HIDE ADVANCED' : 'SHOW ADVANCED'}
+                </ButtonText>
+              </Button>
+            </View>
+            {store.channel.advanced ? (
+              <View>
+                <View style={styles.options}>
+                  <Button onPress={() => channel.togglePrivate()}>
+                    <ButtonText
+                      style={[
+                        styles.optionTxt,
+                        store.channel.private ? styles.optionSelected : null,
+                      ]}
+                    >
+                      PRIVATE CHANNEL
+                    </ButtonText>
+                  </Button>
+                  <Button onPress={() => channel.toggleSpendUnconfirmed()}>
+                    <ButtonText
+                      style={[
+                        styles.optionTxt,
+                        store.channel.spendUnconfirmed
+                          ? styles.optionSelected
+                          : null,
+                      ]}
+                    >
+                      SPEND UNCONFIRMED
+                    </ButtonText>
+                  </Button>
+                </View>
+                <InputField
+                  keyboardType="numeric"
+                  placeholder="Confirmation target (blocks, optional)"
+                  value={store.channel.targetConf}
+                  onChangeText={targetConf =>
+                    channel.setTargetConf({ targetConf })
+                  }
+                />
+                <InputField
+                  keyboardType="numeric"
+                  placeholder="Fee rate (sat/vbyte, optional)"
+                  value={store.channel.openFeeRate}
+                  onChangeText={feeRate => channel.setOpenFeeRate({ feeRate })}
+                />
+                <InputField
+                  keyboardType="numeric"
+                  placeholder="Min HTLC (msat, optional)"
+                  value={store.channel.minHtlc}
+                  onChangeText={minHtlc => channel.setMinHtlc({ minHtlc })}
+                />
+                <InputField
+                  keyboardType="numeric"
+                  placeholder="Peer CSV delay (blocks, optional)"
+                  value={store.channel.csvDelay}
+                  onChangeText={csvDelay => channel.setCsvDelay({ csvDelay })}
+                />
+              </View>
+            ) : null}
+          </FormStretcher>
+          <FormSubText style={styles.subText}>
+            Add the amount you want in the channel, then the peer you would like
+            to connect with or scan its node URI. A push amount is sent to the
+            peer so that you can receive payments right away. You can review all
+            parameters before the channel is opened.
+          </FormSubText>
+        </Card>
+      </MainContent>
+    )}
+    <View style={styles.btnWrapper}>
+      <SmallGlasButton
+        onPress={() => channel.toggleScanner()}
+        style={styles.btnLeft}
+      >
+        Scan
+      </SmallGlasButton>
+      <SmallGlasButton
+        onPress={() => channel.initCreateConfirm()}
+        style={styles.btnRight}
+      >
+        Done
+      </SmallGlasButton>
+    </View>
   </Background>
 );
 
@@ -1,12 +1,17 @@
 import React from 'react';
-import { StyleSheet } from 'react-native';
+import { StyleSheet, View } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { InputField, AmountInputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, PillButton, Button } from '../component/button';
+import {
+  CancelButton,
+  PillButton,
+  Button,
+  ButtonText,
+} from '../component/button';
 import { BalanceLabel, BalanceLabelUnit } from '../component/label';
 import Card from '../component/card';
 import { FormStretcher, FormSubText } from '../component/form';
@@ -19,6 +24,18 @@ const styles = StyleSheet.create({
   unit: {
     color: color.blackText,
   },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  optionSelected: {
+    opacity: 1,
+  },
   subText: {
     paddingTop: 40,
     paddingBottom: 40,
@@ -42,7 +59,7 @@ const ChannelCreateView = ({ store, nav, channel }) => (
             autoFocus={true}
             value={store.channel.amount}
             onChangeText={amount => channel.setAmount({ amount })}
-            onSubmitEditing={() => channel.connectAndOpen()}
+            onSubmitEditing={() => channel.initCreateConfirm()}
           />
           <BalanceLabelUnit style={styles.unit}>
             {store.unitFiatLabel}
@@ -50,20 +67,91 @@ const ChannelCreateView = ({ store, nav, channel }) => (
         </BalanceLabel>
         <FormStretcher>
           <InputField
-            placeholder="Pubkey@HostIP"
+            placeholder="Pubkey@HostIP or Pubkey"
             value={store.channel.pubkeyAtHost}
             onChangeText={pubkeyAtHost =>
               channel.setPubkeyAtHost({ pubkeyAtHost })
             }
-            onSubmitEditing={() => channel.connectAndOpen()}
+            onSubmitEditing={() => channel.initCreateConfirm()}
+          />
+          <InputField
+            keyboardType="numeric"
+            placeholder={`Push amount (${store.unitFiatLabel}, optional)`}
+            value={store.channel.pushAmount}
+            onChangeText={amount => channel.setPushAmount({ amount })}
+            onSubmitEditing={() => channel.initCreateConfirm()}
           />
+          <View style={styles.options}>
+            <Button onPress={() => channel.toggleAdvanced()}>
+              <ButtonText style={styles.optionTxt}>
+                {store.channel.advanced ? 'HIDE ADVANCED' : 'SHOW ADVANCED'}
+              </ButtonText>
+            </Button>
+          </View>
+          {store.channel.advanced ? (
+            <View>
+              <View style={styles.options}>
+                <Button onPress={() => channel.togglePrivate()}>
+                  <ButtonText
+                    style={[
+                      styles.optionTxt,
+                      store.channel.private ? styles.optionSelected : null,
+                    ]}
+                  >
+                    PRIVATE CHANNEL
+                  </ButtonText>
+                </Button>
+                <Button onPress={() => channel.toggleSpendUnconfirmed()}>
+                  <ButtonText
+                    style={[
+                      styles.optionTxt,
+                      store.channel.spendUnconfirmed
+                        ? styles.optionSelected
+                        : null,
+                    ]}
+                  >
+                    SPEND UNCONFIRMED
+                  </ButtonText>
+                </Button>
+              </View>
+              <InputField
+                keyboardType="numeric"
+                placeholder="Confirmation target (blocks, optional)"
+                value={store.channel.targetConf}
+                onChangeText={targetConf =>
+                  channel.setTargetConf({ targetConf })
+                }
+              />
+              <InputField
+                keyboardType="numeric"
+                placeholder="Fee rate (sat/vbyte, optional)"
+                value={store.channel.openFeeRate}
+                onChangeText={feeRate => channel.setOpenFeeRate({ feeRate })}
+              />
+              <InputField
+                keyboardType="numeric"
+                placeholder="Min HTLC (msat, optional)"
+                value={store.channel.minHtlc}
+                onChangeText={minHtlc => channel.setMinHtlc({ minHtlc })}
+              />
+              <InputField
+                keyboardType="numeric"
+                placeholder="Peer CSV delay (blocks, optional)"
+                value={store.channel.csvDelay}
+                onChangeText={csvDelay => channel.setCsvDelay({ csvDelay })}
+              />
+            </View>
+          ) : null}
         </FormStretcher>
         <FormSubText style={styles.subText}>
           Add the amount you want in the channel, then the peer you would like
-          to connect with.
+          to connect with. If you only know the pubkey, its address is looked up
+          in the network graph. A push amount is sent to the peer so that you
+          can receive payments right away. You can review all parameters before
+          the channel is opened.
         </FormSubText>
         <PillButton
-          onPress={() => channel.connectAndOpen()}
+          onPress={() => channel.initCreateConfirm()}
           style={styles.doneBtn}
         >
           Done
@@ -1,4 +1,5 @@
 import React from 'react';
+import { View } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import { createStyles, maxWidth } from '../component/media-query';
@@ -6,7 +7,13 @@ import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { H1Text, CopyText } from '../component/text';
 import { FormStretcher } from '../component/form';
-import { Button, ButtonText, PillButton } from '../component/button';
+import { InputField } from '../component/field';
+import {
+  Button,
+  ButtonText,
+  PillButton,
+  SmallPillButton,
+} from '../component/button';
 import { color, font, breakWidth, smallBreakWidth } from '../component/style';
 
 const baseStyles = {
@@ -24,6 +31,23 @@ const baseStyles = {
     backgroundColor: color.glas,
     width: 400,
   },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  optionBtn: {
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+  feeRateInput: {
+    marginTop: 20,
+    color: color.white,
+    borderBottomColor: color.greyBorder,
+  },
   cancelBtn: {
     marginTop: 5,
     marginBottom: 25,
@@ -53,7 +77,7 @@ const styles = createStyles(
   })
 );
 
-const ChannelDeleteView = ({ nav, channel }) => (
+const ChannelDeleteView = ({ store, nav, channel }) => (
   <Background color={color.blackDark}>
     <MainContent style={styles.content}>
       <FormStretcher>
@@ -62,6 +86,51 @@ const ChannelDeleteView = ({ nav, channel }) => (
           If you close this channel, all sending and receiving of funds will be
           suspended.
         </CopyText>
+        <View style={styles.options}>
+          <SmallPillButton
+            text="Cooperative"
+            disabled={!store.channelCloseCooperative}
+            style={[
+              styles.optionBtn,
+              store.channel.forceClose ? styles.inactive : null,
+            ]}
+            onPress={() => channel.setForceClose({ force: false })}
+          />
+          <SmallPillButton
+            text="Force"
+            style={[
+              styles.optionBtn,
+              store.channel.forceClose ? null : styles.inactive,
+            ]}
+            onPress={() => channel.setForceClose({ force: true })}
+          />
+        </View>
+        {store.channel.forceClose ? (
+          <CopyText style={styles.copyTxt}>
+            {store.channelCloseCooperative
+              ? ''
+              : 'This channel can only be force closed. '}
+            Your funds will be locked for{' '}
+            {store.channelCloseTimelockLabel || 'up to two weeks'} before they
+            return to your wallet. The closing fee was fixed when the channel
+            was last updated and is usually higher than for a cooperative close.
+          </CopyText>
+        ) : (
+          <View>
+            <CopyText style={styles.copyTxt}>
+              Your funds can be spent as soon as the closing transaction
+              confirms. Choose a fee rate or leave it empty to use the estimate
+              for confirmation within a few hours.
+            </CopyText>
+            <InputField
+              style={styles.feeRateInput}
+              keyboardType="numeric"
+              placeholder="Fee rate in sat/vB (optional)"
+              value={store.channel.feeRate}
+              onChangeText={feeRate => channel.setCloseFeeRate({ feeRate })}
+            />
+          </View>
+        )}
       </FormStretcher>
       <PillButton
         style={styles.deleteBtn}
@@ -77,6 +146,7 @@ const ChannelDeleteView = ({ nav, channel }) => (
 );
 
 ChannelDeleteView.propTypes = {
+  store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
   channel: PropTypes.object.isRequired,
 };
@@ -20,6 +20,17 @@ const styles = StyleSheet.create({
     marginTop: 15,
     minHeight: 50,
   },
+  policy: {
+    alignSelf: 'stretch',
+  },
+  policyBtn: {
+    marginTop: 15,
+    minHeight: 50,
+  },
+  policyBtnText: {
+    color: color.blackText,
+    fontSize: font.sizeS,
+  },
   deleteBtnText: {
     color: color.pinkSig,
     fontSize: font.sizeS,
@@ -29,7 +40,7 @@ const styles = StyleSheet.create({
   },
 });
 
-const ChannelDetailView = ({ store, nav }) => (
+const ChannelDetailView = ({ store, nav, channel }) => (
   <Background color={color.blackDark}>
     <MainContent style={styles.content}>
       <Modal
@@ -62,11 +73,60 @@ const ChannelDetailView = ({ store, nav }) => (
         <DetailField name="Balance">
           {store.selectedChannel.localBalanceLabel} {store.unitLabel}
         </DetailField>
+        {store.selectedChannel.status === 'open' ? (
+          <DetailField name="Can Receive">
+            {store.selectedChannel.receivableLabel} {store.unitLabel}
+          </DetailField>
+        ) : null}
+        {store.channelStuck ? (
+          <View style={styles.policy}>
+            <DetailField name="Stuck Channel">
+              The funding transaction has not confirmed since{' '}
+              {store.channelFundingTx.dateLabel}. Speeding up the funding
+              transaction with a higher fee is not supported by this lnd
+              version. Abandon the channel if it can never confirm, which
+              requires a debug build of lnd.
+            </DetailField>
+            <Button
+              style={styles.policyBtn}
+              onPress={() => nav.goChannelAbandon()}
+            >
+              <ButtonText style={styles.deleteBtnText}>
+                ABANDON CHANNEL
+              </ButtonText>
+            </Button>
+          </View>
+        ) : null}
+        {store.selectedChannelPolicy ? (
+          <View style={styles.policy}>
+            <DetailField name="Base Fee">
+              {store.selectedChannelPolicy.baseFeeMsat} msat
+            </DetailField>
+            <DetailField name="Fee Rate">
+              {store.selectedChannelPolicy.feeRatePpm} ppm
+            </DetailField>
+            {store.selectedChannelPolicy.timeLockDelta ? (
+              <DetailField name="Time-Lock Delta">
+                {store.selectedChannelPolicy.timeLockDelta} blocks
+              </DetailField>
+            ) : null}
+            {store.channelPolicyMaxHtlcLabel ? (
+              <DetailField name="Max HTLC">
+                {store.channelPolicyMaxHtlcLabel} {store.unitLabel}
+              </DetailField>
+            ) : null}
+            <Button
+              style={styles.policyBtn}
+              onPress={() => channel.initPolicy()}
+            >
+              <ButtonText style={styles.policyBtnText}>
+                EDIT ROUTING POLICY
+              </ButtonText>
+            </Button>
+          </View>
+        ) : null}
         {!/close|closing/i.test(store.selectedChannel.status) ? (
-          <Button
-            style={styles.deleteBtn}
-            onPress={() => nav.goChannelDelete()}
-          >
+          <Button style={styles.deleteBtn} onPress={() => channel.initDelete()}>
             <ButtonText style={styles.deleteBtnText}>CLOSE CHANNEL</ButtonText>
           </Button>
         ) : (
@@ -80,6 +140,7 @@ const ChannelDetailView = ({ store, nav }) => (
 ChannelDetailView.propTypes = {
   store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
+  channel: PropTypes.object.isRequired,
 };
 
 export default observer(ChannelDetailView);
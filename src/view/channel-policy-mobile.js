@@ -0,0 +1,83 @@
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import { BackButton, SmallGlasButton, Button } from '../component/button';
+import Card from '../component/card';
+import { FormStretcher, FormText, FormSubText } from '../component/form';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    maxWidth: 290,
+  },
+  subText: {
+    paddingTop: 20,
+    paddingBottom: 40,
+  },
+});
+
+const ChannelPolicyView = ({ store, nav, channel }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton
+        onPress={() =>
+          store.policy.global ? nav.goSettings() : nav.goChannelDetail()
+        }
+      />
+      <Title title="Routing Policy" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          {store.policy.global
+            ? 'Set the fees charged for forwarding payments over all channels.'
+            : 'Set the fees charged for forwarding payments over this channel.'}
+        </FormText>
+        <FormStretcher>
+          <InputField
+            keyboardType="numeric"
+            placeholder="Base fee (msat)"
+            value={store.policy.baseFee}
+            onChangeText={baseFee => channel.setPolicyBaseFee({ baseFee })}
+          />
+          <InputField
+            keyboardType="numeric"
+            placeholder="Fee rate (ppm)"
+            value={store.policy.feeRate}
+            onChangeText={feeRate => channel.setPolicyFeeRate({ feeRate })}
+          />
+          <InputField
+            keyboardType="numeric"
+            placeholder="Time-lock delta (blocks)"
+            value={store.policy.timeLockDelta}
+            onChangeText={timeLockDelta =>
+              channel.setPolicyTimeLockDelta({ timeLockDelta })
+            }
+            onSubmitEditing={() => channel.updatePolicy()}
+          />
+        </FormStretcher>
+        <FormSubText style={styles.subText}>
+          The fee for a forwarded payment is the base fee plus the fee rate in
+          parts per million of the amount.
+        </FormSubText>
+      </Card>
+    </MainContent>
+    <SmallGlasButton onPress={() => channel.updatePolicy()}>
+      Save
+    </SmallGlasButton>
+  </Background>
+);
+
+ChannelPolicyView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  channel: PropTypes.object.isRequired,
+};
+
+export default observer(ChannelPolicyView);
@@ -0,0 +1,189 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  BackButton,
+  SmallPillButton,
+} from '../component/button';
+import { ListContent, List, CardItem } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Forwarding View (Mobile)
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 10,
+    paddingBottom: 5,
+  },
+  sum: {
+    alignItems: 'center',
+  },
+  sumTxt: {
+    fontSize: font.sizeXS,
+    opacity: 0.7,
+  },
+  volume: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+  },
+  filters: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    padding: 10,
+  },
+  filterBtn: {
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+  pages: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pageTxt: {
+    color: color.white,
+  },
+});
+
+const VIEWS = [
+  { view: 'events', text: 'Forwards' },
+  { view: 'channels', text: 'Channels' },
+];
+
+const ForwardingView = ({ store, nav, forwarding }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goHome()} />
+      <Title title="Routing" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <View style={styles.summary}>
+      <FeeSum label="24 HOURS" amount={store.forwardingFeesDayLabel} />
+      <FeeSum label="7 DAYS" amount={store.forwardingFeesWeekLabel} />
+      <FeeSum label="30 DAYS" amount={store.forwardingFeesMonthLabel} />
+    </View>
+    <Text style={styles.volume}>
+      Forwarded {store.forwardingVolumeLabel} {store.unitLabel} in 30 days
+    </Text>
+    <View style={styles.filters}>
+      {VIEWS.map(({ view, text }) => (
+        <SmallPillButton
+          key={view}
+          text={text}
+          style={[
+            styles.filterBtn,
+            store.forwardingView === view ? null : styles.inactive,
+          ]}
+          onPress={() => forwarding.setView({ view })}
+        />
+      ))}
+    </View>
+    {store.forwardingView === 'channels' ? (
+      <ListContent>
+        <List
+          data={store.forwardingChannels}
+          renderItem={item => (
+            <ChannelListItem ch={item} unitLabel={store.unitLabel} />
+          )}
+        />
+      </ListContent>
+    ) : (
+      <ListContent>
+        <List
+          data={store.computedForwardingEvents}
+          renderItem={item => (
+            <EventListItem ev={item} unitLabel={store.unitLabel} />
+          )}
+        />
+        <View style={styles.pages}>
+          <Button onPress={() => forwarding.prevPage()}>
+            <ButtonText style={styles.pageTxt}>PREVIOUS</ButtonText>
+          </Button>
+          <Text>{store.forwardingPageLabel}</Text>
+          <Button onPress={() => forwarding.nextPage()}>
+            <ButtonText style={styles.pageTxt}>NEXT</ButtonText>
+          </Button>
+        </View>
+      </ListContent>
+    )}
+  </Background>
+);
+
+ForwardingView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  forwarding: PropTypes.object.isRequired,
+};
+
+const FeeSum = ({ label, amount }) => (
+  <View style={styles.sum}>
+    <H4Text>{amount}</H4Text>
+    <Text style={styles.sumTxt}>{label}</Text>
+  </View>
+);
+
+FeeSum.propTypes = {
+  label: PropTypes.string.isRequired,
+  amount: PropTypes.string.isRequired,
+};
+
+//
+// List Items
+//
+
+const iStyles = StyleSheet.create({
+  txt: {
+    fontSize: font.sizeS,
+  },
+  subTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+});
+
+const EventListItem = ({ ev, unitLabel }) => (
+  <CardItem>
+    <Text>
+      {ev.amountLabel} {unitLabel} · fee {ev.feeLabel}
+    </Text>
+    <Text style={iStyles.subTxt} numberOfLines={1}>
+      {ev.dateTimeLabel} · {ev.chanIdIn} → {ev.chanIdOut}
+    </Text>
+  </CardItem>
+);
+
+EventListItem.propTypes = {
+  ev: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+};
+
+const ChannelListItem = ({ ch, unitLabel }) => (
+  <CardItem>
+    <Text style={iStyles.txt} numberOfLines={1}>
+      {ch.remotePubkey || 'Closed channel'}
+    </Text>
+    <Text style={iStyles.subTxt}>
+      In {ch.amountInLabel} · Out {ch.amountOutLabel} {unitLabel}
+    </Text>
+  </CardItem>
+);
+
+ChannelListItem.propTypes = {
+  ch: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+};
+
+export default observer(ForwardingView);
@@ -0,0 +1,230 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  CancelButton,
+  SmallPillButton,
+} from '../component/button';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Forwarding View
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 15,
+    paddingBottom: 5,
+  },
+  sum: {
+    alignItems: 'center',
+  },
+  sumTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+  volume: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+  },
+  filters: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    padding: 15,
+  },
+  filterBtn: {
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+  pages: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pageTxt: {
+    color: color.white,
+  },
+});
+
+const VIEWS = [
+  { view: 'events', text: 'Forwards' },
+  { view: 'channels', text: 'Channels' },
+];
+
+const ForwardingView = ({ store, nav, forwarding }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <Button disabled onPress={() => {}} />
+      <Title title="Routing" />
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <View style={styles.summary}>
+      <FeeSum label="24 HOURS" amount={store.forwardingFeesDayLabel} />
+      <FeeSum label="7 DAYS" amount={store.forwardingFeesWeekLabel} />
+      <FeeSum label="30 DAYS" amount={store.forwardingFeesMonthLabel} />
+    </View>
+    <Text style={styles.volume}>
+      Forwarded {store.forwardingVolumeLabel} {store.unitLabel} in 30 days
+    </Text>
+    <View style={styles.filters}>
+      {VIEWS.map(({ view, text }) => (
+        <SmallPillButton
+          key={view}
+          text={text}
+          style={[
+            styles.filterBtn,
+            store.forwardingView === view ? null : styles.inactive,
+          ]}
+          onPress={() => forwarding.setView({ view })}
+        />
+      ))}
+    </View>
+    {store.forwardingView === 'channels' ? (
+      <ListContent>
+        <List
+          data={store.forwardingChannels}
+          renderHeader={ChannelListHeader}
+          renderItem={item => <ChannelListItem ch={item} />}
+        />
+      </ListContent>
+    ) : (
+      <ListContent>
+        <List
+          data={store.computedForwardingEvents}
+          renderHeader={EventListHeader}
+          renderItem={item => <EventListItem ev={item} />}
+        />
+        <View style={styles.pages}>
+          <Button onPress={() => forwarding.prevPage()}>
+            <ButtonText style={styles.pageTxt}>PREVIOUS</ButtonText>
+          </Button>
+          <Text>{store.forwardingPageLabel}</Text>
+          <Button onPress={() => forwarding.nextPage()}>
+            <ButtonText style={styles.pageTxt}>NEXT</ButtonText>
+          </Button>
+        </View>
+      </ListContent>
+    )}
+  </Background>
+);
+
+ForwardingView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  forwarding: PropTypes.object.isRequired,
+};
+
+const FeeSum = ({ label, amount }) => (
+  <View style={styles.sum}>
+    <H4Text>{amount}</H4Text>
+    <Text style={styles.sumTxt}>{label}</Text>
+  </View>
+);
+
+FeeSum.propTypes = {
+  label: PropTypes.string.isRequired,
+  amount: PropTypes.string.isRequired,
+};
+
+//
+// Event List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  l: { flex: 8 },
+  m: { flex: 4 },
+});
+
+const EventListItem = ({ ev }) => (
+  <ListItem style={iStyles.item}>
+    <Text style={[iStyles.m, iStyles.txt]}>{ev.dateLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {ev.chanIdIn}
+    </Text>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {ev.chanIdOut}
+    </Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ev.amountLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ev.feeLabel}</Text>
+  </ListItem>
+);
+
+EventListItem.propTypes = {
+  ev: PropTypes.object.isRequired,
+};
+
+//
+// Channel List Item
+//
+
+const ChannelListItem = ({ ch }) => (
+  <ListItem style={iStyles.item}>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {ch.id}
+    </Text>
+    <Text style={[iStyles.l, iStyles.txt]} numberOfLines={1}>
+      {ch.remotePubkey || 'Closed channel'}
+    </Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ch.amountInLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ch.amountOutLabel}</Text>
+  </ListItem>
+);
+
+ChannelListItem.propTypes = {
+  ch: PropTypes.object.isRequired,
+};
+
+//
+// List Headers
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const EventListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>DATE</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>CHANNEL IN</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>CHANNEL OUT</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>AMOUNT</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>FEE</Text>
+  </ListHeader>
+);
+
+const ChannelListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>CHANNEL</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>PEER</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>IN</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>OUT</Text>
+  </ListHeader>
+);
+
+export default observer(ForwardingView);
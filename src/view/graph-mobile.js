@@ -0,0 +1,131 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, BackButton } from '../component/button';
+import { InputField } from '../component/field';
+import { ListContent, List, CardItem } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Network Explorer View (Mobile)
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 10,
+    paddingBottom: 5,
+  },
+  stat: {
+    alignItems: 'center',
+  },
+  statTxt: {
+    fontSize: font.sizeXS,
+    opacity: 0.7,
+  },
+  search: {
+    marginTop: 5,
+    marginLeft: 15,
+    marginRight: 15,
+    marginBottom: 10,
+    color: color.white,
+    borderBottomColor: color.greyListLabel,
+  },
+  syncing: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+});
+
+const GraphView = ({ store, nav, graph }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goSettings()} />
+      <Title title="Network" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <View style={styles.summary}>
+      <Stat label="NODES" value={store.graphNumNodesLabel} />
+      <Stat label="CHANNELS" value={store.graphNumChannelsLabel} />
+      <Stat
+        label={`CAPACITY (${store.unitLabel})`}
+        value={store.graphCapacityLabel}
+      />
+    </View>
+    <InputField
+      style={styles.search}
+      placeholder="Search by alias or public key"
+      autoCapitalize="none"
+      autoCorrect={false}
+      value={store.graphSearch}
+      onChangeText={query => graph.setSearch({ query })}
+    />
+    {!store.graphSynced ? (
+      <Text style={styles.syncing}>Loading the network graph…</Text>
+    ) : null}
+    <ListContent>
+      <List
+        data={store.computedGraphNodes}
+        renderItem={item => (
+          <NodeListItem
+            node={item}
+            unitLabel={store.unitLabel}
+            onSelect={() => graph.selectNode({ pubkey: item.pubkey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+GraphView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  graph: PropTypes.object.isRequired,
+};
+
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <H4Text>{value}</H4Text>
+    <Text style={styles.statTxt}>{label}</Text>
+  </View>
+);
+
+Stat.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+};
+
+//
+// Node List Item
+//
+
+const iStyles = StyleSheet.create({
+  subTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+});
+
+const NodeListItem = ({ node, unitLabel, onSelect }) => (
+  <CardItem onSelect={onSelect}>
+    <Text numberOfLines={1}>{node.nameLabel}</Text>
+    <Text style={iStyles.subTxt}>
+      {node.channelsLabel} · {node.capacityLabel} {unitLabel}
+    </Text>
+  </CardItem>
+);
+
+NodeListItem.propTypes = {
+  node: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default observer(GraphView);
@@ -0,0 +1,105 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, BackButton, SmallGlasButton } from '../component/button';
+import { ListContent, List, CardItem } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Network Node View (Mobile)
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    alignItems: 'center',
+    paddingTop: 10,
+    paddingLeft: 20,
+    paddingRight: 20,
+  },
+  pubkey: {
+    fontSize: font.sizeXS,
+    opacity: 0.7,
+    marginTop: 5,
+  },
+  stats: {
+    fontSize: font.sizeS,
+    marginTop: 5,
+  },
+  btn: {
+    marginTop: 10,
+    marginBottom: 10,
+  },
+});
+
+const GraphNodeView = ({ store, nav, graph }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goGraph()} />
+      <Title title="Node" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <View style={styles.summary}>
+      <H4Text>{store.graphNodeNameLabel}</H4Text>
+      <Text style={styles.pubkey} numberOfLines={1}>
+        {store.selectedGraphNode.pubkey}
+      </Text>
+      <Text style={styles.stats}>
+        {store.graphNodeChannelsLabel} · {store.graphNodeCapacityLabel}{' '}
+        {store.unitLabel}
+      </Text>
+      <SmallGlasButton style={styles.btn} onPress={() => graph.openChannel()}>
+        Open Channel
+      </SmallGlasButton>
+    </View>
+    <ListContent>
+      <List
+        data={store.graphNodeChannels}
+        renderItem={item => (
+          <ChannelListItem
+            ch={item}
+            unitLabel={store.unitLabel}
+            onSelect={() => graph.selectNode({ pubkey: item.peerPubkey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+GraphNodeView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  graph: PropTypes.object.isRequired,
+};
+
+//
+// Channel List Item
+//
+
+const iStyles = StyleSheet.create({
+  subTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+});
+
+const ChannelListItem = ({ ch, unitLabel, onSelect }) => (
+  <CardItem onSelect={onSelect}>
+    <Text numberOfLines={1}>{ch.peerLabel}</Text>
+    <Text style={iStyles.subTxt}>
+      {ch.capacityLabel} {unitLabel} · {ch.policyLabel}
+    </Text>
+  </CardItem>
+);
+
+ChannelListItem.propTypes = {
+  ch: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default observer(GraphNodeView);
@@ -0,0 +1,137 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, BackButton, SmallGlasButton } from '../component/button';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Network Node View
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    alignItems: 'center',
+    paddingTop: 15,
+    paddingLeft: 50,
+    paddingRight: 50,
+  },
+  pubkey: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+    marginTop: 5,
+  },
+  stats: {
+    fontSize: font.sizeS,
+    marginTop: 5,
+  },
+  btn: {
+    marginTop: 15,
+    marginBottom: 15,
+  },
+});
+
+const GraphNodeView = ({ store, nav, graph }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <BackButton onPress={() => nav.goGraph()} />
+      <Title title="Node" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <View style={styles.summary}>
+      <H4Text>{store.graphNodeNameLabel}</H4Text>
+      <Text style={styles.pubkey} numberOfLines={1}>
+        {store.selectedGraphNode.pubkey}
+      </Text>
+      <Text style={styles.stats}>
+        {store.graphNodeChannelsLabel} · {store.graphNodeCapacityLabel}{' '}
+        {store.unitLabel}
+      </Text>
+      <SmallGlasButton style={styles.btn} onPress={() => graph.openChannel()}>
+        Open Channel
+      </SmallGlasButton>
+    </View>
+    <ListContent>
+      <List
+        data={store.graphNodeChannels}
+        renderHeader={ChannelListHeader}
+        renderItem={item => (
+          <ChannelListItem
+            ch={item}
+            onSelect={() => graph.selectNode({ pubkey: item.peerPubkey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+GraphNodeView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  graph: PropTypes.object.isRequired,
+};
+
+//
+// Channel List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  l: { flex: 8 },
+  m: { flex: 4 },
+});
+
+const ChannelListItem = ({ ch, onSelect }) => (
+  <ListItem style={iStyles.item} onSelect={onSelect}>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {ch.id}
+    </Text>
+    <Text style={[iStyles.l, iStyles.txt]} numberOfLines={1}>
+      {ch.peerLabel}
+    </Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ch.capacityLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{ch.policyLabel}</Text>
+  </ListItem>
+);
+
+ChannelListItem.propTypes = {
+  ch: PropTypes.object.isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+//
+// Channel List Header
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const ChannelListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>CHANNEL</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>PEER</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>CAPACITY</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>FEES</Text>
+  </ListHeader>
+);
+
+export default observer(GraphNodeView);
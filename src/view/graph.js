@@ -0,0 +1,167 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, BackButton } from '../component/button';
+import { InputField } from '../component/field';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import Text, { H4Text } from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Network Explorer View
+//
+
+const styles = StyleSheet.create({
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 15,
+    paddingBottom: 5,
+  },
+  stat: {
+    alignItems: 'center',
+  },
+  statTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+  search: {
+    alignSelf: 'center',
+    width: 450,
+    marginTop: 10,
+    marginBottom: 10,
+    color: color.white,
+    borderBottomColor: color.greyListLabel,
+  },
+  syncing: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+});
+
+const GraphView = ({ store, nav, graph }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <BackButton onPress={() => nav.goSettings()} />
+      <Title title="Network" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <View style={styles.summary}>
+      <Stat label="NODES" value={store.graphNumNodesLabel} />
+      <Stat label="CHANNELS" value={store.graphNumChannelsLabel} />
+      <Stat
+        label={`CAPACITY (${store.unitLabel})`}
+        value={store.graphCapacityLabel}
+      />
+      <Stat
+        label={`AVG CHANNEL (${store.unitLabel})`}
+        value={store.graphAvgChannelLabel}
+      />
+    </View>
+    <InputField
+      style={styles.search}
+      placeholder="Search by alias or public key"
+      autoCapitalize="none"
+      autoCorrect={false}
+      value={store.graphSearch}
+      onChangeText={query => graph.setSearch({ query })}
+    />
+    {!store.graphSynced ? (
+      <Text style={styles.syncing}>Loading the network graph…</Text>
+    ) : null}
+    <ListContent>
+      <List
+        data={store.computedGraphNodes}
+        renderHeader={NodeListHeader}
+        renderItem={item => (
+          <NodeListItem
+            node={item}
+            onSelect={() => graph.selectNode({ pubkey: item.pubkey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+GraphView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  graph: PropTypes.object.isRequired,
+};
+
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <H4Text>{value}</H4Text>
+    <Text style={styles.statTxt}>{label}</Text>
+  </View>
+);
+
+Stat.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+};
+
+//
+// Node List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  l: { flex: 8 },
+  m: { flex: 4 },
+});
+
+const NodeListItem = ({ node, onSelect }) => (
+  <ListItem style={iStyles.item} onSelect={onSelect}>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {node.nameLabel}
+    </Text>
+    <Text style={[iStyles.l, iStyles.txt]} numberOfLines={1}>
+      {node.pubkey}
+    </Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{node.channelsLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{node.capacityLabel}</Text>
+  </ListItem>
+);
+
+NodeListItem.propTypes = {
+  node: PropTypes.object.isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+//
+// Node List Header
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const NodeListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>ALIAS</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>PUBLIC KEY</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>CHANNELS</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>CAPACITY</Text>
+  </ListHeader>
+);
+
+export default observer(GraphView);
@@ -35,6 +35,7 @@ const HomeView = ({
   payment,
   invoice,
   transaction,
+  forwarding,
   nav,
 }) => {
   const {
@@ -59,6 +60,13 @@ const HomeView = ({
           toggleDisplayFiat={() => wallet.toggleDisplayFiat()}
           goChannels={() => channel.init()}
         />
+        {store.forwardingActive ? (
+          <RoutingSummary
+            feesLabel={store.forwardingFeesMonthLabel}
+            unitLabel={unitLabel}
+            goForwarding={() => forwarding.init()}
+          />
+        ) : null}
         <SendReceiveButton
           goPay={() => payment.init()}
           goRequest={() => invoice.init()}
@@ -78,6 +86,7 @@ HomeView.propTypes = {
   payment: PropTypes.object.isRequired,
   invoice: PropTypes.object.isRequired,
   transaction: PropTypes.object.isRequired,
+  forwarding: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
 };
 
@@ -130,6 +139,35 @@ BalanceDisplay.propTypes = {
   goChannels: PropTypes.func.isRequired,
 };
 
+//
+// Routing Summary
+//
+
+const routingStyles = StyleSheet.create({
+  card: {
+    alignSelf: 'center',
+    backgroundColor: color.glas,
+    borderRadius: 7,
+    paddingLeft: 20,
+    paddingRight: 20,
+    marginBottom: 20,
+  },
+});
+
+const RoutingSummary = ({ feesLabel, unitLabel, goForwarding }) => (
+  <Button onPress={goForwarding} style={routingStyles.card}>
+    <H4Text>
+      Earned {feesLabel} {unitLabel || ''} routing in 30 days
+    </H4Text>
+  </Button>
+);
+
+RoutingSummary.propTypes = {
+  feesLabel: PropTypes.string.isRequired,
+  unitLabel: PropTypes.string,
+  goForwarding: PropTypes.func.isRequired,
+};
+
 //
 // Send Receive Button
 //
@@ -0,0 +1,112 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import { SplitBackground } from '../component/background';
+import MainContent from '../component/main-content';
+import { Header, Title } from '../component/header';
+import { Button, BackButton, PillButton } from '../component/button';
+import Card from '../component/card';
+import LightningBoltIcon from '../asset/icon/lightning-bolt';
+import { DetailField } from '../component/field';
+import { CopiedNotification } from '../component/notification';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  header: {
+    height: 75,
+    zIndex: 1,
+  },
+  backBtn: {
+    marginBottom: 9,
+  },
+  titleWrapper: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  icon: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: color.purple,
+  },
+  btn: {
+    marginTop: 20,
+  },
+});
+
+const InvoiceDetailView = ({ store, nav, invoice }) => {
+  const { invoiceDetail: inv } = store;
+  return (
+    <SplitBackground image="purple-gradient-bg" bottom={color.whiteBg}>
+      <Header style={styles.header}>
+        <BackButton style={styles.backBtn} onPress={() => nav.goInvoices()} />
+        <View style={styles.titleWrapper}>
+          <Title title="Invoice Detail" />
+          <View style={styles.icon}>
+            <LightningBoltIcon height={126 * 0.23} width={64 * 0.23} />
+          </View>
+        </View>
+        <Button disabled onPress={() => {}} />
+      </Header>
+      <MainContent>
+        <Card>
+          <DetailField name="Invoice ID">{inv.id}</DetailField>
+          <DetailField name="Date">{inv.dateTimeLabel}</DetailField>
+          {inv.memo ? <DetailField name="Note">{inv.memo}</DetailField> : null}
+          <DetailField name="Amount">
+            {inv.amountLabel} {store.unitLabel}
+          </DetailField>
+          <DetailField name="Status">{inv.statusLabel}</DetailField>
+          {inv.expiresLabel ? (
+            <DetailField name="Expires">{inv.expiresLabel}</DetailField>
+          ) : null}
+          {inv.settleDateLabel ? (
+            <DetailField name="Paid On">{inv.settleDateLabel}</DetailField>
+          ) : null}
+          {inv.settleDateLabel ? (
+            <DetailField name="Amount Paid">
+              {inv.amountPaidLabel} {store.unitLabel}
+            </DetailField>
+          ) : null}
+          {inv.canShare ? (
+            <PillButton style={styles.btn} onPress={() => invoice.showQR()}>
+              Show QR
+            </PillButton>
+          ) : null}
+          {inv.canShare ? (
+            <PillButton
+              style={styles.btn}
+              onPress={() => invoice.toClipboard({ text: inv.payReq })}
+            >
+              Copy
+            </PillButton>
+          ) : null}
+          {inv.canCancel ? (
+            <PillButton
+              style={styles.btn}
+              onPress={() => invoice.cancelSelected()}
+            >
+              Cancel Invoice
+            </PillButton>
+          ) : null}
+        </Card>
+        <CopiedNotification
+          display={store.displayCopied}
+          color={color.notifyDark}
+        />
+      </MainContent>
+    </SplitBackground>
+  );
+};
+
+InvoiceDetailView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  invoice: PropTypes.object.isRequired,
+};
+
+export default observer(InvoiceDetailView);
@@ -0,0 +1,85 @@
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { DetailField } from '../component/field';
+import { PillButton } from '../component/button';
+import { CopiedNotification } from '../component/notification';
+import Modal from '../component/modal';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  content: {
+    justifyContent: 'center',
+  },
+  btn: {
+    alignSelf: 'center',
+    marginTop: 20,
+    width: 200,
+  },
+});
+
+const InvoiceDetailView = ({ store, nav, invoice }) => {
+  const { invoiceDetail: inv } = store;
+  return (
+    <Background color={color.blackDark}>
+      <MainContent style={styles.content}>
+        <Modal title="Invoice Details" onClose={() => nav.goInvoices()}>
+          <DetailField name="Invoice ID">{inv.id}</DetailField>
+          <DetailField name="Date">{inv.dateTimeLabel}</DetailField>
+          {inv.memo ? <DetailField name="Note">{inv.memo}</DetailField> : null}
+          <DetailField name="Amount">
+            {inv.amountLabel} {store.unitLabel}
+          </DetailField>
+          <DetailField name="Status">{inv.statusLabel}</DetailField>
+          {inv.expiresLabel ? (
+            <DetailField name="Expires">{inv.expiresLabel}</DetailField>
+          ) : null}
+          {inv.settleDateLabel ? (
+            <DetailField name="Paid On">{inv.settleDateLabel}</DetailField>
+          ) : null}
+          {inv.settleDateLabel ? (
+            <DetailField name="Amount Paid">
+              {inv.amountPaidLabel} {store.unitLabel}
+            </DetailField>
+          ) : null}
+          {inv.canShare ? (
+            <PillButton style={styles.btn} onPress={() => invoice.showQR()}>
+              Show QR
+            </PillButton>
+          ) : null}
+          {inv.canShare ? (
+            <PillButton
+              style={styles.btn}
+              onPress={() => invoice.toClipboard({ text: inv.payReq })}
+            >
+              Copy
+            </PillButton>
+          ) : null}
+          {inv.canCancel ? (
+            <PillButton
+              style={styles.btn}
+              onPress={() => invoice.cancelSelected()}
+            >
+              Cancel Invoice
+            </PillButton>
+          ) : null}
+        </Modal>
+      </MainContent>
+      <CopiedNotification
+        display={store.displayCopied}
+        color={color.notifyLight}
+      />
+    </Background>
+  );
+};
+
+InvoiceDetailView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  invoice: PropTypes.object.isRequired,
+};
+
+export default observer(InvoiceDetailView);
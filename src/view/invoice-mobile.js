@@ -1,12 +1,17 @@
 import React from 'react';
-import { StyleSheet } from 'react-native';
+import { View, StyleSheet } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { InputField, AmountInputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, SmallGlasButton, Button } from '../component/button';
+import {
+  CancelButton,
+  SmallGlasButton,
+  Button,
+  ButtonText,
+} from '../component/button';
 import { BalanceLabel, BalanceLabelUnit } from '../component/label';
 import Card from '../component/card';
 import LightningBoltIcon from '../asset/icon/lightning-bolt';
@@ -28,9 +33,36 @@ const styles = StyleSheet.create({
     paddingTop: 40,
     paddingBottom: 40,
   },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  optionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  optionSelected: {
+    opacity: 1,
+  },
+  inbound: {
+    alignItems: 'center',
+    paddingTop: 20,
+    paddingBottom: 20,
+  },
+  inboundText: {
+    paddingTop: 5,
+    paddingBottom: 5,
+  },
+  listBtn: {
+    marginTop: 10,
+  },
+  listBtnText: {
+    color: color.purple,
+  },
 });
 
-const InvoiceView = ({ store, nav, invoice }) => (
+const InvoiceView = ({ store, nav, invoice, channel }) => (
   <Background color={color.purple}>
     <Header color={color.purple}>
       <Button disabled onPress={() => {}} />
@@ -60,11 +92,108 @@ const InvoiceView = ({ store, nav, invoice }) => (
             onChangeText={note => invoice.setNote({ note })}
             onSubmitEditing={() => invoice.generateUri()}
           />
+          <View style={styles.options}>
+            {store.invoiceExpiryItems.map(item => (
+              <Button
+                key={item.value}
+                onPress={() => invoice.setExpiry({ expiry: item.value })}
+              >
+                <ButtonText
+                  style={[
+                    styles.optionTxt,
+                    item.selected ? styles.optionSelected : null,
+                  ]}
+                >
+                  {item.label.toUpperCase()}
+                </ButtonText>
+              </Button>
+            ))}
+          </View>
+          <InputField
+            keyboardType="numeric"
+            placeholder="Custom expiry (hours)"
+            value={store.invoice.customExpiry}
+            onChangeText={hours => invoice.setCustomExpiry({ hours })}
+          />
+          <View style={styles.options}>
+            <Button onPress={() => invoice.toggleFallback()}>
+              <ButtonText
+                style={[
+                  styles.optionTxt,
+                  store.invoice.fallback ? styles.optionSelected : null,
+                ]}
+              >
+                ON-CHAIN FALLBACK
+              </ButtonText>
+            </Button>
+            <Button onPress={() => invoice.togglePrivate()}>
+              <ButtonText
+                style={[
+                  styles.optionTxt,
+                  store.invoice.private ? styles.optionSelected : null,
+                ]}
+              >
+                PRIVATE ROUTE HINTS
+              </ButtonText>
+            </Button>
+          </View>
         </FormStretcher>
-        <FormSubText style={styles.subText}>
-          Generate a payment request that others can use to pay you immediately
-          via the Lightning Network.
-        </FormSubText>
+        {store.invoiceInbound.isShort ? (
+          <View style={styles.inbound}>
+            <FormSubText style={styles.inboundText}>
+              A single channel can receive at most{' '}
+              {store.receiveCapacityMaxLabel} {store.unitLabel} and all channels
+              together {store.receiveCapacityTotalLabel} {store.unitLabel} right
+              now. To receive the missing {store.invoiceInbound.shortfallLabel}{' '}
+              {store.unitLabel} you can:
+            </FormSubText>
+            <Button
+              onPress={() =>
+                channel.initCreate({
+                  pushSat: store.invoiceInbound.shortfallSatoshis,
+                })
+              }
+            >
+              <ButtonText style={styles.listBtnText}>
+                OPEN CHANNEL WITH PUSH AMOUNT
+              </ButtonText>
+            </Button>
+            {!store.invoice.fallback ? (
+              <Button onPress={() => invoice.toggleFallback()}>
+                <ButtonText style={styles.listBtnText}>
+                  ADD ON-CHAIN FALLBACK
+                </ButtonText>
+              </Button>
+            ) : null}
+            {store.invoiceInbound.canSpend ? (
+              <FormSubText style={styles.inboundText}>
+                Or spend at least {store.invoiceInbound.shortfallLabel}{' '}
+                {store.unitLabel} from your channels first.
+              </FormSubText>
+            ) : null}
+            {store.invoiceInbound.isMultiPath ? (
+              <FormSubText style={styles.inboundText}>
+                Your channels could only receive this amount together as a
+                multi-path payment, which this lnd version does not accept.
+              </FormSubText>
+            ) : null}
+            {store.invoiceInbound.isPending ? (
+              <FormSubText style={styles.inboundText}>
+                Pending channels add {store.receiveCapacityPendingLabel}{' '}
+                {store.unitLabel} once they are confirmed.
+              </FormSubText>
+            ) : null}
+          </View>
+        ) : (
+          <FormSubText style={styles.subText}>
+            Generate a payment request that others can use to pay you
+            immediately via the Lightning Network. Leave the amount empty to let
+            the payer choose how much to send.
+          </FormSubText>
+        )}
+        <Button onPress={() => invoice.initInvoices()} style={styles.listBtn}>
+          <ButtonText style={styles.listBtnText}>VIEW INVOICES</ButtonText>
+        </Button>
       </Card>
     </MainContent>
     <SmallGlasButton onPress={() => invoice.generateUri()}>
@@ -77,6 +206,7 @@ InvoiceView.propTypes = {
   store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
   invoice: PropTypes.object.isRequired,
+  channel: PropTypes.object.isRequired,
 };
 
 export default observer(InvoiceView);
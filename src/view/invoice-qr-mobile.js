@@ -74,7 +74,11 @@ const styles = createStyles(
 const InvoiceQRView = ({ store, nav, invoice }) => (
   <Background color={color.purple}>
     <Header color={color.purple}>
-      <BackButton onPress={() => nav.goInvoice()} />
+      <BackButton
+        onPress={() =>
+          store.selectedInvoice ? nav.goInvoiceDetail() : nav.goInvoice()
+        }
+      />
       <Title title="Payment Request">
         <LightningBoltIcon height={12} width={6.1} />
       </Title>
@@ -84,13 +88,18 @@ const InvoiceQRView = ({ store, nav, invoice }) => (
       <Card>
         <BalanceLabel>
           <BalanceLabelNumeral style={styles.numeral}>
-            {store.invoiceAmountLabel}
+            {store.invoiceAnyAmount ? 'Any amount' : store.invoiceAmountLabel}
           </BalanceLabelNumeral>
           <BalanceLabelUnit style={styles.unit}>
-            {store.unitLabel}
+            {store.invoiceAnyAmount ? '' : store.unitLabel}
           </BalanceLabelUnit>
         </BalanceLabel>
         <NamedField name="Note">{store.invoice.note}</NamedField>
+        {store.invoice.fallbackAddr ? (
+          <NamedField name="Fallback Address">
+            {store.invoice.fallbackAddr}
+          </NamedField>
+        ) : null}
         <QRCode size={styles.qrcode.height} style={styles.qrWrapper}>
           {store.invoice.uri}
         </QRCode>
@@ -55,7 +55,11 @@ const styles = StyleSheet.create({
 const InvoiceQRView = ({ store, nav, invoice }) => (
   <Background image="purple-gradient-bg">
     <Header shadow color={color.purple}>
-      <BackButton onPress={() => nav.goInvoice()} />
+      <BackButton
+        onPress={() =>
+          store.selectedInvoice ? nav.goInvoiceDetail() : nav.goInvoice()
+        }
+      />
       <Title title="Payment Request">
         <LightningBoltIcon height={12} width={6.1} />
       </Title>
@@ -65,13 +69,18 @@ const InvoiceQRView = ({ store, nav, invoice }) => (
       <Card style={styles.card}>
         <BalanceLabel style={styles.balance}>
           <BalanceLabelNumeral style={styles.numeral}>
-            {store.invoiceAmountLabel}
+            {store.invoiceAnyAmount ? 'Any amount' : store.invoiceAmountLabel}
           </BalanceLabelNumeral>
           <BalanceLabelUnit style={styles.unit}>
-            {store.unitLabel}
+            {store.invoiceAnyAmount ? '' : store.unitLabel}
           </BalanceLabelUnit>
         </BalanceLabel>
         <NamedField name="Note">{store.invoice.note}</NamedField>
+        {store.invoice.fallbackAddr ? (
+          <NamedField name="Fallback Address">
+            {store.invoice.fallbackAddr}
+          </NamedField>
+        ) : null}
         <QRCode style={styles.qrcode}>{store.invoice.uri}</QRCode>
         <CopyButton
           onPress={() => invoice.toClipboard({ text: store.invoice.encoded })}
@@ -0,0 +1,144 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, CancelButton, SmallPillButton } from '../component/button';
+import { ListContent, List, CardItem } from '../component/list';
+import Text from '../component/text';
+import LightningBoltIcon from '../../src/asset/icon/lightning-bolt';
+import { color, font } from '../component/style';
+
+//
+// Invoices View (Mobile)
+//
+
+const styles = StyleSheet.create({
+  filters: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingTop: 10,
+    paddingBottom: 10,
+  },
+  filterBtn: {
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+});
+
+const FILTERS = [
+  { filter: 'open', text: 'Open' },
+  { filter: 'paid', text: 'Paid' },
+  { filter: 'expired', text: 'Expired' },
+];
+
+const InvoicesView = ({ store, nav, invoice }) => {
+  const { computedInvoices: invoices, unitLabel } = store;
+  return (
+    <Background color={color.blackDark}>
+      <Header>
+        <Button disabled onPress={() => {}} />
+        <Title title="Invoices" />
+        <CancelButton onPress={() => nav.goHome()} />
+      </Header>
+      <View style={styles.filters}>
+        {FILTERS.map(({ filter, text }) => (
+          <SmallPillButton
+            key={filter}
+            text={text}
+            style={[
+              styles.filterBtn,
+              store.invoiceFilter === filter ? null : styles.inactive,
+            ]}
+            onPress={() => invoice.setFilter({ filter })}
+          />
+        ))}
+      </View>
+      <ListContent>
+        <List
+          data={invoices}
+          renderItem={item => (
+            <InvoiceListItem
+              inv={item}
+              unitLabel={unitLabel}
+              onSelect={() => invoice.select({ item })}
+            />
+          )}
+        />
+      </ListContent>
+    </Background>
+  );
+};
+
+InvoicesView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  invoice: PropTypes.object.isRequired,
+};
+
+//
+// Invoice List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 18,
+    paddingBottom: 18,
+    marginBottom: 8,
+  },
+  icon: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    height: 34,
+    width: 34,
+    borderRadius: 17,
+    marginRight: 10,
+    backgroundColor: color.purple,
+  },
+  status: {
+    flex: 1,
+  },
+  right: {
+    alignItems: 'flex-end',
+  },
+  txt: {
+    fontSize: font.sizeS,
+  },
+  subTxt: {
+    opacity: 0.7,
+  },
+});
+
+const InvoiceListItem = ({ inv, unitLabel, onSelect }) => (
+  <CardItem style={iStyles.item} onSelect={onSelect}>
+    <View style={iStyles.icon}>
+      <LightningBoltIcon height={126 * 0.19} width={64 * 0.19} />
+    </View>
+    <View style={iStyles.status}>
+      <Text style={iStyles.txt} numberOfLines={1}>
+        {inv.memo || inv.dateLabel}
+      </Text>
+      <Text style={[iStyles.txt, iStyles.subTxt]}>{inv.statusLabel}</Text>
+    </View>
+    <View style={iStyles.right}>
+      <Text>
+        {inv.amountLabel} {unitLabel}
+      </Text>
+      <Text style={[iStyles.txt, iStyles.subTxt]}>{inv.dateLabel}</Text>
+    </View>
+  </CardItem>
+);
+
+InvoiceListItem.propTypes = {
+  inv: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default observer(InvoicesView);
@@ -0,0 +1,158 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { Button, CancelButton, SmallPillButton } from '../component/button';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import { Alert } from '../component/notification';
+import Text from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Invoices View
+//
+
+const styles = StyleSheet.create({
+  filters: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    padding: 15,
+  },
+  filterBtn: {
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+});
+
+const FILTERS = [
+  { filter: 'open', text: 'Open' },
+  { filter: 'paid', text: 'Paid' },
+  { filter: 'expired', text: 'Expired' },
+];
+
+const InvoicesView = ({ store, nav, invoice }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <Button disabled onPress={() => {}} />
+      <Title title="Invoices" />
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <View style={styles.filters}>
+      {FILTERS.map(({ filter, text }) => (
+        <SmallPillButton
+          key={filter}
+          text={text}
+          style={[
+            styles.filterBtn,
+            store.invoiceFilter === filter ? null : styles.inactive,
+          ]}
+          onPress={() => invoice.setFilter({ filter })}
+        />
+      ))}
+    </View>
+    <ListContent>
+      <List
+        data={store.computedInvoices}
+        renderHeader={InvoiceListHeader}
+        renderItem={item => (
+          <InvoiceListItem
+            inv={item}
+            onSelect={() => invoice.select({ item })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+InvoicesView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  invoice: PropTypes.object.isRequired,
+};
+
+//
+// Invoice List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  wrap: {
+    paddingRight: 50,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  alert: {
+    marginRight: 6,
+  },
+  group: {
+    flexDirection: 'row',
+    justifyContent: 'flex-start',
+    alignItems: 'center',
+  },
+  l: { flex: 8 },
+  m: { flex: 4 },
+});
+
+const statusType = inv => {
+  if (inv.status === 'complete') {
+    return 'success';
+  }
+  return inv.status === 'in-progress' ? 'info' : 'error';
+};
+
+const InvoiceListItem = ({ inv, onSelect }) => (
+  <ListItem style={iStyles.item} onSelect={onSelect}>
+    <View style={[iStyles.m, iStyles.group]}>
+      <Alert type={statusType(inv)} style={iStyles.alert} />
+      <Text style={iStyles.txt}>{inv.statusLabel}</Text>
+    </View>
+    <Text style={[iStyles.m, iStyles.txt]}>{inv.dateLabel}</Text>
+    <View style={iStyles.l}>
+      <Text style={[iStyles.txt, iStyles.wrap]} numberOfLines={1}>
+        {inv.memo || inv.id}
+      </Text>
+    </View>
+    <Text style={[iStyles.m, iStyles.txt]}>{inv.amountLabel}</Text>
+  </ListItem>
+);
+
+InvoiceListItem.propTypes = {
+  inv: PropTypes.object.isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+//
+// Invoice List Header
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const InvoiceListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>STATUS</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>DATE</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>NOTE / INVOICE ID</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>AMOUNT</Text>
+  </ListHeader>
+);
+
+export default observer(InvoicesView);
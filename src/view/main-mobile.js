@@ -39,14 +39,29 @@ import PaymentFailedView from './payment-failed-mobile';
 import PayBitcoinView from './pay-bitcoin-mobile';
 import PayBitcoinConfirmView from './pay-bitcoin-confirm-mobile';
 import PayBitcoinDoneView from './pay-bitcoin-done-mobile';
+import PayBatchView from './pay-batch-mobile';
+import PayBatchConfirmView from './pay-batch-confirm-mobile';
+import UtxoView from './utxo-mobile';
+import ForwardingView from './forwarding-mobile';
+import GraphView from './graph-mobile';
+import GraphNodeView from './graph-node-mobile';
+import PeersView from './peers-mobile';
+import PeerConnectView from './peer-connect-mobile';
+import BundleExportView from './bundle-export';
+import BundleImportView from './bundle-import';
 import InvoiceView from './invoice-mobile';
 import InvoiceQRView from './invoice-qr-mobile';
+import InvoicesView from './invoices-mobile';
+import InvoiceDetailView from './invoice-detail-mobile';
 import DepositView from './deposit-mobile';
 import NotificationView from './notification-mobile';
 import ChannelView from './channel-mobile';
 import ChannelDetailView from './channel-detail-mobile';
 import ChannelDeleteView from './channel-delete';
+import ChannelAbandonView from './channel-abandon';
+import ChannelPolicyView from './channel-policy-mobile';
 import ChannelCreateView from './channel-create-mobile';
+import ChannelCreateConfirmView from './channel-create-confirm-mobile';
 import TransactionView from './transaction-mobile';
 import TransactionDetailView from './transaction-detail-mobile';
 
@@ -63,6 +78,11 @@ import {
   auth,
   autopilot,
   file,
+  utxo,
+  forwarding,
+  graph,
+  peer,
+  bundle,
 } from '../action/index-mobile';
 
 import store from '../store';
@@ -127,12 +147,22 @@ const Home = () => (
     payment={payment}
     invoice={invoice}
     transaction={transaction}
+    forwarding={forwarding}
     nav={nav}
   />
 );
 
 const Settings = () => (
-  <SettingView store={store} nav={nav} auth={auth} autopilot={autopilot} />
+  <SettingView
+    store={store}
+    nav={nav}
+    auth={auth}
+    autopilot={autopilot}
+    channel={channel}
+    graph={graph}
+    peer={peer}
+    bundle={bundle}
+  />
 );
 
 const SettingsUnit = () => (
@@ -143,8 +173,30 @@ const SettingsFiat = () => (
   <SettingFiatView store={store} nav={nav} setting={setting} />
 );
 
+const SettingsChannelPolicy = () => (
+  <ChannelPolicyView store={store} channel={channel} nav={nav} />
+);
+
 const CLI = () => <CLIView store={store} nav={nav} file={file} />;
 
+const Graph = () => <GraphView store={store} graph={graph} nav={nav} />;
+
+const GraphNode = () => <GraphNodeView store={store} graph={graph} nav={nav} />;
+
+const Peers = () => <PeersView store={store} peer={peer} nav={nav} />;
+
+const PeerConnect = () => (
+  <PeerConnectView store={store} peer={peer} nav={nav} />
+);
+
+const BundleExport = () => (
+  <BundleExportView store={store} bundle={bundle} nav={nav} />
+);
+
+const BundleImport = () => (
+  <BundleImportView store={store} bundle={bundle} nav={nav} />
+);
+
 const Notifications = () => <NotificationView store={store} nav={nav} />;
 
 const Deposit = () => <DepositView store={store} invoice={invoice} nav={nav} />;
@@ -153,22 +205,44 @@ const Channels = () => (
   <ChannelView store={store} channel={channel} nav={nav} />
 );
 
-const ChannelDetail = () => <ChannelDetailView store={store} nav={nav} />;
+const ChannelDetail = () => (
+  <ChannelDetailView store={store} channel={channel} nav={nav} />
+);
+
+const ChannelPolicy = () => (
+  <ChannelPolicyView store={store} channel={channel} nav={nav} />
+);
 
 const ChannelDelete = () => (
   <ChannelDeleteView store={store} channel={channel} nav={nav} />
 );
 
+const ChannelAbandon = () => <ChannelAbandonView channel={channel} nav={nav} />;
+
 const ChannelCreate = () => (
   <ChannelCreateView store={store} channel={channel} nav={nav} />
 );
 
-const Invoice = () => <InvoiceView store={store} invoice={invoice} nav={nav} />;
+const ChannelCreateConfirm = () => (
+  <ChannelCreateConfirmView store={store} channel={channel} nav={nav} />
+);
+
+const Invoice = () => (
+  <InvoiceView store={store} invoice={invoice} channel={channel} nav={nav} />
+);
 
 const InvoiceQR = () => (
   <InvoiceQRView store={store} invoice={invoice} nav={nav} />
 );
 
+const Invoices = () => (
+  <InvoicesView store={store} invoice={invoice} nav={nav} />
+);
+
+const InvoiceDetail = () => (
+  <InvoiceDetailView store={store} invoice={invoice} nav={nav} />
+);
+
 const Pay = () => <PaymentView store={store} payment={payment} nav={nav} />;
 
 const PayLightningConfirm = () => (
@@ -179,10 +253,12 @@ const PayLightningDone = () => (
   <PayLightningDoneView payment={payment} nav={nav} />
 );
 
-const PaymentFailed = () => <PaymentFailedView channel={channel} nav={nav} />;
+const PaymentFailed = () => (
+  <PaymentFailedView store={store} channel={channel} nav={nav} />
+);
 
 const PayBitcoin = () => (
-  <PayBitcoinView store={store} payment={payment} nav={nav} />
+  <PayBitcoinView store={store} payment={payment} utxo={utxo} nav={nav} />
 );
 
 const PayBitcoinConfirm = () => (
@@ -191,12 +267,26 @@ const PayBitcoinConfirm = () => (
 
 const PayBitcoinDone = () => <PayBitcoinDoneView payment={payment} nav={nav} />;
 
+const PayBatch = () => (
+  <PayBatchView store={store} payment={payment} nav={nav} />
+);
+
+const PayBatchConfirm = () => (
+  <PayBatchConfirmView store={store} payment={payment} nav={nav} />
+);
+
+const Utxos = () => <UtxoView store={store} utxo={utxo} nav={nav} />;
+
+const Forwarding = () => (
+  <ForwardingView store={store} forwarding={forwarding} nav={nav} />
+);
+
 const Transactions = () => (
   <TransactionView store={store} transaction={transaction} nav={nav} />
 );
 
 const TransactionDetail = () => (
-  <TransactionDetailView store={store} nav={nav} />
+  <TransactionDetailView store={store} nav={nav} payment={payment} />
 );
 
 const stackOptions = {
@@ -221,6 +311,7 @@ const MainStack = createStackNavigator(
     Password,
     LoaderSyncing,
     Home,
+    Forwarding,
   },
   stackOptions
 );
@@ -229,6 +320,8 @@ const InvoiceStack = createStackNavigator(
   {
     Invoice,
     InvoiceQR,
+    Invoices,
+    InvoiceDetail,
   },
   stackOptions
 );
@@ -243,6 +336,9 @@ const PayStack = createStackNavigator(
     PayBitcoin,
     PayBitcoinConfirm,
     PayBitcoinDone,
+    PayBatch,
+    PayBatchConfirm,
+    Utxos,
   },
   stackOptions
 );
@@ -260,7 +356,10 @@ const ChannelStack = createStackNavigator(
     Channels,
     ChannelDetail,
     ChannelDelete,
+    ChannelAbandon,
+    ChannelPolicy,
     ChannelCreate,
+    ChannelCreateConfirm,
   },
   stackOptions
 );
@@ -270,11 +369,18 @@ const SettingStack = createStackNavigator(
     Settings,
     SettingsUnit,
     SettingsFiat,
+    SettingsChannelPolicy,
     ResetPasswordCurrent,
     ResetPasswordNew,
     ResetPasswordConfirm,
     ResetPasswordSaved,
     CLI,
+    Graph,
+    GraphNode,
+    Peers,
+    PeerConnect,
+    BundleExport,
+    BundleImport,
     Notifications,
   },
   stackOptions
@@ -27,13 +27,28 @@ import PaymentFailed from './payment-failed';
 import PayBitcoin from './pay-bitcoin';
 import PayBitcoinConfirm from './pay-bitcoin-confirm';
 import PayBitcoinDone from './pay-bitcoin-done';
+import PayBatch from './pay-batch';
+import PayBatchConfirm from './pay-batch-confirm';
+import Utxo from './utxo';
+import Forwarding from './forwarding';
+import Graph from './graph';
+import GraphNode from './graph-node';
+import Peers from './peers';
+import PeerConnect from './peer-connect';
+import BundleExport from './bundle-export';
+import BundleImport from './bundle-import';
 import Invoice from './invoice';
 import InvoiceQR from './invoice-qr';
+import Invoices from './invoices';
+import InvoiceDetail from './invoice-detail';
 import Deposit from './deposit';
 import Channel from './channel';
 import ChannelDetail from './channel-detail';
 import ChannelDelete from './channel-delete';
+import ChannelAbandon from './channel-abandon';
+import ChannelPolicy from './channel-policy';
 import ChannelCreate from './channel-create';
+import ChannelCreateConfirm from './channel-create-confirm';
 import Transaction from './transaction';
 import Setting from './setting';
 import SettingUnit from './setting-unit';
@@ -51,6 +66,12 @@ import {
   setting,
   info,
   autopilot,
+  utxo,
+  forwarding,
+  graph,
+  peer,
+  backup,
+  bundle,
 } from '../action';
 import store from '../store';
 
@@ -80,7 +101,7 @@ class MainView extends Component {
           <SetPasswordConfirm store={store} wallet={wallet} />
         )}
         {route === 'RestoreSeed' && (
-          <RestoreSeed store={store} wallet={wallet} />
+          <RestoreSeed store={store} wallet={wallet} backup={backup} />
         )}
         {route === 'Password' && <Password store={store} wallet={wallet} />}
         {route === 'ResetPasswordCurrent' && (
@@ -108,6 +129,7 @@ class MainView extends Component {
             payment={payment}
             invoice={invoice}
             transaction={transaction}
+            forwarding={forwarding}
             nav={nav}
           />
         )}
@@ -117,6 +139,11 @@ class MainView extends Component {
             nav={nav}
             wallet={wallet}
             autopilot={autopilot}
+            channel={channel}
+            graph={graph}
+            peer={peer}
+            backup={backup}
+            bundle={bundle}
           />
         )}
         {route === 'SettingsUnit' && (
@@ -125,8 +152,25 @@ class MainView extends Component {
         {route === 'SettingsFiat' && (
           <SettingFiat store={store} nav={nav} setting={setting} />
         )}
+        {route === 'SettingsChannelPolicy' && (
+          <ChannelPolicy store={store} channel={channel} nav={nav} />
+        )}
         {route === 'Notifications' && <Notification store={store} nav={nav} />}
         {route === 'CLI' && <CLI store={store} nav={nav} />}
+        {route === 'Graph' && <Graph store={store} graph={graph} nav={nav} />}
+        {route === 'GraphNode' && (
+          <GraphNode store={store} graph={graph} nav={nav} />
+        )}
+        {route === 'Peers' && <Peers store={store} peer={peer} nav={nav} />}
+        {route === 'PeerConnect' && (
+          <PeerConnect store={store} peer={peer} nav={nav} />
+        )}
+        {route === 'BundleExport' && (
+          <BundleExport store={store} bundle={bundle} nav={nav} />
+        )}
+        {route === 'BundleImport' && (
+          <BundleImport store={store} bundle={bundle} nav={nav} />
+        )}
         {route === 'Pay' && (
           <Payment store={store} payment={payment} nav={nav} />
         )}
@@ -137,10 +181,10 @@ class MainView extends Component {
           <PayLightningDone payment={payment} nav={nav} />
         )}
         {route === 'PaymentFailed' && (
-          <PaymentFailed channel={channel} nav={nav} />
+          <PaymentFailed store={store} channel={channel} nav={nav} />
         )}
         {route === 'PayBitcoin' && (
-          <PayBitcoin store={store} payment={payment} nav={nav} />
+          <PayBitcoin store={store} payment={payment} utxo={utxo} nav={nav} />
         )}
         {route === 'PayBitcoinConfirm' && (
           <PayBitcoinConfirm store={store} payment={payment} nav={nav} />
@@ -148,30 +192,62 @@ class MainView extends Component {
         {route === 'PayBitcoinDone' && (
           <PayBitcoinDone payment={payment} nav={nav} />
         )}
+        {route === 'PayBatch' && (
+          <PayBatch store={store} payment={payment} nav={nav} />
+        )}
+        {route === 'PayBatchConfirm' && (
+          <PayBatchConfirm store={store} payment={payment} nav={nav} />
+        )}
+        {route === 'Utxos' && <Utxo store={store} utxo={utxo} nav={nav} />}
+        {route === 'Forwarding' && (
+          <Forwarding store={store} forwarding={forwarding} nav={nav} />
+        )}
         {route === 'Invoice' && (
-          <Invoice store={store} invoice={invoice} nav={nav} />
+          <Invoice
+            store={store}
+            invoice={invoice}
+            channel={channel}
+            nav={nav}
+          />
         )}
         {route === 'InvoiceQR' && (
           <InvoiceQR store={store} invoice={invoice} nav={nav} />
         )}
+        {route === 'Invoices' && (
+          <Invoices store={store} invoice={invoice} nav={nav} />
+        )}
+        {route === 'InvoiceDetail' && (
+          <InvoiceDetail store={store} invoice={invoice} nav={nav} />
+        )}
         {route === 'Deposit' && (
           <Deposit store={store} invoice={invoice} nav={nav} />
         )}
         {route === 'Channels' && (
           <Channel store={store} channel={channel} nav={nav} />
         )}
-        {route === 'ChannelDetail' && <ChannelDetail store={store} nav={nav} />}
+        {route === 'ChannelDetail' && (
+          <ChannelDetail store={store} channel={channel} nav={nav} />
+        )}
+        {route === 'ChannelPolicy' && (
+          <ChannelPolicy store={store} channel={channel} nav={nav} />
+        )}
         {route === 'ChannelDelete' && (
           <ChannelDelete store={store} channel={channel} nav={nav} />
         )}
+        {route === 'ChannelAbandon' && (
+          <ChannelAbandon channel={channel} nav={nav} />
+        )}
         {route === 'ChannelCreate' && (
           <ChannelCreate store={store} channel={channel} nav={nav} />
         )}
+        {route === 'ChannelCreateConfirm' && (
+          <ChannelCreateConfirm store={store} channel={channel} nav={nav} />
+        )}
         {route === 'Transactions' && (
           <Transaction store={store} transaction={transaction} nav={nav} />
         )}
         {route === 'TransactionDetail' && (
-          <TransactionDetail store={store} nav={nav} />
+          <TransactionDetail store={store} nav={nav} payment={payment} />
         )}
       </Container>
     );
@@ -0,0 +1,131 @@
+import React from 'react';
+import { ScrollView, View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { NamedField, InputField } from '../component/field';
+import { NamedFieldSelect } from '../component/field-mobile';
+import { Header, Title } from '../component/header';
+import { CancelButton, BackButton, SmallGlasButton } from '../component/button';
+import Card from '../component/card';
+import BitcoinIcon from '../asset/icon/bitcoin';
+import { FormStretcher, FormText } from '../component/form';
+import {
+  BalanceLabel,
+  BalanceLabelNumeral,
+  BalanceLabelUnit,
+} from '../component/label';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    maxWidth: 290,
+  },
+  balance: {
+    marginBottom: 10,
+  },
+  numeral: {
+    color: color.blackText,
+  },
+  unit: {
+    color: color.blackText,
+  },
+  list: {
+    alignSelf: 'stretch',
+    maxHeight: 150,
+  },
+  totalLbl: {
+    marginTop: 5,
+  },
+  customRow: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  customInput: {
+    flex: 1,
+    marginLeft: 5,
+    marginRight: 5,
+  },
+});
+
+const PayBatchConfirmView = ({ store, nav, payment }) => (
+  <Background color={color.orange}>
+    <Header color={color.orange}>
+      <BackButton onPress={() => nav.goPayBatch()} />
+      <Title title="Batch Payment">
+        <BitcoinIcon height={13.6} width={10.8} />
+      </Title>
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          You are about to pay {store.batchRecipients.length} recipients in a
+          single on-chain transaction.
+        </FormText>
+        <FormStretcher>
+          <BalanceLabel style={styles.balance}>
+            <BalanceLabelNumeral style={styles.numeral}>
+              {store.batchAmountLabel}
+            </BalanceLabelNumeral>
+            <BalanceLabelUnit style={styles.unit}>
+              {store.unitLabel}
+            </BalanceLabelUnit>
+          </BalanceLabel>
+          <ScrollView style={styles.list}>
+            {store.batchRecipients.map(r => (
+              <NamedField key={r.key} name={r.address}>
+                {r.amountLabel} {store.unitLabel}
+              </NamedField>
+            ))}
+          </ScrollView>
+          <NamedFieldSelect
+            name="Fee"
+            items={store.paymentFeeEstimateItems}
+            value={store.payment.targetConf}
+            onValueChange={targetConf => payment.setTargetConf({ targetConf })}
+          />
+          <View style={styles.customRow}>
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Target (blocks)"
+              value={store.payment.customTargetConf}
+              onChangeText={targetConf =>
+                payment.setCustomTargetConf({ targetConf })
+              }
+              onSubmitEditing={() => payment.estimateCustomFee({ batch: true })}
+            />
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Fee rate (sat/vB)"
+              value={store.payment.feeRate}
+              onChangeText={feeRate => payment.setFeeRate({ feeRate })}
+            />
+          </View>
+          {store.payment.feeRate ? (
+            <NamedField name="Fee">
+              {store.paymentFeeLabel} {store.unitLabel}
+            </NamedField>
+          ) : null}
+          <NamedField name="Total" style={styles.totalLbl}>
+            {store.batchTotalLabel} {store.unitLabel}
+          </NamedField>
+        </FormStretcher>
+      </Card>
+    </MainContent>
+    <SmallGlasButton onPress={() => payment.payBatch()}>
+      Confirm
+    </SmallGlasButton>
+  </Background>
+);
+
+PayBatchConfirmView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
+};
+
+export default observer(PayBatchConfirmView);
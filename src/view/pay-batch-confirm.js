@@ -0,0 +1,170 @@
+import React from 'react';
+import { ScrollView, View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { NamedField, InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  CancelButton,
+  BackButton,
+  PillButton,
+} from '../component/button';
+import Card from '../component/card';
+import BitcoinIcon from '../asset/icon/bitcoin';
+import { FormStretcher, FormText } from '../component/form';
+import {
+  BalanceLabel,
+  BalanceLabelNumeral,
+  BalanceLabelUnit,
+} from '../component/label';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    paddingLeft: 60,
+    paddingRight: 60,
+  },
+  balance: {
+    marginBottom: 10,
+  },
+  numeral: {
+    color: color.blackText,
+  },
+  unit: {
+    color: color.blackText,
+  },
+  list: {
+    alignSelf: 'stretch',
+    maxHeight: 150,
+  },
+  totalLbl: {
+    marginTop: 5,
+  },
+  feeOptions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  feeOptionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  feeOptionSelected: {
+    opacity: 1,
+  },
+  customRow: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  customInput: {
+    flex: 1,
+    marginLeft: 5,
+    marginRight: 5,
+  },
+  confirmBtn: {
+    marginTop: 20,
+    backgroundColor: color.orange,
+  },
+});
+
+const PayBatchConfirmView = ({ store, nav, payment }) => (
+  <Background image="orange-gradient-bg">
+    <Header shadow color={color.orange}>
+      <BackButton onPress={() => nav.goPayBatch()} />
+      <Title title="Batch Confirmation">
+        <BitcoinIcon height={13.6} width={10.8} />
+      </Title>
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          You are about to pay {store.batchRecipients.length} recipients in a
+          single on-chain transaction.
+        </FormText>
+        <FormStretcher>
+          <BalanceLabel style={styles.balance}>
+            <BalanceLabelNumeral style={styles.numeral}>
+              {store.batchAmountLabel}
+            </BalanceLabelNumeral>
+            <BalanceLabelUnit style={styles.unit}>
+              {store.unitLabel}
+            </BalanceLabelUnit>
+          </BalanceLabel>
+          <ScrollView style={styles.list}>
+            {store.batchRecipients.map(r => (
+              <NamedField key={r.key} name={r.address}>
+                {r.amountLabel} {store.unitLabel}
+              </NamedField>
+            ))}
+          </ScrollView>
+          <NamedField name="Fee">
+            {store.paymentFeeLabel} {store.unitLabel}
+            {store.payment.feeRate ? ` (${store.payment.feeRate} sat/vB)` : ''}
+          </NamedField>
+          <View style={styles.feeOptions}>
+            {store.paymentFeeEstimateItems.map(item => (
+              <Button
+                key={item.value}
+                onPress={() =>
+                  payment.setTargetConf({ targetConf: item.value })
+                }
+              >
+                <ButtonText
+                  style={[
+                    styles.feeOptionTxt,
+                    !store.payment.feeRate &&
+                    item.value === store.payment.targetConf
+                      ? styles.feeOptionSelected
+                      : null,
+                  ]}
+                >
+                  {item.label.toUpperCase()}
+                </ButtonText>
+              </Button>
+            ))}
+          </View>
+          <View style={styles.customRow}>
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Custom target (blocks)"
+              value={store.payment.customTargetConf}
+              onChangeText={targetConf =>
+                payment.setCustomTargetConf({ targetConf })
+              }
+              onSubmitEditing={() => payment.estimateCustomFee({ batch: true })}
+            />
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Custom fee rate (sat/vB)"
+              value={store.payment.feeRate}
+              onChangeText={feeRate => payment.setFeeRate({ feeRate })}
+            />
+          </View>
+          <NamedField name="Total" style={styles.totalLbl}>
+            {store.batchTotalLabel} {store.unitLabel}
+          </NamedField>
+        </FormStretcher>
+        <PillButton
+          style={styles.confirmBtn}
+          onPress={() => payment.payBatch()}
+        >
+          Confirm
+        </PillButton>
+      </Card>
+    </MainContent>
+  </Background>
+);
+
+PayBatchConfirmView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
+};
+
+export default observer(PayBatchConfirmView);
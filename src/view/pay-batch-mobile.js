@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  CancelButton,
+  BackButton,
+  SmallGlasButton,
+  SmallPillButton,
+} from '../component/button';
+import Card from '../component/card';
+import BitcoinIcon from '../asset/icon/bitcoin';
+import { FormStretcher, FormText } from '../component/form';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    maxWidth: 290,
+  },
+  list: {
+    alignSelf: 'stretch',
+  },
+  row: {
+    marginBottom: 15,
+  },
+  amountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  amount: {
+    flex: 1,
+    marginRight: 10,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  btnTxt: {
+    color: color.blackText,
+  },
+});
+
+const PayBatchView = ({ store, nav, payment }) => (
+  <Background color={color.orange}>
+    <Header color={color.orange}>
+      <BackButton onPress={() => nav.goPay()} />
+      <Title title="Batch Payment">
+        <BitcoinIcon height={13.6} width={10.8} />
+      </Title>
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          Pay several Bitcoin addresses in a single on-chain transaction. Paste
+          CSV rows of address,amount to import them.
+        </FormText>
+        <FormStretcher>
+          <ScrollView style={styles.list}>
+            {store.payment.recipients.map((r, index) => (
+              <View key={String(index)} style={styles.row}>
+                <InputField
+                  placeholder="Bitcoin Address"
+                  value={r.address}
+                  onChangeText={address =>
+                    payment.setRecipientAddress({ index, address })
+                  }
+                />
+                <View style={styles.amountRow}>
+                  <InputField
+                    style={styles.amount}
+                    keyboardType="numeric"
+                    placeholder={`Amount (${store.unitFiatLabel})`}
+                    value={r.amount}
+                    onChangeText={amount =>
+                      payment.setRecipientAmount({ index, amount })
+                    }
+                  />
+                  <SmallPillButton
+                    text="Remove"
+                    disabled={store.payment.recipients.length === 1}
+                    onPress={() => payment.removeRecipient({ index })}
+                  />
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+          <View style={styles.actions}>
+            <Button onPress={() => payment.addRecipient()}>
+              <ButtonText style={styles.btnTxt}>ADD RECIPIENT</ButtonText>
+            </Button>
+            <Button onPress={() => payment.pasteCsv()}>
+              <ButtonText style={styles.btnTxt}>PASTE CSV</ButtonText>
+            </Button>
+          </View>
+        </FormStretcher>
+      </Card>
+    </MainContent>
+    <SmallGlasButton onPress={() => payment.initPayBatchConfirm()}>
+      Next
+    </SmallGlasButton>
+  </Background>
+);
+
+PayBatchView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
+};
+
+export default observer(PayBatchView);
@@ -0,0 +1,130 @@
+import React from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  CancelButton,
+  BackButton,
+  PillButton,
+  SmallPillButton,
+} from '../component/button';
+import Card from '../component/card';
+import BitcoinIcon from '../asset/icon/bitcoin';
+import { FormStretcher, FormText } from '../component/form';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  description: {
+    paddingLeft: 20,
+    paddingRight: 20,
+  },
+  list: {
+    alignSelf: 'stretch',
+    maxHeight: 200,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  address: {
+    flex: 3,
+    marginRight: 10,
+  },
+  amount: {
+    flex: 1,
+    marginRight: 10,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  btnTxt: {
+    color: color.blackText,
+  },
+  nextBtn: {
+    marginTop: 20,
+    backgroundColor: color.orange,
+  },
+});
+
+const PayBatchView = ({ store, nav, payment }) => (
+  <Background image="orange-gradient-bg">
+    <Header shadow color={color.orange}>
+      <BackButton onPress={() => nav.goPay()} />
+      <Title title="Batch Payment">
+        <BitcoinIcon height={13.6} width={10.8} />
+      </Title>
+      <CancelButton onPress={() => nav.goHome()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormText style={styles.description}>
+          Pay several Bitcoin addresses in a single on-chain transaction. Enter
+          the recipients or import a CSV file with address,amount rows.
+        </FormText>
+        <FormStretcher>
+          <ScrollView style={styles.list}>
+            {store.payment.recipients.map((r, index) => (
+              <View key={String(index)} style={styles.row}>
+                <InputField
+                  style={styles.address}
+                  placeholder="Bitcoin Address"
+                  value={r.address}
+                  onChangeText={address =>
+                    payment.setRecipientAddress({ index, address })
+                  }
+                />
+                <InputField
+                  style={styles.amount}
+                  keyboardType="numeric"
+                  placeholder={`Amount (${store.unitFiatLabel})`}
+                  value={r.amount}
+                  onChangeText={amount =>
+                    payment.setRecipientAmount({ index, amount })
+                  }
+                />
+                <SmallPillButton
+                  text="Remove"
+                  disabled={store.payment.recipients.length === 1}
+                  onPress={() => payment.removeRecipient({ index })}
+                />
+              </View>
+            ))}
+          </ScrollView>
+          <View style={styles.actions}>
+            <Button onPress={() => payment.addRecipient()}>
+              <ButtonText style={styles.btnTxt}>ADD RECIPIENT</ButtonText>
+            </Button>
+            <Button onPress={() => payment.openCsvFile()}>
+              <ButtonText style={styles.btnTxt}>IMPORT CSV</ButtonText>
+            </Button>
+            <Button onPress={() => payment.pasteCsv()}>
+              <ButtonText style={styles.btnTxt}>PASTE CSV</ButtonText>
+            </Button>
+          </View>
+        </FormStretcher>
+        <PillButton
+          style={styles.nextBtn}
+          onPress={() => payment.initPayBatchConfirm()}
+        >
+          Next
+        </PillButton>
+      </Card>
+    </MainContent>
+  </Background>
+);
+
+PayBatchView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
+};
+
+export default observer(PayBatchView);
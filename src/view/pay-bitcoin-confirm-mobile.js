@@ -1,10 +1,10 @@
 import React from 'react';
-import { StyleSheet } from 'react-native';
+import { View, StyleSheet } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
-import { NamedField } from '../component/field';
+import { NamedField, InputField } from '../component/field';
 import { NamedFieldSelect } from '../component/field-mobile';
 import { Header, Title } from '../component/header';
 import { CancelButton, BackButton, SmallGlasButton } from '../component/button';
@@ -38,6 +38,15 @@ const styles = StyleSheet.create({
   totalLbl: {
     marginTop: 5,
   },
+  customRow: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  customInput: {
+    flex: 1,
+    marginLeft: 5,
+    marginRight: 5,
+  },
   confirmBtn: {
     marginTop: 20,
     backgroundColor: color.orange,
@@ -73,6 +82,30 @@ const PayBitcoinConfirmView = ({ store, nav, payment }) => (
             value={store.payment.targetConf}
             onValueChange={targetConf => payment.setTargetConf({ targetConf })}
           />
+          <View style={styles.customRow}>
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Target (blocks)"
+              value={store.payment.customTargetConf}
+              onChangeText={targetConf =>
+                payment.setCustomTargetConf({ targetConf })
+              }
+              onSubmitEditing={() => payment.estimateCustomFee()}
+            />
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Fee rate (sat/vB)"
+              value={store.payment.feeRate}
+              onChangeText={feeRate => payment.setFeeRate({ feeRate })}
+            />
+          </View>
+          {store.payment.feeRate ? (
+            <NamedField name="Fee">
+              {store.paymentFeeLabel} {store.unitLabel}
+            </NamedField>
+          ) : null}
           <NamedField name="Total" style={styles.totalLbl}>
             {store.paymentTotalLabel} {store.unitLabel}
           </NamedField>
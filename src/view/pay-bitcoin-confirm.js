@@ -1,12 +1,18 @@
 import React from 'react';
-import { StyleSheet } from 'react-native';
+import { View, StyleSheet } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
-import { NamedField } from '../component/field';
+import { NamedField, InputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, BackButton, PillButton } from '../component/button';
+import {
+  Button,
+  ButtonText,
+  CancelButton,
+  BackButton,
+  PillButton,
+} from '../component/button';
 import Card from '../component/card';
 import BitcoinIcon from '../asset/icon/bitcoin';
 import { FormStretcher, FormText } from '../component/form';
@@ -38,6 +44,26 @@ const styles = StyleSheet.create({
   totalLbl: {
     marginTop: 5,
   },
+  feeOptions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  feeOptionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  feeOptionSelected: {
+    opacity: 1,
+  },
+  customRow: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  customInput: {
+    flex: 1,
+    marginLeft: 5,
+    marginRight: 5,
+  },
   confirmBtn: {
     marginTop: 20,
     backgroundColor: color.orange,
@@ -69,7 +95,49 @@ const PayBitcoinConfirmView = ({ store, nav, payment }) => (
           </BalanceLabel>
           <NamedField name="Fee">
             {store.paymentFeeLabel} {store.unitLabel}
+            {store.payment.feeRate ? ` (${store.payment.feeRate} sat/vB)` : ''}
           </NamedField>
+          <View style={styles.feeOptions}>
+            {store.paymentFeeEstimateItems.map(item => (
+              <Button
+                key={item.value}
+                onPress={() =>
+                  payment.setTargetConf({ targetConf: item.value })
+                }
+              >
+                <ButtonText
+                  style={[
+                    styles.feeOptionTxt,
+                    !store.payment.feeRate &&
+                    item.value === store.payment.targetConf
+                      ? styles.feeOptionSelected
+                      : null,
+                  ]}
+                >
+                  {item.label.toUpperCase()}
+                </ButtonText>
+              </Button>
+            ))}
+          </View>
+          <View style={styles.customRow}>
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Custom target (blocks)"
+              value={store.payment.customTargetConf}
+              onChangeText={targetConf =>
+                payment.setCustomTargetConf({ targetConf })
+              }
+              onSubmitEditing={() => payment.estimateCustomFee()}
+            />
+            <InputField
+              style={styles.customInput}
+              keyboardType="numeric"
+              placeholder="Custom fee rate (sat/vB)"
+              value={store.payment.feeRate}
+              onChangeText={feeRate => payment.setFeeRate({ feeRate })}
+            />
+          </View>
           <NamedField name="Total" style={styles.totalLbl}>
             {store.paymentTotalLabel} {store.unitLabel}
           </NamedField>
@@ -7,6 +7,8 @@ import MainContent from '../component/main-content';
 import { InputField, AmountInputField } from '../component/field';
 import { Header, Title } from '../component/header';
 import {
+  Button,
+  ButtonText,
   MaxButton,
   CancelButton,
   BackButton,
@@ -29,13 +31,19 @@ const styles = StyleSheet.create({
     marginTop: 10,
     marginBottom: 20,
   },
+  coinBtn: {
+    marginTop: 10,
+  },
+  coinBtnTxt: {
+    color: color.blackText,
+  },
   nextBtn: {
     marginTop: 20,
     backgroundColor: color.orange,
   },
 });
 
-const PayBitcoinView = ({ store, nav, payment }) => (
+const PayBitcoinView = ({ store, nav, payment, utxo }) => (
   <Background color={color.orange}>
     <Header color={color.orange}>
       <BackButton onPress={() => nav.goPay()} />
@@ -73,6 +81,9 @@ const PayBitcoinView = ({ store, nav, payment }) => (
             onChangeText={address => payment.setAddress({ address })}
             onSubmitEditing={() => payment.initPayBitcoinConfirm()}
           />
+          <Button style={styles.coinBtn} onPress={() => utxo.init()}>
+            <ButtonText style={styles.coinBtnTxt}>COINS</ButtonText>
+          </Button>
         </FormStretcher>
       </Card>
     </MainContent>
@@ -86,6 +97,7 @@ PayBitcoinView.propTypes = {
   store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
   payment: PropTypes.object.isRequired,
+  utxo: PropTypes.object.isRequired,
 };
 
 export default observer(PayBitcoinView);
@@ -4,7 +4,7 @@ import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
-import { NamedField } from '../component/field';
+import { NamedField, AmountInputField } from '../component/field';
 import { Header, Title } from '../component/header';
 import { CancelButton, BackButton, SmallGlasButton } from '../component/button';
 import Card from '../component/card';
@@ -34,6 +34,9 @@ const styles = StyleSheet.create({
     marginTop: 5,
     borderBottomWidth: 0,
   },
+  attempt: {
+    marginTop: 5,
+  },
   confirmBtn: {
     marginTop: 20,
   },
@@ -51,14 +54,28 @@ const PayLightningConfirmView = ({ store, nav, payment }) => (
     <MainContent>
       <Card>
         <FormStretcher>
-          <BalanceLabel style={styles.balance}>
-            <BalanceLabelNumeral style={styles.numeral}>
-              {store.paymentAmountLabel}
-            </BalanceLabelNumeral>
-            <BalanceLabelUnit style={styles.unit}>
-              {store.unitLabel}
-            </BalanceLabelUnit>
-          </BalanceLabel>
+          {store.payment.anyAmount ? (
+            <BalanceLabel style={styles.balance}>
+              <AmountInputField
+                autoFocus={true}
+                value={store.payment.amount}
+                onChangeText={amount => payment.setAmount({ amount })}
+                onSubmitEditing={() => payment.estimateInvoiceFee()}
+              />
+              <BalanceLabelUnit style={styles.unit}>
+                {store.unitFiatLabel}
+              </BalanceLabelUnit>
+            </BalanceLabel>
+          ) : (
+            <BalanceLabel style={styles.balance}>
+              <BalanceLabelNumeral style={styles.numeral}>
+                {store.paymentAmountLabel}
+              </BalanceLabelNumeral>
+              <BalanceLabelUnit style={styles.unit}>
+                {store.unitLabel}
+              </BalanceLabelUnit>
+            </BalanceLabel>
+          )}
           <NamedField name="Fee">
             {store.paymentFeeLabel} {store.unitLabel}
           </NamedField>
@@ -70,6 +87,16 @@ const PayLightningConfirmView = ({ store, nav, payment }) => (
               {store.payment.note}
             </NamedField>
           ) : null}
+          {store.paymentAttempts.map(attempt => (
+            <NamedField
+              key={attempt.key}
+              name={attempt.name}
+              style={styles.attempt}
+            >
+              {attempt.statusLabel}
+              {attempt.reason ? `: ${attempt.reason}` : ''}
+            </NamedField>
+          ))}
         </FormStretcher>
       </Card>
     </MainContent>
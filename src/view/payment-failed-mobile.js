@@ -22,6 +22,10 @@ const baseStyles = {
   copyTxt: {
     textAlign: 'center',
   },
+  attemptTxt: {
+    textAlign: 'center',
+    marginTop: 5,
+  },
   retryBtn: {
     marginTop: 5,
     marginBottom: 10,
@@ -38,7 +42,7 @@ const styles = createStyles(
   })
 );
 
-const PaymentFailedView = ({ channel, nav }) => (
+const PaymentFailedView = ({ store, channel, nav }) => (
   <Background color={color.blackDark}>
     <MainContent style={styles.content}>
       <LightningErrorIcon height={115 * 0.8} width={60 * 0.8} />
@@ -46,6 +50,12 @@ const PaymentFailedView = ({ channel, nav }) => (
       <CopyText style={styles.copyTxt}>
         {"You'll need to manually create a channel."}
       </CopyText>
+      {store.paymentAttempts.map(attempt => (
+        <CopyText key={attempt.key} style={styles.attemptTxt}>
+          {`${attempt.name}: ${attempt.statusLabel}`}
+          {attempt.reason ? ` (${attempt.reason})` : ''}
+        </CopyText>
+      ))}
     </MainContent>
     <SmallGlasButton onPress={() => channel.initCreate()}>
       Create channel
@@ -57,6 +67,7 @@ const PaymentFailedView = ({ channel, nav }) => (
 );
 
 PaymentFailedView.propTypes = {
+  store: PropTypes.object.isRequired,
   channel: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
 };
@@ -17,6 +17,9 @@ const styles = StyleSheet.create({
   copyTxt: {
     marginTop: 10,
   },
+  attemptTxt: {
+    marginTop: 5,
+  },
   createBtn: {
     alignSelf: 'center',
     backgroundColor: color.glas,
@@ -28,7 +31,7 @@ const styles = StyleSheet.create({
   },
 });
 
-const PaymentFailedView = ({ channel, nav }) => (
+const PaymentFailedView = ({ store, channel, nav }) => (
   <Background color={color.blackDark}>
     <MainContent>
       <FormStretcher>
@@ -37,6 +40,12 @@ const PaymentFailedView = ({ channel, nav }) => (
         <CopyText style={styles.copyTxt}>
           {'You may need to manually create a channel.'}
         </CopyText>
+        {store.paymentAttempts.map(attempt => (
+          <CopyText key={attempt.key} style={styles.attemptTxt}>
+            {`${attempt.name}: ${attempt.statusLabel}`}
+            {attempt.reason ? ` (${attempt.reason})` : ''}
+          </CopyText>
+        ))}
       </FormStretcher>
       <PillButton style={styles.createBtn} onPress={() => channel.initCreate()}>
         Create channel
@@ -52,6 +61,7 @@ const PaymentFailedView = ({ channel, nav }) => (
 );
 
 PaymentFailedView.propTypes = {
+  store: PropTypes.object.isRequired,
   channel: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
 };
@@ -6,7 +6,12 @@ import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { InputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, Button, GlasButton } from '../component/button';
+import {
+  CancelButton,
+  Button,
+  ButtonText,
+  GlasButton,
+} from '../component/button';
 import Card from '../component/card';
 import LightningBoltIcon from '../asset/icon/lightning-bolt';
 import { FormStretcher, FormText, FormSubText } from '../component/form';
@@ -76,6 +81,9 @@ const cardStyles = StyleSheet.create({
     paddingLeft: 20,
     paddingRight: 20,
   },
+  batchBtnTxt: {
+    color: color.blackText,
+  },
 });
 
 const PaymentCard = ({ store, payment }) => (
@@ -96,6 +104,9 @@ const PaymentCard = ({ store, payment }) => (
           Only Lightning Payment Requests or Bitcoin addresses will work at this
           time.
         </FormSubText>
+        <Button onPress={() => payment.initPayBatch()}>
+          <ButtonText style={cardStyles.batchBtnTxt}>BATCH SEND</ButtonText>
+        </Button>
       </FormStretcher>
     </Card>
   </MainContent>
@@ -6,7 +6,12 @@ import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { InputField } from '../component/field';
 import { Header, Title } from '../component/header';
-import { CancelButton, PillButton, Button } from '../component/button';
+import {
+  CancelButton,
+  PillButton,
+  Button,
+  ButtonText,
+} from '../component/button';
 import Card from '../component/card';
 import LightningBoltIcon from '../asset/icon/lightning-bolt';
 import { FormStretcher, FormText, FormSubText } from '../component/form';
@@ -24,6 +29,9 @@ const styles = StyleSheet.create({
     paddingLeft: 40,
     paddingRight: 40,
   },
+  batchBtnTxt: {
+    color: color.blackText,
+  },
 });
 
 const PaymentView = ({ store, nav, payment }) => (
@@ -53,6 +61,9 @@ const PaymentView = ({ store, nav, payment }) => (
             Only Lightning Payment Requests or Bitcoin addresses will work at
             this time.
           </FormSubText>
+          <Button onPress={() => payment.initPayBatch()}>
+            <ButtonText style={styles.batchBtnTxt}>BATCH SEND</ButtonText>
+          </Button>
         </FormStretcher>
         <PillButton onPress={() => payment.checkType()}>Next</PillButton>
       </Card>
@@ -0,0 +1,123 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import {
+  CancelButton,
+  SmallGlasButton,
+  Button,
+  ButtonText,
+} from '../component/button';
+import Card from '../component/card';
+import { FormStretcher, FormSubText } from '../component/form';
+import QRCodeScanner from '../component/qrcode-scanner';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  btnWrapper: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+  },
+  btnLeft: {
+    flex: 1,
+    borderRightWidth: 0.5,
+    borderRightColor: color.blackDark,
+  },
+  btnRight: {
+    flex: 1,
+    borderLeftWidth: 0.5,
+    borderLeftColor: color.blackDark,
+  },
+  form: {
+    paddingTop: 30,
+    paddingBottom: 10,
+  },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  optionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  optionSelected: {
+    opacity: 1,
+  },
+  subText: {
+    paddingTop: 20,
+    paddingBottom: 40,
+  },
+});
+
+const PeerConnectView = ({ store, nav, peer }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <Button disabled onPress={() => {}} />
+      <Title title="Connect Peer" />
+      <CancelButton onPress={() => nav.goPeers()} />
+    </Header>
+    {store.peer.useScanner ? (
+      <QRCodeScanner
+        onQRCodeScanned={({ data }) => peer.readQRCode({ data })}
+      />
+    ) : (
+      <MainContent>
+        <Card>
+          <FormStretcher style={styles.form}>
+            <InputField
+              placeholder="Pubkey@HostIP"
+              value={store.peer.pubkeyAtHost}
+              onChangeText={pubkeyAtHost =>
+                peer.setPubkeyAtHost({ pubkeyAtHost })
+              }
+              onSubmitEditing={() => peer.connect()}
+            />
+            <View style={styles.options}>
+              <Button
+                onPress={() =>
+                  peer.setPersistent({ persistent: !store.peer.persistent })
+                }
+              >
+                <ButtonText
+                  style={[
+                    styles.optionTxt,
+                    store.peer.persistent ? styles.optionSelected : null,
+                  ]}
+                >
+                  RECONNECT ON STARTUP
+                </ButtonText>
+              </Button>
+            </View>
+          </FormStretcher>
+          <FormSubText style={styles.subText}>
+            Enter or scan the node URI of the peer you would like to connect
+            with. Persistent peers are reconnected every time the app starts.
+          </FormSubText>
+        </Card>
+      </MainContent>
+    )}
+    <View style={styles.btnWrapper}>
+      <SmallGlasButton
+        onPress={() => peer.toggleScanner()}
+        style={styles.btnLeft}
+      >
+        Scan
+      </SmallGlasButton>
+      <SmallGlasButton onPress={() => peer.connect()} style={styles.btnRight}>
+        Connect
+      </SmallGlasButton>
+    </View>
+  </Background>
+);
+
+PeerConnectView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  peer: PropTypes.object.isRequired,
+};
+
+export default observer(PeerConnectView);
@@ -0,0 +1,97 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import MainContent from '../component/main-content';
+import { InputField } from '../component/field';
+import { Header, Title } from '../component/header';
+import {
+  CancelButton,
+  PillButton,
+  Button,
+  ButtonText,
+} from '../component/button';
+import Card from '../component/card';
+import { FormStretcher, FormSubText } from '../component/form';
+import { color } from '../component/style';
+
+const styles = StyleSheet.create({
+  form: {
+    paddingTop: 40,
+  },
+  options: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  optionTxt: {
+    color: color.blackText,
+    opacity: 0.5,
+  },
+  optionSelected: {
+    opacity: 1,
+  },
+  subText: {
+    paddingTop: 40,
+    paddingBottom: 40,
+  },
+  doneBtn: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const PeerConnectView = ({ store, nav, peer }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <Button disabled onPress={() => {}} />
+      <Title title="Connect Peer" />
+      <CancelButton onPress={() => nav.goPeers()} />
+    </Header>
+    <MainContent>
+      <Card>
+        <FormStretcher style={styles.form}>
+          <InputField
+            autoFocus={true}
+            placeholder="Pubkey@HostIP"
+            value={store.peer.pubkeyAtHost}
+            onChangeText={pubkeyAtHost =>
+              peer.setPubkeyAtHost({ pubkeyAtHost })
+            }
+            onSubmitEditing={() => peer.connect()}
+          />
+          <View style={styles.options}>
+            <Button
+              onPress={() =>
+                peer.setPersistent({ persistent: !store.peer.persistent })
+              }
+            >
+              <ButtonText
+                style={[
+                  styles.optionTxt,
+                  store.peer.persistent ? styles.optionSelected : null,
+                ]}
+              >
+                RECONNECT ON STARTUP
+              </ButtonText>
+            </Button>
+          </View>
+        </FormStretcher>
+        <FormSubText style={styles.subText}>
+          Enter the node URI of the peer you would like to connect with.
+          Persistent peers are reconnected every time the app starts.
+        </FormSubText>
+        <PillButton onPress={() => peer.connect()} style={styles.doneBtn}>
+          Connect
+        </PillButton>
+      </Card>
+    </MainContent>
+  </Background>
+);
+
+PeerConnectView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  peer: PropTypes.object.isRequired,
+};
+
+export default observer(PeerConnectView);
@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  BackButton,
+  AddButton,
+  SmallPillButton,
+} from '../component/button';
+import { ListContent, List, CardItem } from '../component/list';
+import Text from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Peers View (Mobile)
+//
+
+const styles = StyleSheet.create({
+  count: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+    opacity: 0.7,
+    paddingTop: 10,
+    paddingBottom: 10,
+  },
+});
+
+const PeersView = ({ store, nav, peer }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goSettings()} />
+      <Title title="Peers" />
+      <AddButton onPress={() => peer.initConnect()} />
+    </Header>
+    <Text style={styles.count}>{store.peerCountLabel} connected</Text>
+    <ListContent>
+      <List
+        data={store.computedPeers}
+        renderItem={item => (
+          <PeerListItem
+            p={item}
+            onTogglePersistent={() =>
+              peer.togglePersistent({ pubkey: item.pubKey })
+            }
+            onDisconnect={() => peer.disconnect({ pubkey: item.pubKey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+PeersView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  peer: PropTypes.object.isRequired,
+};
+
+//
+// Peer List Item
+//
+
+const iStyles = StyleSheet.create({
+  subTxt: {
+    fontSize: font.sizeS,
+    opacity: 0.7,
+  },
+  actions: {
+    alignSelf: 'stretch',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 5,
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+  disconnectTxt: {
+    color: color.pinkSig,
+    fontSize: font.sizeXS,
+  },
+});
+
+const PeerListItem = ({ p, onTogglePersistent, onDisconnect }) => (
+  <CardItem>
+    <Text numberOfLines={1}>{p.aliasLabel}</Text>
+    <Text style={iStyles.subTxt} numberOfLines={1}>
+      {p.address} · {p.directionLabel}
+    </Text>
+    <Text style={iStyles.subTxt}>
+      Ping {p.pingLabel} · Sent {p.bytesSentLabel} · Received {p.bytesRecvLabel}
+    </Text>
+    <View style={iStyles.actions}>
+      {p.canTogglePersistent ? (
+        <SmallPillButton
+          text="Persistent"
+          style={p.persistent ? null : iStyles.inactive}
+          onPress={onTogglePersistent}
+        />
+      ) : null}
+      <Button onPress={onDisconnect}>
+        <ButtonText style={iStyles.disconnectTxt}>DISCONNECT</ButtonText>
+      </Button>
+    </View>
+  </CardItem>
+);
+
+PeerListItem.propTypes = {
+  p: PropTypes.object.isRequired,
+  onTogglePersistent: PropTypes.func.isRequired,
+  onDisconnect: PropTypes.func.isRequired,
+};
+
+export default observer(PeersView);
@@ -0,0 +1,154 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import {
+  Button,
+  ButtonText,
+  BackButton,
+  AddButton,
+  SmallPillButton,
+} from '../component/button';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import Text from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Peers View
+//
+
+const styles = StyleSheet.create({
+  count: {
+    alignSelf: 'center',
+    fontSize: font.sizeS,
+    opacity: 0.7,
+    paddingTop: 15,
+    paddingBottom: 15,
+  },
+});
+
+const PeersView = ({ store, nav, peer }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <BackButton onPress={() => nav.goSettings()} />
+      <Title title="Peers" />
+      <AddButton onPress={() => peer.initConnect()} />
+    </Header>
+    <Text style={styles.count}>{store.peerCountLabel} connected</Text>
+    <ListContent>
+      <List
+        data={store.computedPeers}
+        renderHeader={PeerListHeader}
+        renderItem={item => (
+          <PeerListItem
+            p={item}
+            onTogglePersistent={() =>
+              peer.togglePersistent({ pubkey: item.pubKey })
+            }
+            onDisconnect={() => peer.disconnect({ pubkey: item.pubKey })}
+          />
+        )}
+      />
+    </ListContent>
+  </Background>
+);
+
+PeersView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  peer: PropTypes.object.isRequired,
+};
+
+//
+// Peer List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  l: { flex: 8 },
+  m: { flex: 4 },
+  s: { flex: 3 },
+  actions: {
+    flex: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  inactive: {
+    opacity: 0.5,
+  },
+  disconnectTxt: {
+    color: color.pinkSig,
+    fontSize: font.sizeXS,
+  },
+});
+
+const PeerListItem = ({ p, onTogglePersistent, onDisconnect }) => (
+  <ListItem style={iStyles.item}>
+    <Text style={[iStyles.m, iStyles.txt]} numberOfLines={1}>
+      {p.aliasLabel}
+    </Text>
+    <Text style={[iStyles.l, iStyles.txt]} numberOfLines={1}>
+      {p.address}
+    </Text>
+    <Text style={[iStyles.s, iStyles.txt]}>{p.directionLabel}</Text>
+    <Text style={[iStyles.s, iStyles.txt]}>{p.pingLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>
+      {p.bytesSentLabel} / {p.bytesRecvLabel}
+    </Text>
+    <View style={iStyles.actions}>
+      {p.canTogglePersistent ? (
+        <SmallPillButton
+          text="Persistent"
+          style={p.persistent ? null : iStyles.inactive}
+          onPress={onTogglePersistent}
+        />
+      ) : null}
+      <Button onPress={onDisconnect}>
+        <ButtonText style={iStyles.disconnectTxt}>DISCONNECT</ButtonText>
+      </Button>
+    </View>
+  </ListItem>
+);
+
+PeerListItem.propTypes = {
+  p: PropTypes.object.isRequired,
+  onTogglePersistent: PropTypes.func.isRequired,
+  onDisconnect: PropTypes.func.isRequired,
+};
+
+//
+// Peer List Header
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const PeerListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>ALIAS</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>ADDRESS</Text>
+    <Text style={[iStyles.s, hStyles.txt]}>DIRECTION</Text>
+    <Text style={[iStyles.s, hStyles.txt]}>PING</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>SENT / RECEIVED</Text>
+    <View style={iStyles.actions} />
+  </ListHeader>
+);
+
+export default observer(PeersView);
@@ -3,7 +3,12 @@ import { StyleSheet, View } from 'react-native';
 import { observer } from 'mobx-react';
 import PropTypes from 'prop-types';
 import SeedEntry from '../component/seed-entry';
-import { Button, BackButton, GlasButton } from '../component/button';
+import {
+  Button,
+  ButtonText,
+  BackButton,
+  GlasButton,
+} from '../component/button';
 import { H1Text } from '../component/text';
 import { FormSubText } from '../component/form';
 import Background from '../component/background';
@@ -30,9 +35,15 @@ const styles = StyleSheet.create({
     paddingRight: 45,
     paddingBottom: 50,
   },
+  backupBtn: {
+    marginBottom: 10,
+  },
+  backupTxt: {
+    opacity: 0.7,
+  },
 });
 
-const RestoreSeedView = ({ store, wallet }) => (
+const RestoreSeedView = ({ store, wallet, backup }) => (
   <Background image="purple-gradient-bg">
     <Header>
       <BackButton onPress={() => wallet.initPrevRestorePage()} />
@@ -64,6 +75,16 @@ const RestoreSeedView = ({ store, wallet }) => (
           />
         ))}
       </Card>
+      <Button
+        style={styles.backupBtn}
+        onPress={() => backup.selectRestoreFile()}
+      >
+        <ButtonText style={styles.backupTxt}>
+          {store.channelBackup.fileName
+            ? `CHANNEL BACKUP: ${store.channelBackup.fileName}`
+            : 'SELECT CHANNEL BACKUP (OPTIONAL)'}
+        </ButtonText>
+      </Button>
       <GlasButton onPress={() => wallet.initNextRestorePage()}>Next</GlasButton>
     </MainContent>
   </Background>
@@ -72,6 +93,7 @@ const RestoreSeedView = ({ store, wallet }) => (
 RestoreSeedView.propTypes = {
   store: PropTypes.object.isRequired,
   wallet: PropTypes.object.isRequired,
+  backup: PropTypes.object.isRequired,
 };
 
 export default observer(RestoreSeedView);
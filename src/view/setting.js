@@ -39,7 +39,18 @@ const styles = createStyles(
   })
 );
 
-const SettingView = ({ store, nav, wallet, autopilot, auth }) => {
+const SettingView = ({
+  store,
+  nav,
+  wallet,
+  autopilot,
+  auth,
+  channel,
+  graph,
+  peer,
+  backup,
+  bundle,
+}) => {
   return (
     <Background color={color.blackDark}>
       <Header separator>
@@ -84,6 +95,47 @@ const SettingView = ({ store, nav, wallet, autopilot, auth }) => {
           />
         </SettingItem>
         <SettingHeader name="ADVANCED" style={styles.advanced} />
+        <SettingItem
+          name="Routing Fees"
+          onSelect={() => channel.initGlobalPolicy()}
+          arrow
+        />
+        {Platform.OS === 'web' ? (
+          <SettingItem
+            name="Channel Backup Folder"
+            label={store.backupFolderLabel}
+            onSelect={() => backup.chooseFolder()}
+            arrow
+          />
+        ) : null}
+        {Platform.OS === 'web' ? (
+          <SettingItem
+            name="Restore Channel Backup"
+            onSelect={() => backup.restoreChannelBackups()}
+            arrow
+          />
+        ) : null}
+        <SettingItem
+          name="Export App Data"
+          onSelect={() => bundle.initExport()}
+          arrow
+        />
+        <SettingItem
+          name="Import App Data"
+          onSelect={() => bundle.initImport()}
+          arrow
+        />
+        <SettingItem
+          name="Peers"
+          label={store.peerCountLabel}
+          onSelect={() => peer.init()}
+          arrow
+        />
+        <SettingItem
+          name="Network Explorer"
+          onSelect={() => graph.init()}
+          arrow
+        />
         <SettingItem name="Logs" onSelect={() => nav.goCLI()} arrow />
       </SettingContent>
     </Background>
@@ -96,6 +148,11 @@ SettingView.propTypes = {
   wallet: PropTypes.object,
   autopilot: PropTypes.object.isRequired,
   auth: PropTypes.object,
+  channel: PropTypes.object.isRequired,
+  graph: PropTypes.object.isRequired,
+  peer: PropTypes.object.isRequired,
+  backup: PropTypes.object,
+  bundle: PropTypes.object.isRequired,
 };
 
 export default observer(SettingView);
@@ -5,7 +5,7 @@ import PropTypes from 'prop-types';
 import { SplitBackground } from '../component/background';
 import MainContent from '../component/main-content';
 import { Header, Title } from '../component/header';
-import { Button, BackButton } from '../component/button';
+import { Button, BackButton, PillButton } from '../component/button';
 import Card from '../component/card';
 import LightningBoltIcon from '../asset/icon/lightning-bolt';
 import BitcoinIcon from '../asset/icon/bitcoin';
@@ -38,9 +38,12 @@ const styles = StyleSheet.create({
   btc: {
     backgroundColor: color.orangeSig,
   },
+  retryBtn: {
+    marginTop: 20,
+  },
 });
 
-const TransactionDetailView = ({ store, nav }) => (
+const TransactionDetailView = ({ store, nav, payment }) => (
   <SplitBackground
     image={
       store.selectedTransaction.type === 'bitcoin'
@@ -92,11 +95,32 @@ const TransactionDetailView = ({ store, nav }) => (
         <DetailField name="Status">
           {store.selectedTransaction.statusLabel}
         </DetailField>
+        {store.selectedTransaction.reason ? (
+          <DetailField name="Reason">
+            {store.selectedTransaction.reason}
+          </DetailField>
+        ) : null}
+        {(store.selectedTransaction.attemptItems || []).map(attempt => (
+          <DetailField key={attempt.key} name={attempt.name}>
+            {attempt.statusLabel} · {attempt.feeLabel} {store.unitLabel} fee ·{' '}
+            {attempt.dateTimeLabel}
+            {attempt.reason ? ` · ${attempt.reason}` : ''}
+            {attempt.routeLabel ? ` · via ${attempt.routeLabel}` : ''}
+          </DetailField>
+        ))}
         {store.selectedTransaction.preimage ? (
           <DetailField name="Proof of Payment">
             {store.selectedTransaction.preimage}
           </DetailField>
         ) : null}
+        {store.selectedTransaction.canRetry ? (
+          <PillButton
+            style={styles.retryBtn}
+            onPress={() => payment.retryPayment()}
+          >
+            Retry
+          </PillButton>
+        ) : null}
       </Card>
     </MainContent>
   </SplitBackground>
@@ -105,6 +129,7 @@ const TransactionDetailView = ({ store, nav }) => (
 TransactionDetailView.propTypes = {
   store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
 };
 
 export default observer(TransactionDetailView);
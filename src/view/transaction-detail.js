@@ -5,6 +5,7 @@ import PropTypes from 'prop-types';
 import Background from '../component/background';
 import MainContent from '../component/main-content';
 import { DetailField } from '../component/field';
+import { PillButton } from '../component/button';
 import Modal from '../component/modal';
 import { color } from '../component/style';
 
@@ -12,9 +13,14 @@ const styles = StyleSheet.create({
   content: {
     justifyContent: 'center',
   },
+  retryBtn: {
+    alignSelf: 'center',
+    marginTop: 20,
+    width: 200,
+  },
 });
 
-const TransactionDetailView = ({ store, nav }) => (
+const TransactionDetailView = ({ store, nav, payment }) => (
   <Background color={color.blackDark}>
     <MainContent style={styles.content}>
       <Modal title="Transaction Details" onClose={() => nav.goTransactions()}>
@@ -46,11 +52,32 @@ const TransactionDetailView = ({ store, nav }) => (
         <DetailField name="Status">
           {store.selectedTransaction.statusLabel}
         </DetailField>
+        {store.selectedTransaction.reason ? (
+          <DetailField name="Reason">
+            {store.selectedTransaction.reason}
+          </DetailField>
+        ) : null}
+        {(store.selectedTransaction.attemptItems || []).map(attempt => (
+          <DetailField key={attempt.key} name={attempt.name}>
+            {attempt.statusLabel} · {attempt.feeLabel} {store.unitLabel} fee ·{' '}
+            {attempt.dateTimeLabel}
+            {attempt.reason ? ` · ${attempt.reason}` : ''}
+            {attempt.routeLabel ? ` · via ${attempt.routeLabel}` : ''}
+          </DetailField>
+        ))}
         {store.selectedTransaction.preimage ? (
           <DetailField name="Proof of Payment">
             {store.selectedTransaction.preimage}
           </DetailField>
         ) : null}
+        {store.selectedTransaction.canRetry ? (
+          <PillButton
+            style={styles.retryBtn}
+            onPress={() => payment.retryPayment()}
+          >
+            Retry
+          </PillButton>
+        ) : null}
       </Modal>
     </MainContent>
   </Background>
@@ -59,6 +86,7 @@ const TransactionDetailView = ({ store, nav }) => (
 TransactionDetailView.propTypes = {
   store: PropTypes.object.isRequired,
   nav: PropTypes.object.isRequired,
+  payment: PropTypes.object.isRequired,
 };
 
 export default observer(TransactionDetailView);
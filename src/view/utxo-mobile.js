@@ -0,0 +1,106 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { BackButton, Button, SmallGlasButton } from '../component/button';
+import { ListContent, List, CardItem } from '../component/list';
+import { TextInput } from '../component/input';
+import Text from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Utxo View (Mobile)
+//
+
+const UtxoView = ({ store, nav, utxo }) => (
+  <Background color={color.blackDark}>
+    <Header>
+      <BackButton onPress={() => nav.goPayBitcoin()} />
+      <Title title="Coins" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <ListContent>
+      <List
+        data={store.computedUtxos}
+        renderItem={item => (
+          <UtxoListItem
+            utxo={item}
+            unitLabel={store.unitLabel}
+            onChangeLabel={label => utxo.setLabel({ utxo: item, label })}
+            onSaveLabel={() => utxo.saveLabels()}
+          />
+        )}
+      />
+    </ListContent>
+    <SmallGlasButton onPress={() => nav.goPayBitcoin()}>Done</SmallGlasButton>
+  </Background>
+);
+
+UtxoView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  utxo: PropTypes.object.isRequired,
+};
+
+//
+// Utxo List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 18,
+    paddingBottom: 18,
+    marginBottom: 8,
+  },
+  details: {
+    flex: 1,
+  },
+  txt: {
+    fontSize: font.sizeS,
+  },
+  subTxt: {
+    opacity: 0.7,
+  },
+  input: {
+    color: color.white,
+    fontSize: font.sizeS,
+    textAlign: 'left',
+    borderBottomWidth: 1,
+    borderBottomColor: color.greyBorder,
+    marginTop: 5,
+  },
+});
+
+const UtxoListItem = ({ utxo, unitLabel, onChangeLabel, onSaveLabel }) => (
+  <CardItem style={iStyles.item}>
+    <View style={iStyles.details}>
+      <Text>
+        {utxo.amountLabel} {unitLabel}
+      </Text>
+      <Text style={[iStyles.txt, iStyles.subTxt]}>
+        {utxo.typeLabel} · {utxo.confirmationsLabel} confirmations
+      </Text>
+      <TextInput
+        style={iStyles.input}
+        placeholder="Label"
+        value={utxo.label}
+        onChangeText={onChangeLabel}
+        onBlur={onSaveLabel}
+        onSubmitEditing={onSaveLabel}
+      />
+    </View>
+  </CardItem>
+);
+
+UtxoListItem.propTypes = {
+  utxo: PropTypes.object.isRequired,
+  unitLabel: PropTypes.string,
+  onChangeLabel: PropTypes.func.isRequired,
+  onSaveLabel: PropTypes.func.isRequired,
+};
+
+export default observer(UtxoView);
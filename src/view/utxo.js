@@ -0,0 +1,135 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { observer } from 'mobx-react';
+import PropTypes from 'prop-types';
+import Background from '../component/background';
+import { Header, Title } from '../component/header';
+import { BackButton, Button, PillButton } from '../component/button';
+import { ListContent, List, ListItem, ListHeader } from '../component/list';
+import { TextInput } from '../component/input';
+import Text from '../component/text';
+import { color, font } from '../component/style';
+
+//
+// Utxo View
+//
+
+const styles = StyleSheet.create({
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    padding: 20,
+  },
+  doneBtn: {
+    width: 200,
+  },
+});
+
+const UtxoView = ({ store, nav, utxo }) => (
+  <Background color={color.blackDark}>
+    <Header separator>
+      <BackButton onPress={() => nav.goPayBitcoin()} />
+      <Title title="Coins" />
+      <Button disabled onPress={() => {}} />
+    </Header>
+    <ListContent>
+      <List
+        data={store.computedUtxos}
+        renderHeader={UtxoListHeader}
+        renderItem={item => (
+          <UtxoListItem
+            utxo={item}
+            onChangeLabel={label => utxo.setLabel({ utxo: item, label })}
+            onSaveLabel={() => utxo.saveLabels()}
+          />
+        )}
+      />
+    </ListContent>
+    <View style={styles.footer}>
+      <PillButton style={styles.doneBtn} onPress={() => nav.goPayBitcoin()}>
+        Done
+      </PillButton>
+    </View>
+  </Background>
+);
+
+UtxoView.propTypes = {
+  store: PropTypes.object.isRequired,
+  nav: PropTypes.object.isRequired,
+  utxo: PropTypes.object.isRequired,
+};
+
+//
+// Utxo List Item
+//
+
+const iStyles = StyleSheet.create({
+  item: {
+    paddingLeft: 10,
+    paddingRight: 10,
+  },
+  txt: {
+    color: color.white,
+    fontSize: font.sizeS,
+  },
+  input: {
+    color: color.white,
+    fontSize: font.sizeS,
+    borderBottomWidth: 1,
+    borderBottomColor: color.greyBorder,
+    marginRight: 20,
+  },
+  l: { flex: 6 },
+  m: { flex: 4 },
+  s: { flex: 2 },
+});
+
+const UtxoListItem = ({ utxo, onChangeLabel, onSaveLabel }) => (
+  <ListItem style={iStyles.item}>
+    <Text style={[iStyles.m, iStyles.txt]}>{utxo.amountLabel}</Text>
+    <Text style={[iStyles.s, iStyles.txt]}>{utxo.confirmationsLabel}</Text>
+    <Text style={[iStyles.m, iStyles.txt]}>{utxo.typeLabel}</Text>
+    <View style={iStyles.l}>
+      <TextInput
+        style={iStyles.input}
+        placeholder="Label"
+        value={utxo.label}
+        onChangeText={onChangeLabel}
+        onBlur={onSaveLabel}
+        onSubmitEditing={onSaveLabel}
+      />
+    </View>
+  </ListItem>
+);
+
+UtxoListItem.propTypes = {
+  utxo: PropTypes.object.isRequired,
+  onChangeLabel: PropTypes.func.isRequired,
+  onSaveLabel: PropTypes.func.isRequired,
+};
+
+//
+// Utxo List Header
+//
+
+const hStyles = StyleSheet.create({
+  txt: {
+    color: color.greyListHeader,
+    fontSize: font.sizeXS,
+  },
+  header: {
+    backgroundColor: color.blackDark,
+  },
+});
+
+const UtxoListHeader = () => (
+  <ListHeader style={[iStyles.item, hStyles.header]}>
+    <Text style={[iStyles.m, hStyles.txt]}>AMOUNT</Text>
+    <Text style={[iStyles.s, hStyles.txt]}>CONFS</Text>
+    <Text style={[iStyles.m, hStyles.txt]}>TYPE</Text>
+    <Text style={[iStyles.l, hStyles.txt]}>LABEL</Text>
+  </ListHeader>
+);
+
+export default observer(UtxoView);
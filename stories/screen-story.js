@@ -17,6 +17,12 @@ import InvoiceAction from '../src/action/invoice';
 import PaymentAction from '../src/action/payment';
 import ChannelAction from '../src/action/channel';
 import TransactionAction from '../src/action/transaction';
+import UtxoAction from '../src/action/utxo';
+import ForwardingAction from '../src/action/forwarding';
+import GraphAction from '../src/action/graph';
+import PeerAction from '../src/action/peer';
+import BackupAction from '../src/action/backup';
+import BundleAction from '../src/action/bundle';
 import AuthAction from '../src/action/auth-mobile';
 import FileAction from '../src/action/file-mobile';
 import AtplAction from '../src/action/autopilot';
@@ -36,8 +42,13 @@ import ChannelMobile from '../src/view/channel-mobile';
 import ChannelDetail from '../src/view/channel-detail';
 import ChannelDetailMobile from '../src/view/channel-detail-mobile';
 import ChannelDelete from '../src/view/channel-delete';
+import ChannelAbandon from '../src/view/channel-abandon';
+import ChannelPolicy from '../src/view/channel-policy';
+import ChannelPolicyMobile from '../src/view/channel-policy-mobile';
 import ChannelCreate from '../src/view/channel-create';
 import ChannelCreateMobile from '../src/view/channel-create-mobile';
+import ChannelCreateConfirm from '../src/view/channel-create-confirm';
+import ChannelCreateConfirmMobile from '../src/view/channel-create-confirm-mobile';
 import Home from '../src/view/home';
 import Deposit from '../src/view/deposit';
 import DepositMobile from '../src/view/deposit-mobile';
@@ -45,16 +56,38 @@ import Invoice from '../src/view/invoice';
 import InvoiceMobile from '../src/view/invoice-mobile';
 import InvoiceQR from '../src/view/invoice-qr';
 import InvoiceQRMobile from '../src/view/invoice-qr-mobile';
+import Invoices from '../src/view/invoices';
+import InvoicesMobile from '../src/view/invoices-mobile';
+import InvoiceDetail from '../src/view/invoice-detail';
+import InvoiceDetailMobile from '../src/view/invoice-detail-mobile';
 import Payment from '../src/view/payment';
 import PayLightningConfirm from '../src/view/pay-lightning-confirm';
 import PayLightningConfirmMobile from '../src/view/pay-lightning-confirm-mobile';
 import PayLightningDone from '../src/view/pay-lightning-done';
 import PayLightningDoneMobile from '../src/view/pay-lightning-done-mobile';
 import PayBitcoin from '../src/view/pay-bitcoin';
+import Utxo from '../src/view/utxo';
+import UtxoMobile from '../src/view/utxo-mobile';
+import Forwarding from '../src/view/forwarding';
+import ForwardingMobile from '../src/view/forwarding-mobile';
+import Graph from '../src/view/graph';
+import GraphMobile from '../src/view/graph-mobile';
+import GraphNode from '../src/view/graph-node';
+import GraphNodeMobile from '../src/view/graph-node-mobile';
+import Peers from '../src/view/peers';
+import PeersMobile from '../src/view/peers-mobile';
+import PeerConnect from '../src/view/peer-connect';
+import PeerConnectMobile from '../src/view/peer-connect-mobile';
+import BundleExport from '../src/view/bundle-export';
+import BundleImport from '../src/view/bundle-import';
 import PayBitcoinMobile from '../src/view/pay-bitcoin-mobile';
 import PayBitcoinConfirm from '../src/view/pay-bitcoin-confirm';
 import PayBitcoinDone from '../src/view/pay-bitcoin-done';
 import PayBitcoinDoneMobile from '../src/view/pay-bitcoin-done-mobile';
+import PayBatch from '../src/view/pay-batch';
+import PayBatchMobile from '../src/view/pay-batch-mobile';
+import PayBatchConfirm from '../src/view/pay-batch-confirm';
+import PayBatchConfirmMobile from '../src/view/pay-batch-confirm-mobile';
 import PaymentFailed from '../src/view/payment-failed';
 import PaymentFailedMobile from '../src/view/payment-failed-mobile';
 import Loader from '../src/view/loader';
@@ -110,18 +143,62 @@ sinon.stub(wallet, 'checkPassword');
 sinon.stub(wallet, 'getExchangeRate');
 const transaction = new TransactionAction(store, grpc, nav, notify);
 sinon.stub(transaction, 'update');
-const invoice = new InvoiceAction(store, grpc, nav, notify, Clipboard);
+const invoice = new InvoiceAction(
+  store,
+  grpc,
+  nav,
+  notify,
+  Clipboard,
+  transaction
+);
 sinon.stub(invoice, 'generateUri');
+sinon.stub(invoice, 'initInvoices');
+sinon.stub(invoice, 'select');
+sinon.stub(invoice, 'cancelSelected');
 const payment = new PaymentAction(store, grpc, nav, notify);
 sinon.stub(payment, 'checkType');
 sinon.stub(payment, 'payBitcoin');
 sinon.stub(payment, 'toggleMax');
 sinon.stub(payment, 'payLightning');
+sinon.stub(payment, 'retryPayment');
 sinon.stub(payment, 'initPayBitcoinConfirm');
-const channel = new ChannelAction(store, grpc, nav, notify);
+sinon.stub(payment, 'initPayBatchConfirm');
+sinon.stub(payment, 'estimateCustomFee');
+sinon.stub(payment, 'openCsvFile');
+sinon.stub(payment, 'pasteCsv');
+sinon.stub(payment, 'payBatch');
+const utxo = new UtxoAction(store, grpc, db, nav, notify);
+sinon.stub(utxo, 'init');
+sinon.stub(utxo, 'getUtxos');
+const forwarding = new ForwardingAction(store, grpc, nav);
+sinon.stub(forwarding, 'init');
+sinon.stub(forwarding, 'update');
+const channel = new ChannelAction(store, grpc, nav, notify, ipc);
 sinon.stub(channel, 'update');
 sinon.stub(channel, 'connectAndOpen');
+sinon.stub(channel, 'initCreateConfirm');
+sinon.stub(channel, 'updatePolicy');
 sinon.stub(channel, 'closeSelectedChannel');
+sinon.stub(channel, 'abandonSelectedChannel');
+const graph = new GraphAction(store, grpc, nav, channel);
+sinon.stub(graph, 'init');
+sinon.stub(graph, 'setSearch');
+sinon.stub(graph, 'selectNode');
+sinon.stub(graph, 'openChannel');
+const peer = new PeerAction(store, grpc, db, nav, notify, channel);
+sinon.stub(peer, 'init');
+sinon.stub(peer, 'connect');
+sinon.stub(peer, 'disconnect');
+sinon.stub(peer, 'togglePersistent');
+const backup = new BackupAction(store, grpc, ipc, db, notify);
+sinon.stub(backup, 'chooseFolder');
+sinon.stub(backup, 'selectRestoreFile');
+sinon.stub(backup, 'restoreChannelBackups');
+const bundle = new BundleAction(store, db, nav, notify, null, ipc);
+sinon.stub(bundle, 'initExport');
+sinon.stub(bundle, 'initImport');
+sinon.stub(bundle, 'exportState');
+sinon.stub(bundle, 'importState');
 const auth = new AuthAction(store, wallet, nav);
 sinon.stub(auth, 'checkNewPin');
 sinon.stub(auth, 'checkPin');
@@ -145,7 +222,7 @@ storiesOf('Screens', module)
     <SeedVerifyMobile store={store} nav={navMobile} wallet={wallet} />
   ))
   .add('Restore Wallet: Seed', () => (
-    <RestoreSeed store={store} wallet={wallet} />
+    <RestoreSeed store={store} wallet={wallet} backup={backup} />
   ))
   .add('Restore Wallet: Seed (Mobile)', () => (
     <RestoreSeedMobile store={store} wallet={wallet} />
@@ -209,11 +286,22 @@ storiesOf('Screens', module)
       payment={payment}
       invoice={invoice}
       transaction={transaction}
+      forwarding={forwarding}
       nav={nav}
     />
   ))
   .add('Settings', () => (
-    <Setting store={store} nav={nav} wallet={wallet} autopilot={autopilot} />
+    <Setting
+      store={store}
+      nav={nav}
+      wallet={wallet}
+      autopilot={autopilot}
+      channel={channel}
+      graph={graph}
+      peer={peer}
+      backup={backup}
+      bundle={bundle}
+    />
   ))
   .add('Settings Units', () => (
     <SettingUnit store={store} nav={nav} setting={setting} />
@@ -226,6 +314,32 @@ storiesOf('Screens', module)
     <NotificationMobile store={store} nav={navMobile} />
   ))
   .add('CLI', () => <CLI store={store} nav={nav} file={file} />)
+  .add('Network', () => <Graph store={store} graph={graph} nav={nav} />)
+  .add('Network (Mobile)', () => (
+    <GraphMobile store={store} graph={graph} nav={navMobile} />
+  ))
+  .add('Network Node', () => (
+    <GraphNode store={store} graph={graph} nav={nav} />
+  ))
+  .add('Network Node (Mobile)', () => (
+    <GraphNodeMobile store={store} graph={graph} nav={navMobile} />
+  ))
+  .add('Peers', () => <Peers store={store} peer={peer} nav={nav} />)
+  .add('Peers (Mobile)', () => (
+    <PeersMobile store={store} peer={peer} nav={navMobile} />
+  ))
+  .add('Peer Connect', () => (
+    <PeerConnect store={store} peer={peer} nav={nav} />
+  ))
+  .add('Peer Connect (Mobile)', () => (
+    <PeerConnectMobile store={store} peer={peer} nav={navMobile} />
+  ))
+  .add('Export App Data', () => (
+    <BundleExport store={store} bundle={bundle} nav={nav} />
+  ))
+  .add('Import App Data', () => (
+    <BundleImport store={store} bundle={bundle} nav={nav} />
+  ))
   .add('Transactions', () => (
     <Transaction store={store} transaction={transaction} nav={nav} />
   ))
@@ -237,10 +351,10 @@ storiesOf('Screens', module)
     />
   ))
   .add('Transaction Details', () => (
-    <TransactionDetail store={store} nav={nav} />
+    <TransactionDetail store={store} nav={nav} payment={payment} />
   ))
   .add('Transaction Details (Mobile)', () => (
-    <TransactionDetailMobile store={store} nav={navMobile} />
+    <TransactionDetailMobile store={store} nav={navMobile} payment={payment} />
   ))
   .add('Channels', () => <Channel store={store} channel={channel} nav={nav} />)
   .add('Channels (Mobile)', () => (
@@ -256,19 +370,38 @@ storiesOf('Screens', module)
       nav={navMobile}
     />
   ))
-  .add('Channel Details', () => <ChannelDetail store={store} nav={nav} />)
+  .add('Channel Details', () => (
+    <ChannelDetail store={store} channel={channel} nav={nav} />
+  ))
   .add('Channel Details (Mobile)', () => (
-    <ChannelDetailMobile store={store} nav={navMobile} />
+    <ChannelDetailMobile store={store} channel={channel} nav={navMobile} />
+  ))
+  .add('Channel Policy', () => (
+    <ChannelPolicy store={store} channel={channel} nav={nav} />
+  ))
+  .add('Channel Policy (Mobile)', () => (
+    <ChannelPolicyMobile store={store} channel={channel} nav={navMobile} />
   ))
   .add('Channel Delete', () => (
     <ChannelDelete store={store} channel={channel} nav={nav} />
   ))
+  .add('Channel Abandon', () => <ChannelAbandon channel={channel} nav={nav} />)
   .add('Channel Create', () => (
     <ChannelCreate store={store} channel={channel} nav={nav} />
   ))
   .add('Channel Create (Mobile)', () => (
     <ChannelCreateMobile store={store} channel={channel} nav={navMobile} />
   ))
+  .add('Channel Create Confirm', () => (
+    <ChannelCreateConfirm store={store} channel={channel} nav={nav} />
+  ))
+  .add('Channel Create Confirm (Mobile)', () => (
+    <ChannelCreateConfirmMobile
+      store={store}
+      channel={channel}
+      nav={navMobile}
+    />
+  ))
   .add('Deposit', () => <Deposit store={store} invoice={invoice} nav={nav} />)
   .add('Deposit (Mobile)', () => (
     <DepositMobile store={store} invoice={invoice} nav={navMobile} />
@@ -290,32 +423,78 @@ storiesOf('Screens', module)
   .add('Pay Lightning Done (Mobile)', () => (
     <PayLightningDoneMobile store={store} payment={payment} nav={navMobile} />
   ))
-  .add('Payment Failed', () => <PaymentFailed channel={channel} nav={nav} />)
+  .add('Payment Failed', () => (
+    <PaymentFailed store={store} channel={channel} nav={nav} />
+  ))
   .add('Payment Failed (Mobile)', () => (
-    <PaymentFailedMobile channel={channel} nav={navMobile} />
+    <PaymentFailedMobile store={store} channel={channel} nav={navMobile} />
   ))
   .add('Pay Bitcoin', () => (
-    <PayBitcoin store={store} payment={payment} nav={nav} />
+    <PayBitcoin store={store} payment={payment} utxo={utxo} nav={nav} />
   ))
   .add('Pay Bitcoin (Mobile)', () => (
-    <PayBitcoinMobile store={store} payment={payment} nav={navMobile} />
+    <PayBitcoinMobile
+      store={store}
+      payment={payment}
+      utxo={utxo}
+      nav={navMobile}
+    />
+  ))
+  .add('Coins', () => <Utxo store={store} utxo={utxo} nav={nav} />)
+  .add('Coins (Mobile)', () => (
+    <UtxoMobile store={store} utxo={utxo} nav={navMobile} />
+  ))
+  .add('Forwarding', () => (
+    <Forwarding store={store} forwarding={forwarding} nav={nav} />
+  ))
+  .add('Forwarding (Mobile)', () => (
+    <ForwardingMobile store={store} forwarding={forwarding} nav={navMobile} />
   ))
   .add('Pay Bitcoin Confirm', () => (
     <PayBitcoinConfirm store={store} payment={payment} nav={nav} />
   ))
+  .add('Pay Batch', () => (
+    <PayBatch store={store} payment={payment} nav={nav} />
+  ))
+  .add('Pay Batch (Mobile)', () => (
+    <PayBatchMobile store={store} payment={payment} nav={navMobile} />
+  ))
+  .add('Pay Batch Confirm', () => (
+    <PayBatchConfirm store={store} payment={payment} nav={nav} />
+  ))
+  .add('Pay Batch Confirm (Mobile)', () => (
+    <PayBatchConfirmMobile store={store} payment={payment} nav={navMobile} />
+  ))
   .add('Pay Bitcoin Done', () => <PayBitcoinDone payment={payment} nav={nav} />)
   .add('Pay Bitcoin Done (Mobile)', () => (
     <PayBitcoinDoneMobile payment={payment} nav={navMobile} />
   ))
-  .add('Invoice', () => <Invoice store={store} invoice={invoice} nav={nav} />)
+  .add('Invoice', () => (
+    <Invoice store={store} invoice={invoice} channel={channel} nav={nav} />
+  ))
   .add('Invoice (Mobile)', () => (
-    <InvoiceMobile store={store} invoice={invoice} nav={navMobile} />
+    <InvoiceMobile
+      store={store}
+      invoice={invoice}
+      channel={channel}
+      nav={navMobile}
+    />
   ))
   .add('Invoice QR', () => (
     <InvoiceQR store={store} invoice={invoice} nav={nav} />
   ))
   .add('Invoice QR (Mobile)', () => (
     <InvoiceQRMobile store={store} invoice={invoice} nav={navMobile} />
+  ))
+  .add('Invoices', () => <Invoices store={store} invoice={invoice} nav={nav} />)
+  .add('Invoices (Mobile)', () => (
+    <InvoicesMobile store={store} invoice={invoice} nav={navMobile} />
+  ))
+  .add('Invoice Detail', () => (
+    <InvoiceDetail store={store} invoice={invoice} nav={nav} />
+  ))
+  .add('Invoice Detail (Mobile)', () => (
+    <InvoiceDetailMobile store={store} invoice={invoice} nav={navMobile} />
   ));
 
 // set some dummy data
@@ -355,7 +534,13 @@ store.invoices = [...Array(1)].map(() => ({
   amount: 81345,
   status: 'in-progress',
   date: new Date(),
+  memo: 'For the love of bitcoin',
+  payReq: store.invoice.encoded,
+  expiresAt: new Date(Date.now() + 3600000),
+  settleDate: null,
+  amountPaid: 0,
 }));
+store.selectedInvoice = store.invoices[0];
 store.payments = [...Array(10)].map(() => ({
   id: '610da3203c36b17783477cbe5db092220ac7d58477cbe5db092',
   type: 'lightning',
@@ -364,7 +549,80 @@ store.payments = [...Array(10)].map(() => ({
   status: 'complete',
   date: new Date(),
 }));
+store.utxos = [...Array(4)].map((x, i) => ({
+  id: `610da3203c36b17783477cbe5db092220ac7d58477cbe5db092:${i}`,
+  outpoint: {
+    txidStr: '610da3203c36b17783477cbe5db092220ac7d58477cbe5db092',
+    outputIndex: i,
+  },
+  type: i % 2 === 0 ? 'p2wkh' : 'np2wkh',
+  address: 'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5',
+  amount: 250000,
+  confirmations: i * 3,
+}));
+store.forwardingEvents = [...Array(25)].map((x, i) => ({
+  date: new Date(Date.now() - i * 60 * 60 * 1000),
+  chanIdIn: `${1000 + (i % 3)}`,
+  chanIdOut: `${2000 + (i % 2)}`,
+  amountIn: 100010 + i,
+  amountOut: 100000 + i,
+  fee: 10,
+}));
+store.forwardingFees = { day: 240, week: 1680, month: 7200 };
+store.peers = [...Array(5)].map((x, i) => ({
+  pubKey: `0343bc80b914aebf8e50eb0b8e445fc79b9e6e8e5e018fa8c5f85c7d429c117b${i}`,
+  address: `52.50.244.4${i}:9735`,
+  bytesSent: 24310 * (i + 1),
+  bytesRecv: 1837201 * (i + 1),
+  satSent: 100000 * i,
+  satRecv: 25000 * i,
+  inbound: i % 2 === 1,
+  pingTime: 48000 + i * 12000,
+}));
+store.peerAliases = { [store.peers[0].pubKey]: 'bitrefill' };
+store.settings.persistentPeers = [
+  { pubkey: store.peers[0].pubKey, host: store.peers[0].address },
+];
+store.graphInfo = {
+  numNodes: 6214,
+  numChannels: 41632,
+  totalCapacity: 101534263817,
+  avgChannelSize: 2438851,
+  maxChannelSize: 500000000,
+  graphDiameter: 9,
+};
+store.graphSynced = true;
+store.graphNodes = [...Array(15)].map((x, i) => ({
+  pubkey: `0343bc80b914aebf8e50eb0b8e445fc79b9e6e8e5e018fa8c5f85c7d429c117b${i}`,
+  alias: i % 4 === 0 ? '' : `node-${i}`,
+  color: '#3399ff',
+  numChannels: 120 - i * 5,
+  totalCapacity: 750000000 - i * 25000000,
+}));
+store.selectedGraphNode = {
+  ...store.graphNodes[1],
+  addresses: ['52.50.244.44:9735'],
+  channels: [...Array(8)].map((x, i) => ({
+    id: `63344313727582${i}`,
+    peerPubkey: store.graphNodes[(i + 2) % 15].pubkey,
+    peerAlias: store.graphNodes[(i + 2) % 15].alias,
+    capacity: 16000000 - i * 1000000,
+    policy:
+      i === 3
+        ? null
+        : {
+            baseFeeMsat: 1000,
+            feeRatePpm: i * 10,
+            timeLockDelta: 40,
+            disabled: i === 5,
+          },
+  })),
+};
 store.payment.note = '#craefulgang';
+store.payment.recipients = [...Array(3)].map((x, i) => ({
+  address: `sb1qt6g6wmtfrmd0kcxs8de38hmdx8zzlhjaxzc8mm${i}`,
+  amount: '0.0001',
+}));
 store.selectedTransaction = (store.computedTransactions || []).find(
   tx => tx.type === 'bitcoin'
 );
@@ -377,6 +635,7 @@ store.channels = [...Array(4)].map((x, i) => ({
   localBalance: 1990000,
   remoteBalance: 10000,
   commitFee: 0,
+  csvDelay: 144,
   channelPoint:
     '3511ae8a52c97d957eaf65f828504e68d0991f0276adff94c6ba91c7f6cd4275',
   active: i % 2 === 0 ? true : false,
@@ -409,6 +668,12 @@ store.closedChannels = [...Array(4)].map(() => ({
   status: 'closed',
 }));
 store.selectedChannel = store.computedChannels && store.computedChannels[0];
+store.selectedChannelPolicy = {
+  baseFeeMsat: 1000,
+  feeRatePpm: 1,
+  timeLockDelta: 40,
+  maxHtlcMsat: 990000000,
+};
 store.percentSynced = 0.3;
 store.seedMnemonic = [
   'empower',
@@ -164,10 +164,25 @@ describe('Action Integration Tests', function() {
     grpc1 = new GrpcAction(store1, ipc1);
     info1 = new InfoAction(store1, grpc1, nav1, notify1);
     wallet1 = new WalletAction(store1, grpc1, db1, nav1, notify1);
-    transactions1 = new TransactionAction(store1, grpc1, nav1, notify1);
-    channels1 = new ChannelAction(store1, grpc1, nav1, notify1);
+    channels1 = new ChannelAction(store1, grpc1, nav1, notify1, ipc1);
+    transactions1 = new TransactionAction(
+      store1,
+      grpc1,
+      nav1,
+      notify1,
+      channels1
+    );
     invoice1 = new InvoiceAction(store1, grpc1, nav1, notify1);
-    payments1 = new PaymentAction(store1, grpc1, nav1, notify1);
+    payments1 = new PaymentAction(
+      store1,
+      grpc1,
+      nav1,
+      notify1,
+      null,
+      db1,
+      ipc1,
+      channels1
+    );
     autopilot1 = new AtplAction(store1, grpc1, db1, notify1);
 
     db2 = sinon.createStubInstance(AppStorage);
@@ -177,10 +192,25 @@ describe('Action Integration Tests', function() {
     grpc2 = new GrpcAction(store2, ipc2);
     info2 = new InfoAction(store2, grpc2, nav2, notify2);
     wallet2 = new WalletAction(store2, grpc2, db2, nav2, notify2);
-    transactions2 = new TransactionAction(store2, grpc2, nav2, notify2);
-    channels2 = new ChannelAction(store2, grpc2, nav2, notify2);
+    channels2 = new ChannelAction(store2, grpc2, nav2, notify2, ipc2);
+    transactions2 = new TransactionAction(
+      store2,
+      grpc2,
+      nav2,
+      notify2,
+      channels2
+    );
     invoice2 = new InvoiceAction(store2, grpc2, nav2, notify2);
-    payments2 = new PaymentAction(store2, grpc2, nav2, notify2);
+    payments2 = new PaymentAction(
+      store2,
+      grpc2,
+      nav2,
+      notify2,
+      null,
+      db2,
+      ipc2,
+      channels2
+    );
     autopilot2 = new AtplAction(store2, grpc2, db2, notify2);
 
     sandbox.stub(autopilot1, 'updateNodeScores').resolves(true);
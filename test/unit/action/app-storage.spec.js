@@ -1,5 +1,8 @@
 import { Store } from '../../../src/store';
-import AppStorage from '../../../src/action/app-storage';
+import AppStorage, {
+  SETTINGS_MIGRATIONS,
+} from '../../../src/action/app-storage';
+import { SETTINGS_VERSION } from '../../../src/config';
 import * as logger from '../../../src/action/log';
 
 describe('Action App Storage Unit Tests', () => {
@@ -56,6 +59,39 @@ describe('Action App Storage Unit Tests', () => {
       expect(store.settings.invalid, 'to be', undefined);
     });
 
+    it('should restore payment journal', async () => {
+      const date = new Date();
+      AsyncStorageStub.getItem.withArgs('paymentJournal').resolves(
+        JSON.stringify([
+          {
+            id: 'some-hash',
+            status: 'failed',
+            date,
+            updated: date,
+            attempts: [{ status: 'failed', date, updated: date }],
+          },
+        ])
+      );
+      await db.restore(AsyncStorageStub);
+      expect(store.paymentJournal.length, 'to equal', 1);
+      expect(store.paymentJournal[0].status, 'to equal', 'failed');
+      expect(
+        store.paymentJournal[0].date.getTime(),
+        'to equal',
+        date.getTime()
+      );
+      expect(
+        store.paymentJournal[0].attempts[0].date.getTime(),
+        'to equal',
+        date.getTime()
+      );
+      expect(
+        store.paymentJournal[0].attempts[0].updated.getTime(),
+        'to equal',
+        date.getTime()
+      );
+    });
+
     it('should log error', async () => {
       AsyncStorageStub.getItem.rejects(new Error('Boom!'));
       await db.restore(AsyncStorageStub);
@@ -64,14 +100,163 @@ describe('Action App Storage Unit Tests', () => {
     });
   });
 
+  describe('restore() with versioned settings', () => {
+    const restoreSettings = async settings => {
+      AsyncStorageStub.getItem
+        .withArgs('settings')
+        .resolves(JSON.stringify(settings));
+      await db.restore();
+    };
+
+    it('should migrate unversioned settings', async () => {
+      await restoreSettings({
+        fiat: 'eur',
+        exchangeRate: 0.1,
+        nodeScores: { 'some-pubkey': 0.5 },
+      });
+      expect(store.settings.exchangeRate, 'to equal', { eur: 0.1 });
+      expect(store.settings.nodeScores, 'to equal', {});
+    });
+
+    it('should not migrate current settings', async () => {
+      sandbox.spy(SETTINGS_MIGRATIONS[0], 'migrate');
+      await restoreSettings({
+        version: SETTINGS_VERSION,
+        exchangeRate: { usd: 0.1 },
+      });
+      expect(SETTINGS_MIGRATIONS[0].migrate, 'was not called');
+      expect(store.settings.exchangeRate, 'to equal', { usd: 0.1 });
+    });
+
+    it('should only apply newer migration steps', async () => {
+      sandbox.spy(SETTINGS_MIGRATIONS[0], 'migrate');
+      sandbox.spy(SETTINGS_MIGRATIONS[1], 'migrate');
+      await restoreSettings({ version: 1, unit: 'btc' });
+      expect(SETTINGS_MIGRATIONS[0].migrate, 'was not called');
+      expect(SETTINGS_MIGRATIONS[1].migrate, 'was called once');
+      expect(store.settings.unit, 'to equal', 'btc');
+    });
+
+    it('should keep known settings of a newer version', async () => {
+      await restoreSettings({ version: SETTINGS_VERSION + 1, unit: 'btc' });
+      expect(store.settings.unit, 'to equal', 'btc');
+    });
+
+    it('should use defaults for settings of the wrong type', async () => {
+      await restoreSettings({
+        version: SETTINGS_VERSION,
+        displayFiat: 'yes',
+        autopilot: null,
+        persistentPeers: {},
+        utxoLabels: ['foo'],
+        fiat: 'eur',
+      });
+      expect(store.settings.displayFiat, 'to be', false);
+      expect(store.settings.autopilot, 'to be', true);
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+      expect(store.settings.utxoLabels, 'to equal', {});
+      expect(store.settings.fiat, 'to equal', 'eur');
+    });
+
+    it('should use defaults for unknown units and currencies', async () => {
+      await restoreSettings({
+        version: SETTINGS_VERSION,
+        unit: 'mbtc',
+        fiat: 'xyz',
+      });
+      expect(store.settings.unit, 'to equal', 'sat');
+      expect(store.settings.fiat, 'to equal', 'usd');
+    });
+
+    it('should use defaults for corrupt settings', async () => {
+      AsyncStorageStub.getItem.withArgs('settings').resolves('{"unit":');
+      AsyncStorageStub.getItem
+        .withArgs('paymentJournal')
+        .resolves(JSON.stringify([]));
+      await db.restore();
+      expect(store.settings.unit, 'to equal', 'sat');
+      expect(logger.error, 'was called once');
+      expect(store.loaded, 'to be', true);
+    });
+
+    it('should use defaults if settings are not an object', async () => {
+      await restoreSettings(['btc']);
+      expect(store.settings.unit, 'to equal', 'sat');
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('SETTINGS_MIGRATIONS', () => {
+    it('should be ordered and end at the current version', () => {
+      const versions = SETTINGS_MIGRATIONS.map(m => m.version);
+      expect(
+        versions,
+        'to equal',
+        versions.slice().sort((a, b) => a - b)
+      );
+      expect(versions[versions.length - 1], 'to equal', SETTINGS_VERSION);
+    });
+
+    describe('version 1', () => {
+      const { migrate } = SETTINGS_MIGRATIONS[0];
+
+      it('should key the exchange rate by the selected fiat', () => {
+        expect(migrate({ fiat: 'gbp', exchangeRate: 0.2 }), 'to equal', {
+          fiat: 'gbp',
+          exchangeRate: { gbp: 0.2 },
+        });
+      });
+
+      it('should use the default fiat if none is selected', () => {
+        expect(migrate({ exchangeRate: 0.2 }), 'to equal', {
+          exchangeRate: { usd: 0.2 },
+        });
+      });
+
+      it('should keep an exchange rate that is already keyed', () => {
+        const settings = { fiat: 'eur', exchangeRate: { eur: 0.2 } };
+        expect(migrate(settings), 'to equal', settings);
+      });
+    });
+
+    describe('version 2', () => {
+      const { migrate } = SETTINGS_MIGRATIONS[1];
+
+      it('should drop scores that are not keyed by network', () => {
+        const settings = {
+          nodeScores: { 'some-pubkey': 0.5, testnet: { 'other-pubkey': 1 } },
+        };
+        expect(migrate(settings), 'to equal', {
+          nodeScores: { testnet: { 'other-pubkey': 1 } },
+        });
+      });
+
+      it('should keep settings without node scores', () => {
+        expect(migrate({ unit: 'btc' }), 'to equal', { unit: 'btc' });
+      });
+    });
+  });
+
   describe('save()', () => {
-    it('should save all settings', async () => {
+    it('should save all settings with the schema version', async () => {
       store.settings = { foo: 'bar' };
       await db.save();
-      const state = JSON.stringify(store.settings);
+      const state = JSON.stringify({ version: SETTINGS_VERSION, foo: 'bar' });
       expect(AsyncStorageStub.setItem, 'was called with', 'settings', state);
     });
 
+    it('should save payment journal', async () => {
+      store.paymentJournal = [{ id: 'some-hash', status: 'failed' }];
+      await db.save();
+      const journal = JSON.stringify(store.paymentJournal);
+      expect(
+        AsyncStorageStub.setItem,
+        'was called with',
+        'paymentJournal',
+        journal
+      );
+    });
+
     it('should log error', async () => {
       AsyncStorageStub.setItem.rejects(new Error('Boom!'));
       await db.save();
@@ -79,6 +264,73 @@ describe('Action App Storage Unit Tests', () => {
     });
   });
 
+  describe('exportState()', () => {
+    it('should copy settings and journal without device settings', () => {
+      store.settings.unit = 'btc';
+      store.settings.restoring = true;
+      store.settings.backupFolder = '/backups';
+      store.paymentJournal = [{ id: 'some-hash', status: 'failed' }];
+      const state = db.exportState();
+      expect(state.settings.unit, 'to equal', 'btc');
+      expect(state.settings.version, 'to equal', SETTINGS_VERSION);
+      expect(state.settings, 'not to have keys', 'restoring', 'backupFolder');
+      expect(state.paymentJournal, 'to equal', [
+        { id: 'some-hash', status: 'failed' },
+      ]);
+    });
+  });
+
+  describe('importState()', () => {
+    const date = new Date();
+    const entry = (id, status) => ({
+      id,
+      status,
+      date,
+      updated: date,
+      attempts: [{ status, date }],
+    });
+
+    it('should set supported settings and save', async () => {
+      await db.importState({
+        settings: { unit: 'btc', invalid: 'bar', restoring: true },
+      });
+      expect(store.settings.unit, 'to equal', 'btc');
+      expect(store.settings.invalid, 'to be', undefined);
+      expect(store.settings.restoring, 'to be', false);
+      expect(AsyncStorageStub.setItem, 'was called with', 'settings');
+    });
+
+    it('should migrate settings of older versions', async () => {
+      await db.importState({
+        settings: { version: 0, fiat: 'eur', exchangeRate: 0.1 },
+      });
+      expect(store.settings.exchangeRate, 'to equal', { eur: 0.1 });
+    });
+
+    it('should ignore invalid settings', async () => {
+      await db.importState({
+        settings: { version: SETTINGS_VERSION, unit: 'foo', autopilot: 1 },
+      });
+      expect(store.settings.unit, 'to equal', 'sat');
+      expect(store.settings.autopilot, 'to be', true);
+    });
+
+    it('should merge the payment journal', async () => {
+      store.paymentJournal = [entry('a', 'failed'), entry('b', 'failed')];
+      const exported = JSON.parse(JSON.stringify([entry('b', 'complete')]));
+      await db.importState({ paymentJournal: exported });
+      expect(store.paymentJournal, 'to satisfy', [
+        { id: 'b', status: 'complete' },
+        { id: 'a', status: 'failed' },
+      ]);
+      expect(
+        store.paymentJournal[0].attempts[0].date.getTime(),
+        'to equal',
+        date.getTime()
+      );
+    });
+  });
+
   describe('clear()', () => {
     it('should clear all settings', async () => {
       await db.clear();
@@ -0,0 +1,158 @@
+import { Store } from '../../../src/store';
+import GrpcAction from '../../../src/action/grpc';
+import IpcAction from '../../../src/action/ipc';
+import AppStorage from '../../../src/action/app-storage';
+import NotificationAction from '../../../src/action/notification';
+import BackupAction from '../../../src/action/backup';
+import * as logger from '../../../src/action/log';
+import { nap } from '../../../src/helper';
+
+describe('Action Backup Unit Tests', () => {
+  let store;
+  let sandbox;
+  let grpc;
+  let ipc;
+  let db;
+  let notification;
+  let backup;
+  const scb = Buffer.from('some-backup');
+  const snapshot = { multiChanBackup: { multiChanBackup: scb } };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    grpc = sinon.createStubInstance(GrpcAction);
+    ipc = sinon.createStubInstance(IpcAction);
+    db = sinon.createStubInstance(AppStorage);
+    notification = sinon.createStubInstance(NotificationAction);
+    backup = new BackupAction(store, grpc, ipc, db, notification);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('chooseFolder()', () => {
+    beforeEach(() => {
+      sandbox.stub(backup, 'pushChannelBackup');
+    });
+
+    it('should save the folder and write a backup', async () => {
+      ipc.send
+        .withArgs('scb-choose-folder', 'scb-folder-chosen')
+        .resolves('/backups');
+      await backup.chooseFolder();
+      expect(store.settings.backupFolder, 'to equal', '/backups');
+      expect(db.save, 'was called once');
+      expect(backup.pushChannelBackup, 'was called once');
+    });
+
+    it('should do nothing if the dialog is canceled', async () => {
+      ipc.send.resolves(null);
+      await backup.chooseFolder();
+      expect(store.settings.backupFolder, 'to equal', '');
+      expect(db.save, 'was not called');
+    });
+
+    it('should display notification on error', async () => {
+      ipc.send.rejects(new Error('Boom!'));
+      await backup.chooseFolder();
+      expect(notification.display, 'was called once');
+    });
+  });
+
+  describe('pushChannelBackup()', () => {
+    it('should do nothing without a folder', async () => {
+      await backup.pushChannelBackup();
+      expect(grpc.sendCommand, 'was not called');
+    });
+
+    it('should verify and write the exported backup', async () => {
+      store.settings.backupFolder = '/backups';
+      grpc.sendCommand.withArgs('exportAllChannelBackups').resolves(snapshot);
+      await backup.pushChannelBackup();
+      expect(grpc.sendCommand, 'was called with', 'verifyChanBackup', {
+        multiChanBackup: { multiChanBackup: scb },
+      });
+      expect(ipc.send, 'was called with', 'scb-write', 'scb-written', {
+        folder: '/backups',
+        data: scb.toString('base64'),
+      });
+      expect(store.channelBackup.lastBackup, 'to be a', Date);
+    });
+
+    it('should not write a backup that fails to verify', async () => {
+      store.settings.backupFolder = '/backups';
+      grpc.sendCommand.withArgs('exportAllChannelBackups').resolves(snapshot);
+      grpc.sendCommand.withArgs('verifyChanBackup').rejects(new Error('Boom!'));
+      await backup.pushChannelBackup();
+      expect(ipc.send, 'was not called');
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('subscribeChannelBackups()', () => {
+    it('should write incoming snapshots', async () => {
+      store.settings.backupFolder = '/backups';
+      const onStub = sinon.stub();
+      onStub.withArgs('data').yields(snapshot);
+      grpc.sendStreamCommand
+        .withArgs('subscribeChannelBackups')
+        .returns({ on: onStub });
+      await backup.subscribeChannelBackups();
+      await nap(10);
+      expect(ipc.send, 'was called with', 'scb-write', 'scb-written', {
+        data: scb.toString('base64'),
+      });
+    });
+  });
+
+  describe('selectRestoreFile()', () => {
+    it('should keep the selected backup for the wallet init', async () => {
+      ipc.send.withArgs('scb-open', 'scb-opened').resolves({
+        name: 'channel.backup',
+        data: scb.toString('base64'),
+      });
+      await backup.selectRestoreFile();
+      expect(store.channelBackup.fileName, 'to equal', 'channel.backup');
+      const buffer = await backup.fetchChannelBackup();
+      expect(buffer.toString(), 'to equal', 'some-backup');
+    });
+
+    it('should do nothing if the dialog is canceled', async () => {
+      ipc.send.resolves(null);
+      await backup.selectRestoreFile();
+      expect(await backup.fetchChannelBackup(), 'to be', null);
+    });
+  });
+
+  describe('restoreChannelBackups()', () => {
+    beforeEach(() => {
+      ipc.send.withArgs('scb-open', 'scb-opened').resolves({
+        name: 'channel.backup',
+        data: scb.toString('base64'),
+      });
+    });
+
+    it('should verify and restore the backup', async () => {
+      await backup.restoreChannelBackups();
+      expect(grpc.sendCommand, 'was called with', 'verifyChanBackup', {
+        multiChanBackup: { multiChanBackup: scb },
+      });
+      expect(grpc.sendCommand, 'was called with', 'restoreChannelBackups', {
+        multiChanBackup: scb,
+      });
+      expect(notification.display, 'was called with', { type: 'success' });
+    });
+
+    it('should not restore an invalid backup', async () => {
+      grpc.sendCommand.withArgs('verifyChanBackup').rejects(new Error('Boom!'));
+      await backup.restoreChannelBackups();
+      expect(grpc.sendCommand, 'was called once');
+      expect(notification.display, 'was called with', {
+        msg: 'Restoring channel backup failed!',
+      });
+    });
+  });
+});
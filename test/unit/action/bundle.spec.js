@@ -0,0 +1,290 @@
+import { Store } from '../../../src/store';
+import IpcAction from '../../../src/action/ipc';
+import NavAction from '../../../src/action/nav';
+import AppStorage from '../../../src/action/app-storage';
+import FileAction from '../../../src/action/file-mobile';
+import NotificationAction from '../../../src/action/notification';
+import BundleAction from '../../../src/action/bundle';
+import { BUNDLE_VERSION } from '../../../src/config';
+import * as logger from '../../../src/action/log';
+
+describe('Action Bundle Unit Tests', () => {
+  let store;
+  let sandbox;
+  let ipc;
+  let nav;
+  let db;
+  let file;
+  let notification;
+  let Random;
+  let bundle;
+  const state = {
+    settings: { unit: 'bit' },
+    paymentJournal: [{ id: 'some-hash', note: 'coffee' }],
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    ipc = sinon.createStubInstance(IpcAction);
+    nav = sinon.createStubInstance(NavAction);
+    db = sinon.createStubInstance(AppStorage);
+    db.exportState.returns(state);
+    notification = sinon.createStubInstance(NotificationAction);
+    Random = {
+      getRandomBytesAsync: sinon
+        .stub()
+        .callsFake(async size => new Uint8Array(size).fill(1)),
+    };
+    bundle = new BundleAction(store, db, nav, notification, Random, ipc);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('initExport()', () => {
+    it('should reset the inputs and navigate to the export view', () => {
+      store.bundle.password = 'foo';
+      bundle.initExport();
+      expect(store.bundle, 'to equal', { password: '', passwordVerify: '' });
+      expect(nav.goBundleExport, 'was called once');
+    });
+  });
+
+  describe('initImport()', () => {
+    it('should reset the inputs and navigate to the import view', () => {
+      store.bundle.passwordVerify = 'foo';
+      bundle.initImport();
+      expect(store.bundle, 'to equal', { password: '', passwordVerify: '' });
+      expect(nav.goBundleImport, 'was called once');
+    });
+  });
+
+  describe('setPassword() and setPasswordVerify()', () => {
+    it('should set the password inputs', () => {
+      bundle.setPassword({ password: 'foo' });
+      bundle.setPasswordVerify({ password: 'bar' });
+      expect(store.bundle, 'to equal', {
+        password: 'foo',
+        passwordVerify: 'bar',
+      });
+    });
+  });
+
+  describe('encrypt() and decrypt()', () => {
+    it('should roundtrip the payload', async () => {
+      const json = await bundle.encrypt({ payload: state, password: 'foo' });
+      const decrypted = await bundle.decrypt({ json, password: 'foo' });
+      expect(decrypted, 'to equal', state);
+    });
+
+    it('should not store the payload in plaintext', async () => {
+      const json = await bundle.encrypt({ payload: state, password: 'foo' });
+      expect(json, 'not to contain', 'coffee');
+      expect(JSON.parse(json), 'to satisfy', {
+        version: BUNDLE_VERSION,
+        kdf: { digest: 'sha256', iterations: 100000, salt: /.+/ },
+        nonce: /.+/,
+        data: /.+/,
+      });
+    });
+
+    it('should fail with the wrong password', async () => {
+      const json = await bundle.encrypt({ payload: state, password: 'foo' });
+      await expect(
+        bundle.decrypt({ json, password: 'bar' }),
+        'to be rejected with',
+        /Wrong password/
+      );
+    });
+
+    it('should fail for a file that is not a bundle', async () => {
+      await expect(
+        bundle.decrypt({ json: 'foo', password: 'foo' }),
+        'to be rejected with',
+        /Invalid app data file/
+      );
+      await expect(
+        bundle.decrypt({ json: '{}', password: 'foo' }),
+        'to be rejected with',
+        /Invalid app data file/
+      );
+    });
+
+    it('should only accept the supported key derivation', async () => {
+      const json = await bundle.encrypt({ payload: state, password: 'foo' });
+      const withKdf = kdf => {
+        const parsed = JSON.parse(json);
+        return JSON.stringify({ ...parsed, kdf: { ...parsed.kdf, ...kdf } });
+      };
+      for (const kdf of [
+        { digest: 'md5' },
+        { iterations: 1 },
+        { iterations: 1e9 },
+        { iterations: '100000' },
+      ]) {
+        await expect(
+          bundle.decrypt({ json: withKdf(kdf), password: 'foo' }),
+          'to be rejected with',
+          /Unsupported app data encryption/
+        );
+      }
+    });
+  });
+
+  describe('migrate()', () => {
+    it('should return a current payload unchanged', () => {
+      const payload = { version: BUNDLE_VERSION, ...state };
+      expect(bundle.migrate(payload), 'to equal', payload);
+    });
+
+    it('should throw for a missing version', () => {
+      expect(() => bundle.migrate(state), 'to throw', /Invalid app data file/);
+    });
+
+    it('should throw for an invalid version', () => {
+      expect(
+        () => bundle.migrate({ ...state, version: '1' }),
+        'to throw',
+        /Invalid app data file/
+      );
+      expect(
+        () => bundle.migrate({ ...state, version: 0 }),
+        'to throw',
+        /Invalid app data file/
+      );
+    });
+
+    it('should throw for a newer version', () => {
+      expect(
+        () => bundle.migrate({ version: BUNDLE_VERSION + 1 }),
+        'to throw',
+        /newer version/
+      );
+    });
+  });
+
+  describe('exportState()', () => {
+    beforeEach(() => {
+      store.bundle = { password: 'foo', passwordVerify: 'foo' };
+    });
+
+    it('should save the encrypted state with a save dialog', async () => {
+      ipc.send.resolves('/some/file.json');
+      await bundle.exportState();
+      expect(ipc.send, 'was called with', 'bundle-save', 'bundle-saved');
+      const json = ipc.send.args[0][2];
+      const payload = await bundle.decrypt({ json, password: 'foo' });
+      expect(payload, 'to satisfy', { version: BUNDLE_VERSION, ...state });
+      expect(notification.display, 'was called with', {
+        type: 'success',
+        msg: 'App data exported',
+      });
+      expect(nav.goSettings, 'was called once');
+    });
+
+    it('should do nothing if the dialog is canceled', async () => {
+      ipc.send.resolves(null);
+      await bundle.exportState();
+      expect(notification.display, 'was not called');
+      expect(nav.goSettings, 'was not called');
+    });
+
+    it('should share the file on mobile', async () => {
+      file = sinon.createStubInstance(FileAction);
+      bundle = new BundleAction(
+        store,
+        db,
+        nav,
+        notification,
+        Random,
+        ipc,
+        file
+      );
+      await bundle.exportState();
+      expect(ipc.send, 'was not called');
+      expect(file.shareBundle, 'was called once');
+      expect(nav.goSettings, 'was called once');
+    });
+
+    it('should display notification if passwords do not match', async () => {
+      store.bundle.passwordVerify = 'bar';
+      await bundle.exportState();
+      expect(ipc.send, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Exporting app data failed!',
+        err: new Error('Passwords do not match'),
+      });
+    });
+
+    it('should display notification without password', async () => {
+      store.bundle = { password: '', passwordVerify: '' };
+      await bundle.exportState();
+      expect(ipc.send, 'was not called');
+      expect(notification.display, 'was called once');
+    });
+  });
+
+  describe('importState()', () => {
+    let json;
+
+    beforeEach(async () => {
+      json = await bundle.encrypt({
+        payload: { version: BUNDLE_VERSION, ...state },
+        password: 'foo',
+      });
+      store.bundle = { password: 'foo', passwordVerify: '' };
+    });
+
+    it('should import the decrypted state from the selected file', async () => {
+      ipc.send.withArgs('bundle-open', 'bundle-opened').resolves(json);
+      await bundle.importState();
+      expect(db.importState, 'was called with', {
+        version: BUNDLE_VERSION,
+        ...state,
+      });
+      expect(notification.display, 'was called with', {
+        type: 'success',
+        msg: 'App data imported',
+      });
+      expect(nav.goSettings, 'was called once');
+    });
+
+    it('should do nothing if the dialog is canceled', async () => {
+      ipc.send.resolves(null);
+      await bundle.importState();
+      expect(db.importState, 'was not called');
+      expect(notification.display, 'was not called');
+    });
+
+    it('should read the file on mobile', async () => {
+      file = sinon.createStubInstance(FileAction);
+      file.readBundle.resolves(json);
+      bundle = new BundleAction(
+        store,
+        db,
+        nav,
+        notification,
+        Random,
+        ipc,
+        file
+      );
+      await bundle.importState();
+      expect(ipc.send, 'was not called');
+      expect(db.importState, 'was called once');
+    });
+
+    it('should display notification for the wrong password', async () => {
+      ipc.send.resolves(json);
+      store.bundle.password = 'bar';
+      await bundle.importState();
+      expect(db.importState, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Importing app data failed!',
+        err: new Error('Wrong password or corrupted file'),
+      });
+    });
+  });
+});
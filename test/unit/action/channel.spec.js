@@ -3,12 +3,26 @@ import GrpcAction from '../../../src/action/grpc';
 import ChannelAction from '../../../src/action/channel';
 import NotificationAction from '../../../src/action/notification';
 import NavAction from '../../../src/action/nav';
+import IpcAction from '../../../src/action/ipc';
+import FileAction from '../../../src/action/file-mobile';
 import * as logger from '../../../src/action/log';
+import { nap } from '../../../src/helper';
 
 describe('Action Channels Unit Tests', () => {
   const host = 'localhost:10011';
   const pubkey = 'pub_12345';
   const amount = '0.001';
+  const nodePubkey = `02${'ab'.repeat(32)}`;
+  const nodeInfo = {
+    node: {
+      pubKey: nodePubkey,
+      alias: 'some-alias',
+      color: '#3399ff',
+      addresses: [{ network: 'tcp', addr: '1.2.3.4:9735' }],
+    },
+    numChannels: 42,
+    totalCapacity: 5000000,
+  };
 
   let sandbox;
   let store;
@@ -16,6 +30,7 @@ describe('Action Channels Unit Tests', () => {
   let channel;
   let nav;
   let notification;
+  let ipc;
 
   beforeEach(() => {
     sandbox = sinon.createSandbox({});
@@ -24,10 +39,12 @@ describe('Action Channels Unit Tests', () => {
     store.settings.unit = 'btc';
     store.settings.displayFiat = false;
     require('../../../src/config').RETRY_DELAY = 1;
+    require('../../../src/config').CHANNEL_POLL_DELAY = 1;
     grpc = sinon.createStubInstance(GrpcAction);
     notification = sinon.createStubInstance(NotificationAction);
     nav = sinon.createStubInstance(NavAction);
-    channel = new ChannelAction(store, grpc, nav, notification);
+    ipc = sinon.createStubInstance(IpcAction);
+    channel = new ChannelAction(store, grpc, nav, notification, ipc);
   });
 
   afterEach(() => {
@@ -38,11 +55,189 @@ describe('Action Channels Unit Tests', () => {
     it('should clear attributes and navigate to channel create view', () => {
       store.channel.pubkeyAtHost = 'foo';
       store.channel.amount = 'bar';
+      store.channel.pushAmount = 'baz';
       channel.initCreate();
       expect(store.channel.pubkeyAtHost, 'to equal', '');
       expect(store.channel.amount, 'to equal', '');
+      expect(store.channel.pushAmount, 'to equal', '');
       expect(nav.goChannelCreate, 'was called once');
     });
+
+    it('should reset advanced parameters', () => {
+      store.channel.advanced = true;
+      store.channel.private = false;
+      store.channel.targetConf = '6';
+      store.channel.minHtlc = '1000';
+      store.channel.spendUnconfirmed = true;
+      channel.initCreate();
+      expect(store.channel.advanced, 'to be', false);
+      expect(store.channel.private, 'to be', true);
+      expect(store.channel.targetConf, 'to equal', '');
+      expect(store.channel.minHtlc, 'to equal', '');
+      expect(store.channel.spendUnconfirmed, 'to be', false);
+    });
+
+    it('should prefill the push amount', () => {
+      channel.initCreate({ pushSat: 50000 });
+      expect(store.channel.pushAmount, 'to equal', '0.0005');
+    });
+  });
+
+  describe('setPushAmount()', () => {
+    it('should set attribute', () => {
+      channel.setPushAmount({ amount: 'some-amount' });
+      expect(store.channel.pushAmount, 'to equal', 'some-amount');
+    });
+  });
+
+  describe('toggleAdvanced()', () => {
+    it('should toggle attribute', () => {
+      channel.toggleAdvanced();
+      expect(store.channel.advanced, 'to be', true);
+      channel.toggleAdvanced();
+      expect(store.channel.advanced, 'to be', false);
+    });
+  });
+
+  describe('togglePrivate()', () => {
+    it('should toggle attribute', () => {
+      channel.togglePrivate();
+      expect(store.channel.private, 'to be', false);
+    });
+  });
+
+  describe('toggleSpendUnconfirmed()', () => {
+    it('should toggle attribute', () => {
+      channel.toggleSpendUnconfirmed();
+      expect(store.channel.spendUnconfirmed, 'to be', true);
+    });
+  });
+
+  describe('setTargetConf()', () => {
+    it('should set attribute', () => {
+      channel.setTargetConf({ targetConf: '6' });
+      expect(store.channel.targetConf, 'to equal', '6');
+    });
+  });
+
+  describe('setOpenFeeRate()', () => {
+    it('should set attribute', () => {
+      channel.setOpenFeeRate({ feeRate: '12' });
+      expect(store.channel.openFeeRate, 'to equal', '12');
+    });
+  });
+
+  describe('setMinHtlc()', () => {
+    it('should set attribute', () => {
+      channel.setMinHtlc({ minHtlc: '1000' });
+      expect(store.channel.minHtlc, 'to equal', '1000');
+    });
+  });
+
+  describe('setCsvDelay()', () => {
+    it('should set attribute', () => {
+      channel.setCsvDelay({ csvDelay: '288' });
+      expect(store.channel.csvDelay, 'to equal', '288');
+    });
+  });
+
+  describe('initCreateConfirm()', () => {
+    beforeEach(() => {
+      store.balanceSatoshis = 500000;
+      store.confirmedBalanceSatoshis = 500000;
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+    });
+
+    it('should navigate to confirm view for valid inputs', async () => {
+      await channel.initCreateConfirm();
+      expect(nav.goChannelCreateConfirm, 'was called once');
+      expect(notification.display, 'was not called');
+    });
+
+    it('should look up the node before confirming', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').resolves(nodeInfo);
+      channel.setPubkeyAtHost({ pubkeyAtHost: nodePubkey });
+      await channel.initCreateConfirm();
+      expect(grpc.sendCommand, 'was called with', 'getNodeInfo', {
+        pubKey: nodePubkey,
+      });
+      expect(store.channel.peerInfo.alias, 'to equal', 'some-alias');
+      expect(nav.goChannelCreateConfirm, 'was called once');
+    });
+
+    it('should require an address for a bare pubkey', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').rejects(new Error('Boom!'));
+      channel.setPubkeyAtHost({ pubkeyAtHost: nodePubkey });
+      await channel.initCreateConfirm();
+      expect(notification.display, 'was called with', {
+        msg: 'No address found for this node. Please enter pubkey@host',
+      });
+      expect(nav.goChannelCreateConfirm, 'was not called');
+    });
+
+    it('should use the address of a connected peer', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').rejects(new Error('Boom!'));
+      store.peers = [{ pubKey: nodePubkey, address: '5.6.7.8:9735' }];
+      channel.setPubkeyAtHost({ pubkeyAtHost: nodePubkey });
+      await channel.initCreateConfirm();
+      expect(nav.goChannelCreateConfirm, 'was called once');
+    });
+
+    it('should display notification for invalid inputs', async () => {
+      channel.setMinHtlc({ minHtlc: '1.5' });
+      await channel.initCreateConfirm();
+      expect(notification.display, 'was called with', {
+        msg: 'Min HTLC must be a whole number of millisatoshis',
+      });
+      expect(nav.goChannelCreateConfirm, 'was not called');
+    });
+  });
+
+  describe('toggleScanner()', () => {
+    it('should toggle attribute', () => {
+      channel.toggleScanner();
+      expect(store.channel.useScanner, 'to be', true);
+    });
+  });
+
+  describe('readQRCode()', () => {
+    it('should set the scanned node uri', () => {
+      store.channel.useScanner = true;
+      channel.readQRCode({ data: `lightning:${nodePubkey}@${host}` });
+      expect(store.channel.pubkeyAtHost, 'to equal', `${nodePubkey}@${host}`);
+      expect(store.channel.useScanner, 'to be', false);
+    });
+
+    it('should ignore empty data', () => {
+      channel.readQRCode({ data: '' });
+      expect(store.channel.pubkeyAtHost, 'to equal', '');
+    });
+  });
+
+  describe('getNodeInfo()', () => {
+    it('should store the node info from the graph', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').resolves(nodeInfo);
+      await channel.getNodeInfo({ pubkey: nodePubkey });
+      expect(store.channel.peerInfo, 'to satisfy', {
+        pubkey: nodePubkey,
+        alias: 'some-alias',
+        color: '#3399ff',
+        numChannels: 42,
+        totalCapacity: 5000000,
+      });
+      expect(store.channel.peerInfo.addresses.slice(), 'to equal', [
+        '1.2.3.4:9735',
+      ]);
+    });
+
+    it('should reset node info and log if node is unknown', async () => {
+      store.channel.peerInfo = { pubkey: 'foo' };
+      grpc.sendCommand.withArgs('getNodeInfo').rejects(new Error('Boom!'));
+      await channel.getNodeInfo({ pubkey: nodePubkey });
+      expect(store.channel.peerInfo, 'to be', null);
+      expect(logger.info, 'was called once');
+    });
   });
 
   describe('setAmount()', () => {
@@ -73,6 +268,219 @@ describe('Action Channels Unit Tests', () => {
       expect(store.selectedChannel, 'to equal', 'some-channel');
       expect(nav.goChannelDetail, 'was called once');
     });
+
+    it('should reset close fee rate', () => {
+      store.channel.feeRate = '7';
+      channel.select({ item: 'some-channel' });
+      expect(store.channel.feeRate, 'to equal', '');
+    });
+  });
+
+  describe('getChannelPolicy()', () => {
+    const channelPoint = 'some-txid:1';
+    const openChannel = { id: '123', channelPoint, status: 'open' };
+
+    beforeEach(() => {
+      store.pubKey = 'my-pubkey';
+      grpc.sendCommand.withArgs('feeReport').resolves({
+        channelFees: [
+          { chanPoint: channelPoint, baseFeeMsat: 1000, feePerMil: 100 },
+        ],
+      });
+    });
+
+    it('should be fetched when an open channel is selected', () => {
+      sandbox.stub(channel, 'getChannelPolicy');
+      channel.select({ item: openChannel });
+      expect(channel.getChannelPolicy, 'was called with', {
+        channel: openChannel,
+      });
+    });
+
+    it('should combine fee report and our side of the graph edge', async () => {
+      grpc.sendCommand.withArgs('getChanInfo').resolves({
+        node1Pub: 'other-pubkey',
+        node2Pub: 'my-pubkey',
+        node1Policy: { timeLockDelta: 144, maxHtlcMsat: 1 },
+        node2Policy: { timeLockDelta: 40, maxHtlcMsat: 990000000 },
+      });
+      await channel.getChannelPolicy({ channel: openChannel });
+      expect(grpc.sendCommand, 'was called with', 'getChanInfo', {
+        chanId: '123',
+      });
+      expect(store.selectedChannelPolicy, 'to equal', {
+        baseFeeMsat: 1000,
+        feeRatePpm: 100,
+        timeLockDelta: 40,
+        maxHtlcMsat: 990000000,
+      });
+    });
+
+    it('should show fees if channel is not in the graph', async () => {
+      grpc.sendCommand.withArgs('getChanInfo').rejects(new Error('Boom!'));
+      await channel.getChannelPolicy({ channel: openChannel });
+      expect(store.selectedChannelPolicy, 'to equal', {
+        baseFeeMsat: 1000,
+        feeRatePpm: 100,
+        timeLockDelta: null,
+        maxHtlcMsat: null,
+      });
+      expect(logger.info, 'was called once');
+    });
+
+    it('should log error if fee report fails', async () => {
+      grpc.sendCommand.withArgs('feeReport').rejects(new Error('Boom!'));
+      await channel.getChannelPolicy({ channel: openChannel });
+      expect(store.selectedChannelPolicy, 'to be', null);
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('initPolicy()', () => {
+    it('should prefill the current policy', () => {
+      store.selectedChannelPolicy = {
+        baseFeeMsat: 1000,
+        feeRatePpm: 0,
+        timeLockDelta: 40,
+        maxHtlcMsat: null,
+      };
+      channel.initPolicy();
+      expect(store.policy, 'to equal', {
+        global: false,
+        baseFee: '1000',
+        feeRate: '0',
+        timeLockDelta: '40',
+      });
+      expect(nav.goChannelPolicy, 'was called once');
+    });
+  });
+
+  describe('initGlobalPolicy()', () => {
+    it('should reset the editor for all channels', () => {
+      store.policy.baseFee = '1000';
+      channel.initGlobalPolicy();
+      expect(store.policy.global, 'to be', true);
+      expect(store.policy.baseFee, 'to equal', '');
+      expect(nav.goSettingsChannelPolicy, 'was called once');
+    });
+  });
+
+  describe('policy setters', () => {
+    it('should set attributes', () => {
+      channel.setPolicyBaseFee({ baseFee: '1000' });
+      channel.setPolicyFeeRate({ feeRate: '100' });
+      channel.setPolicyTimeLockDelta({ timeLockDelta: '40' });
+      expect(store.policy, 'to satisfy', {
+        baseFee: '1000',
+        feeRate: '100',
+        timeLockDelta: '40',
+      });
+    });
+  });
+
+  describe('updatePolicy()', () => {
+    beforeEach(() => {
+      sandbox.stub(channel, 'getChannelPolicy');
+      store.selectedChannel = { capacity: 100000, channelPoint: 'some-txid:1' };
+      channel.setPolicyBaseFee({ baseFee: '1000' });
+      channel.setPolicyFeeRate({ feeRate: '100' });
+      channel.setPolicyTimeLockDelta({ timeLockDelta: '40' });
+    });
+
+    it('should update policy of the selected channel', async () => {
+      await channel.updatePolicy();
+      expect(grpc.sendCommand, 'was called with', 'updateChannelPolicy', {
+        chanPoint: { fundingTxidStr: 'some-txid', outputIndex: 1 },
+        baseFeeMsat: 1000,
+        feeRate: 0.0001,
+        timeLockDelta: 40,
+      });
+      expect(notification.display, 'was called with', { type: 'success' });
+      expect(nav.goChannelDetail, 'was called once');
+      expect(channel.getChannelPolicy, 'was called once');
+    });
+
+    it('should update policy of all channels', async () => {
+      store.policy.global = true;
+      await channel.updatePolicy();
+      expect(grpc.sendCommand, 'was called with', 'updateChannelPolicy', {
+        global: true,
+        baseFeeMsat: 1000,
+      });
+      expect(nav.goSettings, 'was called once');
+    });
+
+    it('should reject a time-lock delta below the minimum', async () => {
+      channel.setPolicyTimeLockDelta({ timeLockDelta: '6' });
+      await channel.updatePolicy();
+      expect(notification.display, 'was called with', {
+        msg: 'Time-lock delta must be a whole number from 18 to 2016',
+      });
+    });
+
+    it('should require all fee fields', async () => {
+      channel.setPolicyFeeRate({ feeRate: '' });
+      await channel.updatePolicy();
+      expect(notification.display, 'was called with', {
+        msg: 'Enter a base fee, fee rate and time-lock delta',
+      });
+    });
+
+    it('should display notification on error', async () => {
+      grpc.sendCommand.withArgs('updateChannelPolicy').rejects(new Error());
+      await channel.updatePolicy();
+      expect(notification.display, 'was called with', {
+        msg: 'Updating routing policy failed!',
+      });
+      expect(nav.goChannelDetail, 'was not called');
+    });
+  });
+
+  describe('initDelete()', () => {
+    beforeEach(() => {
+      store.selectedChannel = { status: 'open', active: true };
+      store.channel.feeRate = '7';
+    });
+
+    it('should preselect cooperative close for active channels', () => {
+      store.channel.forceClose = true;
+      channel.initDelete();
+      expect(store.channel.forceClose, 'to be', false);
+      expect(store.channel.feeRate, 'to equal', '');
+      expect(nav.goChannelDelete, 'was called once');
+    });
+
+    it('should preselect force close for inactive channels', () => {
+      store.selectedChannel.active = false;
+      channel.initDelete();
+      expect(store.channel.forceClose, 'to be', true);
+    });
+  });
+
+  describe('setForceClose()', () => {
+    beforeEach(() => {
+      store.selectedChannel = { status: 'open', active: true };
+    });
+
+    it('should switch between cooperative and force close', () => {
+      channel.setForceClose({ force: true });
+      expect(store.channel.forceClose, 'to be', true);
+      channel.setForceClose({ force: false });
+      expect(store.channel.forceClose, 'to be', false);
+    });
+
+    it('should not allow cooperative close for pending channels', () => {
+      store.selectedChannel.status = 'pending-open';
+      channel.setForceClose({ force: false });
+      expect(store.channel.forceClose, 'to be', true);
+    });
+  });
+
+  describe('setCloseFeeRate()', () => {
+    it('should set close fee rate', () => {
+      channel.setCloseFeeRate({ feeRate: '7' });
+      expect(store.channel.feeRate, 'to equal', '7');
+    });
   });
 
   describe('update()', () => {
@@ -91,6 +499,98 @@ describe('Action Channels Unit Tests', () => {
     });
   });
 
+  describe('subscribeChannelEvents()', () => {
+    const txid = `01${'ab'.repeat(31)}`;
+    let onStub;
+
+    beforeEach(() => {
+      onStub = sinon.stub();
+      grpc.sendStreamCommand
+        .withArgs('subscribeChannelEvents')
+        .returns({ on: onStub });
+      sandbox.stub(channel, 'getPendingChannels');
+      sandbox.stub(channel, 'getClosedChannels');
+      store.channels = [
+        { id: '1', channelPoint: `${txid}:0`, active: true, status: 'open' },
+      ];
+    });
+
+    it('should add opened channels', async () => {
+      onStub.withArgs('data').yields({
+        openChannel: {
+          chanId: '2',
+          remotePubkey: 'some-pubkey',
+          channelPoint: `${txid}:1`,
+          capacity: 100000,
+          active: true,
+        },
+      });
+      onStub.withArgs('end').yields();
+      await channel.subscribeChannelEvents();
+      expect(store.channels.length, 'to equal', 2);
+      expect(store.channels[1], 'to satisfy', {
+        id: '2',
+        fundingTxId: txid,
+        status: 'open',
+      });
+      expect(channel.getPendingChannels, 'was called once');
+    });
+
+    it('should remove closed channels and notify', async () => {
+      onStub.withArgs('data').yields({
+        closedChannel: { chanId: '1', channelPoint: `${txid}:0` },
+      });
+      onStub.withArgs('end').yields();
+      await channel.subscribeChannelEvents();
+      expect(store.channels.length, 'to equal', 0);
+      expect(notification.display, 'was called with', {
+        msg: 'Channel closed',
+      });
+      expect(channel.getClosedChannels, 'was called once');
+    });
+
+    it('should mark inactive channels and notify', async () => {
+      onStub.withArgs('data').yields({
+        inactiveChannel: {
+          fundingTxidBytes: Buffer.from(txid, 'hex').reverse(),
+          outputIndex: 0,
+        },
+      });
+      onStub.withArgs('end').yields();
+      await channel.subscribeChannelEvents();
+      expect(store.channels[0].active, 'to be', false);
+      expect(notification.display, 'was called with', {
+        msg: 'Channel went inactive',
+      });
+    });
+
+    it('should mark active channels without notification', async () => {
+      store.channels[0].active = false;
+      onStub.withArgs('data').yields({
+        activeChannel: { fundingTxidStr: txid, outputIndex: 0 },
+      });
+      onStub.withArgs('end').yields();
+      await channel.subscribeChannelEvents();
+      expect(store.channels[0].active, 'to be', true);
+      expect(notification.display, 'was not called');
+    });
+
+    it('should log invalid events', async () => {
+      onStub.withArgs('data').yields({ openChannel: { chanId: '2' } });
+      onStub.withArgs('end').yields();
+      await channel.subscribeChannelEvents();
+      await nap(10);
+      expect(store.channels.length, 'to equal', 1);
+      expect(logger.error, 'was called with', 'Applying channel event failed');
+    });
+
+    it('should log stream error', async () => {
+      onStub.withArgs('error').yields(new Error('Boom!'));
+      await channel.subscribeChannelEvents();
+      expect(logger.error, 'was called with', 'Channel updates failed');
+    });
+  });
+
   describe('getChannels()', () => {
     it('should list open channels', async () => {
       grpc.sendCommand.withArgs('listChannels').resolves({
@@ -198,6 +698,8 @@ describe('Action Channels Unit Tests', () => {
 
   describe('connectAndOpen()', () => {
     beforeEach(() => {
+      store.balanceSatoshis = 500000;
+      store.confirmedBalanceSatoshis = 500000;
       sandbox.stub(channel, 'openChannel');
       sandbox.stub(channel, 'getPeers');
       grpc.sendCommand.withArgs('connectPeer').resolves();
@@ -213,10 +715,130 @@ describe('Action Channels Unit Tests', () => {
       expect(channel.openChannel, 'was called with', {
         pubkey,
         amount: 100000,
+        pushSat: 0,
       });
       expect(nav.goChannels, 'was called once');
     });
 
+    it('should open channel with push amount', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.setPushAmount({ amount: '0.0002' });
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was called with', {
+        pubkey,
+        amount: 100000,
+        pushSat: 20000,
+      });
+    });
+
+    it('should display notification if push amount is too high', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.setPushAmount({ amount });
+      await channel.connectAndOpen();
+      expect(notification.display, 'was called with', {
+        msg: 'Push amount must be less than the channel amount',
+      });
+      expect(channel.openChannel, 'was not called');
+    });
+
+    it('should open channel with advanced parameters', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.togglePrivate();
+      channel.setTargetConf({ targetConf: '6' });
+      channel.setMinHtlc({ minHtlc: '1000' });
+      channel.setCsvDelay({ csvDelay: '288' });
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was called with', {
+        pubkey,
+        amount: 100000,
+        isPrivate: false,
+        targetConf: 6,
+        minHtlcMsat: 1000,
+        remoteCsvDelay: 288,
+      });
+    });
+
+    it('should open channel with a custom fee rate', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.setOpenFeeRate({ feeRate: '12' });
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was called with', { satPerByte: 12 });
+    });
+
+    it('should reject a target and a fee rate together', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.setTargetConf({ targetConf: '6' });
+      channel.setOpenFeeRate({ feeRate: '12' });
+      await channel.connectAndOpen();
+      expect(notification.display, 'was called with', {
+        msg: 'Set either a confirmation target or a fee rate',
+      });
+      expect(channel.openChannel, 'was not called');
+    });
+
+    it('should reject a csv delay outside the limits', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      channel.setCsvDelay({ csvDelay: '10' });
+      await channel.connectAndOpen();
+      expect(notification.display, 'was called with', {
+        msg: 'Number of blocks must be between 144 and 2016',
+      });
+      expect(channel.openChannel, 'was not called');
+    });
+
+    it('should reject an amount below the minimum channel size', async () => {
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount: '0.0001' });
+      await channel.connectAndOpen();
+      expect(notification.display, 'was called with', {
+        msg: 'Channel amount must be between 20000 and 16777215 sats',
+      });
+      expect(channel.openChannel, 'was not called');
+    });
+
+    it('should only spend unconfirmed funds if enabled', async () => {
+      store.confirmedBalanceSatoshis = 50000;
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      await channel.connectAndOpen();
+      expect(notification.display, 'was called with', {
+        msg: 'Channel amount exceeds the confirmed wallet balance',
+      });
+      channel.toggleSpendUnconfirmed();
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was called with', {
+        spendUnconfirmed: true,
+      });
+    });
+
+    it('should connect to the advertised address of a pubkey', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').resolves(nodeInfo);
+      channel.setPubkeyAtHost({ pubkeyAtHost: nodePubkey });
+      channel.setAmount({ amount });
+      await channel.connectAndOpen();
+      expect(grpc.sendCommand, 'was called with', 'connectPeer', {
+        addr: { host: '1.2.3.4:9735', pubkey: nodePubkey },
+      });
+      expect(channel.openChannel, 'was called with', { pubkey: nodePubkey });
+    });
+
+    it('should not open channel to a pubkey without address', async () => {
+      grpc.sendCommand.withArgs('getNodeInfo').rejects(new Error('Boom!'));
+      channel.setPubkeyAtHost({ pubkeyAtHost: nodePubkey });
+      channel.setAmount({ amount });
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Creating channel failed!',
+      });
+    });
+
     it('should display notification on invalid pubkeyAtHost', async () => {
       channel.setPubkeyAtHost({ pubkeyAtHost: '' });
       await channel.connectAndOpen();
@@ -224,8 +846,10 @@ describe('Action Channels Unit Tests', () => {
       expect(grpc.sendCommand, 'was not called');
     });
 
-    it('should try to open channel if connect fails', async () => {
-      grpc.sendCommand.withArgs('connectPeer').rejects(new Error('Boom!'));
+    it('should open channel if already connected', async () => {
+      grpc.sendCommand
+        .withArgs('connectPeer')
+        .rejects(new Error('already connected to peer: foo'));
       channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
       channel.setAmount({ amount });
       await channel.connectAndOpen();
@@ -233,13 +857,22 @@ describe('Action Channels Unit Tests', () => {
       expect(channel.openChannel, 'was called once');
     });
 
-    it('should display notification if both fail', async () => {
+    it('should display notification if connect fails', async () => {
       grpc.sendCommand.withArgs('connectPeer').rejects(new Error('Boom!'));
+      channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      channel.setAmount({ amount });
+      await channel.connectAndOpen();
+      expect(channel.openChannel, 'was not called');
+      expect(notification.display, 'was called once');
+      expect(nav.goChannelCreate, 'was called once');
+    });
+
+    it('should display notification if open fails', async () => {
+      grpc.sendCommand.withArgs('connectPeer').resolves();
       channel.openChannel.rejects(new Error('Boom!'));
       channel.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
       channel.setAmount({ amount });
       await channel.connectAndOpen();
-      expect(logger.info, 'was called once');
       expect(notification.display, 'was called once');
       expect(nav.goChannelCreate, 'was called once');
     });
@@ -252,14 +885,34 @@ describe('Action Channels Unit Tests', () => {
       expect(grpc.sendCommand, 'was called with', 'connectPeer');
     });
 
-    it('should log info in case of error', async () => {
-      grpc.sendCommand.withArgs('connectPeer').rejects(new Error('Boom!'));
+    it('should log info if already connected', async () => {
+      grpc.sendCommand
+        .withArgs('connectPeer')
+        .rejects(new Error('already connected to peer: foo'));
       await channel.connectToPeer({
         host,
         pubkey,
       });
       expect(logger.info, 'was called once');
     });
+
+    it('should throw other errors', async () => {
+      grpc.sendCommand.withArgs('connectPeer').rejects(new Error('Boom!'));
+      await expect(
+        channel.connectToPeer({ host, pubkey }),
+        'to be rejected with error satisfying',
+        /Boom/
+      );
+    });
+
+    it('should request a permanent connection', async () => {
+      grpc.sendCommand.withArgs('connectPeer').resolves();
+      await channel.connectToPeer({ host, pubkey, perm: true });
+      expect(grpc.sendCommand, 'was called with', 'connectPeer', {
+        addr: { host, pubkey },
+        perm: true,
+      });
+    });
   });
 
   describe('openChannel()', () => {
@@ -276,6 +929,31 @@ describe('Action Channels Unit Tests', () => {
       });
       await channel.openChannel({ pubkey, amount: 100000 });
       expect(channel.update, 'was called once');
+      expect(grpc.sendStreamCommand, 'was called with', 'openChannel', {
+        localFundingAmount: 100000,
+        pushSat: 0,
+        private: true,
+      });
+    });
+
+    it('should pass advanced parameters', async () => {
+      const onStub = sinon.stub();
+      onStub.withArgs('end').yields();
+      grpc.sendStreamCommand.withArgs('openChannel').returns({
+        on: onStub,
+      });
+      await channel.openChannel({
+        pubkey,
+        amount: 100000,
+        isPrivate: false,
+        satPerByte: 12,
+        minHtlcMsat: 1000,
+      });
+      expect(grpc.sendStreamCommand, 'was called with', 'openChannel', {
+        private: false,
+        satPerByte: 12,
+        minHtlcMsat: 1000,
+      });
     });
 
     it('should throw error', async () => {
@@ -311,6 +989,44 @@ describe('Action Channels Unit Tests', () => {
       });
     });
 
+    it('should pass custom fee rate for cooperative close', async () => {
+      store.channel.feeRate = '7';
+      await channel.closeSelectedChannel();
+      expect(channel.closeChannel, 'was called with', {
+        channelPoint: 'some-channel-point',
+        force: false,
+        satPerByte: 7,
+      });
+    });
+
+    it('should force close if chosen by the user', async () => {
+      store.channel.forceClose = true;
+      store.channel.feeRate = '7';
+      await channel.closeSelectedChannel();
+      expect(channel.closeChannel, 'was called with', {
+        force: true,
+        satPerByte: undefined,
+      });
+    });
+
+    it('should not close with invalid fee rate', async () => {
+      store.channel.feeRate = '0';
+      await channel.closeSelectedChannel();
+      expect(nav.goChannels, 'was not called');
+      expect(channel.closeChannel, 'was not called');
+      expect(notification.display, 'was called once');
+    });
+
+    it('should ignore fee rate for force close', async () => {
+      store.channel.feeRate = '0';
+      store.selectedChannel.active = false;
+      await channel.closeSelectedChannel();
+      expect(channel.closeChannel, 'was called with', {
+        force: true,
+        satPerByte: undefined,
+      });
+    });
+
     it('should force close inactive open channel', async () => {
       store.selectedChannel.active = false;
       await channel.closeSelectedChannel();
@@ -339,6 +1055,102 @@ describe('Action Channels Unit Tests', () => {
     });
   });
 
+  describe('abandonSelectedChannel()', () => {
+    beforeEach(() => {
+      store.selectedChannel = {
+        channelPoint: 'FFFF:1',
+        status: 'pending-open',
+      };
+      sandbox.stub(channel, 'update');
+      grpc.sendCommand
+        .withArgs('exportChannelBackup')
+        .resolves({ chanBackup: Buffer.from('backup') });
+      ipc.send
+        .withArgs('scb-channel-save', 'scb-channel-saved')
+        .resolves('/foo/channel-FFFF-1.backup');
+    });
+
+    it('should save a backup and then abandon the channel', async () => {
+      await channel.abandonSelectedChannel();
+      expect(grpc.sendCommand, 'was called with', 'exportChannelBackup', {
+        chanPoint: { fundingTxidStr: 'FFFF', outputIndex: 1 },
+      });
+      expect(
+        ipc.send,
+        'was called with',
+        'scb-channel-save',
+        'scb-channel-saved',
+        {
+          name: 'channel-FFFF-1.backup',
+          data: Buffer.from('backup').toString('base64'),
+        }
+      );
+      expect(grpc.sendCommand, 'was called with', 'abandonChannel', {
+        channelPoint: { fundingTxidStr: 'FFFF', outputIndex: 1 },
+      });
+      expect(
+        ipc.send.firstCall.calledBefore(grpc.sendCommand.lastCall),
+        'to be',
+        true
+      );
+      expect(nav.goChannels, 'was called once');
+      expect(notification.display, 'was called with', { type: 'success' });
+      expect(channel.update, 'was called once');
+    });
+
+    it('should not abandon without a backup', async () => {
+      grpc.sendCommand.withArgs('exportChannelBackup').resolves({});
+      await channel.abandonSelectedChannel();
+      expect(grpc.sendCommand, 'was called once');
+      expect(ipc.send, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Abandoning channel failed!',
+      });
+    });
+
+    it('should not abandon if saving the backup was canceled', async () => {
+      ipc.send.withArgs('scb-channel-save', 'scb-channel-saved').resolves(null);
+      await channel.abandonSelectedChannel();
+      expect(grpc.sendCommand, 'was called once');
+      expect(nav.goChannels, 'was not called');
+    });
+
+    it('should share the backup on mobile', async () => {
+      const file = sinon.createStubInstance(FileAction);
+      channel = new ChannelAction(store, grpc, nav, notification, ipc, file);
+      sandbox.stub(channel, 'update');
+      await channel.abandonSelectedChannel();
+      expect(file.shareChannelBackup, 'was called with', {
+        name: 'channel-FFFF-1.backup',
+        data: Buffer.from('backup').toString('base64'),
+      });
+      expect(grpc.sendCommand, 'was called with', 'abandonChannel');
+    });
+
+    it('should display error if abandoning fails', async () => {
+      grpc.sendCommand.withArgs('abandonChannel').rejects(new Error('Boom!'));
+      await channel.abandonSelectedChannel();
+      expect(nav.goChannels, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Abandoning channel failed!',
+        err: { message: 'Boom!' },
+      });
+    });
+
+    it('should explain that release builds cannot abandon', async () => {
+      grpc.sendCommand
+        .withArgs('abandonChannel')
+        .rejects(
+          new Error('AbandonChannel RPC call only available in dev builds')
+        );
+      await channel.abandonSelectedChannel();
+      expect(nav.goChannels, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Abandoning channels requires a debug build of lnd',
+      });
+    });
+  });
+
   describe('closeChannel()', () => {
     let onStub;
     let channelPoint;
@@ -349,6 +1161,19 @@ describe('Action Channels Unit Tests', () => {
       channelPoint = 'FFFF:1';
     });
 
+    it('should use custom fee rate instead of target conf', async () => {
+      onStub.withArgs('end').yields();
+      grpc.sendStreamCommand
+        .withArgs('closeChannel', {
+          channelPoint: { fundingTxidStr: 'FFFF', outputIndex: 1 },
+          force: false,
+          satPerByte: 7,
+        })
+        .returns({ on: onStub });
+      await channel.closeChannel({ channelPoint, satPerByte: 7 });
+      expect(grpc.sendStreamCommand, 'was called once');
+    });
+
     it('should update pending/open channels on closePending', async () => {
       onStub.withArgs('data').yields({ closePending: {} });
       onStub.withArgs('end').yields();
@@ -142,4 +142,70 @@ describe('Action File Mobile Unit Tests', () => {
       expect(await file.readSCBFromExternalStorage(), 'to equal', undefined);
     });
   });
+
+  describe('shareChannelBackup()', () => {
+    it('should write the backup and invoke the native share api', async () => {
+      RNFS.writeFile = sinon.stub().resolves();
+      await file.shareChannelBackup({ name: 'channel.backup', data: 'Zm9v' });
+      expect(
+        RNFS.writeFile,
+        'was called with',
+        '/foo/bar/channel.backup',
+        'Zm9v',
+        'base64'
+      );
+      expect(RNShare.open, 'was called with', {
+        url: 'file:///foo/bar/channel.backup',
+        type: 'application/octet-stream',
+      });
+    });
+  });
+
+  describe('shareBundle()', () => {
+    it('should write the bundle and invoke the native share api', async () => {
+      RNFS.writeFile = sinon.stub().resolves();
+      await file.shareBundle('{"data":"foo"}');
+      expect(
+        RNFS.writeFile,
+        'was called with',
+        '/foo/bar/lightning-app-data.json',
+        '{"data":"foo"}',
+        'utf8'
+      );
+      expect(RNShare.open, 'was called with', {
+        url: 'file:///foo/bar/lightning-app-data.json',
+        type: 'application/json',
+      });
+    });
+  });
+
+  describe('readBundle()', () => {
+    it('should prefer the bundle on external storage', async () => {
+      RNFS.exists.resolves(true);
+      expect(await file.readBundle(), 'to equal', 'some-data');
+      expect(
+        RNFS.readFile,
+        'was called with',
+        '/bar/baz/Lightning/lightning-app-data.json',
+        'utf8'
+      );
+    });
+
+    it('should fall back to the documents directory', async () => {
+      RNFS.exists.resolves(false);
+      RNFS.exists.withArgs('/foo/bar/lightning-app-data.json').resolves(true);
+      expect(await file.readBundle(), 'to equal', 'some-data');
+      expect(
+        RNFS.readFile,
+        'was called with',
+        '/foo/bar/lightning-app-data.json',
+        'utf8'
+      );
+    });
+
+    it('should throw if no bundle exists', async () => {
+      RNFS.exists.resolves(false);
+      await expect(file.readBundle(), 'to be rejected with', /No app data/);
+    });
+  });
 });
@@ -0,0 +1,139 @@
+import { Store } from '../../../src/store';
+import GrpcAction from '../../../src/action/grpc';
+import ForwardingAction from '../../../src/action/forwarding';
+import NavAction from '../../../src/action/nav';
+import * as logger from '../../../src/action/log';
+
+describe('Action Forwarding Unit Tests', () => {
+  let store;
+  let sandbox;
+  let grpc;
+  let nav;
+  let forwarding;
+  const event = {
+    timestamp: 1527070395,
+    chanIdIn: 1234,
+    chanIdOut: 5678,
+    amtIn: 10010,
+    amtOut: 10000,
+    fee: 10,
+    feeMsat: 10000,
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    grpc = sinon.createStubInstance(GrpcAction);
+    nav = sinon.createStubInstance(NavAction);
+    forwarding = new ForwardingAction(store, grpc, nav);
+    require('../../../src/config').FORWARDING_MAX_EVENTS = 2;
+    require('../../../src/config').FORWARDING_PAGE_SIZE = 2;
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    require('../../../src/config').FORWARDING_MAX_EVENTS = 50000;
+    require('../../../src/config').FORWARDING_PAGE_SIZE = 20;
+  });
+
+  describe('init()', () => {
+    it('should reset page, navigate and refresh', async () => {
+      store.forwardingPage = 3;
+      sandbox.stub(forwarding, 'update');
+      await forwarding.init();
+      expect(store.forwardingPage, 'to equal', 0);
+      expect(nav.goForwarding, 'was called once');
+      expect(forwarding.update, 'was called once');
+    });
+  });
+
+  describe('update()', () => {
+    it('should fetch forwarding events and fee report', async () => {
+      sandbox.stub(forwarding, 'getForwardingHistory');
+      sandbox.stub(forwarding, 'getFeeReport');
+      await forwarding.update();
+      expect(forwarding.getForwardingHistory, 'was called once');
+      expect(forwarding.getFeeReport, 'was called once');
+    });
+  });
+
+  describe('getForwardingHistory()', () => {
+    it('should list events of all pages', async () => {
+      grpc.sendCommand
+        .withArgs('forwardingHistory', sinon.match({ indexOffset: 0 }))
+        .resolves({ forwardingEvents: [event, event], lastOffsetIndex: 2 });
+      grpc.sendCommand
+        .withArgs('forwardingHistory', sinon.match({ indexOffset: 2 }))
+        .resolves({ forwardingEvents: [event], lastOffsetIndex: 3 });
+      await forwarding.getForwardingHistory();
+      expect(grpc.sendCommand.callCount, 'to equal', 2);
+      expect(store.forwardingEvents.length, 'to equal', 3);
+      expect(store.forwardingEvents[0], 'to satisfy', {
+        date: new Date(1527070395000),
+        chanIdIn: '1234',
+        chanIdOut: '5678',
+        amountIn: 10010,
+        amountOut: 10000,
+        fee: 10,
+      });
+    });
+
+    it('should query the forwarding period', async () => {
+      grpc.sendCommand
+        .withArgs('forwardingHistory')
+        .resolves({ forwardingEvents: [], lastOffsetIndex: 0 });
+      await forwarding.getForwardingHistory();
+      const { startTime, endTime } = grpc.sendCommand.args[0][1];
+      expect(endTime - startTime, 'to equal', 30 * 24 * 60 * 60);
+    });
+
+    it('should log error on failure', async () => {
+      grpc.sendCommand.rejects(new Error('Boom!'));
+      await forwarding.getForwardingHistory();
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('getFeeReport()', () => {
+    it('should set fee sums', async () => {
+      grpc.sendCommand.withArgs('feeReport').resolves({
+        dayFeeSum: 1,
+        weekFeeSum: 20,
+        monthFeeSum: '300',
+      });
+      await forwarding.getFeeReport();
+      expect(store.forwardingFees, 'to equal', {
+        day: 1,
+        week: 20,
+        month: 300,
+      });
+    });
+
+    it('should log error on failure', async () => {
+      grpc.sendCommand.rejects(new Error('Boom!'));
+      await forwarding.getFeeReport();
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('setView()', () => {
+    it('should set attribute', () => {
+      forwarding.setView({ view: 'channels' });
+      expect(store.forwardingView, 'to equal', 'channels');
+    });
+  });
+
+  describe('nextPage() and prevPage()', () => {
+    it('should stay within the available pages', () => {
+      store.forwardingEvents = [{}, {}, {}];
+      forwarding.nextPage();
+      expect(store.forwardingPage, 'to equal', 1);
+      forwarding.nextPage();
+      expect(store.forwardingPage, 'to equal', 1);
+      forwarding.prevPage();
+      forwarding.prevPage();
+      expect(store.forwardingPage, 'to equal', 0);
+    });
+  });
+});
@@ -0,0 +1,388 @@
+import { Store } from '../../../src/store';
+import GrpcAction from '../../../src/action/grpc';
+import GraphAction from '../../../src/action/graph';
+import NavAction from '../../../src/action/nav';
+import ChannelAction from '../../../src/action/channel';
+import * as logger from '../../../src/action/log';
+import { nap } from '../../../src/helper';
+
+describe('Action Graph Unit Tests', () => {
+  let store;
+  let sandbox;
+  let grpc;
+  let nav;
+  let channel;
+  let graph;
+  const pubA = '02aaaa';
+  const pubB = '03bbbb';
+  const pubC = '02cccc';
+  const policy = {
+    timeLockDelta: 40,
+    feeBaseMsat: '1000',
+    feeRateMilliMsat: '1',
+    disabled: false,
+  };
+  const describeGraphResponse = () => ({
+    nodes: [
+      { pubKey: pubA, alias: 'alice', color: '#ff0000', addresses: [] },
+      {
+        pubKey: pubB,
+        alias: 'bob',
+        color: '#00ff00',
+        addresses: [{ network: 'tcp', addr: '1.2.3.4:9735' }],
+      },
+      { pubKey: pubC, alias: 'carol', color: '#0000ff', addresses: [] },
+    ],
+    edges: [
+      {
+        channelId: '1',
+        chanPoint: 'txid:0',
+        node1Pub: pubA,
+        node2Pub: pubB,
+        capacity: '100000',
+        node1Policy: policy,
+        node2Policy: null,
+      },
+      {
+        channelId: '2',
+        chanPoint: 'txid:1',
+        node1Pub: pubB,
+        node2Pub: pubC,
+        capacity: '50000',
+        node1Policy: null,
+        node2Policy: { ...policy, disabled: true },
+      },
+    ],
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    require('../../../src/config').GRAPH_UPDATE_DELAY = 1;
+    grpc = sinon.createStubInstance(GrpcAction);
+    nav = sinon.createStubInstance(NavAction);
+    channel = sinon.createStubInstance(ChannelAction);
+    graph = new GraphAction(store, grpc, nav, channel);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('init()', () => {
+    beforeEach(() => {
+      sandbox.stub(graph, 'getNetworkInfo');
+      sandbox.stub(graph, 'describeGraph');
+      sandbox.stub(graph, 'subscribeChannelGraph');
+    });
+
+    it('should reset search and download the graph once', async () => {
+      store.graphSearch = 'foo';
+      graph.describeGraph.callsFake(async () => {
+        store.graphSynced = true;
+      });
+      await graph.init();
+      expect(store.graphSearch, 'to equal', '');
+      expect(nav.goGraph, 'was called once');
+      expect(graph.getNetworkInfo, 'was called once');
+      expect(graph.describeGraph, 'was called once');
+      expect(graph.subscribeChannelGraph, 'was called once');
+    });
+
+    it('should not download the graph if already subscribed', async () => {
+      store.graphSynced = true;
+      graph._subscribed = true;
+      await graph.init();
+      expect(graph.getNetworkInfo, 'was called once');
+      expect(graph.describeGraph, 'was not called');
+      expect(graph.subscribeChannelGraph, 'was not called');
+    });
+
+    it('should not subscribe if the download failed', async () => {
+      await graph.init();
+      expect(graph.describeGraph, 'was called once');
+      expect(graph.subscribeChannelGraph, 'was not called');
+    });
+  });
+
+  describe('getNetworkInfo()', () => {
+    it('should set network stats', async () => {
+      grpc.sendCommand.withArgs('getNetworkInfo').resolves({
+        numNodes: 3,
+        numChannels: 2,
+        totalNetworkCapacity: '150000',
+        avgChannelSize: 75000.4,
+        maxChannelSize: '100000',
+        graphDiameter: 2,
+      });
+      await graph.getNetworkInfo();
+      expect(store.graphInfo, 'to equal', {
+        numNodes: 3,
+        numChannels: 2,
+        totalCapacity: 150000,
+        avgChannelSize: 75000,
+        maxChannelSize: 100000,
+        graphDiameter: 2,
+      });
+    });
+
+    it('should log error on failure', async () => {
+      grpc.sendCommand.rejects();
+      await graph.getNetworkInfo();
+      expect(store.graphInfo, 'to be', null);
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('describeGraph()', () => {
+    it('should cache nodes and sort search results by capacity', async () => {
+      grpc.sendCommand
+        .withArgs('describeGraph', { includeUnannounced: false })
+        .resolves(describeGraphResponse());
+      await graph.describeGraph();
+      expect(store.graphSynced, 'to be', true);
+      expect(store.graphNodes.slice(), 'to equal', [
+        {
+          pubkey: pubB,
+          alias: 'bob',
+          color: '#00ff00',
+          numChannels: 2,
+          totalCapacity: 150000,
+        },
+        {
+          pubkey: pubA,
+          alias: 'alice',
+          color: '#ff0000',
+          numChannels: 1,
+          totalCapacity: 100000,
+        },
+        {
+          pubkey: pubC,
+          alias: 'carol',
+          color: '#0000ff',
+          numChannels: 1,
+          totalCapacity: 50000,
+        },
+      ]);
+    });
+
+    it('should log error on failure', async () => {
+      grpc.sendCommand.rejects();
+      await graph.describeGraph();
+      expect(store.graphSynced, 'to be', false);
+      expect(logger.error, 'was called once');
+    });
+  });
+
+  describe('setSearch()', () => {
+    beforeEach(async () => {
+      grpc.sendCommand
+        .withArgs('describeGraph')
+        .resolves(describeGraphResponse());
+      await graph.describeGraph();
+    });
+
+    it('should match alias case insensitively', () => {
+      graph.setSearch({ query: 'CAR' });
+      expect(store.graphSearch, 'to equal', 'CAR');
+      expect(store.graphNodes, 'to satisfy', [{ pubkey: pubC }]);
+    });
+
+    it('should match pubkey prefix', () => {
+      graph.setSearch({ query: '02' });
+      expect(store.graphNodes, 'to satisfy', [
+        { pubkey: pubA },
+        { pubkey: pubC },
+      ]);
+    });
+
+    it('should limit the number of results', () => {
+      require('../../../src/config').GRAPH_SEARCH_LIMIT = 1;
+      graph.setSearch({ query: '' });
+      require('../../../src/config').GRAPH_SEARCH_LIMIT = 50;
+      expect(store.graphNodes, 'to satisfy', [{ pubkey: pubB }]);
+    });
+  });
+
+  describe('selectNode()', () => {
+    beforeEach(async () => {
+      grpc.sendCommand
+        .withArgs('describeGraph')
+        .resolves(describeGraphResponse());
+      await graph.describeGraph();
+    });
+
+    it('should set node detail with the policies of its side', () => {
+      graph.selectNode({ pubkey: pubB });
+      expect(nav.goGraphNode, 'was called once');
+      expect(store.selectedGraphNode, 'to satisfy', {
+        pubkey: pubB,
+        alias: 'bob',
+        color: '#00ff00',
+        numChannels: 2,
+        totalCapacity: 150000,
+        addresses: ['1.2.3.4:9735'],
+        channels: [
+          {
+            id: '1',
+            peerPubkey: pubA,
+            peerAlias: 'alice',
+            capacity: 100000,
+            policy: null,
+          },
+          {
+            id: '2',
+            peerPubkey: pubC,
+            peerAlias: 'carol',
+            capacity: 50000,
+            policy: null,
+          },
+        ],
+      });
+    });
+
+    it('should parse the routing policy', () => {
+      graph.selectNode({ pubkey: pubC });
+      expect(store.selectedGraphNode.channels.slice(), 'to equal', [
+        {
+          id: '2',
+          peerPubkey: pubB,
+          peerAlias: 'bob',
+          capacity: 50000,
+          policy: {
+            baseFeeMsat: 1000,
+            feeRatePpm: 1,
+            timeLockDelta: 40,
+            disabled: true,
+          },
+        },
+      ]);
+    });
+  });
+
+  describe('subscribeChannelGraph()', () => {
+    let onStub;
+
+    beforeEach(async () => {
+      grpc.sendCommand
+        .withArgs('describeGraph')
+        .resolves(describeGraphResponse());
+      await graph.describeGraph();
+      onStub = sinon.stub();
+      onStub.withArgs('end').yields();
+      grpc.sendStreamCommand
+        .withArgs('subscribeChannelGraph')
+        .returns({ on: onStub });
+    });
+
+    it('should add announced nodes and channels', async () => {
+      const pubD = '03dddd';
+      onStub.withArgs('data').yields({
+        nodeUpdates: [
+          { identityKey: pubD, alias: 'dave', color: '#000000', addresses: [] },
+        ],
+        channelUpdates: [
+          {
+            chanId: '3',
+            chanPoint: { fundingTxidStr: 'txid', outputIndex: 2 },
+            capacity: '200000',
+            routingPolicy: policy,
+            advertisingNode: pubD,
+            connectingNode: pubA,
+          },
+        ],
+        closedChans: [],
+      });
+      await graph.subscribeChannelGraph();
+      await nap(10);
+      expect(store.graphNodes[0], 'to equal', {
+        pubkey: pubA,
+        alias: 'alice',
+        color: '#ff0000',
+        numChannels: 2,
+        totalCapacity: 300000,
+      });
+      graph.selectNode({ pubkey: pubD });
+      expect(store.selectedGraphNode.channels, 'to satisfy', [
+        { id: '3', peerPubkey: pubA, policy: { baseFeeMsat: 1000 } },
+      ]);
+    });
+
+    it('should remove closed channels', async () => {
+      onStub.withArgs('data').yields({
+        nodeUpdates: [],
+        channelUpdates: [],
+        closedChans: [{ chanId: '1', capacity: '100000' }],
+      });
+      await graph.subscribeChannelGraph();
+      await nap(10);
+      expect(store.graphNodes, 'to satisfy', [
+        { pubkey: pubB, numChannels: 1, totalCapacity: 50000 },
+        { pubkey: pubC, numChannels: 1, totalCapacity: 50000 },
+        { pubkey: pubA, numChannels: 0, totalCapacity: 0 },
+      ]);
+    });
+
+    it('should refresh the selected node', async () => {
+      graph.selectNode({ pubkey: pubA });
+      onStub.withArgs('data').yields({
+        closedChans: [{ chanId: '1', capacity: '100000' }],
+      });
+      await graph.subscribeChannelGraph();
+      await nap(10);
+      expect(store.selectedGraphNode, 'to satisfy', {
+        pubkey: pubA,
+        numChannels: 0,
+        channels: [],
+      });
+    });
+
+    it('should update the search results once per delay', async () => {
+      sandbox.spy(graph, '_updateResults');
+      onStub.withArgs('data').callsFake((event, cb) => {
+        cb({ closedChans: [{ chanId: '1' }] });
+        cb({ closedChans: [{ chanId: '2' }] });
+      });
+      await graph.subscribeChannelGraph();
+      expect(graph._updateResults, 'was not called');
+      await nap(10);
+      expect(graph._updateResults, 'was called once');
+    });
+
+    it('should allow to subscribe again once the stream ends', async () => {
+      await graph.subscribeChannelGraph();
+      expect(graph._subscribed, 'to be', false);
+    });
+
+    it('should log error and allow to subscribe again on error', async () => {
+      onStub = sinon.stub();
+      onStub.withArgs('error').yields(new Error('Boom!'));
+      grpc.sendStreamCommand
+        .withArgs('subscribeChannelGraph')
+        .returns({ on: onStub });
+      await graph.subscribeChannelGraph();
+      expect(logger.error, 'was called once');
+      expect(graph._subscribed, 'to be', false);
+    });
+  });
+
+  describe('openChannel()', () => {
+    it('should prefill the peer with its advertised address', () => {
+      store.selectedGraphNode = { pubkey: pubB, addresses: ['1.2.3.4:9735'] };
+      graph.openChannel();
+      expect(channel.initCreate, 'was called once');
+      expect(channel.setPubkeyAtHost, 'was called with', {
+        pubkeyAtHost: `${pubB}@1.2.3.4:9735`,
+      });
+    });
+
+    it('should use only the pubkey without an address', () => {
+      store.selectedGraphNode = { pubkey: pubA, addresses: [] };
+      graph.openChannel();
+      expect(channel.setPubkeyAtHost, 'was called with', {
+        pubkeyAtHost: pubA,
+      });
+    });
+  });
+});
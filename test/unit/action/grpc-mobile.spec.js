@@ -291,6 +291,17 @@ describe('Action GRPC Mobile Unit Tests', () => {
       expect(LndReactModuleStub.sendCommand, 'was called once');
     });
 
+    it('should work for LookupInvoice', async () => {
+      LndReactModuleStub.sendCommand.resolves({
+        data: grpc._serializeResponse('LookupInvoice', { memo: 'foo' }),
+      });
+      const response = await grpc.sendCommand('LookupInvoice', {
+        rHashStr: 'some-hash',
+      });
+      expect(LndReactModuleStub.sendCommand, 'was called once');
+      expect(response.memo, 'to equal', 'foo');
+    });
+
     it('should work for ListPayments', async () => {
       LndReactModuleStub.sendCommand.resolves({
         data: grpc._serializeResponse('ListPayments'),
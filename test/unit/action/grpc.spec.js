@@ -81,6 +81,29 @@ describe('Action GRPC Unit Tests', () => {
     });
   });
 
+  describe('initInvoices()', () => {
+    it('should set invoicesReady', async () => {
+      sandbox.stub(grpc, '_sendIpc').resolves();
+      await grpc.initInvoices();
+      expect(store.invoicesReady, 'to be', true);
+    });
+  });
+
+  describe('sendInvoicesCommand()', () => {
+    it('should send ipc with correct args', async () => {
+      sandbox.stub(grpc, '_sendIpc').resolves();
+      await grpc.sendInvoicesCommand('some-method', 'some-body');
+      expect(
+        grpc._sendIpc,
+        'was called with',
+        'lndInvcRequest',
+        'lndInvcResponse',
+        'some-method',
+        'some-body'
+      );
+    });
+  });
+
   describe('initLnd()', () => {
     it('should set lndReady', async () => {
       sandbox.stub(grpc, '_sendIpc').resolves();
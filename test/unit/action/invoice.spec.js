@@ -2,6 +2,7 @@ import { Store } from '../../../src/store';
 import NavAction from '../../../src/action/nav';
 import GrpcAction from '../../../src/action/grpc';
 import InvoiceAction from '../../../src/action/invoice';
+import TransactionAction from '../../../src/action/transaction';
 import NotificationAction from '../../../src/action/notification';
 
 describe('Action Invoice Unit Tests', () => {
@@ -11,6 +12,7 @@ describe('Action Invoice Unit Tests', () => {
   let invoice;
   let notification;
   let clipboard;
+  let transaction;
 
   beforeEach(() => {
     store = new Store();
@@ -21,7 +23,15 @@ describe('Action Invoice Unit Tests', () => {
     grpc = sinon.createStubInstance(GrpcAction);
     notification = sinon.createStubInstance(NotificationAction);
     clipboard = { setString: sinon.stub() };
-    invoice = new InvoiceAction(store, grpc, nav, notification, clipboard);
+    transaction = sinon.createStubInstance(TransactionAction);
+    invoice = new InvoiceAction(
+      store,
+      grpc,
+      nav,
+      notification,
+      clipboard,
+      transaction
+    );
   });
 
   describe('init()', () => {
@@ -30,11 +40,19 @@ describe('Action Invoice Unit Tests', () => {
       store.invoice.note = 'bar';
       store.invoice.encoded = 'baz';
       store.invoice.uri = 'blub';
+      store.invoice.customExpiry = '5';
+      store.invoice.fallback = true;
+      store.invoice.private = false;
+      store.selectedInvoice = {};
       invoice.init();
+      expect(store.selectedInvoice, 'to be', null);
       expect(store.invoice.amount, 'to equal', '');
       expect(store.invoice.note, 'to equal', '');
       expect(store.invoice.encoded, 'to equal', '');
       expect(store.invoice.uri, 'to equal', '');
+      expect(store.invoice.customExpiry, 'to equal', '');
+      expect(store.invoice.fallback, 'to be', false);
+      expect(store.invoice.private, 'to be', true);
       expect(nav.goInvoice, 'was called once');
     });
   });
@@ -46,6 +64,38 @@ describe('Action Invoice Unit Tests', () => {
     });
   });
 
+  describe('setExpiry()', () => {
+    it('should set expiry and clear custom expiry', () => {
+      store.invoice.customExpiry = '5';
+      invoice.setExpiry({ expiry: 3600 });
+      expect(store.invoice.expiry, 'to equal', 3600);
+      expect(store.invoice.customExpiry, 'to equal', '');
+    });
+  });
+
+  describe('setCustomExpiry()', () => {
+    it('should set custom expiry', () => {
+      invoice.setCustomExpiry({ hours: '5' });
+      expect(store.invoice.customExpiry, 'to equal', '5');
+    });
+  });
+
+  describe('toggleFallback()', () => {
+    it('should toggle fallback', () => {
+      invoice.toggleFallback();
+      expect(store.invoice.fallback, 'to be', true);
+      invoice.toggleFallback();
+      expect(store.invoice.fallback, 'to be', false);
+    });
+  });
+
+  describe('togglePrivate()', () => {
+    it('should toggle private route hints', () => {
+      invoice.togglePrivate();
+      expect(store.invoice.private, 'to be', false);
+    });
+  });
+
   describe('setNote()', () => {
     it('should clear invoice attributes', () => {
       invoice.setNote({ note: 'foo' });
@@ -62,6 +112,7 @@ describe('Action Invoice Unit Tests', () => {
           value: 1000,
           memo: 'foo',
           expiry: 172800,
+          fallbackAddr: '',
           private: true,
         })
         .resolves({
@@ -73,43 +124,179 @@ describe('Action Invoice Unit Tests', () => {
       expect(nav.goInvoiceQR, 'was called once');
     });
 
+    it('should add invoice without amount', async () => {
+      grpc.sendCommand.withArgs('addInvoice').resolves({
+        paymentRequest: 'some-request',
+      });
+      await invoice.generateUri();
+      expect(grpc.sendCommand, 'was called with', 'addInvoice', { value: 0 });
+      expect(store.invoice.uri, 'to equal', 'lightning:some-request');
+      expect(notification.display, 'was not called');
+    });
+
+    it('should use custom expiry and private setting', async () => {
+      store.invoice.amount = '0.00001';
+      store.invoice.customExpiry = '3';
+      store.invoice.private = false;
+      grpc.sendCommand.withArgs('addInvoice').resolves({
+        paymentRequest: 'some-request',
+      });
+      await invoice.generateUri();
+      expect(grpc.sendCommand, 'was called with', 'addInvoice', {
+        expiry: 10800,
+        private: false,
+      });
+    });
+
+    it('should reject an invalid custom expiry', async () => {
+      store.invoice.amount = '0.00001';
+      store.invoice.customExpiry = '1.5';
+      await invoice.generateUri();
+      expect(grpc.sendCommand, 'was not called');
+      expect(notification.display, 'was called with', {
+        err: { message: 'Expiry must be a whole number of hours' },
+      });
+    });
+
+    it('should reject a custom expiry above the max', async () => {
+      store.invoice.amount = '0.00001';
+      store.invoice.customExpiry = '8761';
+      await invoice.generateUri();
+      expect(grpc.sendCommand, 'was not called');
+      expect(notification.display, 'was called with', {
+        err: { message: 'Expiry must be at most 8760 hours' },
+      });
+    });
+
+    it('should attach fallback address and set BIP21 uri', async () => {
+      store.invoice.amount = '0.00001';
+      store.invoice.fallback = true;
+      grpc.sendCommand
+        .withArgs('NewAddress', { type: 3 })
+        .resolves({ address: 'some-address' });
+      grpc.sendCommand
+        .withArgs('addInvoice')
+        .resolves({ paymentRequest: 'some-request' });
+      await invoice.generateUri();
+      expect(grpc.sendCommand, 'was called with', 'addInvoice', {
+        fallbackAddr: 'some-address',
+      });
+      expect(store.invoice.fallbackAddr, 'to equal', 'some-address');
+      expect(
+        store.invoice.uri,
+        'to equal',
+        'bitcoin:some-address?amount=0.00001&lightning=some-request'
+      );
+    });
+
     it('should display notification on error', async () => {
       grpc.sendCommand.rejects(new Error('Boom!'));
       await invoice.generateUri();
       expect(nav.goInvoiceQR, 'was not called');
-      expect(notification.display, 'was called twice');
+      expect(notification.display, 'was called once');
     });
   });
 
-  describe('toClipboard()', () => {
-    it('should call react native ClipBoard.setString', () => {
-      invoice.toClipboard({ text: 'foo' });
-      expect(clipboard.setString, 'was called with', 'foo');
+  describe('initInvoices()', () => {
+    it('should show open invoices and refresh the list', async () => {
+      store.invoiceFilter = 'paid';
+      await invoice.initInvoices();
+      expect(store.invoiceFilter, 'to equal', 'open');
+      expect(nav.goInvoices, 'was called once');
+      expect(transaction.getInvoices, 'was called once');
+    });
+  });
+
+  describe('setFilter()', () => {
+    it('should set the invoice filter', () => {
+      invoice.setFilter({ filter: 'expired' });
+      expect(store.invoiceFilter, 'to equal', 'expired');
+    });
+  });
+
+  describe('select()', () => {
+    it('should look up the invoice and navigate to detail view', async () => {
+      const item = { id: 'cdab', status: 'in-progress' };
+      const response = { rHash: Buffer.from('cdab', 'hex') };
+      grpc.sendCommand
+        .withArgs('lookupInvoice', { rHashStr: 'cdab' })
+        .resolves(response);
+      transaction.parseInvoice
+        .withArgs(response)
+        .returns({ id: 'cdab', status: 'complete' });
+      await invoice.select({ item });
+      expect(nav.goInvoiceDetail, 'was called once');
+      expect(store.selectedInvoice.status, 'to equal', 'complete');
+    });
+
+    it('should keep the list item and notify on error', async () => {
+      grpc.sendCommand.rejects(new Error('Boom!'));
+      await invoice.select({ item: { id: 'cdab', status: 'in-progress' } });
+      expect(store.selectedInvoice.status, 'to equal', 'in-progress');
+      expect(notification.display, 'was called once');
     });
   });
 
-  describe('checkAmount()', () => {
+  describe('showQR()', () => {
+    it('should set the payment request and navigate to qr view', () => {
+      store.selectedInvoice = {
+        amount: 1000,
+        memo: 'foo',
+        payReq: 'some-request',
+      };
+      invoice.showQR();
+      expect(store.invoice.fallbackAddr, 'to equal', '');
+      expect(store.invoice.amount, 'to equal', '0.00001');
+      expect(store.invoice.note, 'to equal', 'foo');
+      expect(store.invoice.encoded, 'to equal', 'some-request');
+      expect(store.invoice.uri, 'to equal', 'lightning:some-request');
+      expect(nav.goInvoiceQR, 'was called once');
+    });
+
+    it('should build BIP21 uri if invoice has a fallback address', () => {
+      store.selectedInvoice = {
+        amount: 1000,
+        memo: 'foo',
+        payReq: 'some-request',
+        fallbackAddr: 'some-address',
+      };
+      invoice.showQR();
+      expect(
+        store.invoice.uri,
+        'to equal',
+        'bitcoin:some-address?amount=0.00001&lightning=some-request'
+      );
+    });
+  });
+
+  describe('cancelSelected()', () => {
     beforeEach(() => {
-      store.channels = [
-        {
-          chanId: 42,
-          active: true,
-          capacity: 100,
-          localBalance: 10,
-          remoteBalance: 90,
-          channelPoint: 'FFFF:1',
-        },
-      ];
-    });
-
-    it('should show a notification if the amount is too big to receive', () => {
-      invoice.checkAmount({ satAmount: 91 });
+      store.selectedInvoice = { id: 'cdab', status: 'in-progress' };
+    });
+
+    it('should cancel the invoice and refresh the list', async () => {
+      grpc.sendInvoicesCommand.resolves({});
+      await invoice.cancelSelected();
+      expect(grpc.sendInvoicesCommand, 'was called with', 'cancelInvoice', {
+        paymentHash: Buffer.from('cdab', 'hex'),
+      });
+      expect(notification.display, 'was called with', { type: 'success' });
+      expect(nav.goInvoices, 'was called once');
+      expect(transaction.getInvoices, 'was called once');
+    });
+
+    it('should display notification on error', async () => {
+      grpc.sendInvoicesCommand.rejects(new Error('Boom!'));
+      await invoice.cancelSelected();
+      expect(nav.goInvoices, 'was not called');
       expect(notification.display, 'was called once');
     });
+  });
 
-    it('should not show a notification if the amount is below the max', () => {
-      invoice.checkAmount({ satAmount: 90 });
-      expect(notification.display, 'was not called');
+  describe('toClipboard()', () => {
+    it('should call react native ClipBoard.setString', () => {
+      invoice.toClipboard({ text: 'foo' });
+      expect(clipboard.setString, 'was called with', 'foo');
     });
   });
 });
@@ -158,6 +158,76 @@ describe('Action Nav Unit Tests', () => {
     });
   });
 
+  describe('goPayBatch()', () => {
+    it('should set correct route', () => {
+      nav.goPayBatch();
+      expect(store.route, 'to equal', 'PayBatch');
+    });
+  });
+
+  describe('goPayBatchConfirm()', () => {
+    it('should set correct route', () => {
+      nav.goPayBatchConfirm();
+      expect(store.route, 'to equal', 'PayBatchConfirm');
+    });
+  });
+
+  describe('goUtxos()', () => {
+    it('should set correct route', () => {
+      nav.goUtxos();
+      expect(store.route, 'to equal', 'Utxos');
+    });
+  });
+
+  describe('goForwarding()', () => {
+    it('should set correct route', () => {
+      nav.goForwarding();
+      expect(store.route, 'to equal', 'Forwarding');
+    });
+  });
+
+  describe('goGraph()', () => {
+    it('should set correct route', () => {
+      nav.goGraph();
+      expect(store.route, 'to equal', 'Graph');
+    });
+  });
+
+  describe('goGraphNode()', () => {
+    it('should set correct route', () => {
+      nav.goGraphNode();
+      expect(store.route, 'to equal', 'GraphNode');
+    });
+  });
+
+  describe('goPeers()', () => {
+    it('should set correct route', () => {
+      nav.goPeers();
+      expect(store.route, 'to equal', 'Peers');
+    });
+  });
+
+  describe('goPeerConnect()', () => {
+    it('should set correct route', () => {
+      nav.goPeerConnect();
+      expect(store.route, 'to equal', 'PeerConnect');
+    });
+  });
+
+  describe('goBundleExport()', () => {
+    it('should set correct route', () => {
+      nav.goBundleExport();
+      expect(store.route, 'to equal', 'BundleExport');
+    });
+  });
+
+  describe('goBundleImport()', () => {
+    it('should set correct route', () => {
+      nav.goBundleImport();
+      expect(store.route, 'to equal', 'BundleImport');
+    });
+  });
+
   describe('goInvoice()', () => {
     it('should set correct route', () => {
       nav.goInvoice();
@@ -174,6 +244,22 @@ describe('Action Nav Unit Tests', () => {
     });
   });
 
+  describe('goInvoices()', () => {
+    it('should set correct route', () => {
+      nav.goInvoices();
+      expect(store.route, 'to equal', 'Invoices');
+    });
+  });
+
+  describe('goInvoiceDetail()', () => {
+    it('should set correct route', () => {
+      store.displayCopied = true;
+      nav.goInvoiceDetail();
+      expect(store.route, 'to equal', 'InvoiceDetail');
+      expect(store.displayCopied, 'to be', false);
+    });
+  });
+
   describe('goChannels()', () => {
     it('should set correct route', () => {
       nav.goChannels();
@@ -195,6 +281,27 @@ describe('Action Nav Unit Tests', () => {
     });
   });
 
+  describe('goChannelAbandon()', () => {
+    it('should set correct route', () => {
+      nav.goChannelAbandon();
+      expect(store.route, 'to equal', 'ChannelAbandon');
+    });
+  });
+
+  describe('goChannelPolicy()', () => {
+    it('should set correct route', () => {
+      nav.goChannelPolicy();
+      expect(store.route, 'to equal', 'ChannelPolicy');
+    });
+  });
+
+  describe('goChannelCreateConfirm()', () => {
+    it('should set correct route', () => {
+      nav.goChannelCreateConfirm();
+      expect(store.route, 'to equal', 'ChannelCreateConfirm');
+    });
+  });
+
   describe('goTransactions()', () => {
     it('should set correct route', () => {
       nav.goTransactions();
@@ -239,6 +346,13 @@ describe('Action Nav Unit Tests', () => {
     });
   });
 
+  describe('goSettingsChannelPolicy()', () => {
+    it('should set correct route', () => {
+      nav.goSettingsChannelPolicy();
+      expect(store.route, 'to equal', 'SettingsChannelPolicy');
+    });
+  });
+
   describe('goCLI()', () => {
     it('should set correct route', () => {
       nav.goCLI();
@@ -5,6 +5,8 @@ import GrpcAction from '../../../src/action/grpc';
 import PaymentAction from '../../../src/action/payment';
 import NotificationAction from '../../../src/action/notification';
 import NavAction from '../../../src/action/nav';
+import AppStorage from '../../../src/action/app-storage';
+import ChannelAction from '../../../src/action/channel';
 import * as logger from '../../../src/action/log';
 import { nap } from '../../../src/helper';
 
@@ -16,6 +18,9 @@ describe('Action Payments Unit Tests', () => {
   let nav;
   let notification;
   let clipboard;
+  let db;
+  let ipc;
+  let channel;
 
   beforeEach(() => {
     sandbox = sinon.createSandbox({});
@@ -30,7 +35,19 @@ describe('Action Payments Unit Tests', () => {
     notification = sinon.createStubInstance(NotificationAction);
     nav = sinon.createStubInstance(NavAction);
     clipboard = { getString: sinon.stub() };
-    payment = new PaymentAction(store, grpc, nav, notification, clipboard);
+    db = sinon.createStubInstance(AppStorage);
+    ipc = sinon.createStubInstance(IpcAction);
+    channel = sinon.createStubInstance(ChannelAction);
+    payment = new PaymentAction(
+      store,
+      grpc,
+      nav,
+      notification,
+      clipboard,
+      db,
+      ipc,
+      channel
+    );
   });
 
   afterEach(() => {
@@ -39,7 +56,6 @@ describe('Action Payments Unit Tests', () => {
   });
 
   describe('listenForUrl()', () => {
-    let ipc;
     let ipcRendererStub;
 
     beforeEach(() => {
@@ -65,6 +81,22 @@ describe('Action Payments Unit Tests', () => {
       expect(payment.checkType, 'was called once');
     });
 
+    it('should navigate to payment view for bitcoin uri', () => {
+      store.lndReady = true;
+      const uri =
+        'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?amount=0.001&label=foo';
+      ipcRendererStub.emit('open-url', 'some-event', uri);
+      expect(payment.init, 'was called once');
+      expect(
+        store.payment.address,
+        'to equal',
+        'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5'
+      );
+      expect(store.payment.amount, 'to equal', '0.001');
+      expect(store.payment.note, 'to equal', 'foo');
+      expect(payment.checkType, 'was called once');
+    });
+
     it('should wait for lndReady', async () => {
       store.lndReady = false;
       const uri = 'lightning:lntb100n1pdn2e0app';
@@ -135,6 +167,17 @@ describe('Action Payments Unit Tests', () => {
       expect(store.payment.address, 'to equal', 'lntb100n1pdn2e0app');
       expect(payment.checkType, 'was called once');
     });
+
+    it('should prefer lightning invoice in bitcoin uri', () => {
+      sandbox.stub(payment, 'checkType');
+      payment.readQRCode({
+        data:
+          'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?amount=0.001&lightning=lntb100n1pdn2e0app',
+      });
+      expect(store.payment.address, 'to equal', 'lntb100n1pdn2e0app');
+      expect(store.payment.amount, 'to equal', '0.001');
+      expect(payment.checkType, 'was called once');
+    });
   });
 
   describe('toggleScanner()', () => {
@@ -153,6 +196,21 @@ describe('Action Payments Unit Tests', () => {
       expect(store.payment.address, 'to equal', 'lntb100n1pdn2e0app');
       expect(payment.checkType, 'was called once');
     });
+
+    it('should parse bitcoin uri from clipboard', async () => {
+      sandbox.stub(payment, 'checkType');
+      clipboard.getString.resolves(
+        'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?message=Pay%20me'
+      );
+      await payment.pasteAddress();
+      expect(
+        store.payment.address,
+        'to equal',
+        'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5'
+      );
+      expect(store.payment.note, 'to equal', 'Pay me');
+      expect(payment.checkType, 'was called once');
+    });
   });
 
   describe('init()', () => {
@@ -207,6 +265,87 @@ describe('Action Payments Unit Tests', () => {
       expect(store.payment.targetConf, 'to equal', 6);
       expect(store.payment.fee, 'to equal', '');
     });
+
+    it('should clear custom fee rate', async () => {
+      store.payment.feeRate = '10';
+      await payment.setTargetConf({ targetConf: 6 });
+      expect(store.payment.feeRate, 'to equal', '');
+    });
+  });
+
+  describe('estimateCustomFee()', () => {
+    beforeEach(() => {
+      store.payment.amount = '0.001';
+      store.payment.address = 'some-address';
+      store.payment.feeEstimates = [
+        { targetConf: 16, fee: '0.00001', prio: 'Med', vsize: 141 },
+        { targetConf: 100, fee: '0.000001', prio: 'Custom', vsize: 141 },
+      ];
+    });
+
+    it('should add custom estimate and select it', async () => {
+      grpc.sendCommand
+        .withArgs('estimateFee')
+        .resolves({ feeSat: 282, feerateSatPerByte: 2 });
+      payment.setCustomTargetConf({ targetConf: '50' });
+      await payment.estimateCustomFee();
+      expect(grpc.sendCommand, 'was called with', 'estimateFee', {
+        targetConf: 50,
+      });
+      expect(store.payment.feeEstimates.length, 'to equal', 2);
+      expect(store.payment.feeEstimates[1], 'to satisfy', {
+        targetConf: 50,
+        prio: 'Custom',
+        vsize: 141,
+      });
+      expect(store.payment.targetConf, 'to equal', 50);
+      expect(store.payment.fee, 'to equal', '0.00000282');
+    });
+
+    it('should display notification for invalid target', async () => {
+      payment.setCustomTargetConf({ targetConf: '2000' });
+      await payment.estimateCustomFee();
+      expect(grpc.sendCommand, 'was not called');
+      expect(notification.display, 'was called once');
+    });
+
+    it('should display notification on error', async () => {
+      grpc.sendCommand.withArgs('estimateFee').rejects(new Error('Boom!'));
+      payment.setCustomTargetConf({ targetConf: '50' });
+      await payment.estimateCustomFee();
+      expect(notification.display, 'was called once');
+    });
+  });
+
+  describe('setFeeRate()', () => {
+    beforeEach(() => {
+      store.payment.targetConf = 16;
+      store.payment.fee = '0.00001';
+      store.payment.feeEstimates = [
+        { targetConf: 26, fee: '0.000005', vsize: 141 },
+        { targetConf: 16, fee: '0.00001', vsize: 141 },
+        { targetConf: 4, fee: '0.00002', vsize: 172 },
+      ];
+    });
+
+    it('should preview fee for the largest estimated size', () => {
+      payment.setFeeRate({ feeRate: '10' });
+      expect(store.payment.feeRate, 'to equal', '10');
+      expect(store.payment.fee, 'to equal', '0.0000172');
+    });
+
+    it('should not update fee for invalid rate', () => {
+      payment.setFeeRate({ feeRate: '1.5' });
+      expect(store.payment.feeRate, 'to equal', '1.5');
+      expect(store.payment.fee, 'to equal', '0.00001');
+    });
+
+    it('should revert to target conf fee when cleared', () => {
+      payment.setFeeRate({ feeRate: '10' });
+      payment.setFeeRate({ feeRate: '' });
+      expect(store.payment.feeRate, 'to equal', '');
+      expect(store.payment.fee, 'to equal', '0.00001');
+    });
   });
 
   describe('initPayBitcoinConfirm()', () => {
@@ -276,6 +415,41 @@ describe('Action Payments Unit Tests', () => {
     });
   });
 
+  describe('setUri()', () => {
+    it('should set address, amount and note', () => {
+      store.payment.sendAll = true;
+      payment.setUri({
+        uri:
+          'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?amount=1.5&label=foo&message=bar',
+      });
+      expect(
+        store.payment.address,
+        'to equal',
+        'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5'
+      );
+      expect(store.payment.amount, 'to equal', '1.5');
+      expect(store.payment.note, 'to equal', 'bar');
+      expect(store.payment.sendAll, 'to be', false);
+    });
+
+    it('should keep amount and note if not included', () => {
+      store.payment.amount = '0.1';
+      store.payment.note = 'foo';
+      payment.setUri({ uri: 'lightning:some-address' });
+      expect(store.payment.address, 'to equal', 'some-address');
+      expect(store.payment.amount, 'to equal', '0.1');
+      expect(store.payment.note, 'to equal', 'foo');
+    });
+
+    it('should notify and keep inputs on unknown required params', () => {
+      store.payment.address = 'foo';
+      const uri = 'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?req-foo=bar';
+      expect(payment.setUri({ uri }), 'to be', false);
+      expect(store.payment.address, 'to equal', 'foo');
+      expect(notification.display, 'was called once');
+    });
+  });
+
   describe('setAmount()', () => {
     it('should set attribute', () => {
       payment.setAmount({ amount: 'some-amount' });
@@ -375,6 +549,63 @@ describe('Action Payments Unit Tests', () => {
       expect(store.payment.fee, 'to be', '');
       expect(logger.info, 'was called once');
     });
+
+    it('should switch to amount entry for zero amount invoice', async () => {
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        numSatoshis: 0,
+        description: 'donation',
+        destination: 'bar',
+      });
+      const isValid = await payment.decodeInvoice({ invoice: 'some-invoice' });
+      await nap(10);
+      expect(isValid, 'to be', true);
+      expect(store.payment.anyAmount, 'to be', true);
+      expect(store.payment.amount, 'to be', '');
+      expect(store.payment.note, 'to be', 'donation');
+      expect(grpc.sendCommand, 'was never called with', 'queryRoutes');
+    });
+
+    it('should keep an entered amount for zero amount invoice', async () => {
+      store.payment.amount = '0.00002';
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        numSatoshis: 0,
+        destination: 'bar',
+      });
+      grpc.sendCommand
+        .withArgs('queryRoutes', { pubKey: 'bar', amt: 2000, numRoutes: 1 })
+        .resolves({ routes: [{ totalFees: 100 }] });
+      await payment.decodeInvoice({ invoice: 'some-invoice' });
+      await nap(10);
+      expect(store.payment.amount, 'to be', '0.00002');
+      expect(store.payment.fee, 'to match', /^0[,.]0{5}1{1}$/);
+    });
+  });
+
+  describe('estimateInvoiceFee()', () => {
+    beforeEach(() => {
+      store.payment.address = 'some-invoice';
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        numSatoshis: 0,
+        destination: 'bar',
+      });
+    });
+
+    it('should estimate fee for the entered amount', async () => {
+      store.payment.amount = '0.00002';
+      grpc.sendCommand
+        .withArgs('queryRoutes', { pubKey: 'bar', amt: 2000, numRoutes: 1 })
+        .resolves({ routes: [{ totalFees: 100 }] });
+      await payment.estimateInvoiceFee();
+      expect(store.payment.fee, 'to match', /^0[,.]0{5}1{1}$/);
+    });
+
+    it('should clear fee without a valid amount', async () => {
+      store.payment.amount = 'foo';
+      store.payment.fee = '0.1';
+      await payment.estimateInvoiceFee();
+      expect(store.payment.fee, 'to be', '');
+      expect(grpc.sendCommand, 'was not called');
+    });
   });
 
   describe('toggleMax()', () => {
@@ -399,6 +630,64 @@ describe('Action Payments Unit Tests', () => {
   });
 
   describe('payBitcoin()', () => {
+    it('should send custom fee rate instead of target conf', async () => {
+      store.payment.amount = '0.00001';
+      store.payment.address = 'some-address';
+      store.payment.feeRate = '5';
+      store.payment.fee = '0.00000705';
+      grpc.sendCommand.withArgs('sendCoins').resolves();
+      await payment.payBitcoin();
+      expect(grpc.sendCommand, 'was called with', 'sendCoins', {
+        satPerByte: 5,
+        targetConf: undefined,
+      });
+      expect(nav.goPayBitcoinDone, 'was called once');
+    });
+
+    it('should reject fee rate below minimum', async () => {
+      store.payment.amount = '0.00001';
+      store.payment.address = 'some-address';
+      store.payment.feeRate = '0';
+      await payment.payBitcoin();
+      expect(nav.goWait, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Fee rate must be at least 1 sat/vbyte',
+      });
+    });
+
+    it('should reject absurd fee rate', async () => {
+      store.payment.amount = '0.00001';
+      store.payment.address = 'some-address';
+      store.payment.feeRate = '5000';
+      await payment.payBitcoin();
+      expect(nav.goWait, 'was not called');
+      expect(notification.display, 'was called once');
+    });
+
+    it('should reject fee higher than amount', async () => {
+      store.payment.amount = '0.00001';
+      store.payment.address = 'some-address';
+      store.payment.feeRate = '100';
+      store.payment.fee = '0.0001';
+      await payment.payBitcoin();
+      expect(nav.goWait, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Fee is absurd as it exceeds the amount sent',
+      });
+    });
+
+    it('should reject dust amount', async () => {
+      store.payment.amount = '0.000005';
+      store.payment.address = 'some-address';
+      store.payment.feeRate = '1';
+      store.payment.fee = '0.00000141';
+      await payment.payBitcoin();
+      expect(nav.goWait, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Amount is below the dust limit of 546 sats',
+      });
+    });
+
     it('should send on-chain transaction', async () => {
       store.payment.amount = '0.00001';
       store.payment.address = 'some-address';
@@ -448,7 +737,207 @@ describe('Action Payments Unit Tests', () => {
     });
   });
 
+  describe('batch send', () => {
+    const addr1 = 'sb1qaddressone00000000000000';
+    const addr2 = 'sb1qaddresstwo00000000000000';
+
+    describe('initPayBatch()', () => {
+      it('should reset recipients and navigate to view', () => {
+        store.payment.recipients = [{ address: addr1, amount: '1' }];
+        store.payment.fee = '0.0001';
+        payment.initPayBatch();
+        expect(store.payment.recipients.slice(), 'to equal', [
+          { address: '', amount: '' },
+        ]);
+        expect(store.payment.fee, 'to equal', '');
+        expect(nav.goPayBatch, 'was called once');
+      });
+    });
+
+    describe('addRecipient() and removeRecipient()', () => {
+      it('should add and remove rows', () => {
+        payment.initPayBatch();
+        payment.addRecipient();
+        payment.setRecipientAddress({ index: 1, address: `bitcoin:${addr2}` });
+        payment.setRecipientAmount({ index: 1, amount: '0.1' });
+        expect(store.payment.recipients.length, 'to equal', 2);
+        payment.removeRecipient({ index: 0 });
+        expect(store.payment.recipients.slice(), 'to equal', [
+          { address: addr2, amount: '0.1' },
+        ]);
+      });
+    });
+
+    describe('importCsv()', () => {
+      it('should import rows and skip header', () => {
+        payment.importCsv({
+          csv: `address,amount\n${addr1},0.1\n\n"${addr2}"; 0.2\n`,
+        });
+        expect(store.payment.recipients.slice(), 'to equal', [
+          { address: addr1, amount: '0.1' },
+          { address: addr2, amount: '0.2' },
+        ]);
+        expect(notification.display, 'was not called');
+      });
+
+      it('should display notification for invalid rows', () => {
+        payment.initPayBatch();
+        payment.importCsv({ csv: `${addr1},0.1\n${addr2},abc` });
+        expect(notification.display, 'was called with', {
+          msg: `Invalid recipient: ${addr2},abc`,
+        });
+        expect(store.payment.recipients.length, 'to equal', 1);
+      });
+
+      it('should display notification for empty file', () => {
+        payment.importCsv({ csv: 'address,amount' });
+        expect(notification.display, 'was called with', {
+          msg: 'No recipients found',
+        });
+      });
+    });
+
+    describe('pasteCsv()', () => {
+      it('should import rows from clipboard', async () => {
+        clipboard.getString.resolves(`${addr1},0.1`);
+        await payment.pasteCsv();
+        expect(store.payment.recipients.length, 'to equal', 1);
+      });
+    });
+
+    describe('openCsvFile()', () => {
+      it('should import rows from file', async () => {
+        ipc.send.withArgs('csv-open', 'csv-opened').resolves(`${addr1},0.1`);
+        await payment.openCsvFile();
+        expect(store.payment.recipients.slice(), 'to equal', [
+          { address: addr1, amount: '0.1' },
+        ]);
+      });
+
+      it('should do nothing if dialog was canceled', async () => {
+        ipc.send.resolves(null);
+        await payment.openCsvFile();
+        expect(store.payment.recipients.length, 'to equal', 0);
+        expect(notification.display, 'was not called');
+      });
+
+      it('should display notification on error', async () => {
+        ipc.send.rejects(new Error('Boom!'));
+        await payment.openCsvFile();
+        expect(notification.display, 'was called once');
+      });
+    });
+
+    describe('initPayBatchConfirm()', () => {
+      beforeEach(() => {
+        store.payment.recipients = [
+          { address: addr1, amount: '0.1' },
+          { address: addr2, amount: '0.2' },
+        ];
+      });
+
+      it('should estimate one combined fee', async () => {
+        grpc.sendCommand.withArgs('estimateFee').resolves({ feeSat: 10000 });
+        await payment.initPayBatchConfirm();
+        expect(grpc.sendCommand, 'was called thrice');
+        expect(grpc.sendCommand, 'was called with', 'estimateFee', {
+          AddrToAmount: { [addr1]: 10000000, [addr2]: 20000000 },
+        });
+        expect(store.payment.fee, 'to equal', '0.0001');
+        expect(nav.goPayBatchConfirm, 'was called once');
+      });
+
+      it('should reject duplicate addresses', async () => {
+        store.payment.recipients[1].address = addr1;
+        await payment.initPayBatchConfirm();
+        expect(grpc.sendCommand, 'was not called');
+        expect(nav.goPayBatchConfirm, 'was not called');
+        expect(notification.display, 'was called once');
+      });
+
+      it('should reject missing amounts', async () => {
+        store.payment.recipients[1].amount = '';
+        await payment.initPayBatchConfirm();
+        expect(nav.goPayBatchConfirm, 'was not called');
+        expect(notification.display, 'was called once');
+      });
+    });
+
+    describe('estimateCustomFee() with batch', () => {
+      it('should estimate fee for all recipients', async () => {
+        store.payment.recipients = [
+          { address: addr1, amount: '0.1' },
+          { address: addr2, amount: '0.2' },
+        ];
+        grpc.sendCommand
+          .withArgs('estimateFee')
+          .resolves({ feeSat: 400, feerateSatPerByte: 2 });
+        payment.setCustomTargetConf({ targetConf: '50' });
+        await payment.estimateCustomFee({ batch: true });
+        expect(grpc.sendCommand, 'was called with', 'estimateFee', {
+          AddrToAmount: { [addr1]: 10000000, [addr2]: 20000000 },
+          targetConf: 50,
+        });
+        expect(store.payment.targetConf, 'to equal', 50);
+        expect(store.payment.fee, 'to equal', '0.000004');
+      });
+    });
+
+    describe('payBatch()', () => {
+      beforeEach(() => {
+        store.payment.recipients = [
+          { address: addr1, amount: '0.1' },
+          { address: addr2, amount: '0.2' },
+        ];
+      });
+
+      it('should send all recipients in one transaction', async () => {
+        grpc.sendCommand.withArgs('sendMany').resolves();
+        await payment.payBatch();
+        expect(nav.goWait, 'was called once');
+        expect(grpc.sendCommand, 'was called once');
+        expect(grpc.sendCommand, 'was called with', 'sendMany', {
+          AddrToAmount: { [addr1]: 10000000, [addr2]: 20000000 },
+          targetConf: store.payment.targetConf,
+        });
+        expect(nav.goPayBitcoinDone, 'was called once');
+        expect(notification.display, 'was not called');
+      });
+
+      it('should send with custom fee rate', async () => {
+        grpc.sendCommand.withArgs('sendMany').resolves();
+        store.payment.feeRate = '12';
+        store.payment.fee = '0.0001';
+        await payment.payBatch();
+        expect(grpc.sendCommand, 'was called with', 'sendMany', {
+          AddrToAmount: { [addr1]: 10000000, [addr2]: 20000000 },
+          satPerByte: 12,
+        });
+        expect(grpc.sendCommand.args[0][1].targetConf, 'to be undefined');
+      });
+
+      it('should not send if custom fee exceeds the amounts', async () => {
+        store.payment.feeRate = '900';
+        store.payment.fee = '0.5';
+        await payment.payBatch();
+        expect(grpc.sendCommand, 'was not called');
+        expect(notification.display, 'was called with', {
+          msg: 'Fee is absurd as it exceeds the amount sent',
+        });
+      });
+
+      it('should display notification on error', async () => {
+        grpc.sendCommand.withArgs('sendMany').rejects(new Error('Boom!'));
+        await payment.payBatch();
+        expect(nav.goPayBatchConfirm, 'was called once');
+        expect(notification.display, 'was called once');
+      });
+    });
+  });
+
   describe('payLightning()', () => {
+    const dest = '03bbbb';
+    const peer = '02aaaa';
     let paymentsOnStub;
     let paymentsWriteStub;
 
@@ -459,36 +948,300 @@ describe('Action Payments Unit Tests', () => {
         on: paymentsOnStub,
         write: paymentsWriteStub,
       });
+      store.pubKey = '02ffff';
+      store.channels = [
+        { id: 1, remotePubkey: peer, localBalance: 1500, active: true },
+      ];
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        destination: dest,
+        paymentHash: 'some-hash',
+        numSatoshis: 1000,
+        cltvExpiry: 40,
+      });
+      grpc.sendCommand.withArgs('queryRoutes').resolves({
+        routes: [
+          {
+            totalFees: 2,
+            hops: [
+              { chanId: 1, pubKey: peer },
+              { chanId: 2, pubKey: dest },
+            ],
+          },
+        ],
+      });
     });
 
     it('should send lightning payment', async () => {
-      paymentsOnStub.withArgs('data').yields({ paymentError: '' });
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: '',
+      });
       payment.setAddress({ address: 'lightning:some-invoice' });
       await payment.payLightning();
-      expect(grpc.sendStreamCommand, 'was called with', 'sendPayment');
+      expect(grpc.sendCommand, 'was called with', 'decodePayReq', {
+        payReq: 'some-invoice',
+      });
+      expect(grpc.sendCommand, 'was called with', 'queryRoutes', {
+        pubKey: dest,
+        amt: 1000,
+        finalCltvDelta: 40,
+        ignoredNodes: [],
+        ignoredEdges: [],
+      });
+      expect(grpc.sendCommand, 'was called with', 'sendToRouteSync', {
+        paymentHashString: 'some-hash',
+      });
+      expect(nav.goWait, 'was called once');
+      expect(nav.goPayLightningDone, 'was called once');
+      expect(notification.display, 'was not called');
+      expect(channel.getChannels, 'was called once');
+      expect(store.payment.attempts.length, 'to equal', 1);
+      expect(store.payment.attempts[0].status, 'to equal', 'succeeded');
+    });
+
+    it('should send the entered amount for zero amount invoice', async () => {
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        destination: dest,
+        paymentHash: 'some-hash',
+        numSatoshis: 0,
+        cltvExpiry: 40,
+      });
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: '',
+      });
+      payment.setAddress({ address: 'some-invoice' });
+      store.payment.amount = '0.000012';
+      await payment.payLightning();
+      expect(grpc.sendCommand, 'was called with', 'queryRoutes', {
+        amt: 1200,
+      });
+      expect(store.paymentJournal[0].amount, 'to equal', -1200);
+      expect(nav.goPayLightningDone, 'was called once');
+    });
+
+    it('should fail zero amount invoice without entered amount', async () => {
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        destination: dest,
+        paymentHash: 'some-hash',
+        numSatoshis: 0,
+      });
+      payment.setAddress({ address: 'some-invoice' });
+      await payment.payLightning();
+      expect(grpc.sendCommand, 'was never called with', 'queryRoutes');
+      expect(nav.goPayLightningConfirm, 'was called once');
+      expect(notification.display, 'was called with', {
+        err: { message: 'Enter an amount to pay' },
+      });
+      expect(channel.getChannels, 'was not called');
+    });
+
+    it('should record payment in journal', async () => {
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: '',
+        paymentPreimage: Buffer.from('abcd', 'hex'),
+      });
+      payment.setAddress({ address: 'lightning:some-invoice' });
+      await payment.payLightning();
+      expect(store.paymentJournal.length, 'to equal', 1);
+      const entry = store.paymentJournal[0];
+      expect(entry, 'to satisfy', {
+        id: 'some-hash',
+        type: 'lightning',
+        amount: -1000,
+        fee: 2,
+        status: 'succeeded',
+        paymentRequest: 'some-invoice',
+        preimage: 'abcd',
+      });
+      expect(entry.attempts[0], 'to satisfy', {
+        amount: 1000,
+        route: [peer, dest],
+        status: 'succeeded',
+      });
+      expect(store.payment.attempts, 'to be', entry.attempts);
+      expect(db.save, 'was called');
+    });
+
+    it('should retry and ignore edge of failed route', async () => {
+      grpc.sendCommand
+        .withArgs('sendToRouteSync')
+        .onFirstCall()
+        .resolves({ paymentError: 'TemporaryChannelFailure' })
+        .onSecondCall()
+        .resolves({ paymentError: '' });
+      await payment.payLightning();
+      const query = grpc.sendCommand.withArgs('queryRoutes');
+      expect(query, 'was called twice');
+      expect(query.secondCall.args[1].ignoredEdges, 'to equal', [
+        { channelId: 2, directionReverse: false },
+      ]);
+      expect(nav.goPayLightningDone, 'was called once');
+      expect(store.payment.attempts[0].status, 'to equal', 'failed');
+      expect(
+        store.payment.attempts[0].reason,
+        'to equal',
+        'TemporaryChannelFailure'
+      );
+      expect(store.payment.attempts[1].status, 'to equal', 'succeeded');
+    });
+
+    it('should ignore intermediate nodes of failed route', async () => {
+      grpc.sendCommand.withArgs('queryRoutes').resolves({
+        routes: [
+          {
+            totalFees: 2,
+            hops: [
+              { chanId: 1, pubKey: peer },
+              { chanId: 2, pubKey: '02cccc' },
+              { chanId: 3, pubKey: dest },
+            ],
+          },
+        ],
+      });
+      grpc.sendCommand
+        .withArgs('sendToRouteSync')
+        .onFirstCall()
+        .resolves({ paymentError: 'UnknownNextPeer' })
+        .onSecondCall()
+        .resolves({ paymentError: '' });
+      await payment.payLightning();
+      const query = grpc.sendCommand.withArgs('queryRoutes');
+      expect(query.secondCall.args[1].ignoredNodes, 'to equal', [
+        Buffer.from('02cccc', 'hex'),
+      ]);
+    });
+
+    it('should display notification after max attempts', async () => {
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: 'Boom!',
+      });
+      await payment.payLightning();
+      expect(store.payment.attempts.length, 'to equal', 10);
+      expect(nav.goPayLightningConfirm, 'was called once');
+      expect(notification.display, 'was called once');
+      expect(store.paymentJournal[0], 'to satisfy', {
+        status: 'failed',
+        reason: 'No route found after 10 attempts',
+      });
+      expect(store.paymentJournal[0].attempts[0], 'to satisfy', {
+        status: 'failed',
+        reason: 'Boom!',
+      });
+    });
+
+    it('should replace journal entry when paying again', async () => {
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: 'Boom!',
+      });
+      await payment.payLightning();
+      grpc.sendCommand.withArgs('sendToRouteSync').resolves({
+        paymentError: '',
+      });
+      await payment.payLightning();
+      expect(store.paymentJournal.length, 'to equal', 1);
+      expect(store.paymentJournal[0].status, 'to equal', 'succeeded');
+      expect(store.paymentJournal[0].attempts.length, 'to equal', 1);
+    });
+
+    it('should send payment request for invoice with route hints', async () => {
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        destination: dest,
+        paymentHash: 'some-hash',
+        numSatoshis: 1000,
+        routeHints: [{ hopHints: [{ nodeId: peer, chanId: 7 }] }],
+      });
+      paymentsOnStub.withArgs('data').yields({
+        paymentError: '',
+        paymentRoute: {
+          totalFees: 3,
+          hops: [{ pubKey: peer }, { pubKey: dest }],
+        },
+      });
+      payment.setAddress({ address: 'some-invoice' });
+      await payment.payLightning();
+      expect(grpc.sendCommand, 'was never called with', 'queryRoutes');
       expect(
         paymentsWriteStub,
         'was called with',
-        JSON.stringify({ paymentRequest: 'some-invoice' }),
+        JSON.stringify({ paymentRequest: 'some-invoice', amt: 0 }),
         'utf8'
       );
-      expect(nav.goWait, 'was called once');
       expect(nav.goPayLightningDone, 'was called once');
-      expect(notification.display, 'was not called');
+      expect(store.paymentJournal[0], 'to satisfy', {
+        status: 'succeeded',
+        fee: 3,
+      });
+      expect(store.payment.attempts[0].route.slice(), 'to equal', [peer, dest]);
     });
 
-    it('should display notification on error', async () => {
+    it('should send payment request if no route is found', async () => {
+      grpc.sendCommand.withArgs('queryRoutes').rejects(new Error('Boom!'));
+      paymentsOnStub.withArgs('data').yields({ paymentError: '' });
+      payment.setAddress({ address: 'some-invoice' });
+      await payment.payLightning();
+      expect(grpc.sendCommand, 'was never called with', 'sendToRouteSync');
+      expect(paymentsWriteStub, 'was called once');
+      expect(nav.goPayLightningDone, 'was called once');
+    });
+
+    it('should send entered amount with payment request', async () => {
+      grpc.sendCommand.withArgs('decodePayReq').resolves({
+        destination: dest,
+        paymentHash: 'some-hash',
+        numSatoshis: 0,
+      });
+      grpc.sendCommand.withArgs('queryRoutes').resolves({ routes: [] });
+      paymentsOnStub.withArgs('data').yields({ paymentError: '' });
+      payment.setAddress({ address: 'some-invoice' });
+      store.payment.amount = '0.000012';
+      await payment.payLightning();
+      expect(
+        paymentsWriteStub,
+        'was called with',
+        JSON.stringify({ paymentRequest: 'some-invoice', amt: 1200 }),
+        'utf8'
+      );
+    });
+
+    it('should display notification if payment request fails', async () => {
+      grpc.sendCommand.withArgs('queryRoutes').resolves({ routes: [] });
       paymentsOnStub.withArgs('data').yields({ paymentError: 'Boom!' });
-      await payment.payLightning({ invoice: 'some-payment' });
+      await payment.payLightning();
       expect(nav.goPayLightningConfirm, 'was called once');
       expect(notification.display, 'was called once');
+      expect(store.paymentJournal[0], 'to satisfy', {
+        status: 'failed',
+        reason: 'Lightning payment error: Boom!',
+      });
+      expect(store.paymentJournal[0].attempts[0], 'to satisfy', {
+        status: 'failed',
+        reason: 'Boom!',
+      });
     });
 
     it('should go to error page on timeout', async () => {
-      payment.payLightning({ invoice: 'some-invoice' });
+      grpc.sendCommand.withArgs('sendToRouteSync').callsFake(() => nap(50));
+      payment.payLightning();
       await nap(10);
       expect(nav.goPaymentFailed, 'was called once');
       expect(nav.goPayLightningDone, 'was not called');
+      expect(store.paymentJournal[0].status, 'to equal', 'in-flight');
+    });
+  });
+
+  describe('retryPayment()', () => {
+    beforeEach(() => {
+      sandbox.stub(payment, 'checkType');
+    });
+
+    it('should decode invoice of failed payment again', async () => {
+      store.selectedTransaction = {
+        paymentRequest: 'some-invoice',
+        amount: -1000,
+      };
+      await payment.retryPayment();
+      expect(nav.goPay, 'was called once');
+      expect(store.payment.address, 'to equal', 'some-invoice');
+      expect(payment.checkType, 'was called once');
     });
   });
 });
@@ -0,0 +1,253 @@
+import { Store } from '../../../src/store';
+import GrpcAction from '../../../src/action/grpc';
+import PeerAction from '../../../src/action/peer';
+import AppStorage from '../../../src/action/app-storage';
+import NavAction from '../../../src/action/nav';
+import NotificationAction from '../../../src/action/notification';
+import ChannelAction from '../../../src/action/channel';
+import * as logger from '../../../src/action/log';
+
+describe('Action Peer Unit Tests', () => {
+  let store;
+  let sandbox;
+  let grpc;
+  let db;
+  let nav;
+  let notification;
+  let channel;
+  let peer;
+  const pubkey =
+    '0343bc80b914aebf8e50eb0b8e445fc79b9e6e8e5e018fa8c5f85c7d429c117b38';
+  const host = '1.2.3.4:9735';
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    grpc = sinon.createStubInstance(GrpcAction);
+    db = sinon.createStubInstance(AppStorage);
+    nav = sinon.createStubInstance(NavAction);
+    notification = sinon.createStubInstance(NotificationAction);
+    channel = sinon.createStubInstance(ChannelAction);
+    peer = new PeerAction(store, grpc, db, nav, notification, channel);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('init()', () => {
+    it('should navigate and refresh', async () => {
+      sandbox.stub(peer, 'update');
+      await peer.init();
+      expect(nav.goPeers, 'was called once');
+      expect(peer.update, 'was called once');
+    });
+  });
+
+  describe('update()', () => {
+    it('should list peers and look up aliases', async () => {
+      sandbox.stub(peer, 'getAliases');
+      await peer.update();
+      expect(channel.getPeers, 'was called once');
+      expect(peer.getAliases, 'was called once');
+    });
+  });
+
+  describe('getAliases()', () => {
+    beforeEach(() => {
+      store.peers = [{ pubKey: 'foo' }, { pubKey: 'bar' }, { pubKey: 'baz' }];
+      store.peerAliases = { foo: 'cached' };
+    });
+
+    it('should look up unknown peers only', async () => {
+      grpc.sendCommand
+        .withArgs('getNodeInfo', { pubKey: 'bar' })
+        .resolves({ node: { alias: 'bar-alias' } });
+      grpc.sendCommand
+        .withArgs('getNodeInfo', { pubKey: 'baz' })
+        .rejects(new Error('Boom!'));
+      await peer.getAliases();
+      expect(grpc.sendCommand, 'was called twice');
+      expect(store.peerAliases, 'to equal', {
+        foo: 'cached',
+        bar: 'bar-alias',
+        baz: '',
+      });
+      expect(logger.info, 'was called once');
+    });
+  });
+
+  describe('initConnect()', () => {
+    it('should reset the form and navigate', () => {
+      store.peer.pubkeyAtHost = 'foo';
+      store.peer.persistent = true;
+      peer.initConnect();
+      expect(store.peer, 'to equal', {
+        pubkeyAtHost: '',
+        persistent: false,
+        useScanner: false,
+      });
+      expect(nav.goPeerConnect, 'was called once');
+    });
+  });
+
+  describe('readQRCode()', () => {
+    it('should strip the uri prefix and hide the scanner', () => {
+      store.peer.useScanner = true;
+      peer.readQRCode({ data: ` lightning:${pubkey}@${host} ` });
+      expect(store.peer.pubkeyAtHost, 'to equal', `${pubkey}@${host}`);
+      expect(store.peer.useScanner, 'to be', false);
+    });
+
+    it('should ignore empty data', () => {
+      store.peer.useScanner = true;
+      peer.readQRCode({ data: '' });
+      expect(store.peer.useScanner, 'to be', true);
+    });
+  });
+
+  describe('connect()', () => {
+    beforeEach(() => {
+      sandbox.stub(peer, 'update');
+    });
+
+    it('should connect and refresh', async () => {
+      peer.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      await peer.connect();
+      expect(channel.connectToPeer, 'was called with', {
+        host,
+        pubkey,
+        perm: false,
+      });
+      expect(db.save, 'was not called');
+      expect(notification.display, 'was called with', { type: 'success' });
+      expect(nav.goPeers, 'was called once');
+      expect(peer.update, 'was called once');
+    });
+
+    it('should save persistent peers', async () => {
+      store.settings.persistentPeers = [{ pubkey, host: 'old:9735' }];
+      peer.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      peer.setPersistent({ persistent: true });
+      await peer.connect();
+      expect(channel.connectToPeer, 'was called with', { perm: true });
+      expect(store.settings.persistentPeers.slice(), 'to equal', [
+        { pubkey, host },
+      ]);
+      expect(db.save, 'was called once');
+    });
+
+    it('should require pubkey@host', async () => {
+      peer.setPubkeyAtHost({ pubkeyAtHost: pubkey });
+      await peer.connect();
+      expect(channel.connectToPeer, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Connecting to peer failed!',
+        err: { message: 'Please enter the peer as pubkey@host' },
+      });
+    });
+
+    it('should display errors', async () => {
+      channel.connectToPeer.rejects(new Error('Boom!'));
+      peer.setPubkeyAtHost({ pubkeyAtHost: `${pubkey}@${host}` });
+      peer.setPersistent({ persistent: true });
+      await peer.connect();
+      expect(db.save, 'was not called');
+      expect(nav.goPeers, 'was not called');
+      expect(notification.display, 'was called with', {
+        msg: 'Connecting to peer failed!',
+      });
+    });
+  });
+
+  describe('disconnect()', () => {
+    beforeEach(() => {
+      sandbox.stub(peer, 'update');
+    });
+
+    it('should disconnect and forget persistent peer', async () => {
+      store.settings.persistentPeers = [{ pubkey, host }];
+      grpc.sendCommand.withArgs('disconnectPeer').resolves();
+      await peer.disconnect({ pubkey });
+      expect(grpc.sendCommand, 'was called with', 'disconnectPeer', {
+        pubKey: pubkey,
+      });
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+      expect(db.save, 'was called once');
+      expect(peer.update, 'was called once');
+    });
+
+    it('should display errors', async () => {
+      store.settings.persistentPeers = [{ pubkey, host }];
+      grpc.sendCommand.withArgs('disconnectPeer').rejects(new Error('Boom!'));
+      await peer.disconnect({ pubkey });
+      expect(store.settings.persistentPeers.length, 'to equal', 1);
+      expect(notification.display, 'was called with', {
+        msg: 'Disconnecting peer failed!',
+      });
+    });
+  });
+
+  describe('togglePersistent()', () => {
+    beforeEach(() => {
+      store.peers = [{ pubKey: pubkey, address: host }];
+    });
+
+    it('should save a connected peer', async () => {
+      await peer.togglePersistent({ pubkey });
+      expect(store.settings.persistentPeers.slice(), 'to equal', [
+        { pubkey, host },
+      ]);
+      expect(db.save, 'was called once');
+    });
+
+    it('should remove a persistent peer', async () => {
+      store.settings.persistentPeers = [{ pubkey, host }];
+      await peer.togglePersistent({ pubkey });
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+      expect(db.save, 'was called once');
+    });
+
+    it('should ignore unknown peers', async () => {
+      await peer.togglePersistent({ pubkey: 'foo' });
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+      expect(db.save, 'was not called');
+    });
+
+    it('should ignore inbound peers', async () => {
+      store.peers = [{ pubKey: pubkey, address: host, inbound: true }];
+      await peer.togglePersistent({ pubkey });
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+      expect(db.save, 'was not called');
+    });
+
+    it('should remove an inbound persistent peer', async () => {
+      store.peers = [{ pubKey: pubkey, address: host, inbound: true }];
+      store.settings.persistentPeers = [{ pubkey, host }];
+      await peer.togglePersistent({ pubkey });
+      expect(store.settings.persistentPeers.slice(), 'to equal', []);
+    });
+  });
+
+  describe('reconnectPersistent()', () => {
+    it('should reconnect all persistent peers', async () => {
+      store.settings.persistentPeers = [
+        { pubkey: 'foo', host: 'foo:9735' },
+        { pubkey: 'bar', host: 'bar:9735' },
+      ];
+      channel.connectToPeer
+        .withArgs({ pubkey: 'foo', host: 'foo:9735', perm: true })
+        .rejects(new Error('Boom!'));
+      await peer.reconnectPersistent();
+      expect(channel.connectToPeer, 'was called twice');
+      expect(channel.connectToPeer, 'was called with', {
+        pubkey: 'bar',
+        host: 'bar:9735',
+        perm: true,
+      });
+      expect(logger.info, 'was called once');
+      expect(channel.getPeers, 'was called once');
+    });
+  });
+});
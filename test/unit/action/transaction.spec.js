@@ -3,6 +3,7 @@ import GrpcAction from '../../../src/action/grpc';
 import TransactionAction from '../../../src/action/transaction';
 import NavAction from '../../../src/action/nav';
 import NotificationAction from '../../../src/action/notification';
+import ChannelAction from '../../../src/action/channel';
 import * as logger from '../../../src/action/log';
 import { nap } from '../../../src/helper';
 
@@ -12,6 +13,7 @@ describe('Action Transactions Unit Tests', () => {
   let grpc;
   let nav;
   let notification;
+  let channel;
   let transaction;
 
   beforeEach(() => {
@@ -22,7 +24,14 @@ describe('Action Transactions Unit Tests', () => {
     grpc = sinon.createStubInstance(GrpcAction);
     nav = sinon.createStubInstance(NavAction);
     notification = sinon.createStubInstance(NotificationAction);
-    transaction = new TransactionAction(store, grpc, nav, notification);
+    channel = sinon.createStubInstance(ChannelAction);
+    transaction = new TransactionAction(
+      store,
+      grpc,
+      nav,
+      notification,
+      channel
+    );
   });
 
   afterEach(() => {
@@ -138,6 +147,11 @@ describe('Action Transactions Unit Tests', () => {
             settled: true,
             memo: 'some-memo',
             r_preimage: 'some-preimage',
+            paymentRequest: 'some-payment-request',
+            fallbackAddr: 'some-address',
+            expiry: 3600,
+            settleDate: 1527070400,
+            amtPaidSat: 42,
           },
         ],
       });
@@ -149,9 +163,67 @@ describe('Action Transactions Unit Tests', () => {
         status: 'complete',
         date: new Date('2018-05-23T10:13:15.000Z'),
         memo: 'some-memo',
+        payReq: 'some-payment-request',
+        fallbackAddr: 'some-address',
+        expiresAt: new Date('2018-05-23T11:13:15.000Z'),
+        settleDate: new Date('2018-05-23T10:13:20.000Z'),
+        amountPaid: 42,
       });
     });
 
+    it('should mark open invoices past their expiry as expired', async () => {
+      grpc.sendCommand.withArgs('listInvoices').resolves({
+        invoices: [
+          {
+            rHash: Buffer.from('cdab', 'hex'),
+            creationDate: 1527070395,
+            expiry: 3600,
+            value: 42,
+            settled: false,
+            state: 'OPEN',
+          },
+          {
+            rHash: Buffer.from('abcd', 'hex'),
+            creationDate: Math.floor(Date.now() / 1000),
+            expiry: 3600,
+            value: 42,
+            settled: false,
+            state: 'OPEN',
+          },
+        ],
+      });
+      await transaction.getInvoices();
+      expect(store.invoices[0].status, 'to equal', 'expired');
+      expect(store.invoices[0].settleDate, 'to be', null);
+      expect(store.invoices[1].status, 'to equal', 'in-progress');
+    });
+
+    it('should mark canceled invoices as canceled', async () => {
+      grpc.sendCommand.withArgs('listInvoices').resolves({
+        invoices: [
+          {
+            rHash: Buffer.from('cdab', 'hex'),
+            creationDate: 1527070395,
+            expiry: 3600,
+            value: 42,
+            settled: false,
+            state: 'CANCELED',
+          },
+          {
+            rHash: Buffer.from('abcd', 'hex'),
+            creationDate: 1527070395,
+            expiry: 3600,
+            value: 42,
+            settled: false,
+            state: 2,
+          },
+        ],
+      });
+      await transaction.getInvoices();
+      expect(store.invoices[0].status, 'to equal', 'canceled');
+      expect(store.invoices[1].status, 'to equal', 'canceled');
+    });
+
     it('should log error on failure', async () => {
       grpc.sendCommand.rejects();
       await transaction.getInvoices();
@@ -276,6 +348,7 @@ describe('Action Transactions Unit Tests', () => {
         .returns({ on: onStub });
       await transaction.subscribeInvoices();
       expect(notification.display, 'was called once');
+      expect(channel.getChannels, 'was called once');
     });
 
     it('should not notify the user on an unsettled invoice', async () => {
@@ -287,6 +360,7 @@ describe('Action Transactions Unit Tests', () => {
       await transaction.subscribeInvoices();
       expect(transaction.update, 'was called once');
       expect(notification.display, 'was not called');
+      expect(channel.getChannels, 'was not called');
     });
 
     it('should reject in case of error', async () => {
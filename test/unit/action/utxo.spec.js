@@ -0,0 +1,107 @@
+import { Store } from '../../../src/store';
+import GrpcAction from '../../../src/action/grpc';
+import UtxoAction from '../../../src/action/utxo';
+import AppStorage from '../../../src/action/app-storage';
+import NavAction from '../../../src/action/nav';
+import NotificationAction from '../../../src/action/notification';
+import * as logger from '../../../src/action/log';
+
+describe('Action Utxo Unit Tests', () => {
+  let store;
+  let sandbox;
+  let grpc;
+  let db;
+  let nav;
+  let notification;
+  let utxo;
+  const item = { id: 'some-txid:0' };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    sandbox.stub(logger);
+    store = new Store();
+    grpc = sinon.createStubInstance(GrpcAction);
+    db = sinon.createStubInstance(AppStorage);
+    nav = sinon.createStubInstance(NavAction);
+    notification = sinon.createStubInstance(NotificationAction);
+    utxo = new UtxoAction(store, grpc, db, nav, notification);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('init()', () => {
+    it('should navigate to list and fetch utxos', async () => {
+      sandbox.stub(utxo, 'getUtxos');
+      await utxo.init();
+      expect(nav.goUtxos, 'was called once');
+      expect(utxo.getUtxos, 'was called once');
+    });
+  });
+
+  describe('getUtxos()', () => {
+    it('should list unspent outputs', async () => {
+      grpc.sendCommand.withArgs('listUnspent').resolves({
+        utxos: [
+          {
+            type: 'WITNESS_PUBKEY_HASH',
+            address: 'some-address',
+            amountSat: 1000,
+            outpoint: { txidStr: 'some-txid', outputIndex: 0 },
+            confirmations: 3,
+          },
+          {
+            type: 1,
+            address: 'other-address',
+            amountSat: 2000,
+            outpoint: { txidStr: 'other-txid', outputIndex: 1 },
+            confirmations: 0,
+          },
+        ],
+      });
+      await utxo.getUtxos();
+      expect(store.utxos.slice(), 'to equal', [
+        {
+          id: 'some-txid:0',
+          outpoint: { txidStr: 'some-txid', outputIndex: 0 },
+          type: 'p2wkh',
+          address: 'some-address',
+          amount: 1000,
+          confirmations: 3,
+        },
+        {
+          id: 'other-txid:1',
+          outpoint: { txidStr: 'other-txid', outputIndex: 1 },
+          type: 'np2wkh',
+          address: 'other-address',
+          amount: 2000,
+          confirmations: 0,
+        },
+      ]);
+    });
+
+    it('should display notification on error', async () => {
+      grpc.sendCommand.withArgs('listUnspent').rejects(new Error('Boom!'));
+      await utxo.getUtxos();
+      expect(notification.display, 'was called once');
+    });
+  });
+
+  describe('setLabel()', () => {
+    it('should set label without persisting it', () => {
+      utxo.setLabel({ utxo: item, label: 'exchange' });
+      expect(store.settings.utxoLabels, 'to equal', {
+        'some-txid:0': 'exchange',
+      });
+      expect(db.save, 'was not called');
+    });
+  });
+
+  describe('saveLabels()', () => {
+    it('should persist labels', async () => {
+      await utxo.saveLabels();
+      expect(db.save, 'was called once');
+    });
+  });
+});
@@ -71,6 +71,11 @@ describe('Computed Channels Unit Tests', () => {
       expect(store.channelBalancePendingLabel, 'to equal', '0');
       expect(store.channelBalanceClosingLabel, 'to equal', '0');
       expect(store.channelStatus, 'to equal', 'error');
+      expect(store.receiveCapacity, 'to equal', {
+        maxSatoshis: 0,
+        totalSatoshis: 0,
+        pendingSatoshis: 0,
+      });
     });
 
     it('should aggregate open and pending channels', () => {
@@ -118,6 +123,87 @@ describe('Computed Channels Unit Tests', () => {
       expect(store.channelBalanceClosingLabel, 'to match', /62[,.]06/);
     });
 
+    it('should compute receive capacity minus channel reserves', () => {
+      store.channels[0].remoteChanReserveSat = 2000;
+      store.channels.push({
+        id: '5',
+        capacity: 100000,
+        localBalance: 50000,
+        remoteBalance: 50000,
+        remoteChanReserveSat: 1000,
+        active: true,
+        status: 'open',
+      });
+      ComputedChannel(store);
+      expect(store.receiveCapacity, 'to equal', {
+        maxSatoshis: 49000,
+        totalSatoshis: 57000,
+        pendingSatoshis: 400000,
+      });
+      expect(store.receiveCapacityMaxLabel, 'to match', /^0[,.]00049$/);
+      expect(store.receiveCapacityTotalLabel, 'to match', /^0[,.]00057$/);
+      expect(store.receiveCapacityPendingLabel, 'to match', /^0[,.]004$/);
+      const ch = store.computedChannels.find(t => t.id === '0');
+      expect(ch.receivableLabel, 'to match', /^0[,.]00008$/);
+    });
+
+    it('should describe the channel open fee option', () => {
+      ComputedChannel(store);
+      expect(store.channelCreateFeeLabel, 'to equal', 'Default');
+      store.channel.targetConf = '6';
+      expect(store.channelCreateFeeLabel, 'to equal', 'Within 6 blocks');
+      store.channel.targetConf = '';
+      store.channel.openFeeRate = '12';
+      expect(store.channelCreateFeeLabel, 'to equal', '12 sat/vB');
+    });
+
+    it('should display the capacity of the peer node', () => {
+      ComputedChannel(store);
+      expect(store.channelPeerCapacityLabel, 'to equal', '0');
+      store.channel.peerInfo = { totalCapacity: 5000000 };
+      expect(store.channelPeerCapacityLabel, 'to match', /^0[,.]05$/);
+    });
+
+    it('should display the max htlc of the selected channel', () => {
+      ComputedChannel(store);
+      expect(store.channelPolicyMaxHtlcLabel, 'to equal', '');
+      store.selectedChannelPolicy = { maxHtlcMsat: 990000500 };
+      expect(store.channelPolicyMaxHtlcLabel, 'to match', /^0[,.]0099$/);
+    });
+
+    it('should detect a stuck pending channel', () => {
+      const date = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      store.computedTransactions = [
+        { id: 'some-txid', confirmations: 0, date },
+      ];
+      store.selectedChannel = {
+        status: 'pending-open',
+        fundingTxId: 'some-txid',
+      };
+      ComputedChannel(store);
+      expect(store.channelFundingTx.id, 'to equal', 'some-txid');
+      expect(store.channelStuck, 'to be', true);
+      store.computedTransactions = [
+        { id: 'some-txid', confirmations: 0, date: new Date() },
+      ];
+      expect(store.channelStuck, 'to be', false);
+      store.computedTransactions = [];
+      expect(store.channelFundingTx, 'to be', null);
+      expect(store.channelStuck, 'to be', false);
+    });
+
+    it('should describe the close options of the selected channel', () => {
+      ComputedChannel(store);
+      expect(store.channelCloseCooperative, 'to be', false);
+      expect(store.channelCloseTimelockLabel, 'to equal', '');
+      store.selectedChannel = { status: 'open', active: true, csvDelay: 144 };
+      expect(store.channelCloseCooperative, 'to be', true);
+      expect(store.channelCloseTimelockLabel, 'to equal', '1 day and 0 hours');
+      store.selectedChannel = { status: 'open', active: false, csvDelay: 150 };
+      expect(store.channelCloseCooperative, 'to be', false);
+      expect(store.channelCloseTimelockLabel, 'to equal', '1 day and 1 hour');
+    });
+
     it('should display pending status', () => {
       store.channels = null;
       ComputedChannel(store);
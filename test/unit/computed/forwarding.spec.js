@@ -0,0 +1,86 @@
+import { Store } from '../../../src/store';
+import ComputedForwarding from '../../../src/computed/forwarding';
+
+describe('Computed Forwarding Unit Tests', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.settings.unit = 'btc';
+    store.settings.displayFiat = false;
+    store.channels = [{ id: '1', remotePubkey: 'some-pubkey' }];
+    store.forwardingEvents = [
+      {
+        date: new Date(1527070395000),
+        chanIdIn: '1',
+        chanIdOut: '2',
+        amountIn: 100010,
+        amountOut: 100000,
+        fee: 10,
+      },
+      {
+        date: new Date(1527070495000),
+        chanIdIn: '2',
+        chanIdOut: '1',
+        amountIn: 20001,
+        amountOut: 20000,
+        fee: 1,
+      },
+    ];
+    store.forwardingFees = { day: 1, week: 11, month: 11 };
+  });
+
+  describe('ComputedForwarding()', () => {
+    it('should work with initial store', () => {
+      store.forwardingEvents = [];
+      store.forwardingFees = { day: 0, week: 0, month: 0 };
+      ComputedForwarding(store);
+      expect(store.computedForwardingEvents, 'to equal', []);
+      expect(store.forwardingChannels, 'to equal', []);
+      expect(store.forwardingPageLabel, 'to equal', '1 / 1');
+      expect(store.forwardingVolumeLabel, 'to equal', '0');
+      expect(store.forwardingFeesMonthLabel, 'to equal', '0');
+      expect(store.forwardingActive, 'to be', false);
+    });
+
+    it('should list newest events first with labels', () => {
+      ComputedForwarding(store);
+      const [first, second] = store.computedForwardingEvents;
+      expect(first.amountLabel, 'to match', /^0[,.]0002$/);
+      expect(first.feeLabel, 'to match', /^0[,.]00000001$/);
+      expect(second.amountLabel, 'to match', /^0[,.]001$/);
+      expect(store.forwardingVolumeLabel, 'to match', /^0[,.]0012$/);
+      expect(store.forwardingActive, 'to be', true);
+    });
+
+    it('should paginate events', () => {
+      require('../../../src/config').FORWARDING_PAGE_SIZE = 1;
+      store.forwardingPage = 1;
+      ComputedForwarding(store);
+      expect(store.computedForwardingEvents.length, 'to equal', 1);
+      expect(store.computedForwardingEvents[0].key, 'to equal', '1');
+      expect(store.forwardingPageLabel, 'to equal', '2 / 2');
+      require('../../../src/config').FORWARDING_PAGE_SIZE = 20;
+    });
+
+    it('should sum up volume per channel', () => {
+      ComputedForwarding(store);
+      const [first, second] = store.forwardingChannels;
+      expect(first.id, 'to equal', '1');
+      expect(first.remotePubkey, 'to equal', 'some-pubkey');
+      expect(first.amountInLabel, 'to match', /^0[,.]0010001$/);
+      expect(first.amountOutLabel, 'to match', /^0[,.]0002$/);
+      expect(second.remotePubkey, 'to be', null);
+    });
+
+    it('should display fees in fiat', () => {
+      store.settings.displayFiat = true;
+      store.settings.exchangeRate.usd = 0.00014503;
+      store.forwardingFees = { day: 1, week: 14503, month: 145030 };
+      ComputedForwarding(store);
+      expect(store.forwardingFeesDayLabel, 'to equal', '< $0.01');
+      expect(store.forwardingFeesWeekLabel, 'to match', /1[,.]00/);
+      expect(store.forwardingFeesMonthLabel, 'to match', /10[,.]00/);
+    });
+  });
+});
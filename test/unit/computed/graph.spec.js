@@ -0,0 +1,121 @@
+import { Store } from '../../../src/store';
+import ComputedGraph from '../../../src/computed/graph';
+
+describe('Computed Graph Unit Tests', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.settings.unit = 'sat';
+    store.settings.displayFiat = false;
+  });
+
+  describe('ComputedGraph()', () => {
+    it('should work with initial store', () => {
+      ComputedGraph(store);
+      expect(store.graphNumNodesLabel, 'to equal', '-');
+      expect(store.graphNumChannelsLabel, 'to equal', '-');
+      expect(store.graphCapacityLabel, 'to equal', '-');
+      expect(store.graphAvgChannelLabel, 'to equal', '-');
+      expect(store.computedGraphNodes, 'to equal', []);
+      expect(store.graphNodeNameLabel, 'to equal', '');
+      expect(store.graphNodeCapacityLabel, 'to equal', '');
+      expect(store.graphNodeChannels, 'to equal', []);
+    });
+
+    it('should format network stats', () => {
+      store.graphInfo = {
+        numNodes: 6214,
+        numChannels: 41632,
+        totalCapacity: 1000000,
+        avgChannelSize: 25000,
+        maxChannelSize: 500000,
+        graphDiameter: 9,
+      };
+      ComputedGraph(store);
+      expect(store.graphNumNodesLabel, 'to equal', '6,214');
+      expect(store.graphNumChannelsLabel, 'to equal', '41,632');
+      expect(store.graphCapacityLabel, 'to equal', '1,000,000');
+      expect(store.graphAvgChannelLabel, 'to equal', '25,000');
+    });
+
+    it('should label search results', () => {
+      store.graphNodes = [
+        {
+          pubkey: '0343bc80b914aebf8e50',
+          alias: '',
+          numChannels: 1,
+          totalCapacity: 50000,
+        },
+        {
+          pubkey: '02aaaa',
+          alias: 'alice',
+          numChannels: 2,
+          totalCapacity: 100000,
+        },
+      ];
+      ComputedGraph(store);
+      expect(store.computedGraphNodes, 'to satisfy', [
+        {
+          key: '0',
+          nameLabel: '0343bc80b914…',
+          channelsLabel: '1 channel',
+          capacityLabel: '50,000',
+        },
+        {
+          key: '1',
+          nameLabel: 'alice',
+          channelsLabel: '2 channels',
+          capacityLabel: '100,000',
+        },
+      ]);
+    });
+
+    it('should label the selected node and its channel policies', () => {
+      store.selectedGraphNode = {
+        pubkey: '02aaaa',
+        alias: 'alice',
+        numChannels: 3,
+        totalCapacity: 300000,
+        addresses: [],
+        channels: [
+          {
+            id: '1',
+            peerPubkey: '03bbbb',
+            peerAlias: 'bob',
+            capacity: 100000,
+            policy: {
+              baseFeeMsat: 1000,
+              feeRatePpm: 1,
+              timeLockDelta: 40,
+              disabled: false,
+            },
+          },
+          {
+            id: '2',
+            peerPubkey: '0343bc80b914aebf8e50',
+            peerAlias: '',
+            capacity: 100000,
+            policy: { disabled: true },
+          },
+          {
+            id: '3',
+            peerPubkey: '02cccc',
+            peerAlias: 'carol',
+            capacity: 100000,
+            policy: null,
+          },
+        ],
+      };
+      ComputedGraph(store);
+      expect(store.graphNodeNameLabel, 'to equal', 'alice');
+      expect(store.graphNodeChannelsLabel, 'to equal', '3 channels');
+      expect(store.graphNodeCapacityLabel, 'to equal', '300,000');
+      expect(store.graphNodeChannels, 'to satisfy', [
+        { key: '0', peerLabel: 'bob', policyLabel: '1000 msat + 1 ppm' },
+        { key: '1', peerLabel: '0343bc80b914…', policyLabel: 'Disabled' },
+        { key: '2', peerLabel: 'carol', policyLabel: 'No policy' },
+      ]);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { Store } from '../../../src/store';
 import ComputedInvoice from '../../../src/computed/invoice';
+import ComputedChannel from '../../../src/computed/channel';
 
 describe('Computed Invoice Unit Tests', () => {
   let store;
@@ -14,12 +15,14 @@ describe('Computed Invoice Unit Tests', () => {
     it('should work with initial store', () => {
       ComputedInvoice(store);
       expect(store.invoiceAmountLabel, 'to equal', '0');
+      expect(store.invoiceAnyAmount, 'to be', true);
     });
 
     it('should format btc amount', () => {
       store.invoice.amount = '0.1001';
       ComputedInvoice(store);
       expect(store.invoiceAmountLabel, 'to match', /^0[,.]1{1}0{2}1{1}$/);
+      expect(store.invoiceAnyAmount, 'to be', false);
     });
 
     it('should format fiat amount', () => {
@@ -29,5 +32,157 @@ describe('Computed Invoice Unit Tests', () => {
       ComputedInvoice(store);
       expect(store.invoiceAmountLabel, 'to match', /1[,.]10/);
     });
+
+    it('should report no shortfall with enough inbound capacity', () => {
+      store.channels = [
+        { remoteBalance: 60000, localBalance: 0, commitFee: 0, active: true },
+        { remoteBalance: 120000, localBalance: 0, commitFee: 0, active: true },
+      ];
+      store.invoice.amount = '0.001';
+      ComputedChannel(store);
+      ComputedInvoice(store);
+      expect(store.invoiceInbound, 'to satisfy', {
+        isShort: false,
+        isMultiPath: false,
+        shortfallSatoshis: 0,
+      });
+    });
+
+    it('should report shortfall if only all channels together suffice', () => {
+      store.channels = [
+        { remoteBalance: 60000, localBalance: 0, commitFee: 0, active: true },
+        { remoteBalance: 60000, localBalance: 0, commitFee: 0, active: true },
+      ];
+      store.invoice.amount = '0.001';
+      ComputedChannel(store);
+      ComputedInvoice(store);
+      expect(store.invoiceInbound, 'to satisfy', {
+        isShort: true,
+        isMultiPath: true,
+        shortfallSatoshis: 40000,
+      });
+    });
+
+    it('should suggest remedies if inbound capacity is short', () => {
+      store.channels = [
+        {
+          remoteBalance: 60000,
+          remoteChanReserveSat: 10000,
+          localBalance: 500000,
+          commitFee: 0,
+          active: true,
+        },
+      ];
+      store.pendingChannels = [
+        { remoteBalance: 100000, localBalance: 0, status: 'pending-open' },
+      ];
+      store.invoice.amount = '0.001';
+      ComputedChannel(store);
+      ComputedInvoice(store);
+      expect(store.invoiceInbound, 'to satisfy', {
+        isShort: true,
+        isMultiPath: false,
+        isPending: true,
+        canSpend: true,
+        shortfallSatoshis: 50000,
+        shortfallLabel: /^0[,.]0005$/,
+      });
+    });
+
+    it('should select the expiry preset', () => {
+      ComputedInvoice(store);
+      const selected = store.invoiceExpiryItems.filter(i => i.selected);
+      expect(
+        selected.map(i => i.label),
+        'to equal',
+        ['2 days']
+      );
+      store.invoice.customExpiry = '5';
+      expect(
+        store.invoiceExpiryItems.filter(i => i.selected),
+        'to be empty'
+      );
+    });
+
+    it('should filter invoices by status', () => {
+      store.invoices = [
+        { id: 'a', status: 'in-progress', amount: 1000, date: new Date(1) },
+        { id: 'b', status: 'complete', amount: 2000, date: new Date(2) },
+        { id: 'c', status: 'expired', amount: 3000, date: new Date(3) },
+        { id: 'd', status: 'canceled', amount: 4000, date: new Date(4) },
+      ];
+      ComputedInvoice(store);
+      expect(
+        store.computedInvoices.map(i => i.id),
+        'to equal',
+        ['a']
+      );
+      expect(store.computedInvoices[0].statusLabel, 'to equal', 'In Progress');
+      expect(
+        store.computedInvoices[0].amountLabel,
+        'to match',
+        /^0[,.]0{4}1{1}$/
+      );
+      store.invoiceFilter = 'paid';
+      expect(
+        store.computedInvoices.map(i => i.id),
+        'to equal',
+        ['b']
+      );
+      store.invoiceFilter = 'expired';
+      expect(
+        store.computedInvoices.map(i => i.id),
+        'to equal',
+        ['d', 'c']
+      );
+    });
+
+    it('should be null without a selected invoice', () => {
+      ComputedInvoice(store);
+      expect(store.invoiceDetail, 'to be', null);
+    });
+
+    it('should add labels to the selected invoice', () => {
+      store.invoicesReady = true;
+      store.selectedInvoice = {
+        id: 'a',
+        status: 'in-progress',
+        amount: 1000,
+        date: new Date(1),
+        expiresAt: new Date(2),
+        settleDate: null,
+        payReq: 'lntb1',
+      };
+      ComputedInvoice(store);
+      expect(store.invoiceDetail, 'to satisfy', {
+        statusLabel: 'In Progress',
+        amountPaidLabel: '0',
+        settleDateLabel: '',
+        expiresLabel: new Date(2).toLocaleString(),
+        canShare: true,
+        canCancel: true,
+      });
+    });
+
+    it('should not allow sharing or canceling a paid invoice', () => {
+      store.invoicesReady = true;
+      store.selectedInvoice = {
+        id: 'a',
+        status: 'complete',
+        amount: 1000,
+        amountPaid: 1000,
+        date: new Date(1),
+        expiresAt: new Date(2),
+        settleDate: new Date(3),
+        payReq: 'lntb1',
+      };
+      ComputedInvoice(store);
+      expect(store.invoiceDetail, 'to satisfy', {
+        amountPaidLabel: /^0[,.]0{4}1{1}$/,
+        settleDateLabel: new Date(3).toLocaleString(),
+        canShare: false,
+        canCancel: false,
+      });
+    });
   });
 });
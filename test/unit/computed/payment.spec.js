@@ -17,6 +17,9 @@ describe('Computed Payment Unit Tests', () => {
       expect(store.paymentFeeEstimateItems, 'to equal', []);
       expect(store.paymentFeeLabel, 'to equal', '0');
       expect(store.paymentTotalLabel, 'to equal', '0');
+      expect(store.paymentAttempts, 'to equal', []);
+      expect(store.batchRecipients, 'to equal', []);
+      expect(store.batchAmountLabel, 'to equal', '0');
     });
 
     it('should calculate fee estimate label', () => {
@@ -57,6 +60,46 @@ describe('Computed Payment Unit Tests', () => {
       expect(store.paymentTotalLabel, 'to match', /1[,.]10/);
     });
 
+    it('should calculate batch labels', () => {
+      store.payment.recipients = [
+        { address: 'some-address', amount: '0.1' },
+        { address: 'other-address', amount: '0.2' },
+      ];
+      store.payment.fee = '0.0001';
+      ComputedPayment(store);
+      expect(store.batchRecipients[1], 'to satisfy', {
+        key: '1',
+        address: 'other-address',
+        amountLabel: /^0[,.]2$/,
+      });
+      expect(store.batchAmountLabel, 'to match', /^0[,.]3$/);
+      expect(store.batchTotalLabel, 'to match', /^0[,.]3{1}0{2}1{1}$/);
+    });
+
+    it('should format payment attempts', () => {
+      store.payment.attempts = [
+        { amount: 1000, fee: 1, hops: 1, status: 'succeeded', reason: '' },
+        {
+          amount: 2000,
+          fee: 10,
+          hops: 3,
+          status: 'failed',
+          reason: 'TemporaryChannelFailure',
+        },
+      ];
+      ComputedPayment(store);
+      expect(store.paymentAttempts[0].name, 'to equal', 'Attempt 1 (1 hop)');
+      expect(store.paymentAttempts[0].statusLabel, 'to equal', 'Succeeded');
+      expect(store.paymentAttempts[1].name, 'to equal', 'Attempt 2 (3 hops)');
+      expect(store.paymentAttempts[1].amountLabel, 'to match', /^0[,.]0{4}2$/);
+      expect(store.paymentAttempts[1].statusLabel, 'to equal', 'Failed');
+      expect(
+        store.paymentAttempts[1].reason,
+        'to equal',
+        'TemporaryChannelFailure'
+      );
+    });
+
     it('should ignore fee if blank', () => {
       store.payment.fee = '';
       store.payment.amount = '0.1';
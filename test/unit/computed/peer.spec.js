@@ -0,0 +1,75 @@
+import { Store } from '../../../src/store';
+import ComputedPeer from '../../../src/computed/peer';
+
+describe('Computed Peer Unit Tests', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.settings.unit = 'sat';
+    store.settings.displayFiat = false;
+  });
+
+  describe('ComputedPeer()', () => {
+    it('should work with initial store', () => {
+      ComputedPeer(store);
+      expect(store.computedPeers, 'to equal', []);
+      expect(store.peerCountLabel, 'to equal', '0 peers');
+    });
+
+    it('should label peers', () => {
+      store.peers = [
+        {
+          pubKey: '0343bc80b914aebf8e50',
+          address: '1.2.3.4:9735',
+          bytesSent: '512',
+          bytesRecv: '1572864',
+          satSent: '1000',
+          satRecv: '0',
+          inbound: true,
+          pingTime: '48600',
+        },
+        {
+          pubKey: '02aaaa',
+          address: '5.6.7.8:9735',
+          bytesSent: 2048,
+          bytesRecv: 0,
+          satSent: 0,
+          satRecv: 0,
+          inbound: false,
+          pingTime: 0,
+        },
+      ];
+      store.peerAliases = { '02aaaa': 'alice' };
+      store.settings.persistentPeers = [
+        { pubkey: '02aaaa', host: '5.6.7.8:9735' },
+      ];
+      ComputedPeer(store);
+      expect(store.peerCountLabel, 'to equal', '2 peers');
+      expect(store.computedPeers, 'to satisfy', [
+        {
+          key: '0',
+          aliasLabel: '0343bc80b914…',
+          directionLabel: 'Inbound',
+          pingLabel: '49 ms',
+          bytesSentLabel: '512 B',
+          bytesRecvLabel: '1.5 MB',
+          satSentLabel: '1,000',
+          satRecvLabel: '0',
+          persistent: false,
+          canTogglePersistent: false,
+        },
+        {
+          key: '1',
+          aliasLabel: 'alice',
+          directionLabel: 'Outbound',
+          pingLabel: '-',
+          bytesSentLabel: '2.0 KB',
+          bytesRecvLabel: '0 B',
+          persistent: true,
+          canTogglePersistent: true,
+        },
+      ]);
+    });
+  });
+});
@@ -23,6 +23,13 @@ describe('Computed Settings Unit Tests', () => {
       expect(store.usdFiatLabel, 'to be ok');
       expect(store.eurFiatLabel, 'to be ok');
       expect(store.gbpFiatLabel, 'to be ok');
+      expect(store.backupFolderLabel, 'to equal', 'Not set');
+    });
+
+    it('should display the backup folder', () => {
+      store.settings.backupFolder = '/home/user/backups';
+      ComputedSetting(store);
+      expect(store.backupFolderLabel, 'to equal', '/home/user/backups');
     });
 
     it('should display satoshis denominated in BTC', () => {
@@ -82,5 +82,57 @@ describe('Computed Transactions Unit Tests', () => {
       ComputedTransaction(store);
       expect(store.computedTransactions.length, 'to equal', 100);
     });
+
+    it('should merge failed payments from the journal', () => {
+      store.paymentJournal.push({
+        id: '3',
+        type: 'lightning',
+        amount: -5000,
+        fee: 0,
+        status: 'failed',
+        reason: 'No route found',
+        date: new Date(),
+        paymentRequest: 'some-invoice',
+        attempts: [
+          {
+            hops: 2,
+            fee: 2,
+            status: 'failed',
+            reason: 'Boom!',
+            route: ['02aaaaaaaaaaaaaaaa', '03bbbbbbbbbbbbbbbb'],
+            date: new Date(),
+          },
+        ],
+      });
+      ComputedTransaction(store);
+      expect(store.computedTransactions.length, 'to equal', 4);
+      const tx = store.computedTransactions.find(t => t.id === '3');
+      expect(tx.statusLabel, 'to equal', 'Failed');
+      expect(tx.canRetry, 'to be', true);
+      expect(tx.attemptItems[0], 'to satisfy', {
+        name: 'Attempt 1 (2 hops)',
+        statusLabel: 'Failed',
+        reason: 'Boom!',
+        routeLabel: '02aaaaaaaaaa… → 03bbbbbbbbbb…',
+      });
+    });
+
+    it('should prefer payments listed by lnd over journal entries', () => {
+      store.paymentJournal.push({
+        id: '1',
+        type: 'lightning',
+        amount: -92345,
+        status: 'succeeded',
+        date: new Date(),
+        paymentRequest: 'some-invoice',
+        attempts: [{ hops: 1, fee: 1, status: 'succeeded', date: new Date() }],
+      });
+      ComputedTransaction(store);
+      expect(store.computedTransactions.length, 'to equal', 3);
+      const tx = store.computedTransactions.find(t => t.id === '1');
+      expect(tx.statusLabel, 'to equal', 'Complete');
+      expect(tx.attemptItems[0].name, 'to equal', 'Attempt 1 (1 hop)');
+      expect(tx.canRetry, 'to be', false);
+    });
   });
 });
@@ -0,0 +1,50 @@
+import { Store } from '../../../src/store';
+import ComputedUtxo from '../../../src/computed/utxo';
+
+describe('Computed Utxo Unit Tests', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.settings.unit = 'btc';
+    store.settings.displayFiat = false;
+    store.utxos = [
+      {
+        id: 'some-txid:0',
+        type: 'p2wkh',
+        amount: 100000,
+        confirmations: 3,
+      },
+      {
+        id: 'other-txid:1',
+        type: 'np2wkh',
+        amount: 20000,
+        confirmations: 0,
+      },
+    ];
+  });
+
+  describe('ComputedUtxo()', () => {
+    it('should work with initial store', () => {
+      store.utxos = [];
+      ComputedUtxo(store);
+      expect(store.computedUtxos, 'to equal', []);
+    });
+
+    it('should add labels', () => {
+      store.settings.utxoLabels = { 'some-txid:0': 'exchange' };
+      ComputedUtxo(store);
+      expect(store.computedUtxos[0], 'to satisfy', {
+        key: 'some-txid:0',
+        amountLabel: '0.001',
+        confirmationsLabel: '3',
+        typeLabel: 'Native SegWit',
+        label: 'exchange',
+      });
+      expect(store.computedUtxos[1], 'to satisfy', {
+        typeLabel: 'Nested SegWit',
+        label: '',
+      });
+    });
+  });
+});
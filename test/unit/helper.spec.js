@@ -723,6 +723,109 @@ describe('Helpers Unit Tests', () => {
     });
   });
 
+  describe('isBitcoinUri()', () => {
+    it('should accept bitcoin uri', () => {
+      const uri = 'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5';
+      expect(helpers.isBitcoinUri(uri), 'to be', true);
+    });
+
+    it('should accept bitcoin uri with params', () => {
+      const uri =
+        'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?amount=0.001&label=Foo%20Bar&lightning=lntb100n1pdn2e0app';
+      expect(helpers.isBitcoinUri(uri), 'to be', true);
+    });
+
+    it('should reject lightning uri', () => {
+      const uri = 'lightning:lntb100n1pdn2e0app';
+      expect(helpers.isBitcoinUri(uri), 'to be', false);
+    });
+
+    it('should mitigate xss', () => {
+      const uri =
+        'bitcoin:rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5?label=<script>alert("XSS")</script>';
+      expect(helpers.isBitcoinUri(uri), 'to be', false);
+    });
+  });
+
+  describe('toBitcoinUri()', () => {
+    const address = 'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5';
+
+    it('should build plain address uri', () => {
+      const uri = helpers.toBitcoinUri({ address });
+      expect(uri, 'to equal', `bitcoin:${address}`);
+    });
+
+    it('should add amount in btc and invoice', () => {
+      const uri = helpers.toBitcoinUri({
+        address,
+        satAmt: 123456,
+        invoice: 'lntb1500n1pdn4czkpp5ugdqer05qrrxuchrzkcue94th9w2xzasp9qm7d0',
+      });
+      expect(
+        uri,
+        'to equal',
+        `bitcoin:${address}?amount=0.00123456&lightning=lntb1500n1pdn4czkpp5ugdqer05qrrxuchrzkcue94th9w2xzasp9qm7d0`
+      );
+      expect(helpers.isBitcoinUri(uri), 'to be', true);
+      expect(helpers.parseUri(uri).address, 'to match', /^lntb1500n1/);
+    });
+  });
+
+  describe('parseUri()', () => {
+    const address = 'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5';
+
+    it('should parse plain address', () => {
+      expect(helpers.parseUri(address), 'to equal', {
+        address,
+        satAmt: 0,
+        label: '',
+        message: '',
+      });
+    });
+
+    it('should strip lightning prefix', () => {
+      const uri = 'lightning:lntb100n1pdn2e0app';
+      expect(helpers.parseUri(uri).address, 'to equal', 'lntb100n1pdn2e0app');
+    });
+
+    it('should parse amount, label and message', () => {
+      const uri = `bitcoin:${address}?amount=0.00012345&label=Foo+Bar&message=Pay%20me`;
+      expect(helpers.parseUri(uri), 'to equal', {
+        address,
+        satAmt: 12345,
+        label: 'Foo Bar',
+        message: 'Pay me',
+      });
+    });
+
+    it('should prefer embedded lightning invoice', () => {
+      const uri = `bitcoin:${address}?amount=0.001&lightning=LNTB100N1PDN2E0APP`;
+      expect(helpers.parseUri(uri), 'to satisfy', {
+        address: 'LNTB100N1PDN2E0APP',
+        satAmt: 100000,
+      });
+    });
+
+    it('should ignore invalid and unknown params', () => {
+      const uri = `bitcoin:${address}?amount=abc&label=%E0%A4%A&foo=bar`;
+      expect(helpers.parseUri(uri), 'to equal', {
+        address,
+        satAmt: 0,
+        label: '%E0%A4%A',
+        message: '',
+      });
+    });
+
+    it('should reject unknown required params', () => {
+      const uri = `bitcoin:${address}?amount=0.001&req-somethingyoudontunderstand=50`;
+      expect(
+        helpers.parseUri.bind(null, uri),
+        'to throw',
+        /req-somethingyoudontunderstand/
+      );
+    });
+  });
+
   describe('isAddress()', () => {
     it('should accept bitcoin address', () => {
       const address = 'rfu4i1Mo2NF7TQsN9bMVLFSojSzcyQCEH5';
@@ -751,6 +854,38 @@ describe('Helpers Unit Tests', () => {
     });
   });
 
+  describe('parseFeeRate()', () => {
+    it('should parse valid fee rate', () => {
+      expect(helpers.parseFeeRate('12'), 'to equal', 12);
+    });
+
+    it('should throw for decimal fee rate', () => {
+      expect(
+        helpers.parseFeeRate.bind(null, '1.5'),
+        'to throw',
+        /whole number/
+      );
+    });
+
+    it('should throw below minimum', () => {
+      expect(helpers.parseFeeRate.bind(null, '0'), 'to throw', /at least/);
+    });
+
+    it('should throw above maximum', () => {
+      expect(helpers.parseFeeRate.bind(null, '1001'), 'to throw', /absurd/);
+    });
+  });
+
+  describe('parseCsv()', () => {
+    it('should split rows and cells', () => {
+      const rows = helpers.parseCsv('a, 1\r\n\n "b";2 \n');
+      expect(rows, 'to equal', [
+        ['a', '1'],
+        ['b', '2'],
+      ]);
+    });
+  });
+
   describe('checkHttpStatus()', () => {
     it('should throw error for 500', () => {
       const response = { status: 500, statusText: 'Boom!' };
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+describe('Preload Unit Tests', () => {
+  let sandbox;
+  let ipcRenderer;
+  let window;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox({});
+    ipcRenderer = {
+      send: sandbox.stub(),
+      on: sandbox.stub(),
+      once: sandbox.stub(),
+    };
+    window = {};
+    const file = path.join(__dirname, '../../public/preload.js');
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), {
+      require: () => ({ ipcRenderer }),
+      window,
+    });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('ipcRenderer', () => {
+    const events = [
+      ['locale-get', 'locale'],
+      ['lndStreamRequest', 'lndStreamEvent_subscribeChannelEvents'],
+      ['log-error', 'logs'],
+      ['csv-open', 'csv-opened'],
+      ['scb-write', 'scb-written'],
+      ['scb-channel-save', 'scb-channel-saved'],
+      ['bundle-save', 'bundle-saved'],
+    ];
+
+    events.forEach(([event, listen]) => {
+      it(`should allow ${event} and ${listen}`, () => {
+        window.ipcRenderer.send(event, 'some-data');
+        window.ipcRenderer.once(listen, 'some-callback');
+        window.ipcRenderer.on(listen, 'some-callback');
+        expect(ipcRenderer.send, 'was called with', event, 'some-data');
+        expect(ipcRenderer.once, 'was called with', listen, 'some-callback');
+        expect(ipcRenderer.on, 'was called with', listen, 'some-callback');
+      });
+    });
+
+    it('should reject unknown events', () => {
+      expect(
+        () => window.ipcRenderer.send('channel-backup-save', 'some-data'),
+        'to throw',
+        /Invalid IPC: channel-backup-save/
+      );
+      expect(
+        () => window.ipcRenderer.once('channel-backup-saved', 'some-callback'),
+        'to throw',
+        /Invalid IPC/
+      );
+      expect(ipcRenderer.send, 'was not called');
+      expect(ipcRenderer.once, 'was not called');
+    });
+  });
+});